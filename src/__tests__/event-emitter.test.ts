@@ -43,7 +43,8 @@ jest.mock('../core/command-router', () => ({
     processCommand: jest.fn(),
     registerCommand: jest.fn(),
     removeCommand: jest.fn(),
-    getAvailableCommands: jest.fn().mockReturnValue([])
+    getAvailableCommands: jest.fn().mockReturnValue([]),
+    watchAnnotatedCommands: jest.fn().mockReturnValue(() => undefined)
   }))
 }))
 
@@ -0,0 +1,118 @@
+/**
+ * AccessibleNameComputer 회귀 테스트 — 화면 낭독기와 같은 순서로 이름을 정하는지.
+ * DOM 이 없는 node 환경이라 속성·자식·id 조회만 흉내 낸 가짜 요소를 쓴다.
+ */
+import { AccessibleNameComputer } from '../accessible-name'
+
+function text(value: string): any {
+  return { nodeType: 3, textContent: value }
+}
+
+// attrs 는 속성, children 은 자식 노드. root 를 주면 getRootNode 로 돌려준다
+function el(tagName: string, attrs: { [name: string]: string } = {}, children: any[] = [], root?: any): any {
+  const element: any = {
+    nodeType: 1,
+    tagName,
+    childNodes: children,
+    parent: null,
+    getAttribute: (name: string) => (name in attrs ? attrs[name] : null),
+    hasAttribute: (name: string) => name in attrs,
+    getRootNode: () => root,
+    closest: (selector: string) => {
+      let current = element.parent
+      while (current) {
+        if (current.tagName.toLowerCase() === selector) return current
+        current = current.parent
+      }
+      return null
+    }
+  }
+  children.forEach(child => { child.parent = element })
+  return element
+}
+
+function fakeRoot(byId: { [id: string]: any }, labels: any[] = []): any {
+  return {
+    getElementById: (id: string) => byId[id] || null,
+    querySelector: () => null,
+    querySelectorAll: (selector: string) =>
+      labels.filter(label => selector === `label[for="${label.getAttribute('for')}"]`)
+  }
+}
+
+describe('AccessibleNameComputer', () => {
+  const computer = new AccessibleNameComputer()
+
+  it('aria-labelledby 가 aria-label·내용보다 먼저다', () => {
+    const root = fakeRoot({
+      title: el('SPAN', {}, [text('장바구니')]),
+      count: el('SPAN', {}, [text('3개')])
+    })
+    const button = el('BUTTON', { 'aria-labelledby': 'title count', 'aria-label': '카트' }, [text('🛒')], root)
+
+    expect(computer.compute(button)).toMatchObject({ name: '장바구니 3개', source: 'aria-labelledby' })
+  })
+
+  it('아이콘 버튼은 이모지를 빼고, 남는 게 없으면 title 로 부른다', () => {
+    const button = el('BUTTON', { title: '검색' }, [text(' 🔍 ')])
+    expect(computer.compute(button)).toMatchObject({ name: '검색', source: 'title' })
+
+    const unnamed = el('BUTTON', {}, [text('✅')])
+    expect(computer.compute(unnamed)).toEqual({ name: '', description: '', source: 'none' })
+  })
+
+  it('내용은 숨긴 자식을 빼고 인라인 텍스트는 붙여서 읽는다', () => {
+    const link = el('A', {}, [
+      el('B', {}, [text('로')]),
+      text('그인'),
+      el('SPAN', { 'aria-hidden': 'true' }, [text('→')]),
+      el('IMG', { alt: '새 창' })
+    ])
+
+    expect(computer.compute(link).name).toBe('로그인 새 창')
+  })
+
+  it('data-ai="clickable" 로 표시한 div 는 버튼처럼 내용을 이름으로 쓴다', () => {
+    expect(computer.compute(el('DIV', { 'data-ai': 'clickable' }, [text('로그인')])).name).toBe('로그인')
+    expect(computer.compute(el('DIV', {}, [text('로그인')])).name).toBe('')
+  })
+
+  it('input 은 label[for] 와 감싼 label 을 쓰고, 라벨 안의 자기 자신은 빼고 읽는다', () => {
+    const nameLabel = el('LABEL', { for: 'name' }, [text('이름 ')])
+    const input = el('INPUT', { id: 'name', type: 'text', placeholder: '홍길동' }, [], fakeRoot({}, [nameLabel]))
+    expect(computer.compute(input)).toMatchObject({ name: '이름', source: 'label' })
+
+    const checkbox = el('INPUT', { type: 'checkbox' })
+    el('LABEL', {}, [checkbox, text('약관에 동의')])
+    expect(computer.compute(checkbox).name).toBe('약관에 동의')
+
+    const bare = el('INPUT', { type: 'text', placeholder: '홍길동' })
+    expect(computer.compute(bare)).toMatchObject({ name: '홍길동', source: 'placeholder' })
+  })
+
+  it('버튼형 input 은 value, 없으면 브라우저 기본 이름을 쓴다', () => {
+    expect(computer.compute(el('INPUT', { type: 'submit', value: '주문하기' })).name).toBe('주문하기')
+    expect(computer.compute(el('INPUT', { type: 'submit' })).name).toBe('제출')
+    expect(computer.compute(el('INPUT', { type: 'image', alt: '검색' })).name).toBe('검색')
+  })
+
+  it('aria-describedby 는 설명으로 따로 돌려준다', () => {
+    const root = fakeRoot({ hint: el('P', {}, [text('8자 이상 입력하세요')]) })
+    const input = el('INPUT', { type: 'password', 'aria-label': '비밀번호', 'aria-describedby': 'hint' }, [], root)
+
+    expect(computer.compute(input)).toEqual({
+      name: '비밀번호',
+      description: '8자 이상 입력하세요',
+      source: 'aria-label'
+    })
+  })
+
+  it('긴 이름은 단어 경계에서 자른다', () => {
+    const long = '오늘 하루만 특가로 판매하는 신선한 제주 감귤 선물 세트 5킬로그램 무료 배송 상품 바로 구매하기'
+    const name = computer.compute(el('A', {}, [text(long)])).name
+
+    expect(name.length).toBeLessThanOrEqual(50)
+    expect(long.startsWith(name)).toBe(true)
+    expect(long[name.length]).toBe(' ')
+  })
+})
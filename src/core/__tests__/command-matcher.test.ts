@@ -0,0 +1,83 @@
+/**
+ * CommandMatcher 회귀 테스트 — 점수 기반 순위 매칭.
+ *
+ * 예전 라우터는 등록 순서대로 키워드 부분 문자열을 찾아 첫 명령을 실행했다
+ * ("이전 주문 내역 보여줘" 에서 "이전" 이 발동). 여기서는 포괄도·일치 종류·자모 편집
+ * 거리로 매긴 순위가 그 문제를 막는지 고정한다.
+ */
+import { CommandMatcher } from '../command-matcher'
+import { VoiceCommand } from '../command-router'
+
+function command(description: string, keywords: string[]): VoiceCommand {
+  return { keywords, description, action: async () => undefined, category: 'navigation' }
+}
+
+const defaults = [
+  command('다음 페이지로 이동', ['다음 페이지', '넘어가기', '다음']),
+  command('이전 페이지로 이동', ['이전 페이지', '뒤로가기', '이전']),
+  command('페이지 상단으로 스크롤', ['위로', '맨 위로', '상단으로']),
+  command('페이지 하단으로 스크롤', ['아래로', '맨 아래로', '하단으로'])
+]
+
+describe('CommandMatcher', () => {
+  let matcher: CommandMatcher
+
+  beforeEach(() => {
+    matcher = new CommandMatcher()
+  })
+
+  it('정확히 일치하면 신뢰도 1', () => {
+    const best = matcher.findBest('다음', defaults)
+    expect(best?.command.description).toBe('다음 페이지로 이동')
+    expect(best?.score).toBe(1)
+    expect(best?.matchType).toBe('exact')
+  })
+
+  it('꼬리말과 조사를 떼고 비교한다', () => {
+    expect(matcher.findBest('다음으로 가줘', defaults)?.matchType).toBe('exact')
+    expect(matcher.findBest('맨 아래로 가주세요', defaults)?.command.description).toBe('페이지 하단으로 스크롤')
+  })
+
+  it('짧은 키워드가 긴 발화 일부일 뿐이면 실행하지 않는다', () => {
+    expect(matcher.findBest('이전 주문 내역 보여줘', defaults)).toBeNull()
+    // 그래도 후보 순위에는 남는다 (디버깅용)
+    expect(matcher.rank('이전 주문 내역 보여줘', defaults)[0].keyword).toBe('이전')
+  })
+
+  it('등록 순서가 아니라 점수로 고른다', () => {
+    const commands = [
+      ...defaults,
+      command('이전 주문 내역 보기', ['이전 주문 내역', '주문 내역'])
+    ]
+    const best = matcher.findBest('이전 주문 내역 보여줘', commands)
+    expect(best?.command.description).toBe('이전 주문 내역 보기')
+    expect(best?.keyword).toBe('이전 주문 내역')
+  })
+
+  it('자모 편집 거리로 음성 인식 오타를 허용한다', () => {
+    expect(matcher.jamoDistance('패이지', '페이지')).toBe(1)
+    const best = matcher.findBest('다음 패이지', defaults)
+    expect(best?.command.description).toBe('다음 페이지로 이동')
+    expect(best?.matchType).toBe('fuzzy')
+  })
+
+  it('전혀 관계없는 발화는 후보가 없다', () => {
+    expect(matcher.rank('로그인 눌러줘', defaults)).toEqual([])
+  })
+})
+
+describe('CommandMatcher 슬롯 템플릿', () => {
+  it('템플릿이 맞으면 params 와 함께 최고 후보가 된다', () => {
+    const search: VoiceCommand = {
+      keywords: [],
+      patterns: ['{query} 검색해줘'],
+      description: '상품 검색',
+      action: async () => undefined,
+      category: 'interaction'
+    }
+    const best = new CommandMatcher().findBest('혈압약 검색해줘', [...defaults, search])
+    expect(best?.command).toBe(search)
+    expect(best?.matchType).toBe('template')
+    expect(best?.params).toEqual({ query: '혈압약' })
+  })
+})
@@ -0,0 +1,1136 @@
+/**
+ * CommandRouter.processCommand 흐름 테스트.
+ *
+ * DOMAnalyzer/VoiceEngine 은 I/O 경계이므로 가짜 객체로 주입하고, 화면 표시만 하는
+ * VisualFeedbackManager 는 mock 한다. 명령 매칭·확인 단계 등 라우팅 로직은 실제 코드다.
+ */
+jest.mock('../visual-feedback')
+
+import { CommandRouter, VoiceCommand } from '../command-router'
+import { ContentReader } from '../content-reader'
+
+// 되돌리기 기록(capturePreviousState)·위치 지칭·번호 오버레이가 쓰는 window 값만 최소로 제공한다
+;(global as any).window = {
+  scrollX: 0, scrollY: 0, innerWidth: 900, innerHeight: 900,
+  location: { href: 'http://localhost/' },
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+}
+
+function createRouter() {
+  const voiceEngine = {
+    speak: jest.fn().mockResolvedValue(undefined),
+    waitForSpeechEnd: jest.fn().mockResolvedValue(undefined),
+    startListening: jest.fn().mockResolvedValue(undefined),
+    stopSpeaking: jest.fn(),
+    speakSequence: jest.fn().mockResolvedValue(true),
+    lastSpokenTexts: [] as string[]
+  }
+  const domAnalyzer = {
+    scanPage: jest.fn().mockResolvedValue({
+      buttons: [], links: [], forms: [], inputs: [], navigation: []
+    }),
+    bringIntoView: jest.fn().mockResolvedValue('visible'),
+    findByPurpose: jest.fn().mockResolvedValue(null)
+  }
+  const router = new CommandRouter(domAnalyzer as any, voiceEngine as any)
+  return { router, voiceEngine, domAnalyzer }
+}
+
+// 비동기 체인(speak → startListening → 대기)이 한 바퀴 돌도록 마이크로태스크를 비운다
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+describe('CommandRouter 확인 단계 (confirmRequired)', () => {
+  function orderCommand(): VoiceCommand {
+    return {
+      keywords: ['주문하기'],
+      action: jest.fn().mockResolvedValue(undefined),
+      description: '상품 주문',
+      confirmRequired: true,
+      confirmPrompt: '주문하시겠습니까?',
+      category: 'interaction'
+    }
+  }
+
+  it('"네" 를 들은 뒤에만 액션을 실행하고 confirmed 를 보고한다', async () => {
+    const { router, voiceEngine } = createRouter()
+    const command = orderCommand()
+    router.registerCommand(command)
+
+    const pending = router.processCommand('주문하기')
+    await flush()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('주문하시겠습니까?')
+    expect(command.action).not.toHaveBeenCalled()
+
+    const answer = await router.processCommand('네')
+    expect(answer.success).toBe(true)
+
+    const result = await pending
+    expect(command.action).toHaveBeenCalledTimes(1)
+    expect(result.success).toBe(true)
+    expect(result.confirmation).toBe('confirmed')
+  })
+
+  it('"아니요" 는 되돌리기가 아니라 거절로 처리된다', async () => {
+    const { router } = createRouter()
+    const command = orderCommand()
+    router.registerCommand(command)
+
+    const pending = router.processCommand('주문하기')
+    await flush()
+    await router.processCommand('아니요')
+
+    const result = await pending
+    expect(command.action).not.toHaveBeenCalled()
+    expect(result.success).toBe(false)
+    expect(result.confirmation).toBe('declined')
+  })
+
+  it('응답이 없으면 timeout 으로 끝난다', async () => {
+    jest.useFakeTimers()
+    try {
+      const { router } = createRouter()
+      const command = orderCommand()
+      router.registerCommand(command)
+
+      const pending = router.processCommand('주문하기')
+      await jest.advanceTimersByTimeAsync(8000)
+
+      const result = await pending
+      expect(command.action).not.toHaveBeenCalled()
+      expect(result.confirmation).toBe('timeout')
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  it('대답 시간은 질문을 다 읽은 뒤부터 센다', async () => {
+    jest.useFakeTimers()
+    try {
+      const { router, voiceEngine } = createRouter()
+      const command = orderCommand()
+      router.registerCommand(command)
+      // speak 는 읽기 시작하면 끝나고, 질문을 다 읽는 데는 10초 걸린다
+      voiceEngine.waitForSpeechEnd.mockImplementationOnce(() => new Promise(resolve => setTimeout(resolve, 10000)))
+
+      const pending = router.processCommand('주문하기')
+      await jest.advanceTimersByTimeAsync(0)
+      expect(voiceEngine.speak).toHaveBeenCalledWith('주문하시겠습니까?')
+      // 읽는 동안에는 듣지 않는다
+      expect(voiceEngine.startListening).not.toHaveBeenCalled()
+
+      await jest.advanceTimersByTimeAsync(10000 + 7000)
+      expect(voiceEngine.startListening).toHaveBeenCalled()
+      await router.processCommand('네')
+
+      expect((await pending).confirmation).toBe('confirmed')
+      expect(command.action).toHaveBeenCalledTimes(1)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+})
+
+describe('CommandRouter 슬롯 템플릿', () => {
+  it('뽑은 슬롯 값을 action(params) 로 넘긴다', async () => {
+    const { router } = createRouter()
+    const action = jest.fn().mockResolvedValue(undefined)
+    router.registerCommand({
+      keywords: [],
+      patterns: ['{count}개 담아줘'],
+      slots: { count: 'number' },
+      action,
+      description: '장바구니 담기',
+      category: 'interaction'
+    })
+
+    const result = await router.processCommand('두 개 담아줘')
+
+    expect(action).toHaveBeenCalledWith({ count: 2 })
+    expect(result.success).toBe(true)
+    expect(result.candidates?.[0].matchType).toBe('template')
+  })
+})
+
+describe('CommandRouter 다중 턴 대화', () => {
+  it('질문 대기 중에는 다음 발화가 명령이 아니라 답으로 처리된다', async () => {
+    const { router } = createRouter()
+    const answers: string[] = []
+    router.ask('무엇을 찾으시나요?', (answer) => {
+      answers.push(answer)
+    })
+    await flush()
+    expect(router.getDialogState().awaitingAnswer).toBe(true)
+
+    // "다음" 은 기본 명령 키워드지만 답으로 넘어가야 한다
+    const result = await router.processCommand('다음')
+
+    expect(answers).toEqual(['다음'])
+    expect(result.executedCommand).toBeUndefined()
+    expect(router.getDialogState().awaitingAnswer).toBe(false)
+  })
+})
+
+describe('CommandRouter 복합 발화', () => {
+  function fakeElement(label: string) {
+    const element = { click: jest.fn() }
+    return { id: label, type: 'button', label, description: `${label} 버튼`, selector: '', element, isVisible: true }
+  }
+
+  function createCompoundRouter(labels: string[]) {
+    const harness = createRouter()
+    const buttons = labels.map(fakeElement)
+    harness.domAnalyzer.scanPage.mockResolvedValue({
+      buttons, links: [], forms: [], inputs: [], navigation: []
+    })
+    ;(harness.domAnalyzer as any).waitForSettle = jest.fn().mockResolvedValue(undefined)
+    return { ...harness, buttons }
+  }
+
+  it('연결어로 나눈 절을 차례로 실행하고 단계마다 결과를 남긴다', async () => {
+    const { router, buttons, domAnalyzer } = createCompoundRouter(['로그인', '마이페이지'])
+
+    const result = await router.processCommand('로그인하고 마이페이지 가줘')
+
+    expect(result.success).toBe(true)
+    expect(result.steps).toHaveLength(2)
+    expect(buttons[0].element.click).toHaveBeenCalled()
+    expect(buttons[1].element.click).toHaveBeenCalled()
+    // 단계 사이에 한 번 DOM 안정화를 기다린다
+    expect((domAnalyzer as any).waitForSettle).toHaveBeenCalledTimes(1)
+  })
+
+  it('실패한 단계에서 멈추고 몇 번째 단계인지 보고한다', async () => {
+    const { router, buttons, domAnalyzer } = createCompoundRouter(['장바구니', '로그인'])
+    // 장바구니 버튼이 접힌 메뉴 안에 있어 펼치지 못한다
+    domAnalyzer.bringIntoView.mockResolvedValueOnce('failed')
+
+    const result = await router.processCommand('장바구니 눌러줘 그리고 로그인 눌러줘')
+
+    expect(result.success).toBe(false)
+    expect(result.failedStep).toBe(0)
+    expect(result.steps).toHaveLength(1)
+    expect(buttons[0].element.click).not.toHaveBeenCalled()
+    expect(buttons[1].element.click).not.toHaveBeenCalled()
+  })
+
+  it('발화 전체가 명령이면 "하고" 로 나누지 않는다 ("검색하고 싶어")', async () => {
+    const { router, domAnalyzer, voiceEngine } = createCompoundRouter([])
+
+    const result = await router.processCommand('검색하고 싶어')
+
+    expect(result.steps).toBeUndefined()
+    expect(domAnalyzer.findByPurpose).toHaveBeenCalledWith('search')
+    expect(voiceEngine.speak).not.toHaveBeenCalledWith(expect.stringContaining('단계'))
+  })
+
+  it('풀리지 않는 절이 있으면 나누지 않는다', async () => {
+    const { router, buttons } = createCompoundRouter(['로그인'])
+
+    const result = await router.processCommand('장바구니 눌러줘 그리고 로그인 눌러줘')
+
+    expect(result.steps).toBeUndefined()
+    expect(buttons[0].element.click).not.toHaveBeenCalled()
+  })
+
+  it('연결어 앞뒤가 비어 있으면 나누지 않는다', async () => {
+    const { router } = createCompoundRouter([])
+    const result = await router.processCommand('다음에')
+    expect(result.steps).toBeUndefined()
+  })
+})
+
+describe('CommandRouter 명령 활성 범위 (scope)', () => {
+  const originalHref = (global as any).window.location.href
+
+  afterEach(() => {
+    ;(global as any).window.location.href = originalHref
+    delete (global as any).document
+  })
+
+  function scoped(description: string, scope: VoiceCommand['scope']): VoiceCommand {
+    return { keywords: ['결제'], description, scope, action: jest.fn().mockResolvedValue(undefined), category: 'interaction' }
+  }
+
+  it('URL·선택자·페이지 유형이 맞는 명령만 "지금 쓸 수 있는 명령" 이다', () => {
+    const { router, domAnalyzer } = createRouter()
+    ;(domAnalyzer as any).detectPageType = jest.fn().mockReturnValue('cart')
+    ;(global as any).window.location.href = 'https://shop.example.com/cart/123'
+    ;(global as any).document = { querySelector: (selector: string) => (selector === '#cart-total' ? {} : null) }
+    // 범위 없는 기본 명령(번호 오버레이 등) 뒤에 등록한 명령만 본다
+    const builtIn = router.getAvailableCommands({ category: 'interaction' }).length
+
+    router.registerCommand(scoped('URL 일치', { urlPattern: '/cart/*' }))
+    router.registerCommand(scoped('URL 불일치', { urlPattern: /\/checkout/ }))
+    router.registerCommand(scoped('선택자 일치', { selector: '#cart-total' }))
+    router.registerCommand(scoped('선택자 불일치', { selector: '.payment-form' }))
+    router.registerCommand(scoped('유형 일치', { pageType: ['cart', 'checkout'] }))
+    router.registerCommand(scoped('유형 불일치', { pageType: 'login' }))
+
+    const active = router.getAvailableCommands({ activeOnly: true, category: 'interaction' })
+    expect(active.slice(builtIn).map(cmd => cmd.description)).toEqual(['URL 일치', '선택자 일치', '유형 일치'])
+    // 필터 없이 부르면 전부
+    expect(router.getAvailableCommands({ category: 'interaction' })).toHaveLength(builtIn + 6)
+  })
+
+  it('범위 밖 명령은 매칭 후보에서 빠진다', async () => {
+    const { router, domAnalyzer } = createRouter()
+    ;(domAnalyzer as any).detectPageType = jest.fn().mockReturnValue('general')
+    const cartPay = scoped('장바구니 결제', { pageType: 'cart' })
+    router.registerCommand(cartPay)
+
+    const result = await router.processCommand('결제')
+
+    expect(cartPay.action).not.toHaveBeenCalled()
+    expect(result.success).toBe(false)
+  })
+})
+
+describe('CommandRouter 시스템 명령', () => {
+  it('"다시 말해줘" 는 되돌리기가 아니라 마지막 안내를 다시 읽는다', async () => {
+    const { router, voiceEngine } = createRouter()
+    voiceEngine.lastSpokenTexts = ['주문을 완료했습니다']
+
+    const result = await router.processCommand('다시 말해줘')
+
+    expect(result.executedCommand?.description).toBe('마지막 안내 다시 듣기')
+    expect(voiceEngine.speakSequence).toHaveBeenCalledWith(['주문을 완료했습니다'])
+    // 스스로 말하는 명령이므로 완료 안내를 덧붙이지 않는다 (덧붙이면 그게 "마지막 안내" 가 된다)
+    expect(voiceEngine.speak).not.toHaveBeenCalled()
+  })
+
+  it('"다시 처음부터" 는 취소가 아니라 처음부터 다시 읽는다', async () => {
+    const restart = jest.spyOn(ContentReader.prototype, 'restart').mockReturnValue(true)
+    const { router } = createRouter()
+
+    const result = await router.processCommand('다시 처음부터')
+
+    expect(result.executedCommand?.description).toBe('처음부터 다시 읽기')
+    expect(restart).toHaveBeenCalled()
+    restart.mockRestore()
+  })
+
+  it('"멈춰" 는 음성 재생을 멈춘다', async () => {
+    const { router, voiceEngine } = createRouter()
+    await router.processCommand('멈춰')
+    expect(voiceEngine.stopSpeaking).toHaveBeenCalled()
+  })
+
+  it('읽기 조작은 페이지 이동 명령과 헷갈리지 않고, 읽는 중이 아니면 먼저 읽기를 안내한다', async () => {
+    const { router, voiceEngine } = createRouter()
+
+    // "다음" 이 들어 있어도 다음 페이지로 넘어가지 않는다
+    const next = await router.processCommand('다음 문단')
+    expect(next.success).toBe(false)
+    expect(next.message).toContain('이 페이지 읽어줘')
+    expect(voiceEngine.speak).toHaveBeenCalledWith('먼저 "이 페이지 읽어줘"라고 말씀해 주세요')
+
+    const paused = await router.processCommand('잠깐')
+    expect(paused.success).toBe(false)
+    expect(paused.message).toContain('이 페이지 읽어줘')
+  })
+
+  it('"도움말" 은 지금 쓸 수 있는 명령을 분류별로 짧게 끊어 읽는다', async () => {
+    const { router, voiceEngine } = createRouter()
+    router.registerCommand({
+      keywords: [],
+      patterns: ['{query} 검색해줘'],
+      action: async () => undefined,
+      description: '검색',
+      category: 'interaction'
+    })
+
+    await router.processCommand('도움말')
+
+    const chunks: string[] = voiceEngine.speakSequence.mock.calls[0][0]
+    expect(chunks[0]).toBe('지금 쓰실 수 있는 말씀을 알려드릴게요.')
+    expect(chunks).toContain('이동: "다음 페이지", "이전 페이지", "위로".')
+    expect(chunks).toContain('이동: "아래로", "다음 제목", "이전 제목".')
+    expect(chunks).toContain('화면 조작: "○○ 검색해줘".')
+    expect(chunks).toContain('음성 제어: "○○ 줄 읽어줘", "○○ 열만 읽어줘", "다시 말해줘".')
+    expect(chunks).toContain('음성 제어: "멈춰", "도움말".')
+  })
+})
+
+describe('CommandRouter 제목·영역 이동', () => {
+  function structureRouter() {
+    const harness = createRouter()
+    const element = () => ({
+      isConnected: true,
+      getBoundingClientRect: () => ({ left: 0, top: 100, width: 100, height: 20 }),
+      hasAttribute: () => true,
+      focus: jest.fn(),
+      scrollIntoView: jest.fn()
+    })
+    const heading = element()
+    ;(harness.domAnalyzer as any).scanStructure = jest.fn().mockReturnValue({
+      headings: [{ level: 2, text: '예방 접종', element: heading }],
+      landmarks: [{ kind: 'main', label: '', element: element() }]
+    })
+    return { ...harness, heading }
+  }
+
+  it('"다음 제목" 은 페이지를 넘기지 않고 제목으로 가서 제목을 읽어준다', async () => {
+    const { router, voiceEngine, heading } = structureRouter()
+
+    const result = await router.processCommand('다음 제목')
+
+    expect(result.executedCommand?.description).toBe('다음 제목으로 이동')
+    expect(heading.focus).toHaveBeenCalled()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('제목: 예방 접종')
+  })
+
+  it('영역으로 이동을 알리고, 없는 영역이면 없다고 말한다', async () => {
+    const { router, voiceEngine } = structureRouter()
+
+    await router.processCommand('본문으로')
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('본문으로 이동했습니다')
+
+    const result = await router.processCommand('바닥글로')
+    expect(result.success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('이 페이지에는 바닥글이 없습니다')
+  })
+})
+
+describe('CommandRouter 표 읽기', () => {
+  function tableRouter(departments = ['내과', '안과', '치과']) {
+    const harness = createRouter()
+    const rows = departments.map((department, i) => ({
+      element: {},
+      cells: [
+        { header: '날짜', text: `10월 ${i + 1}일`, element: {} },
+        { header: '진료과', text: department, element: {} }
+      ]
+    }))
+    const table = {
+      element: { isConnected: true, getBoundingClientRect: () => ({ top: 0, bottom: 300 }) },
+      caption: '',
+      columns: ['날짜', '진료과'],
+      rows
+    }
+    ;(harness.domAnalyzer as any).scanTables = jest.fn().mockReturnValue([table])
+    return harness
+  }
+
+  it('"세 번째 줄 읽어줘" 는 표를 열어 그 줄을 머리글과 함께 읽고, "이전 줄" 은 그 앞 줄을 읽는다', async () => {
+    const { router, voiceEngine } = tableRouter()
+
+    await router.processCommand('세 번째 줄 읽어줘')
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('세 번째 줄. 날짜: 10월 3일, 진료과: 치과')
+
+    await router.processCommand('이전 줄')
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('두 번째 줄. 날짜: 10월 2일, 진료과: 안과')
+  })
+
+  it('"다음 줄" 은 문단·페이지 이동이 아니라 표의 다음 줄이고, 끝이면 마지막 줄이라고 말한다', async () => {
+    const { router, voiceEngine } = tableRouter()
+
+    await router.processCommand('마지막 줄 읽어줘')
+    const result = await router.processCommand('다음 줄')
+
+    expect(result.executedCommand).toBeUndefined()
+    expect(result.success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('마지막 줄입니다')
+  })
+
+  it('없는 줄을 말하면 있는 줄의 범위를 알리고, 한 줄뿐이면 그렇게 말한다', async () => {
+    const { router, voiceEngine } = tableRouter()
+    await router.processCommand('다섯 번째 줄 읽어줘')
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('첫 번째 줄부터 세 번째 줄까지 있습니다')
+
+    const single = tableRouter(['내과'])
+    await single.router.processCommand('두 번째 줄 읽어줘')
+    expect(single.voiceEngine.speak).toHaveBeenLastCalledWith('줄이 하나뿐입니다')
+  })
+
+  it('"날짜 열만 읽어줘" 는 그 열 값만 읽는다', async () => {
+    const { router, voiceEngine } = tableRouter()
+
+    await router.processCommand('날짜 열만 읽어줘')
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('날짜 열: 10월 1일, 10월 2일, 10월 3일')
+  })
+})
+
+describe('CommandRouter 같은 이름 요소 되묻기', () => {
+  function clickable(label: string, location: string) {
+    return {
+      id: label, type: 'button', label, description: `${label} 버튼`, selector: '', isVisible: true,
+      location,
+      element: { click: jest.fn() }
+    }
+  }
+
+  it('후보를 번호로 안내하고 고른 서수의 요소만 누른다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const headerLogin = clickable('로그인', 'header-nav')
+    const formLogin = clickable('로그인', 'form')
+    domAnalyzer.scanPage.mockResolvedValue({
+      buttons: [headerLogin, formLogin], links: [], forms: [], inputs: [], navigation: []
+    })
+    ;(domAnalyzer as any).locateElement = (element: any) =>
+      [headerLogin, formLogin].find(candidate => candidate.element === element)!.location
+
+    const pending = router.processCommand('로그인 눌러줘')
+    await flush()
+
+    expect(voiceEngine.speak).toHaveBeenCalledWith(
+      '로그인이 두 개 있습니다. 첫 번째, 상단 메뉴의 로그인. 두 번째, 입력 양식의 로그인. 몇 번째를 누를까요?'
+    )
+    expect(headerLogin.element.click).not.toHaveBeenCalled()
+
+    await router.processCommand('두 번째')
+    const result = await pending
+
+    expect(result.success).toBe(true)
+    expect(formLogin.element.click).toHaveBeenCalledTimes(1)
+    expect(headerLogin.element.click).not.toHaveBeenCalled()
+  })
+
+  it('접힌 모바일 메뉴의 같은 이름 요소는 되묻지 않고 보이는 요소를 누른다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const mobileLogin = { ...clickable('로그인', 'nav'), visibility: 'collapsed', isVisible: false }
+    const headerLogin = { ...clickable('로그인', 'header-nav'), visibility: 'visible' }
+    domAnalyzer.scanPage.mockResolvedValue({
+      buttons: [mobileLogin, headerLogin], links: [], forms: [], inputs: [], navigation: []
+    })
+
+    const result = await router.processCommand('로그인 눌러줘')
+
+    expect(result.success).toBe(true)
+    expect(headerLogin.element.click).toHaveBeenCalledTimes(1)
+    expect(mobileLogin.element.click).not.toHaveBeenCalled()
+    expect(voiceEngine.speak).not.toHaveBeenCalledWith(expect.stringContaining('몇 번째'))
+  })
+})
+
+describe('CommandRouter 순서·위치로 요소 가리키기', () => {
+  function placedLink(label: string, top: number) {
+    const rect = { left: 0, top, width: 100, height: 20, right: 100, bottom: top + 20 }
+    return {
+      id: label, type: 'link', label, description: label, selector: '', isVisible: true,
+      boundingRect: rect,
+      element: { click: jest.fn(), getBoundingClientRect: () => rect }
+    }
+  }
+
+  it('"세 번째 링크 눌러줘" 는 화면 읽기 순서로 센 세 번째 링크를 누른다', async () => {
+    const { router, domAnalyzer } = createRouter()
+    const links = [placedLink('공지', 300), placedLink('홈', 10), placedLink('소개', 150)]
+    domAnalyzer.scanPage.mockResolvedValue({
+      buttons: [], links, forms: [], inputs: [], navigation: []
+    })
+
+    const result = await router.processCommand('세 번째 링크 눌러줘')
+
+    expect(result.success).toBe(true)
+    expect(links[0].element.click).toHaveBeenCalledTimes(1)
+    expect(links[1].element.click).not.toHaveBeenCalled()
+  })
+})
+
+describe('CommandRouter 누르기 전 보여주기', () => {
+  function target(label: string, visibility: string) {
+    return {
+      id: label, type: 'button', label, description: `${label} 버튼`, selector: '', isVisible: visibility !== 'collapsed',
+      visibility,
+      element: { click: jest.fn() }
+    }
+  }
+
+  it('요소를 보이게 하고 강조한 뒤에 누른다', async () => {
+    const { router, domAnalyzer } = createRouter()
+    const save = target('저장', 'offscreen')
+    domAnalyzer.scanPage.mockResolvedValue({ buttons: [save], links: [], forms: [], inputs: [], navigation: [] })
+    domAnalyzer.bringIntoView.mockResolvedValue('scrolled')
+    const highlight = (router as any).visualFeedback.highlightElement as jest.Mock
+    highlight.mockClear()
+
+    const result = await router.processCommand('저장 눌러줘')
+
+    expect(result.success).toBe(true)
+    expect(domAnalyzer.bringIntoView).toHaveBeenCalledWith(save.element)
+    expect(highlight).toHaveBeenCalledWith(save.element)
+    expect(highlight.mock.invocationCallOrder[0]).toBeLessThan(save.element.click.mock.invocationCallOrder[0])
+  })
+
+  it('접힌 메뉴를 펼치지 못하면 누르지 않고 알려준다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const logout = target('로그아웃', 'collapsed')
+    domAnalyzer.scanPage.mockResolvedValue({ buttons: [logout], links: [], forms: [], inputs: [], navigation: [] })
+    domAnalyzer.bringIntoView.mockResolvedValue('failed')
+
+    const result = await router.processCommand('로그아웃 눌러줘')
+
+    expect(result.success).toBe(false)
+    expect(logout.element.click).not.toHaveBeenCalled()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('로그아웃 버튼이 접힌 메뉴 안에 있어 펼치지 못했습니다')
+  })
+})
+
+describe('CommandRouter 쓰임새로 요소 찾기', () => {
+  it('"검색창" 은 검색 칸에 커서를 두고 검색어를 물어 입력한 뒤 폼을 제출한다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const form = { requestSubmit: jest.fn() }
+    const field = { value: '', focus: jest.fn(), closest: () => form, dispatchEvent: jest.fn() }
+    domAnalyzer.findByPurpose.mockImplementation(async (purpose: string) => purpose === 'search'
+      ? { id: 'input-0', type: 'input', label: '검색', description: '검색 버튼', selector: '', isVisible: true, purpose, element: field }
+      : null)
+
+    await router.processCommand('검색창')
+    await flush()
+    expect(field.focus).toHaveBeenCalled()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('검색창을 선택했습니다. 무엇을 검색할까요?')
+
+    await router.processCommand('혈압약')
+    expect(field.value).toBe('혈압약')
+    expect(form.requestSubmit).toHaveBeenCalledTimes(1)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('혈압약을 검색합니다')
+  })
+
+  it('"메뉴 열어줘" 는 메뉴 버튼을 누르고, 없으면 없다고 말한다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+
+    const missing = await router.processCommand('메뉴 열어줘')
+    expect(missing.success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('메뉴 버튼을 찾지 못했습니다')
+
+    const toggle = { click: jest.fn(), getAttribute: () => 'false' }
+    domAnalyzer.findByPurpose.mockResolvedValue({
+      id: 'btn-0', type: 'button', label: '전체 메뉴', description: '전체 메뉴 버튼', selector: '', isVisible: true,
+      purpose: 'menu-toggle', element: toggle
+    })
+    const result = await router.processCommand('메뉴 열어줘')
+
+    expect(result.success).toBe(true)
+    expect(domAnalyzer.findByPurpose).toHaveBeenLastCalledWith('menu-toggle')
+    expect(toggle.click).toHaveBeenCalledTimes(1)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('메뉴를 열었습니다')
+  })
+
+  it('"다음 페이지" 는 쪽 넘김으로 분류된 링크를 누른다', async () => {
+    const { router, domAnalyzer } = createRouter()
+    const next = { click: jest.fn() }
+    domAnalyzer.findByPurpose.mockImplementation(async (purpose: string) => purpose === 'next-page'
+      ? { id: 'link-3', type: 'link', label: '2', description: '2 링크', selector: '', isVisible: true, purpose, element: next }
+      : null)
+
+    expect((await router.processCommand('다음 페이지')).success).toBe(true)
+    expect(next.click).toHaveBeenCalledTimes(1)
+  })
+
+  it('쪽 넘김 링크가 없거나 누르지 못하면 알리고 실패한다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+
+    expect((await router.processCommand('이전 페이지')).success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('이전 페이지로 넘기는 링크를 찾지 못했습니다')
+
+    const next = { click: jest.fn() }
+    domAnalyzer.findByPurpose.mockResolvedValue(
+      { id: 'link-3', type: 'link', label: '2', description: '2 링크', selector: '', isVisible: false, visibility: 'collapsed', purpose: 'next-page', element: next }
+    )
+    domAnalyzer.bringIntoView.mockResolvedValue('failed')
+
+    expect((await router.processCommand('다음 페이지')).success).toBe(false)
+    expect(next.click).not.toHaveBeenCalled()
+  })
+})
+
+describe('CommandRouter 입력 양식 안내', () => {
+  function formWith(fields: any[], alerts: string[] = []) {
+    const element = {
+      isConnected: true,
+      contains: (other: any) => fields.some(field => field.element === other),
+      getBoundingClientRect: () => ({ left: 0, top: 0, width: 500, height: 300, right: 500, bottom: 300 })
+    }
+    return { element, name: '', fields, alerts }
+  }
+
+  function formField(label: string, extra: object = {}) {
+    return {
+      element: { focus: jest.fn(), getAttribute: () => null },
+      label, type: 'text', required: false, value: '', invalid: false,
+      ...extra
+    }
+  }
+
+  beforeEach(() => {
+    ;(global as any).document = { activeElement: null }
+  })
+
+  afterEach(() => {
+    delete (global as any).document
+  })
+
+  it('"다음 칸" 은 다음 칸을 보이게 하고 포커스를 옮긴 뒤 칸 이름을 알린다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const name = formField('이름', { required: true })
+    const phone = formField('전화번호', { value: '010-1234-5678' })
+    ;(domAnalyzer as any).scanForms = jest.fn().mockReturnValue([formWith([name, phone])])
+    ;(global as any).document.activeElement = name.element
+
+    const result = await router.processCommand('다음 칸')
+
+    expect(result.success).toBe(true)
+    expect(domAnalyzer.bringIntoView).toHaveBeenCalledWith(phone.element)
+    expect(phone.element.focus).toHaveBeenCalled()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('전화번호 칸입니다. 지금 010-1234-5678이 들어 있습니다.')
+  })
+
+  it('"뭐가 틀렸어?" 는 제출에 실패한 칸의 오류 문구를 읽고 첫 틀린 칸으로 옮긴다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const email = formField('이메일', { invalid: true, error: '이메일 형식이 아닙니다' })
+    ;(domAnalyzer as any).scanForms = jest.fn().mockReturnValue([formWith([formField('이름', { value: '홍길동' }), email])])
+
+    const result = await router.processCommand('뭐가 틀렸어?')
+
+    expect(result.success).toBe(true)
+    expect(email.element.focus).toHaveBeenCalled()
+    expect(voiceEngine.speakSequence).toHaveBeenCalledWith(['고쳐야 할 칸이 한 개 있습니다.', '이메일: 이메일 형식이 아닙니다'])
+  })
+
+  it('영어 "what went wrong" 은 취소가 아니라 입력 오류 읽기다', async () => {
+    const { voiceEngine, domAnalyzer } = createRouter()
+    const router = new CommandRouter(domAnalyzer as any, voiceEngine as any, 'en-US')
+    const email = formField('Email', { invalid: true, error: 'Enter a valid email' })
+    ;(domAnalyzer as any).scanForms = jest.fn().mockReturnValue([formWith([email])])
+
+    const result = await router.processCommand('what went wrong')
+
+    expect(result.executedCommand?.description).toBe('read the form errors')
+    expect(voiceEngine.speakSequence).toHaveBeenCalledWith(expect.arrayContaining(['Email: Enter a valid email']))
+  })
+
+  it('양식이 없으면 알려준다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    ;(domAnalyzer as any).scanForms = jest.fn().mockReturnValue([])
+
+    const result = await router.processCommand('빈 칸 알려줘')
+
+    expect(result.success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('이 페이지에는 입력 양식이 없습니다')
+  })
+})
+
+describe('CommandRouter 마크업 주석 (data-voice-*)', () => {
+  function annotated(label: string, extra: object = {}) {
+    return {
+      id: label, type: 'button', label, description: `${label} 버튼`, selector: '', isVisible: true,
+      element: { click: jest.fn() },
+      ...extra
+    }
+  }
+
+  it('data-voice-confirm 요소는 "네" 를 들은 뒤에만 누른다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const remove = annotated('삭제', { confirmRequired: true, confirmPrompt: '정말 삭제할까요?' })
+    domAnalyzer.scanPage.mockResolvedValue({ buttons: [remove], links: [], forms: [], inputs: [], navigation: [] })
+
+    const pending = router.processCommand('삭제 눌러줘')
+    await flush()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('정말 삭제할까요?')
+    expect(remove.element.click).not.toHaveBeenCalled()
+
+    await router.processCommand('네')
+    const result = await pending
+
+    expect(result.success).toBe(true)
+    expect(remove.element.click).toHaveBeenCalledTimes(1)
+  })
+
+  it('data-voice-command 명령은 요소가 화면에 있는 동안만 등록된다', async () => {
+    const { router, domAnalyzer } = createRouter()
+    const addToCart = annotated('담기', { voiceCommands: ['장바구니 담기', '카트에 담기'] })
+    domAnalyzer.scanPage.mockResolvedValue({ buttons: [addToCart], links: [addToCart], forms: [], inputs: [], navigation: [] })
+
+    const result = await router.processCommand('카트에 담기')
+
+    expect(result.success).toBe(true)
+    expect(addToCart.element.click).toHaveBeenCalledTimes(1)
+    // 여러 분류에 들어 있어도 명령은 하나
+    expect(router.getAvailableCommands().filter(command => command.keywords.includes('장바구니 담기'))).toHaveLength(1)
+
+    domAnalyzer.scanPage.mockResolvedValue({ buttons: [], links: [], forms: [], inputs: [], navigation: [] })
+    await router.processCommand('장바구니 담기')
+
+    expect(addToCart.element.click).toHaveBeenCalledTimes(1)
+    expect(router.getAvailableCommands().some(command => command.keywords.includes('장바구니 담기'))).toBe(false)
+  })
+
+  it('페이지가 바뀌면 잠시 뒤 마크업 명령을 다시 모은다', async () => {
+    jest.useFakeTimers()
+    try {
+      const { router, domAnalyzer } = createRouter()
+      let invalidate = () => {}
+      ;(domAnalyzer as any).onInvalidate = jest.fn((listener: () => void) => {
+        invalidate = listener
+        return () => undefined
+      })
+      router.watchAnnotatedCommands()
+      domAnalyzer.scanPage.mockResolvedValue({
+        buttons: [annotated('담기', { voiceCommands: ['장바구니 담기'] })], links: [], forms: [], inputs: [], navigation: []
+      })
+
+      invalidate()
+      await jest.advanceTimersByTimeAsync(300)
+
+      expect(router.getAvailableCommands().some(command => command.keywords.includes('장바구니 담기'))).toBe(true)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+})
+
+describe('CommandRouter 선택 메뉴·체크박스·라디오·날짜 칸', () => {
+  function control(label: string, attrs: { [key: string]: string }, extra: object = {}) {
+    const element: any = {
+      tagName: 'INPUT',
+      checked: false,
+      value: '',
+      getAttribute: (name: string) => attrs[name] ?? null,
+      closest: () => null,
+      focus: jest.fn(),
+      dispatchEvent: jest.fn(),
+      click: jest.fn(() => { element.checked = !element.checked }),
+      ...extra
+    }
+    return { id: label, type: 'input', label, description: label, selector: '', isVisible: true, element }
+  }
+
+  function withInputs(domAnalyzer: ReturnType<typeof createRouter>['domAnalyzer'], inputs: object[]) {
+    domAnalyzer.scanPage.mockResolvedValue({ buttons: [], links: [], forms: [], inputs, navigation: [] })
+  }
+
+  it('라디오 항목을 고르고 보여준 뒤 고른 것을 말해준다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const gender = { tagName: 'FIELDSET', querySelector: () => ({ textContent: '성별' }) }
+    const male = control('남자', { type: 'radio', name: 'gender' }, { closest: () => gender })
+    const female = control('여자', { type: 'radio', name: 'gender' }, { closest: () => gender })
+    withInputs(domAnalyzer, [male, female])
+    const highlight = (router as any).visualFeedback.highlightElement as jest.Mock
+    highlight.mockClear()
+
+    const result = await router.processCommand('성별 여자로 선택')
+
+    expect(result).toMatchObject({ success: true, message: '성별을 여자로 선택했습니다' })
+    expect(highlight).toHaveBeenCalledWith(female.element)
+    expect(female.element.click).toHaveBeenCalledTimes(1)
+    // 바꾸기 전에 보여 준다
+    expect(highlight.mock.invocationCallOrder[0]).toBeLessThan(female.element.click.mock.invocationCallOrder[0])
+    expect(voiceEngine.speak).toHaveBeenCalledWith('성별을 여자로 선택했습니다')
+  })
+
+  it('체크박스를 체크하고 스위치를 끈다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const terms = control('약관 동의', { type: 'checkbox' })
+    const alarm = control('알림', { type: 'checkbox', role: 'switch' }, { checked: true })
+    withInputs(domAnalyzer, [terms, alarm])
+
+    await router.processCommand('약관 동의 체크해줘')
+    await router.processCommand('알림 꺼줘')
+
+    expect(terms.element.checked).toBe(true)
+    expect(alarm.element.checked).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('약관 동의를 체크했습니다')
+    expect(voiceEngine.speak).toHaveBeenCalledWith('알림을 껐습니다')
+  })
+
+  it('"예약일 다음 주 화요일" 은 다음 페이지 명령이 아니라 날짜 입력이다', async () => {
+    jest.useFakeTimers({ now: new Date(2026, 9, 19) })
+    try {
+      const { router, voiceEngine, domAnalyzer } = createRouter()
+      const date = control('예약일', { type: 'date' })
+      withInputs(domAnalyzer, [date])
+
+      const result = await router.processCommand('예약일 다음 주 화요일')
+
+      expect(result.executedCommand).toBeUndefined()
+      expect(date.element.value).toBe('2026-10-27')
+      expect(voiceEngine.speak).toHaveBeenCalledWith('예약일을 10월 27일 화요일로 정했습니다')
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  it('없는 날짜나 칸이 받아들이지 않은 값은 넣었다고 말하지 않는다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const date = control('예약일', { type: 'date' })
+    // 브라우저처럼 형식에 맞지 않는 값은 빈 값으로 바꾸는 칸
+    const age = control('나이', { type: 'number' })
+    Object.defineProperty(age.element, 'value', { get: () => '', set: () => undefined })
+    withInputs(domAnalyzer, [date, age])
+
+    expect((await router.processCommand('예약일은 2월 30일')).success).toBe(false)
+    expect(date.element.value).toBe('')
+    expect(voiceEngine.speak).toHaveBeenCalledWith('2월 30일을 예약일에 넣을 날짜나 시각으로 알아듣지 못했습니다')
+
+    const result = await router.processCommand('나이는 200')
+    expect(result).toMatchObject({ success: false, message: '나이에 200을 넣지 못했습니다. 형식을 확인해 주세요' })
+  })
+
+  it('글자 칸도 보여 준 뒤에 쓴다', async () => {
+    const { router, domAnalyzer } = createRouter()
+    const name = control('이름', { type: 'text' })
+    withInputs(domAnalyzer, [name])
+    const highlight = (router as any).visualFeedback.highlightElement as jest.Mock
+    highlight.mockClear()
+
+    expect((await router.processCommand('이름은 홍길동')).success).toBe(true)
+    expect(name.element.value).toBe('홍길동')
+    expect(highlight.mock.invocationCallOrder[0]).toBeLessThan(name.element.dispatchEvent.mock.invocationCallOrder[0])
+  })
+
+  it('확실히 맞은 명령은 이름이 비슷한 칸보다 먼저다 ("번호 꺼줘", "3번 선택해줘")', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const publicPhone = control('전화번호 공개', { type: 'checkbox' }, { checked: true })
+    const quantity = control('수량', {}, {
+      tagName: 'SELECT',
+      options: ['1', '2', '3', '4', '5'].map(number => ({ textContent: number, value: number }))
+    })
+    withInputs(domAnalyzer, [publicPhone, quantity])
+
+    const hide = await router.processCommand('번호 꺼줘')
+    await router.processCommand('3번 선택해줘')
+
+    expect(hide.executedCommand?.keywords).toContain('번호 꺼줘')
+    expect(publicPhone.element.click).not.toHaveBeenCalled()
+    expect(quantity.element.value).toBe('')
+    expect(voiceEngine.speak).not.toHaveBeenCalledWith(expect.stringContaining('전화번호 공개'))
+
+    // 칸 이름을 그대로 말하면 명령 키워드와 겹쳐도 칸을 바꾼다
+    await router.processCommand('수량 3으로 선택해줘')
+    expect(quantity.element.value).toBe('3')
+  })
+
+  it('선택 메뉴에 없는 항목이면 고를 수 있는 항목을 알려준다', async () => {
+    const { router, voiceEngine, domAnalyzer } = createRouter()
+    const department = control('진료과', {}, {
+      tagName: 'SELECT',
+      options: [{ textContent: '내과', value: 'im' }, { textContent: '소아청소년과', value: 'ped' }]
+    })
+    withInputs(domAnalyzer, [department])
+
+    const result = await router.processCommand('진료과 안과로 선택')
+
+    expect(result.success).toBe(false)
+    expect(department.element.value).toBe('')
+    expect(voiceEngine.speak).toHaveBeenCalledWith('진료과에는 안과가 없습니다. 내과, 소아청소년과 중에서 골라 주세요')
+  })
+})
+
+describe('CommandRouter 번호 오버레이', () => {
+  function numbered(label: string, top: number) {
+    const rect = { left: 0, top, width: 100, height: 20, right: 100, bottom: top + 20 }
+    return {
+      id: label, type: 'button', label, description: label, selector: '', isVisible: true,
+      boundingRect: rect,
+      element: { click: jest.fn(), getBoundingClientRect: () => rect }
+    }
+  }
+
+  function setup() {
+    const created = createRouter()
+    const buttons = [numbered('아래', 200), numbered('위', 10)]
+    created.domAnalyzer.scanPage.mockResolvedValue({
+      buttons, links: [], forms: [], inputs: [], navigation: []
+    })
+    ;(created.domAnalyzer as any).onInvalidate = jest.fn(() => () => undefined)
+    return { ...created, buttons }
+  }
+
+  it('"번호 보여줘" 뒤 "2번 눌러줘" 는 두 번째 번호의 요소를 누른다', async () => {
+    const { router, voiceEngine, buttons } = setup()
+
+    await router.processCommand('번호 보여줘')
+    expect(voiceEngine.speak).toHaveBeenCalledWith('번호 2개를 표시했습니다. "3번 눌러줘"처럼 말씀해 주세요')
+
+    const result = await router.processCommand('2번 눌러줘')
+    expect(result.success).toBe(true)
+    expect(buttons[0].element.click).toHaveBeenCalledTimes(1)
+    expect(buttons[1].element.click).not.toHaveBeenCalled()
+  })
+
+  it('없는 번호나 오버레이가 꺼진 상태면 안내하고 실패한다', async () => {
+    const { router, voiceEngine } = setup()
+
+    expect((await router.processCommand('1번 눌러줘')).success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('먼저 "번호 보여줘"라고 말씀해 주세요')
+
+    await router.processCommand('번호 보여줘')
+    expect((await router.processCommand('5번 눌러줘')).success).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('5번은 없습니다. 1번부터 2번까지 있습니다')
+
+    await router.processCommand('번호 숨겨')
+    expect((await router.processCommand('1번 눌러줘')).success).toBe(false)
+  })
+})
+
+describe('CommandRouter 미들웨어', () => {
+  function command(keyword: string) {
+    return {
+      keywords: [keyword], description: `${keyword} 실행`, category: 'interaction' as const,
+      action: jest.fn().mockResolvedValue(undefined)
+    }
+  }
+
+  it('기본 미들웨어는 취소 처리, 시각 피드백 순서로 들어 있다', () => {
+    const { router } = createRouter()
+    expect(router.getMiddlewareNames()).toEqual(['cancellation', 'visual-feedback'])
+  })
+
+  it('beforeMatch 에서 고친 발화로 명령을 찾는다', async () => {
+    const { router } = createRouter()
+    const cart = command('장바구니')
+    router.registerCommand(cart)
+    router.use({ name: 'domain', beforeMatch: ctx => { ctx.transcript = ctx.transcript.replace('카트', '장바구니') } })
+
+    const result = await router.processCommand('카트')
+    expect(result.success).toBe(true)
+    expect(cart.action).toHaveBeenCalled()
+  })
+
+  it('afterMatch 에서 거부하면 실행하지 않고 이유를 말한다', async () => {
+    const { router, voiceEngine } = createRouter()
+    const pay = command('결제')
+    router.registerCommand(pay)
+    router.use({
+      name: 'auth',
+      afterMatch: ctx => ctx.match?.command === pay ? { type: 'veto', reason: '로그인 후 이용해 주세요' } : undefined
+    })
+
+    const result = await router.processCommand('결제')
+    expect(result).toMatchObject({ success: false, message: '로그인 후 이용해 주세요', vetoedBy: 'auth' })
+    expect(pay.action).not.toHaveBeenCalled()
+    expect(voiceEngine.speak).toHaveBeenCalledWith('로그인 후 이용해 주세요')
+  })
+
+  it('afterExecute 에서 결과를 바꿀 수 있다', async () => {
+    const { router } = createRouter()
+    router.registerCommand(command('결제'))
+    router.use({
+      name: 'audit',
+      afterExecute: ctx => { ctx.result = { ...ctx.result!, message: `[기록됨] ${ctx.result!.message}` } }
+    })
+
+    const result = await router.processCommand('결제')
+    expect(result.message).toBe('[기록됨] 결제 실행')
+  })
+
+  it('취소 미들웨어를 빼면 "취소" 가 되돌리기로 처리되지 않는다', async () => {
+    const { router } = createRouter()
+    const cancelOrder = command('취소')
+    router.registerCommand(cancelOrder)
+
+    expect(router.removeMiddleware('cancellation')).toBe(true)
+    await router.processCommand('취소')
+    expect(cancelOrder.action).toHaveBeenCalled()
+  })
+})
+
+describe('CommandRouter en-US', () => {
+  it('영어 기본 키워드로 명령을 찾고 영어로 안내한다', async () => {
+    const voiceEngine = {
+      speak: jest.fn().mockResolvedValue(undefined),
+      waitForSpeechEnd: jest.fn().mockResolvedValue(undefined),
+      startListening: jest.fn().mockResolvedValue(undefined)
+    }
+    const domAnalyzer = {
+      scanPage: jest.fn().mockResolvedValue({ buttons: [], links: [], forms: [], inputs: [], navigation: [] })
+    }
+    ;(global as any).window.scrollTo = jest.fn()
+    const router = new CommandRouter(domAnalyzer as any, voiceEngine as any, 'en-US')
+
+    const result = await router.processCommand('scroll to top')
+
+    expect(result.success).toBe(true)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('Done: scroll to the top of the page')
+    expect((await router.processCommand('xyzzy')).message).toBe('I did not understand the command')
+    delete (global as any).window.scrollTo
+  })
+
+  function createEnglishRouter(elements: { [kind: string]: any[] }) {
+    const voiceEngine = {
+      speak: jest.fn().mockResolvedValue(undefined),
+      waitForSpeechEnd: jest.fn().mockResolvedValue(undefined),
+      startListening: jest.fn().mockResolvedValue(undefined)
+    }
+    const domAnalyzer = {
+      scanPage: jest.fn().mockResolvedValue({ buttons: [], links: [], forms: [], inputs: [], navigation: [], ...elements }),
+      bringIntoView: jest.fn().mockResolvedValue('visible'),
+      findByPurpose: jest.fn().mockResolvedValue(null)
+    }
+    return { router: new CommandRouter(domAnalyzer as any, voiceEngine as any, 'en-US'), voiceEngine }
+  }
+
+  function element(type: string, label: string, top = 0, attrs: { [key: string]: string } = {}) {
+    const rect = { left: 0, top, width: 100, height: 20, right: 100, bottom: top + 20 }
+    return {
+      id: label, type, label, description: label, selector: '', isVisible: true, boundingRect: rect,
+      element: {
+        tagName: type === 'input' ? 'INPUT' : 'A', value: '',
+        getAttribute: (name: string) => attrs[name] ?? null,
+        getBoundingClientRect: () => rect,
+        click: jest.fn(), focus: jest.fn(), dispatchEvent: jest.fn()
+      }
+    }
+  }
+
+  it('"click login" 은 이름이 Login 인 버튼을 누른다', async () => {
+    const login = element('button', 'Login')
+    const { router } = createEnglishRouter({ buttons: [login] })
+
+    expect((await router.processCommand('click login')).success).toBe(true)
+    expect(login.element.click).toHaveBeenCalledTimes(1)
+  })
+
+  it('"click the third link" 는 화면 읽기 순서로 센 세 번째 링크를 누른다', async () => {
+    const links = [element('link', 'News', 300), element('link', 'Home', 10), element('link', 'About', 150)]
+    const { router } = createEnglishRouter({ links })
+
+    expect((await router.processCommand('click the third link')).success).toBe(true)
+    expect(links[0].element.click).toHaveBeenCalledTimes(1)
+  })
+
+  it('"name is John" / "set my email to ..." 은 입력창에 쓴다', async () => {
+    const name = element('input', 'Name', 0, { type: 'text' })
+    const email = element('input', 'Email', 40, { type: 'email' })
+    const { router } = createEnglishRouter({ inputs: [name, email] })
+
+    expect((await router.processCommand('name is John')).success).toBe(true)
+    expect(name.element.value).toBe('John')
+
+    expect((await router.processCommand('set my email to john@example.com')).success).toBe(true)
+    expect(email.element.value).toBe('john@example.com')
+  })
+
+  it('"check accept terms" 와 "appointment date is tomorrow" 는 영어로 체크박스·날짜 칸을 바꾼다', async () => {
+    const terms = element('input', 'Accept terms', 0, { type: 'checkbox' })
+    const checkbox = terms.element as any
+    checkbox.checked = false
+    checkbox.click = jest.fn(() => { checkbox.checked = !checkbox.checked })
+    const appointment = element('input', 'Appointment date', 40, { type: 'date' })
+    const { router, voiceEngine } = createEnglishRouter({ inputs: [terms, appointment] })
+
+    expect((await router.processCommand('check accept terms')).success).toBe(true)
+    expect(checkbox.checked).toBe(true)
+
+    const tomorrow = new Date()
+    tomorrow.setDate(tomorrow.getDate() + 1)
+    const pad = (n: number) => String(n).padStart(2, '0')
+    expect((await router.processCommand('appointment date is tomorrow')).success).toBe(true)
+    expect(appointment.element.value).toBe(`${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}`)
+    expect(voiceEngine.speak).not.toHaveBeenCalledWith('I did not understand the command')
+  })
+
+  it('"no, cancel" 은 마지막 동작을 되돌린다', async () => {
+    const { router, voiceEngine } = createEnglishRouter({})
+    ;(global as any).window.scrollTo = jest.fn()
+    ;(router as any).cancellationManager.recordAction('scroll')
+
+    const result = await router.processCommand('no, cancel')
+
+    expect(result.success).toBe(true)
+    expect((global as any).window.scrollTo).toHaveBeenCalledWith(0, 0)
+    expect(voiceEngine.speak).toHaveBeenCalledWith('Restored the previous state')
+    delete (global as any).window.scrollTo
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * ConfirmationManager 회귀 테스트 — 예/아니오 판정과 대기·타임아웃 수명주기.
+ */
+import { ConfirmationManager } from '../confirmation-manager'
+
+describe('ConfirmationManager', () => {
+  let manager: ConfirmationManager
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    manager = new ConfirmationManager(5000)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('classify: 긍정/부정/불명확', () => {
+    expect(manager.classify('네')).toBe('yes')
+    expect(manager.classify('맞아요')).toBe('yes')
+    expect(manager.classify('아니요')).toBe('no')
+    expect(manager.classify('취소해 줘')).toBe('no')
+    expect(manager.classify('안 해요')).toBe('no')
+    expect(manager.classify('글쎄')).toBe('unclear')
+  })
+
+  it('"네" 를 받으면 confirmed 로 끝난다', async () => {
+    const outcome = manager.request()
+    expect(manager.isPending()).toBe(true)
+
+    expect(manager.handleAnswer('예')).toBe('yes')
+    await expect(outcome).resolves.toBe('confirmed')
+    expect(manager.isPending()).toBe(false)
+  })
+
+  it('"아니" 를 받으면 declined', async () => {
+    const outcome = manager.request()
+    manager.handleAnswer('아니 하지 마')
+    await expect(outcome).resolves.toBe('declined')
+  })
+
+  it('불명확한 대답은 대기를 유지한다', async () => {
+    const outcome = manager.request()
+    expect(manager.handleAnswer('음…')).toBe('unclear')
+    expect(manager.isPending()).toBe(true)
+
+    manager.handleAnswer('네')
+    await expect(outcome).resolves.toBe('confirmed')
+  })
+
+  it('시간 안에 대답이 없으면 timeout', async () => {
+    const outcome = manager.request()
+    manager.startTimer()
+    jest.advanceTimersByTime(5000)
+    await expect(outcome).resolves.toBe('timeout')
+    expect(manager.isPending()).toBe(false)
+  })
+
+  it('질문을 다 읽기 전(startTimer 전)에는 시간을 세지 않는다', () => {
+    manager.request()
+    jest.advanceTimersByTime(60000)
+    expect(manager.isPending()).toBe(true)
+  })
+
+  it('불명확한 대답 뒤 다시 물으면 시간을 처음부터 센다', async () => {
+    const outcome = manager.request()
+    manager.startTimer()
+    jest.advanceTimersByTime(4000)
+
+    manager.handleAnswer('음…')
+    jest.advanceTimersByTime(3000)
+    manager.startTimer()
+    jest.advanceTimersByTime(4000)
+    expect(manager.isPending()).toBe(true)
+
+    jest.advanceTimersByTime(1000)
+    await expect(outcome).resolves.toBe('timeout')
+  })
+})
+
+describe('ConfirmationManager (en-US)', () => {
+  it('영어 대답을 단어 단위로 판정한다', () => {
+    const manager = new ConfirmationManager(8000, 'en-US')
+    expect(manager.classify('Yes, please')).toBe('yes')
+    expect(manager.classify('No, cancel it')).toBe('no')
+    expect(manager.classify('I know')).toBe('unclear')
+  })
+})
@@ -0,0 +1,197 @@
+/**
+ * ContentReader 회귀 테스트 — 본문만 골라 문단 단위로 읽고, 멈춤·이어 읽기·건너뛰기가 위치를 지키는지.
+ * DOM 이 없는 node 환경이라 선택자 일치를 흉내 낸 가짜 요소와 가짜 VoiceEngine 을 쓴다.
+ */
+import { ContentReader } from '../content-reader'
+
+// matches: 이 요소가 맞는 선택자 조각 (태그 이름은 자동 포함)
+function el(tagName: string, text: string, parent: any = null, matches: string[] = []): any {
+  const element: any = {
+    tagName,
+    textContent: text,
+    parentElement: parent,
+    getAttribute: (name: string) => element.matches.includes(`[${name}]`) ? '' : null,
+    closest: (selector: string) => {
+      const parts = selector.split(',').map(part => part.trim())
+      for (let current = element; current; current = current.parentElement) {
+        const own = [current.tagName.toLowerCase(), ...current.matches]
+        if (parts.some(part => own.includes(part))) return current
+      }
+      return null
+    }
+  }
+  element.matches = matches
+  return element
+}
+
+function fakeDocument(main: any, blocks: any[], body: any = null): any {
+  const root = main || body
+  root.querySelectorAll = () => blocks
+  root.contains = () => true
+  return {
+    body,
+    querySelector: (selector: string) => (main && selector.includes('main') ? main : null)
+  }
+}
+
+// speakSequence 가 끝나는 시점을 테스트가 정한다
+function fakeVoiceEngine() {
+  const pending: Array<(finished: boolean) => void> = []
+  const voiceEngine = {
+    speak: jest.fn().mockResolvedValue(undefined),
+    stopSpeaking: jest.fn(() => {
+      pending.splice(0).forEach(resolve => resolve(false))
+    }),
+    speakSequence: jest.fn(() => new Promise<boolean>(resolve => pending.push(resolve)))
+  }
+  const spoken = () => voiceEngine.speakSequence.mock.calls.map((call: any[]) => call[0][0])
+  const finishCurrent = async () => {
+    pending.shift()?.(true)
+    await flush()
+  }
+  return { voiceEngine, spoken, finishCurrent }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+function article() {
+  const main = el('MAIN', '')
+  const nav = el('NAV', '', main)
+  const ad = el('DIV', '', main, ['.ad'])
+  const list = el('UL', '', main)
+  const item = el('LI', '감기약 복용 안내', list)
+  return {
+    main,
+    blocks: [
+      el('H1', '  건강 소식 ', main),
+      el('LI', '홈', nav),
+      el('P', '첫째 문단입니다.', main),
+      el('P', '광고 문구', ad),
+      item,
+      el('P', '감기약 복용 안내', item),
+      el('H2', '예방 접종', main),
+      el('P', '   ', main),
+      el('P', '둘째 문단입니다.', main)
+    ]
+  }
+}
+
+describe('ContentReader', () => {
+  afterEach(() => {
+    delete (global as any).document
+  })
+
+  it('main 안의 제목·문단만 문서 순서로 모으고 메뉴·광고·빈 블록·안쪽 블록은 뺀다', () => {
+    const { main, blocks } = article()
+    const reader = new ContentReader(fakeVoiceEngine().voiceEngine as any)
+
+    const extracted = reader.extractBlocks(fakeDocument(main, blocks))
+
+    expect(extracted.map(block => [block.kind, block.text])).toEqual([
+      ['heading', '건강 소식'],
+      ['text', '첫째 문단입니다.'],
+      ['text', '감기약 복용 안내'],
+      ['heading', '예방 접종'],
+      ['text', '둘째 문단입니다.']
+    ])
+    expect(extracted[3].level).toBe(2)
+  })
+
+  it('본문 영역이 없으면 body 에서 읽되 페이지 머리말·꼬리말은 건너뛴다', () => {
+    const body = el('BODY', '')
+    const header = el('HEADER', '', body)
+    const blocks = [el('P', '사이트 이름', header), el('P', '본문입니다', body)]
+    const reader = new ContentReader(fakeVoiceEngine().voiceEngine as any)
+
+    expect(reader.extractBlocks(fakeDocument(null, blocks, body)).map(block => block.text)).toEqual(['본문입니다'])
+  })
+
+  it('data-voice-ignore 영역의 문단은 읽지 않는다', () => {
+    const main = el('MAIN', '')
+    const promo = el('SECTION', '', main, ['[data-voice-ignore]'])
+    const blocks = [el('P', '이벤트 안내', promo), el('P', '본문입니다', main)]
+    const reader = new ContentReader(fakeVoiceEngine().voiceEngine as any)
+
+    expect(reader.extractBlocks(fakeDocument(main, blocks)).map(block => block.text)).toEqual(['본문입니다'])
+  })
+
+  it('문단을 하나씩 끝까지 읽고 끝났다고 알린다', async () => {
+    const { main, blocks } = article()
+    ;(global as any).document = fakeDocument(main, blocks)
+    const { voiceEngine, spoken, finishCurrent } = fakeVoiceEngine()
+    const reader = new ContentReader(voiceEngine as any)
+
+    await reader.start()
+    for (let i = 0; i < 5; i++) await finishCurrent()
+
+    expect(spoken()).toEqual(['건강 소식', '첫째 문단입니다.', '감기약 복용 안내', '예방 접종', '둘째 문단입니다.'])
+    expect(reader.state).toBe('idle')
+    expect(voiceEngine.speak).toHaveBeenCalledWith('끝까지 읽었습니다')
+  })
+
+  it('멈췄다 이어 읽으면 읽던 문단을 처음부터 다시 읽고, 다음 문단·처음부터로 위치를 옮긴다', async () => {
+    const { main, blocks } = article()
+    ;(global as any).document = fakeDocument(main, blocks)
+    const { voiceEngine, spoken, finishCurrent } = fakeVoiceEngine()
+    const reader = new ContentReader(voiceEngine as any)
+
+    await reader.start()
+    await finishCurrent()
+    expect(reader.pause()).toBe(true)
+    await flush()
+    expect(reader.state).toBe('paused')
+
+    reader.resume()
+    await flush()
+    expect(spoken().slice(-2)).toEqual(['첫째 문단입니다.', '첫째 문단입니다.'])
+
+    reader.next()
+    await flush()
+    expect(spoken().slice(-1)).toEqual(['감기약 복용 안내'])
+
+    reader.restart()
+    await flush()
+    expect(spoken().slice(-1)).toEqual(['건강 소식'])
+    expect(reader.state).toBe('reading')
+  })
+
+  it('"멈춰" 처럼 밖에서 음성을 끊으면 일시정지로 남아 이어 읽을 수 있다', async () => {
+    const { main, blocks } = article()
+    ;(global as any).document = fakeDocument(main, blocks)
+    const { voiceEngine } = fakeVoiceEngine()
+    const reader = new ContentReader(voiceEngine as any)
+
+    await reader.start()
+    voiceEngine.stopSpeaking()
+    await flush()
+
+    expect(reader.state).toBe('paused')
+    expect(reader.resume()).toBe(true)
+  })
+
+  it('요약 모드는 제목만 개수와 함께 읽고, 제목이 없으면 그렇다고 말한다', async () => {
+    const { main, blocks } = article()
+    ;(global as any).document = fakeDocument(main, blocks)
+    const { voiceEngine, spoken, finishCurrent } = fakeVoiceEngine()
+    const reader = new ContentReader(voiceEngine as any)
+
+    await reader.start('summary')
+    for (let i = 0; i < 3; i++) await finishCurrent()
+    expect(spoken()).toEqual(['제목 2개를 읽어드릴게요.', '건강 소식', '예방 접종'])
+
+    const plain = el('MAIN', '')
+    ;(global as any).document = fakeDocument(plain, [el('P', '문단뿐', plain)])
+    expect(await reader.start('summary')).toBe(false)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('이 페이지에는 제목이 없습니다')
+  })
+
+  it('긴 문단은 문장 경계에서 나눈다', () => {
+    const reader = new ContentReader(fakeVoiceEngine().voiceEngine as any)
+    const sentence = '복용 전에 반드시 의사나 약사와 상담하시고 정해진 용량을 지켜 주세요.'
+    const chunks = reader.splitChunks(Array(8).fill(sentence).join(' '))
+
+    expect(chunks.length).toBeGreaterThan(1)
+    expect(chunks.every(chunk => chunk.length <= 200 && chunk.endsWith('.'))).toBe(true)
+    expect(chunks.join(' ')).toBe(Array(8).fill(sentence).join(' '))
+  })
+})
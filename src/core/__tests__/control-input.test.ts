@@ -0,0 +1,241 @@
+/**
+ * ControlInput 회귀 테스트 — 선택 메뉴 항목 고르기, 체크박스·스위치 켜고 끄기, 라디오 묶음, 날짜·시각 칸.
+ *
+ * 실제 DOM 대신 tagName/getAttribute/click 만 가진 가짜 요소를 쓴다. 누르면 checked 가 뒤집히고,
+ * 값을 쓰면 value 가 바뀐다.
+ */
+import { ControlInput, controlKindOf } from '../control-input'
+import { InteractiveElement } from '../dom-analyzer'
+import { FormFiller } from '../form-filler'
+import { MessageCatalog } from '../messages'
+
+interface FakeOptions {
+  attrs?: { [key: string]: string }
+  tag?: string
+  checked?: boolean
+  options?: Array<{ text: string, value: string }>
+  group?: HTMLElement
+}
+
+function fakeControl(label: string, { attrs = {}, tag = 'INPUT', checked = false, options = [], group }: FakeOptions = {}): InteractiveElement {
+  const element: any = {
+    tagName: tag,
+    checked,
+    value: '',
+    getAttribute: (name: string) => name === 'aria-checked' && tag !== 'INPUT' ? String(element.checked) : attrs[name] ?? null,
+    closest: (selector: string) => selector.includes('fieldset') ? group || null : null,
+    focus: jest.fn(),
+    dispatchEvent: jest.fn(),
+    click: jest.fn(() => { element.checked = attrs.type === 'radio' || attrs.role === 'radio' ? true : !element.checked }),
+    options: options.map(option => ({ textContent: option.text, value: option.value, disabled: false }))
+  }
+
+  return {
+    id: `input-${label}`,
+    type: tag === 'SELECT' ? 'select' : 'input',
+    label,
+    description: label,
+    selector: `#${label}`,
+    element,
+    isVisible: true,
+    boundingRect: {} as DOMRect
+  }
+}
+
+function fakeFieldset(legend: string): HTMLElement {
+  return {
+    tagName: 'FIELDSET',
+    querySelector: () => ({ textContent: legend })
+  } as unknown as HTMLElement
+}
+
+describe('ControlInput', () => {
+  const now = new Date(2026, 9, 19)
+  let controlInput: ControlInput
+
+  beforeEach(() => {
+    controlInput = new ControlInput(undefined, undefined, () => now)
+  })
+
+  it('controlKindOf: 태그·type·role 로 조작 방식을 가린다', () => {
+    expect(controlKindOf(fakeControl('진료과', { tag: 'SELECT' }).element)).toBe('select')
+    expect(controlKindOf(fakeControl('알림', { attrs: { type: 'checkbox', role: 'switch' } }).element)).toBe('switch')
+    expect(controlKindOf(fakeControl('예약', { attrs: { type: 'datetime-local' } }).element)).toBe('datetime')
+    expect(controlKindOf(fakeControl('동의', { tag: 'DIV', attrs: { role: 'checkbox' } }).element)).toBe('checkbox')
+    expect(controlKindOf(fakeControl('이름').element)).toBe('text')
+  })
+
+  describe('선택 메뉴', () => {
+    const options = [{ text: '선택하세요', value: '' }, { text: '내과', value: 'im' }, { text: '소아청소년과', value: 'ped' }]
+
+    it('"<칸> <항목>으로 선택" 과 항목만 말한 "내과 골라줘"', () => {
+      const select = fakeControl('진료과', { tag: 'SELECT', options })
+
+      const outcome = controlInput.apply([select], '진료과 소아청소년과로 선택해줘')
+      expect(outcome).toEqual({ status: 'changed', change: { element: select, kind: 'select', field: '진료과', value: '소아청소년과' } })
+      expect((select.element as HTMLSelectElement).value).toBe('ped')
+
+      controlInput.apply([select], '내과 골라줘')
+      expect((select.element as HTMLSelectElement).value).toBe('im')
+      expect(select.element.dispatchEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'change' }))
+    })
+
+    it('칸 이름을 말했는데 항목이 없으면 고를 수 있는 항목을 알린다', () => {
+      const select = fakeControl('진료과', { tag: 'SELECT', options })
+
+      expect(controlInput.apply([select], '진료과 안과로 선택')).toEqual({
+        status: 'unknown-option', element: select, field: '진료과', option: '안과', options: ['내과', '소아청소년과']
+      })
+      expect(controlInput.apply([select], '안과 골라줘')).toBeNull()
+    })
+    it('항목 글이 말 안에 들어 있기만 해서는 고르지 않는다 ("3번" ≠ "3")', () => {
+      const quantity = fakeControl('수량', { tag: 'SELECT', options: [{ text: '3', value: '3' }] })
+      expect(controlInput.apply([quantity], '3번 선택해줘')).toBeNull()
+    })
+
+    it('requireFieldName 이면 칸 이름을 그대로 말한 경우만 바꾼다', () => {
+      const select = fakeControl('진료과', { tag: 'SELECT', options })
+      const phone = fakeControl('전화번호 공개', { attrs: { type: 'checkbox' }, checked: true })
+
+      expect(controlInput.apply([select, phone], '내과 골라줘', true)).toBeNull()
+      expect(controlInput.apply([select, phone], '번호 꺼줘', true)).toBeNull()
+      expect(controlInput.apply([select, phone], '진료과 내과로 선택', true)?.status).toBe('changed')
+    })
+  })
+
+  describe('체크박스·스위치', () => {
+    it('체크·해제는 지금 상태와 다를 때만 누른다', () => {
+      const terms = fakeControl('약관 동의', { attrs: { type: 'checkbox' } })
+
+      expect(controlInput.apply([terms], '약관 동의 체크해줘')).toEqual({
+        status: 'changed', change: { element: terms, kind: 'checkbox', field: '약관 동의', value: 'on', checked: true }
+      })
+      controlInput.apply([terms], '약관 동의 체크해줘')
+      expect(terms.element.click).toHaveBeenCalledTimes(1)
+
+      controlInput.apply([terms], '약관 동의 체크 해제해줘')
+      expect((terms.element as HTMLInputElement).checked).toBe(false)
+    })
+
+    it('role="switch" 는 켜고 끈다', () => {
+      const alarm = fakeControl('알림', { tag: 'BUTTON', attrs: { role: 'switch' }, checked: true })
+
+      const outcome = controlInput.apply([alarm], '알림 꺼줘')
+      expect(outcome?.status === 'changed' && outcome.change).toMatchObject({ kind: 'switch', checked: false })
+      expect(alarm.element.getAttribute('aria-checked')).toBe('false')
+    })
+
+    it('이름이 맞는 체크박스가 없으면 넘긴다 ("번호 켜줘")', () => {
+      expect(controlInput.apply([fakeControl('약관 동의', { attrs: { type: 'checkbox' } })], '번호 켜줘')).toBeNull()
+    })
+  })
+
+  it('라디오는 묶음 이름과 항목 이름으로 고른다', () => {
+    const gender = fakeFieldset('성별')
+    const male = fakeControl('남자', { attrs: { type: 'radio', name: 'gender' }, group: gender })
+    const female = fakeControl('여자', { attrs: { type: 'radio', name: 'gender' }, group: gender })
+
+    const outcome = controlInput.apply([male, female], '성별 여자로 선택')
+    expect(outcome).toEqual({ status: 'changed', change: { element: female, kind: 'radio', field: '성별', value: '여자' } })
+    expect(female.element.click).toHaveBeenCalled()
+    expect(male.element.click).not.toHaveBeenCalled()
+
+    expect(controlInput.apply([male, female], '성별은 남자')?.status).toBe('changed')
+    expect((male.element as HTMLInputElement).checked).toBe(true)
+  })
+
+  describe('날짜·시각 칸', () => {
+    it('동사 없이 "<칸> <날짜>" 로 말해도 넣는다', () => {
+      const date = fakeControl('예약일', { attrs: { type: 'date' } })
+
+      expect(controlInput.apply([date], '예약일 다음 주 화요일')).toEqual({
+        status: 'changed', change: { element: date, kind: 'date', field: '예약일', value: '2026-10-27' }
+      })
+      expect((date.element as HTMLInputElement).value).toBe('2026-10-27')
+    })
+
+    it('시각 칸과 날짜·시각 칸', () => {
+      const time = fakeControl('방문 시간', { attrs: { type: 'time' } })
+      const datetime = fakeControl('상담 일시', { attrs: { type: 'datetime-local' } })
+
+      controlInput.apply([time, datetime], '방문 시간은 오후 3시 반')
+      controlInput.apply([time, datetime], '상담 일시 내일 오전 10시로 설정해줘')
+      expect((time.element as HTMLInputElement).value).toBe('15:30')
+      expect((datetime.element as HTMLInputElement).value).toBe('2026-10-20T10:00')
+    })
+
+    it('날짜로 알아듣지 못하면 칸 이름을 분명히 말했을 때만 알린다', () => {
+      const date = fakeControl('예약일', { attrs: { type: 'date' } })
+
+      expect(controlInput.apply([date], '예약일은 언젠가')).toEqual({
+        status: 'unknown-value', element: date, field: '예약일', value: '언젠가'
+      })
+      expect(controlInput.apply([date], '예약일 알려줘')).toBeNull()
+    })
+
+    it('칸이 값을 받아들이지 않으면 (min/max 밖 등) 바꿨다고 하지 않는다', () => {
+      const date = fakeControl('예약일', { attrs: { type: 'date', min: '2026-11-01' } })
+      Object.defineProperty(date.element, 'value', { get: () => '', set: () => undefined })
+
+      expect(controlInput.apply([date], '예약일은 내일')).toEqual({
+        status: 'rejected', element: date, field: '예약일', value: '내일'
+      })
+    })
+  })
+
+  it('resolve 는 바꿀 칸과 값만 정하고, commit 해야 바뀐다', () => {
+    const terms = fakeControl('약관 동의', { attrs: { type: 'checkbox' } })
+
+    const resolution = controlInput.resolve([terms], '약관 동의 체크해줘')
+    expect(resolution?.status === 'ready' && resolution.change).toMatchObject({ element: terms, checked: true })
+    expect(terms.element.click).not.toHaveBeenCalled()
+
+    expect(resolution?.status === 'ready' && controlInput.commit(resolution)?.status).toBe('changed')
+    expect((terms.element as HTMLInputElement).checked).toBe(true)
+  })
+
+  it('글자 칸뿐이면 null (폼 작성으로 넘긴다)', () => {
+    expect(controlInput.apply([fakeControl('이름')], '이름은 홍길동')).toBeNull()
+  })
+
+  describe('en-US', () => {
+    let english: ControlInput
+
+    beforeEach(() => {
+      const messages = new MessageCatalog('en-US')
+      english = new ControlInput(new FormFiller(messages.patterns), messages, () => now)
+    })
+
+    it('영어 동사로 체크박스·스위치를 켜고 끄고, yes/off 를 값으로 받는다', () => {
+      const terms = fakeControl('Accept terms', { attrs: { type: 'checkbox' } })
+      const alerts = fakeControl('Alerts', { tag: 'BUTTON', attrs: { role: 'switch' }, checked: true })
+
+      expect(english.apply([terms, alerts], 'check accept terms')?.status).toBe('changed')
+      expect((terms.element as HTMLInputElement).checked).toBe(true)
+      expect(english.apply([terms, alerts], 'turn alerts off')?.status).toBe('changed')
+      expect(alerts.element.getAttribute('aria-checked')).toBe('false')
+
+      english.apply([terms, alerts], 'accept terms is off')
+      english.apply([terms, alerts], 'alerts is on')
+      expect((terms.element as HTMLInputElement).checked).toBe(false)
+      expect(alerts.element.getAttribute('aria-checked')).toBe('true')
+    })
+
+    it('항목 고르기와 영어로 말한 날짜·시각', () => {
+      const department = fakeControl('Department', { tag: 'SELECT', options: [{ text: 'Cardiology', value: 'card' }, { text: 'Pediatrics', value: 'ped' }] })
+      const date = fakeControl('Appointment date', { attrs: { type: 'date' } })
+      const time = fakeControl('Visit time', { attrs: { type: 'time' } })
+
+      english.apply([department, date, time], 'choose pediatrics')
+      english.apply([department, date, time], 'appointment date is next tuesday')
+      english.apply([department, date, time], 'visit time is half past three pm')
+      expect((department.element as HTMLSelectElement).value).toBe('ped')
+      expect((date.element as HTMLInputElement).value).toBe('2026-10-27')
+      expect((time.element as HTMLInputElement).value).toBe('15:30')
+
+      expect(english.apply([date], 'appointment date is someday')).toEqual({
+        status: 'unknown-value', element: date, field: 'Appointment date', value: 'someday'
+      })
+    })
+  })
+})
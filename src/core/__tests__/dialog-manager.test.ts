@@ -0,0 +1,111 @@
+/**
+ * DialogManager 회귀 테스트 — 질문/답 턴, 재질문, 타임아웃, 대화 제어 발화.
+ *
+ * VoiceEngine 은 speak/waitForSpeechEnd/startListening 만 쓰므로 가짜 객체로 주입한다.
+ */
+import { DialogManager } from '../dialog-manager'
+
+function createDialog() {
+  const voiceEngine = {
+    speak: jest.fn().mockResolvedValue(undefined),
+    waitForSpeechEnd: jest.fn().mockResolvedValue(undefined),
+    startListening: jest.fn().mockResolvedValue(undefined)
+  }
+  return { dialog: new DialogManager(voiceEngine as any), voiceEngine }
+}
+
+describe('DialogManager', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('질문 후 다음 발화를 handler 로 넘기고 answered 로 끝난다', async () => {
+    const { dialog, voiceEngine } = createDialog()
+    const handler = jest.fn().mockResolvedValue({ success: true, message: '혈압약 검색' })
+
+    const outcome = dialog.ask('무엇을 찾으시나요?', handler)
+    await jest.advanceTimersByTimeAsync(0)
+
+    expect(voiceEngine.speak).toHaveBeenCalledWith('무엇을 찾으시나요?')
+    expect(voiceEngine.startListening).toHaveBeenCalled()
+    expect(dialog.state).toEqual({ awaitingAnswer: true, question: '무엇을 찾으시나요?', repromptCount: 0 })
+
+    const result = await dialog.handleAnswer('혈압약')
+    expect(handler).toHaveBeenCalledWith('혈압약')
+    expect(result.message).toBe('혈압약 검색')
+    await expect(outcome).resolves.toBe('answered')
+    expect(dialog.isAwaitingAnswer()).toBe(false)
+  })
+
+  it('답이 없으면 한 번 다시 묻고, 그래도 없으면 timeout', async () => {
+    const { dialog, voiceEngine } = createDialog()
+    const outcome = dialog.ask('무엇을 찾으시나요?', jest.fn(), {
+      timeoutMs: 1000,
+      reprompt: '찾으실 물건 이름을 말씀해 주세요'
+    })
+
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(voiceEngine.speak).toHaveBeenLastCalledWith('찾으실 물건 이름을 말씀해 주세요')
+    expect(dialog.state.repromptCount).toBe(1)
+
+    await jest.advanceTimersByTimeAsync(1000)
+    await expect(outcome).resolves.toBe('timeout')
+    expect(dialog.isAwaitingAnswer()).toBe(false)
+  })
+
+  it('질문을 다 읽은 뒤에 듣기와 대답 시간을 시작한다', async () => {
+    const { dialog, voiceEngine } = createDialog()
+    // speak 는 읽기 시작하면 끝나고, 질문을 다 읽는 데는 5초 걸린다
+    voiceEngine.waitForSpeechEnd.mockImplementationOnce(() => new Promise(resolve => setTimeout(resolve, 5000)))
+    const outcome = dialog.ask('무엇을 찾으시나요?', jest.fn(), { timeoutMs: 1000, maxReprompts: 0 })
+
+    await jest.advanceTimersByTimeAsync(4000)
+    expect(voiceEngine.startListening).not.toHaveBeenCalled()
+    expect(dialog.isAwaitingAnswer()).toBe(true)
+
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(voiceEngine.startListening).toHaveBeenCalled()
+    await jest.advanceTimersByTimeAsync(1000)
+    await expect(outcome).resolves.toBe('timeout')
+  })
+
+  it('"취소" 는 답이 아니라 대화 종료로 처리한다', async () => {
+    const { dialog } = createDialog()
+    const handler = jest.fn()
+    const outcome = dialog.ask('무엇을 찾으시나요?', handler)
+    await jest.advanceTimersByTimeAsync(0)
+
+    await dialog.handleAnswer('취소')
+    expect(handler).not.toHaveBeenCalled()
+    await expect(outcome).resolves.toBe('cancelled')
+  })
+
+  it('"다시 말해줘" 는 질문을 반복하고 계속 기다린다', async () => {
+    const { dialog, voiceEngine } = createDialog()
+    dialog.ask('무엇을 찾으시나요?', jest.fn())
+    await jest.advanceTimersByTimeAsync(0)
+
+    await dialog.handleAnswer('다시 말해줘')
+    expect(voiceEngine.speak).toHaveBeenCalledTimes(2)
+    expect(dialog.isAwaitingAnswer()).toBe(true)
+  })
+
+  it('handler 안에서 후속 질문을 이어갈 수 있다', async () => {
+    const { dialog } = createDialog()
+    const followUp = jest.fn()
+    dialog.ask('무엇을 찾으시나요?', () => {
+      dialog.ask('몇 개 담을까요?', followUp)
+    })
+    await jest.advanceTimersByTimeAsync(0)
+
+    await dialog.handleAnswer('사과')
+    expect(dialog.state.question).toBe('몇 개 담을까요?')
+
+    await dialog.handleAnswer('세 개')
+    expect(followUp).toHaveBeenCalledWith('세 개')
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * DocumentTraverser 회귀 테스트 — shadow root·같은 출처 iframe 까지 탐색 범위를 넓히는지.
+ * DOM 이 없는 node 환경이라 querySelectorAll 만 흉내 낸 가짜 루트를 쓴다.
+ */
+import { DocumentTraverser } from '../dom-traversal'
+
+// 태그 이름이 선택자에 들어 있으면 일치로 보는 최소한의 가짜 루트
+function fakeRoot(nodes: any[]): any {
+  return {
+    querySelectorAll: (selector: string) =>
+      selector === '*' ? nodes : nodes.filter(node => selector.split(',').some(part => part.trim() === node.tagName.toLowerCase()))
+  }
+}
+
+function fakeElement(tagName: string, extra: object = {}): any {
+  return { tagName, ...extra }
+}
+
+describe('DocumentTraverser', () => {
+  const traverser = new DocumentTraverser()
+
+  it('open shadow root 와 같은 출처 iframe 문서를 모으고, 다른 출처 iframe 은 건너뛴다', () => {
+    const shadowButton = fakeElement('BUTTON')
+    const host = fakeElement('DS-BUTTON', { shadowRoot: fakeRoot([shadowButton]) })
+    const frameInput = fakeElement('INPUT')
+    const paymentFrame = fakeElement('IFRAME', { contentDocument: fakeRoot([frameInput]) })
+    const crossOrigin = fakeElement('IFRAME')
+    Object.defineProperty(crossOrigin, 'contentDocument', {
+      get: () => { throw new Error('SecurityError') }
+    })
+    const topButton = fakeElement('BUTTON')
+    const document = fakeRoot([topButton, host, paymentFrame, crossOrigin])
+
+    const roots = traverser.collectRoots(document)
+
+    expect(roots).toHaveLength(3)
+    expect([roots[1].shadowHost, roots[1].frame]).toEqual([host, undefined])
+    expect([roots[2].frame, roots[2].shadowHost]).toEqual([paymentFrame, undefined])
+    expect(traverser.queryAll(roots, 'button')).toEqual([topButton, shadowButton])
+    expect(traverser.queryAll(roots, 'input')).toEqual([frameInput])
+  })
+
+  it('iframe 안 shadow root 는 iframe 과 호스트를 함께 기록한다', () => {
+    const host = fakeElement('DS-FIELD', { shadowRoot: fakeRoot([fakeElement('INPUT')]) })
+    const frame = fakeElement('IFRAME', { contentDocument: fakeRoot([host]) })
+
+    const roots = traverser.collectRoots(fakeRoot([frame]))
+    expect(roots[2]).toMatchObject({ frame, shadowHost: host })
+  })
+
+  it('요소가 속한 iframe·shadow 호스트를 찾는다', () => {
+    const frame = fakeElement('IFRAME')
+    const host = fakeElement('DS-BUTTON')
+    const element = {
+      ownerDocument: { defaultView: { frameElement: frame } },
+      getRootNode: () => ({ host, querySelector: () => null })
+    } as any
+
+    expect(traverser.frameOf(element)).toBe(frame)
+    expect(traverser.shadowHostOf(element)).toBe(host)
+    expect(traverser.shadowHostOf({ getRootNode: () => ({ querySelector: () => null }) } as any)).toBeNull()
+  })
+
+  it('iframe 안 요소의 위치는 iframe 위치만큼 옮겨 최상위 화면 기준으로 돌려준다', () => {
+    const frame = {
+      tagName: 'IFRAME', clientLeft: 2, clientTop: 2,
+      getBoundingClientRect: () => ({ left: 100, top: 50 })
+    }
+    const element = {
+      ownerDocument: { defaultView: { frameElement: frame } },
+      getBoundingClientRect: () => ({ left: 10, top: 20, width: 30, height: 40 })
+    } as any
+
+    const rect = traverser.viewportRect(element)
+    expect(rect).toMatchObject({ left: 112, top: 72, width: 30, height: 40, right: 142, bottom: 112 })
+  })
+})
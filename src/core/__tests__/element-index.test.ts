@@ -0,0 +1,308 @@
+/**
+ * ElementIndex 회귀 테스트 — 전체를 한 번 훑은 뒤 변화 기록(추가·제거·속성)만 반영하는지.
+ * DOM 이 없는 node 환경이라 분류를 직접 지정한 가짜 트리를 쓴다.
+ */
+import { ElementIndex, ElementCategory, CATEGORY_SELECTORS } from '../element-index'
+
+interface FakeNode {
+  tagName: string
+  label: string
+  category: ElementCategory | null
+  hidden: boolean
+  attributes: { [name: string]: string }
+  parentNode: FakeNode | null
+  children: FakeNode[]
+  [key: string]: any
+}
+
+function descendants(node: FakeNode): FakeNode[] {
+  return node.children.flatMap(child => [child, ...descendants(child)])
+}
+
+function fakeNode(label: string, category: ElementCategory | null, children: FakeNode[] = []): FakeNode {
+  const node: FakeNode = {
+    nodeType: 1,
+    tagName: 'DIV',
+    label,
+    category,
+    hidden: false,
+    attributes: {},
+    parentNode: null,
+    children,
+    get textContent(): string {
+      return [node.label, ...descendants(node).map(child => child.label)].join('')
+    },
+    getAttribute: (name: string) => node.attributes[name] ?? null,
+    matches: (selector: string) => node.category !== null && CATEGORY_SELECTORS[node.category] === selector,
+    querySelectorAll: (selector: string) => descendants(node).filter(child => child.matches(selector)),
+    contains: (other: FakeNode) => other === node || descendants(node).includes(other),
+    get isConnected(): boolean {
+      let current: FakeNode = node
+      while (current.parentNode) current = current.parentNode
+      return current.tagName === 'DOCUMENT'
+    },
+    // 문서 순서는 최상위에서 깊이 우선으로 센 순번
+    compareDocumentPosition: (other: FakeNode) => {
+      let top: FakeNode = node
+      while (top.parentNode) top = top.parentNode
+      const order = [top, ...descendants(top)]
+      return order.indexOf(other) > order.indexOf(node) ? 4 : 2
+    }
+  }
+  children.forEach(child => { child.parentNode = node })
+  return node
+}
+
+function fakeDocument(children: FakeNode[]): FakeNode {
+  const document = fakeNode('', null, children)
+  document.tagName = 'DOCUMENT'
+  return document
+}
+
+function append(parent: FakeNode, child: FakeNode, before?: FakeNode): void {
+  const at = before ? parent.children.indexOf(before) : parent.children.length
+  parent.children.splice(at, 0, child)
+  child.parentNode = parent
+}
+
+function detach(child: FakeNode): void {
+  const parent = child.parentNode!
+  parent.children.splice(parent.children.indexOf(child), 1)
+  child.parentNode = null
+}
+
+function childList(target: FakeNode, added: FakeNode[] = [], removed: FakeNode[] = []): MutationRecord {
+  return { type: 'childList', target, addedNodes: added, removedNodes: removed } as any
+}
+
+function attributes(target: FakeNode, attributeName: string): MutationRecord {
+  return { type: 'attributes', target, attributeName, addedNodes: [], removedNodes: [] } as any
+}
+
+function createIndex() {
+  const describe = jest.fn((element: any, category: ElementCategory) => ({
+    type: category === 'links' ? 'link' : 'button',
+    label: element.label,
+    description: element.label,
+    selector: '',
+    element,
+    isVisible: true,
+    boundingRect: {} as DOMRect
+  }) as any)
+  const index = new ElementIndex({
+    describe,
+    isVisible: (element: any) => !element.hidden,
+    nestedRoots: () => []
+  })
+  return { index, describe }
+}
+
+const labels = (elements: { label: string }[]) => elements.map(element => element.label)
+
+describe('ElementIndex', () => {
+  it('전체를 훑어 보이는 요소만 분류별로 문서 순서 id 를 붙인다', () => {
+    const hidden = fakeNode('숨김', 'buttons')
+    hidden.hidden = true
+    const document = fakeDocument([fakeNode('검색', 'buttons'), hidden, fakeNode('홈', 'links'), fakeNode('확인', 'buttons')])
+    const { index } = createIndex()
+
+    index.rebuild([{ root: document as any }])
+    const map = index.snapshot()
+
+    expect(labels(map.buttons)).toEqual(['검색', '확인'])
+    expect(map.buttons.map(button => button.id)).toEqual(['btn-0', 'btn-1'])
+    expect(map.links[0].id).toBe('link-0')
+    expect(index.size).toBe(4)
+  })
+
+  it('추가된 노드만 색인에 넣고 문서 순서로 끼워 넣는다', () => {
+    const first = fakeNode('검색', 'buttons')
+    const document = fakeDocument([first])
+    const { index, describe } = createIndex()
+    index.rebuild([{ root: document as any }])
+    index.snapshot()
+    describe.mockClear()
+
+    const dialog = fakeNode('', null, [fakeNode('닫기', 'buttons')])
+    dialog.tagName = 'SECTION'
+    append(document, dialog, first)
+    index.applyMutations([childList(document, [dialog])])
+
+    expect(labels(index.snapshot().buttons)).toEqual(['닫기', '검색'])
+    // 이미 잰 요소는 다시 재지 않는다
+    expect(describe.mock.calls.map(([element]) => element.label)).toEqual(['닫기'])
+  })
+
+  it('같은 태그 형제가 앞에 끼어들면 밀린 형제와 그 자손을 다시 잰다 (nth-of-type 선택자)', () => {
+    const save = fakeNode('저장', 'buttons')
+    const row = fakeNode('', null, [save])
+    const other = fakeNode('홈', 'links')
+    other.tagName = 'A'
+    const document = fakeDocument([row, other])
+    const { index, describe } = createIndex()
+    index.rebuild([{ root: document as any }])
+    index.snapshot()
+    describe.mockClear()
+
+    const banner = fakeNode('닫기', 'buttons')
+    append(document, banner, row)
+    index.applyMutations([childList(document, [banner])])
+    index.snapshot()
+
+    expect(describe.mock.calls.map(([element]) => element.label).sort()).toEqual(['닫기', '저장'])
+  })
+
+  it('떨어져 나간 요소는 지우고, 옮겨진 요소는 남긴다', () => {
+    const moved = fakeNode('저장', 'buttons')
+    const removed = fakeNode('삭제', 'buttons')
+    const panel = fakeNode('', null)
+    const document = fakeDocument([moved, removed, panel])
+    const { index } = createIndex()
+    index.rebuild([{ root: document as any }])
+
+    detach(moved)
+    append(panel, moved)
+    detach(removed)
+    index.applyMutations([childList(document, [], [moved, removed]), childList(panel, [moved])])
+
+    expect(labels(index.snapshot().buttons)).toEqual(['저장'])
+    expect(index.size).toBe(1)
+  })
+
+  it('속성 변화는 분류를 다시 정하고 자손이 보이는지 다시 잰다', () => {
+    const save = fakeNode('저장', 'buttons')
+    const menu = fakeNode('', null, [save])
+    const link = fakeNode('도움말', 'links')
+    const document = fakeDocument([menu, link])
+    const { index } = createIndex()
+    index.rebuild([{ root: document as any }])
+    index.snapshot()
+
+    save.hidden = true
+    link.category = 'buttons'
+    index.applyMutations([attributes(menu, 'class'), attributes(link, 'role')])
+
+    const map = index.snapshot()
+    expect(labels(map.buttons)).toEqual(['도움말'])
+    expect(map.links).toEqual([])
+  })
+
+  it('앞에 요소가 끼어들거나 전체를 다시 훑어도 같은 노드는 같은 id 를 쓴다', () => {
+    const search = fakeNode('검색', 'buttons')
+    const document = fakeDocument([search])
+    const { index } = createIndex()
+    index.rebuild([{ root: document as any }])
+    const id = index.snapshot().buttons[0].id
+
+    const banner = fakeNode('닫기', 'buttons')
+    append(document, banner, search)
+    index.applyMutations([childList(document, [banner])])
+    expect(index.snapshot().buttons.map(button => [button.label, button.id])).toEqual([['닫기', 'btn-1'], ['검색', id]])
+
+    index.rebuild([{ root: document as any }])
+    expect(index.snapshot().buttons.find(button => button.label === '검색')!.id).toBe(id)
+  })
+
+  it('다시 그려 바뀐 노드는 지문이 같으면 사라진 노드의 id 를 이어받는다', () => {
+    const list = fakeNode('', null, [fakeNode('삭제', 'buttons'), fakeNode('삭제', 'buttons')])
+    const cart = fakeNode('장바구니', 'buttons')
+    cart.attributes['data-testid'] = 'cart'
+    const document = fakeDocument([list, cart])
+    const { index } = createIndex()
+    index.rebuild([{ root: document as any }])
+    const before = index.snapshot().buttons.map(button => button.id)
+
+    // 목록과 장바구니 버튼을 새 노드로 바꿔 그린다 (장바구니는 글자가 바뀌어도 data-testid 는 같다)
+    const oldRows = [...list.children]
+    oldRows.forEach(detach)
+    const newRows = [fakeNode('삭제', 'buttons'), fakeNode('삭제', 'buttons')]
+    newRows.forEach(row => append(list, row))
+    const newCart = fakeNode('장바구니 1개', 'buttons')
+    newCart.attributes['data-testid'] = 'cart'
+    detach(cart)
+    append(document, newCart)
+    index.applyMutations([childList(list, newRows, oldRows), childList(document, [newCart], [cart])])
+
+    const after = index.snapshot().buttons
+    expect(after.map(button => button.element)).toEqual([...newRows, newCart])
+    expect(after.map(button => button.id)).toEqual(before)
+  })
+
+  it('글자 노드가 바뀌면 그것을 품은 요소와 aria-labelledby 로 가리키는 요소의 라벨을 다시 잰다', () => {
+    const save = fakeNode('저장', 'buttons')
+    const caption = fakeNode('장바구니', null)
+    caption.attributes.id = 'cart-caption'
+    const cart = fakeNode('', 'buttons')
+    cart.attributes['aria-labelledby'] = 'cart-caption'
+    const document = fakeDocument([save, caption, cart])
+    const { index, describe } = createIndex()
+    index.rebuild([{ root: document as any }])
+    index.snapshot()
+    describe.mockClear()
+
+    const saveText = { nodeType: 3, parentNode: save }
+    const captionText = { nodeType: 3, parentNode: caption }
+    index.applyMutations([
+      { type: 'characterData', target: saveText, addedNodes: [], removedNodes: [] } as any,
+      { type: 'characterData', target: captionText, addedNodes: [], removedNodes: [] } as any
+    ])
+    index.snapshot()
+
+    expect(describe.mock.calls.map(([element]) => element)).toEqual([save, cart])
+  })
+
+  it('<label for> 의 글이 바뀌면 그 라벨이 가리키는 입력칸을 다시 잰다', () => {
+    const label = fakeNode('이름', null)
+    label.tagName = 'LABEL'
+    label.attributes.for = 'name'
+    const input = fakeNode('', 'inputs')
+    input.attributes.id = 'name'
+    const document = fakeDocument([label, input])
+    const { index, describe } = createIndex()
+    index.rebuild([{ root: document as any }])
+    index.snapshot()
+    describe.mockClear()
+
+    index.applyMutations([{ type: 'characterData', target: { nodeType: 3, parentNode: label }, addedNodes: [], removedNodes: [] } as any])
+    index.snapshot()
+    expect(describe.mock.calls.map(([element]) => element)).toEqual([input])
+  })
+
+  it('title·value 같은 이름 속성이 바뀌면 라벨을 다시 잰다', () => {
+    const submit = fakeNode('보내기', 'buttons')
+    const document = fakeDocument([submit])
+    const { index } = createIndex()
+    index.rebuild([{ root: document as any }])
+    index.snapshot()
+
+    submit.label = '저장'
+    index.applyMutations([attributes(submit, 'value')])
+    expect(labels(index.snapshot().buttons)).toEqual(['저장'])
+  })
+
+  it('유휴 시간이 끝나면 멈췄다가 이어서 잰다', () => {
+    const document = fakeDocument([fakeNode('하나', 'buttons'), fakeNode('둘', 'buttons')])
+    const { index, describe } = createIndex()
+    index.rebuild([{ root: document as any }])
+
+    let budget = 1
+    expect(index.refresh(() => budget-- <= 0)).toBe(false)
+    expect(index.pending).toBe(1)
+    expect(describe).toHaveBeenCalledTimes(1)
+
+    expect(index.refresh()).toBe(true)
+    expect(index.pending).toBe(0)
+  })
+
+  it('바뀐 것이 없으면 지난 결과를 그대로 돌려준다', () => {
+    const document = fakeDocument([fakeNode('검색', 'buttons')])
+    const { index } = createIndex()
+    index.rebuild([{ root: document as any }])
+
+    const first = index.snapshot()
+    expect(index.snapshot()).toBe(first)
+
+    index.invalidateAll()
+    expect(index.snapshot()).not.toBe(first)
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * ElementNameMatcher 회귀 테스트 — 이름 일치 순위와 모호성 판정.
+ */
+import { ElementNameMatcher } from '../element-matcher'
+import { InteractiveElement } from '../dom-analyzer'
+
+function fakeElement(label: string, children: object[] = []): InteractiveElement {
+  const element = { contains: (other: object) => children.includes(other) } as unknown as HTMLElement
+  return {
+    id: label,
+    type: 'button',
+    label,
+    description: `${label} 버튼`,
+    selector: '',
+    element,
+    isVisible: true,
+    boundingRect: {} as DOMRect
+  }
+}
+
+describe('ElementNameMatcher', () => {
+  let matcher: ElementNameMatcher
+
+  beforeEach(() => {
+    matcher = new ElementNameMatcher()
+  })
+
+  it('라벨이 정확히 같은 요소를 부분 일치보다 앞에 둔다', () => {
+    const elements = [fakeElement('로그인 도움말'), fakeElement('로그인')]
+    expect(matcher.match(elements, '로그인').map(e => e.label)).toEqual(['로그인', '로그인 도움말'])
+  })
+
+  it('정확히 같은 라벨이 하나면 부분 일치가 있어도 그것으로 확정', () => {
+    const elements = [fakeElement('로그인 도움말'), fakeElement('로그인')]
+    const resolution = matcher.resolve(elements, '로그인')
+    expect(resolution.status).toBe('unique')
+  })
+
+  it('같은 라벨이 여럿이면 모호', () => {
+    const header = fakeElement('로그인')
+    const form = fakeElement('로그인')
+    const resolution = matcher.resolve([header, form, fakeElement('회원가입')], '로그인')
+    expect(resolution).toEqual({ status: 'ambiguous', candidates: [header, form] })
+  })
+
+  it('보이는 요소가 맞으면 접힌 메뉴 안 같은 이름 요소는 뺀다 (모바일 메뉴 중복)', () => {
+    const mobile = { ...fakeElement('로그인'), visibility: 'collapsed' as const }
+    const header = { ...fakeElement('로그인'), visibility: 'visible' as const }
+    expect(matcher.resolve([mobile, header], '로그인')).toEqual({ status: 'unique', element: header })
+    expect(matcher.resolve([mobile], '로그인')).toEqual({ status: 'unique', element: mobile })
+  })
+
+  it('모호할 때 후보는 보이는 것, 스크롤하면 보이는 것, 접힌 것 순', () => {
+    const below = { ...fakeElement('로그인'), visibility: 'offscreen' as const }
+    const header = { ...fakeElement('로그인'), visibility: 'visible' as const }
+    const resolution = matcher.resolve([below, header], '로그인')
+    expect(resolution).toEqual({ status: 'ambiguous', candidates: [header, below] })
+  })
+
+  it('같은 요소 중복과 안쪽 요소를 감싼 컨테이너는 후보에서 뺀다', () => {
+    const link = fakeElement('로그인')
+    const nav = fakeElement('로그인 회원가입', [link.element])
+    const resolution = matcher.resolve([link, { ...link }, nav], '로그인')
+    expect(resolution).toEqual({ status: 'unique', element: link })
+  })
+
+  it('data-voice 별칭으로도 찾고, 별칭이 정확히 같으면 확정한다', () => {
+    const login = { ...fakeElement('Sign in'), aliases: ['로그인', '접속'] }
+    const help = fakeElement('로그인 도움말')
+    expect(matcher.resolve([help, login], '접속')).toEqual({ status: 'unique', element: login })
+    expect(matcher.resolve([help, login], '로그인')).toEqual({ status: 'unique', element: login })
+  })
+
+  it('일치하는 요소가 없으면 none', () => {
+    expect(matcher.resolve([fakeElement('검색')], '로그인')).toEqual({ status: 'none' })
+    expect(matcher.resolve([fakeElement('검색')], '  ')).toEqual({ status: 'none' })
+  })
+})
@@ -0,0 +1,71 @@
+/**
+ * PurposeClassifier 회귀 테스트 — ARIA·입력 type·autocomplete·글자로 요소의 쓰임새를 붙이는지.
+ * DOM 이 없는 node 환경이라 속성과 closest/querySelector 결과만 흉내 낸 가짜 요소를 쓴다.
+ */
+import { PurposeClassifier } from '../element-purpose'
+
+interface FakeOptions {
+  attributes?: { [name: string]: string }
+  /** closest 로 찾히는 조상 선택자 (예: 'form', 'dialog') */
+  inside?: string[]
+  /** querySelector 로 찾히는 자손 선택자 */
+  contains?: string[]
+}
+
+function fake(tagName: string, { attributes = {}, inside = [], contains = [] }: FakeOptions = {}): any {
+  const hit = (list: string[]) => (selector: string) =>
+    list.some(part => selector.split(',').map(s => s.trim()).includes(part)) ? {} : null
+  return {
+    tagName,
+    getAttribute: (name: string) => attributes[name] ?? null,
+    hasAttribute: (name: string) => name in attributes,
+    closest: hit(inside),
+    matches: () => false,
+    querySelector: hit(contains)
+  }
+}
+
+describe('PurposeClassifier', () => {
+  const classifier = new PurposeClassifier()
+
+  it('검색 칸은 type·role·검색 영역·이름으로 알아본다', () => {
+    expect(classifier.classify(fake('INPUT', { attributes: { type: 'search' } }), '')).toBe('search')
+    expect(classifier.classify(fake('INPUT', { inside: ['[role="search"]'] }), '')).toBe('search')
+    expect(classifier.classify(fake('INPUT', { attributes: { name: 'q' } }), '')).toBe('search')
+    expect(classifier.classify(fake('INPUT', { attributes: { type: 'text' } }), '상품 검색')).toBe('search')
+    expect(classifier.classify(fake('INPUT', { attributes: { type: 'email' } }), '이메일')).toBeUndefined()
+  })
+
+  it('폼은 담긴 칸으로 로그인·결제·검색을 가른다', () => {
+    expect(classifier.classify(fake('FORM', { contains: ['input[type="password"]'] }), '')).toBe('login')
+    expect(classifier.classify(fake('FORM', {
+      contains: ['input[type="password"]', '[autocomplete~="new-password"]']
+    }), '')).toBeUndefined()
+    expect(classifier.classify(fake('FORM', { contains: ['[autocomplete~="cc-number"]'] }), '')).toBe('checkout')
+    expect(classifier.classify(fake('FORM', { contains: ['input[type="search"]'] }), '')).toBe('search')
+  })
+
+  it('버튼·링크는 쪽 넘김·메뉴·대화상자 닫기를 알아본다', () => {
+    expect(classifier.classify(fake('A', { attributes: { rel: 'next' } }), '2')).toBe('next-page')
+    expect(classifier.classify(fake('BUTTON'), '다음 ›')).toBe('next-page')
+    expect(classifier.classify(fake('A'), '« 이전')).toBe('previous-page')
+    expect(classifier.classify(fake('BUTTON', { attributes: { 'aria-expanded': 'false' } }), '전체 메뉴 보기')).toBe('menu-toggle')
+    expect(classifier.classify(fake('BUTTON', { attributes: { class: 'hamburger' } }), '')).toBe('menu-toggle')
+    expect(classifier.classify(fake('BUTTON', { inside: ['dialog'] }), '닫기')).toBe('close-dialog')
+    // 대화상자 밖의 "닫기" 는 대화상자 닫기가 아니다
+    expect(classifier.classify(fake('BUTTON'), '닫기')).toBeUndefined()
+  })
+
+  it('결제·장바구니·로그인은 글자와 주소로, 나머지 폼 버튼은 제출로', () => {
+    expect(classifier.classify(fake('BUTTON', { inside: ['form'] }), '결제하기')).toBe('checkout')
+    expect(classifier.classify(fake('A', { attributes: { href: '/cart' } }), '')).toBe('cart')
+    expect(classifier.classify(fake('A'), '로그인')).toBe('login')
+    expect(classifier.classify(fake('BUTTON', { inside: ['form'] }), '저장')).toBe('submit')
+    expect(classifier.classify(fake('INPUT', { attributes: { type: 'submit' } }), '확인')).toBe('submit')
+    expect(classifier.classify(fake('BUTTON', { attributes: { type: 'button' }, inside: ['form'] }), '저장')).toBeUndefined()
+  })
+
+  it('메뉴 영역 같은 컨테이너에는 쓰임새를 붙이지 않는다', () => {
+    expect(classifier.classify(fake('NAV'), '메뉴')).toBeUndefined()
+  })
+})
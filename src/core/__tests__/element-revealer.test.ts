@@ -0,0 +1,139 @@
+/**
+ * ElementRevealer 회귀 테스트 — 접힌 details·토글 메뉴·하위 메뉴 안의 요소를 펼쳐 보이게 하는지.
+ * DOM 이 없는 node 환경이라 hidden 표시와 details 열림만으로 "보이는지" 를 정하는 가짜 트리를 쓴다.
+ */
+import { ElementRevealer } from '../element-revealer'
+
+function el(tagName: string, attributes: { [name: string]: string } = {}, children: any[] = []): any {
+  const element: any = {
+    tagName: tagName.toUpperCase(),
+    attributes,
+    hidden: false,
+    open: false,
+    parentElement: null,
+    children,
+    getAttribute: (name: string) => attributes[name] ?? null,
+    // 팝업 메뉴를 여는 버튼과 메뉴 목록 선택자만 흉내 낸다
+    matches: (selector: string) => selector.includes('aria-haspopup')
+      ? attributes['aria-expanded'] === 'false' || (!!attributes['aria-haspopup'] && attributes['aria-haspopup'] !== 'false')
+      : ['UL', 'OL'].includes(element.tagName),
+    contains: (other: any) => {
+      for (let current = other; current; current = current.parentElement) {
+        if (current === element) return true
+      }
+      return false
+    },
+    click: jest.fn()
+  }
+  children.forEach(child => { child.parentElement = element })
+  return element
+}
+
+function all(element: any): any[] {
+  return [element, ...element.children.flatMap(all)]
+}
+
+// 누르면 aria-controls 나 옆의 메뉴를 여는 버튼으로 만든다
+function opens(button: any, menu: any): void {
+  button.click.mockImplementation(() => {
+    menu.hidden = false
+    button.attributes['aria-expanded'] = 'true'
+  })
+}
+
+function attach(body: any): void {
+  const document = {
+    querySelector: (selector: string) => {
+      const id = selector.match(/aria-controls~="(.+)"/)![1]
+      return all(body).find(element => (element.attributes['aria-controls'] || '').split(' ').includes(id)) || null
+    }
+  }
+  all(body).forEach(element => { element.ownerDocument = document })
+}
+
+function isRendered(element: any): boolean {
+  for (let current = element; current; current = current.parentElement) {
+    if (current.hidden) return false
+    const parent = current.parentElement
+    if (parent?.tagName === 'DETAILS' && !parent.open && current.tagName !== 'SUMMARY') return false
+  }
+  return true
+}
+
+describe('ElementRevealer', () => {
+  const settle = jest.fn().mockResolvedValue(undefined)
+  const revealer = new ElementRevealer(isRendered, settle)
+
+  it('닫힌 details 안의 요소는 details 를 연다', async () => {
+    const link = el('a')
+    const details = el('details', {}, [el('summary'), el('div', {}, [link])])
+    attach(el('body', {}, [details]))
+
+    expect(revealer.find(link)).toEqual({ kind: 'details', control: details })
+    expect(await revealer.reveal(link)).toBe(true)
+    expect(details.open).toBe(true)
+  })
+
+  it('aria-controls 로 이 영역을 여는 버튼을 누른다', async () => {
+    const item = el('a')
+    const panel = el('div', { id: 'filters' }, [item])
+    panel.hidden = true
+    const toggle = el('button', { 'aria-controls': 'filters', 'aria-expanded': 'false' })
+    opens(toggle, panel)
+    attach(el('body', {}, [toggle, panel]))
+
+    expect(await revealer.reveal(item)).toBe(true)
+    expect(toggle.click).toHaveBeenCalledTimes(1)
+  })
+
+  it('하위 메뉴는 바깥 메뉴부터 차례로 펼친다', async () => {
+    const target = el('a')
+    const submenu = el('ul', {}, [el('li', {}, [target])])
+    const submenuButton = el('button', { 'aria-haspopup': 'true' })
+    const menu = el('ul', {}, [el('li', {}, [submenuButton, submenu])])
+    const menuButton = el('button', { 'aria-expanded': 'false' })
+    menu.hidden = true
+    submenu.hidden = true
+    opens(menuButton, menu)
+    opens(submenuButton, submenu)
+    attach(el('body', {}, [el('nav', {}, [menuButton, menu])]))
+
+    expect(await revealer.reveal(target)).toBe(true)
+    expect(menuButton.click.mock.invocationCallOrder[0]).toBeLessThan(submenuButton.click.mock.invocationCallOrder[0])
+  })
+
+  it('펼칠 곳이 없는 숨은 요소는 null, 펼쳐도 보이지 않으면 false', async () => {
+    const hiddenInput = el('input')
+    hiddenInput.hidden = true
+    const stuck = el('a')
+    const panel = el('div', { id: 'stuck' }, [stuck])
+    panel.hidden = true
+    attach(el('body', {}, [hiddenInput, el('button', { 'aria-controls': 'stuck', 'aria-expanded': 'false' }), panel]))
+
+    expect(revealer.find(hiddenInput)).toBeNull()
+    expect(await revealer.reveal(hiddenInput)).toBe(false)
+    expect(await revealer.reveal(stuck)).toBe(false)
+  })
+
+  it('canReveal: 여는 버튼이 그려져 있을 때만 (하위 메뉴는 바깥 버튼까지) 펼칠 수 있다', () => {
+    const desktop = el('a')
+    const submenu = el('ul', {}, [el('li', {}, [desktop])])
+    const submenuButton = el('button', { 'aria-haspopup': 'true' })
+    const menu = el('ul', {}, [el('li', {}, [submenuButton, submenu])])
+    menu.hidden = true
+    submenu.hidden = true
+
+    // 모바일 메뉴 — 여는 버튼째 숨어 있다
+    const mobile = el('a')
+    const drawer = el('ul', {}, [el('li', {}, [mobile])])
+    const hamburger = el('button', { 'aria-expanded': 'false' })
+    drawer.hidden = true
+    const mobileBar = el('div', {}, [hamburger, drawer])
+    mobileBar.hidden = true
+    attach(el('body', {}, [el('nav', {}, [el('button', { 'aria-expanded': 'false' }), menu]), mobileBar]))
+
+    expect(revealer.canReveal(desktop)).toBe(true)
+    expect(revealer.find(mobile)).toEqual({ kind: 'popup', control: hamburger })
+    expect(revealer.canReveal(mobile)).toBe(false)
+  })
+})
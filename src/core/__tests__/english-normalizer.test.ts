@@ -0,0 +1,60 @@
+/**
+ * EnglishNormalizer 회귀 테스트.
+ *
+ * en-US 에서 날짜·시각 칸에 말한 값("next Tuesday", "3:30 pm")을 입력값으로 바꾸는 순수 함수들이다.
+ * 기준일 2026-10-19 은 월요일이다.
+ */
+import { EnglishNormalizer } from '../english-normalizer'
+
+describe('EnglishNormalizer', () => {
+  const now = new Date(2026, 9, 19)
+  let normalizer: EnglishNormalizer
+
+  beforeEach(() => {
+    normalizer = new EnglishNormalizer()
+  })
+
+  describe('normalizeDate', () => {
+    it('달 이름·서수·숫자 날짜를 ISO 형식으로', () => {
+      expect(normalizer.normalizeDate('October 27th', now)).toBe('2026-10-27')
+      expect(normalizer.normalizeDate('the 3rd of May 2027', now)).toBe('2027-05-03')
+      expect(normalizer.normalizeDate('March first', now)).toBe('2026-03-01')
+      expect(normalizer.normalizeDate('10/27/2026', now)).toBe('2026-10-27')
+      expect(normalizer.normalizeDate('the 15th', now)).toBe('2026-10-15')
+    })
+
+    it('오늘 기준 날짜 — tomorrow, 요일, 며칠 뒤·전', () => {
+      expect(normalizer.normalizeDate('tomorrow', now)).toBe('2026-10-20')
+      expect(normalizer.normalizeDate('the day after tomorrow', now)).toBe('2026-10-21')
+      expect(normalizer.normalizeDate('Friday', now)).toBe('2026-10-23')
+      expect(normalizer.normalizeDate('next Tuesday', now)).toBe('2026-10-27')
+      expect(normalizer.normalizeDate('in three days', now)).toBe('2026-10-22')
+      expect(normalizer.normalizeDate('two weeks from now', now)).toBe('2026-11-02')
+      expect(normalizer.normalizeDate('a month later', now)).toBe('2026-11-19')
+      expect(normalizer.normalizeDate('2 days ago', now)).toBe('2026-10-17')
+    })
+
+    it('해석할 수 없거나 없는 날이면 null', () => {
+      expect(normalizer.normalizeDate('someday', now)).toBeNull()
+      expect(normalizer.normalizeDate('February 30th', now)).toBeNull()
+    })
+  })
+
+  describe('normalizeTime / normalizeDateTime', () => {
+    it('am·pm, half past, noon 을 24시간 형식으로', () => {
+      expect(normalizer.normalizeTime('3 pm')).toBe('15:00')
+      expect(normalizer.normalizeTime('3:30 p.m.')).toBe('15:30')
+      expect(normalizer.normalizeTime('seven in the evening')).toBe('19:00')
+      expect(normalizer.normalizeTime('half past three')).toBe('03:30')
+      expect(normalizer.normalizeTime("ten o'clock")).toBe('10:00')
+      expect(normalizer.normalizeTime('12 am')).toBe('00:00')
+      expect(normalizer.normalizeTime('noon')).toBe('12:00')
+      expect(normalizer.normalizeTime('later')).toBeNull()
+    })
+
+    it('날짜와 시각을 이어 말하면 둘 다', () => {
+      expect(normalizer.normalizeDateTime('tomorrow at 10 am', now)).toBe('2026-10-20T10:00')
+      expect(normalizer.normalizeDateTime('3 pm', now)).toBe('2026-10-19T15:00')
+    })
+  })
+})
@@ -0,0 +1,94 @@
+/**
+ * FormFiller 회귀 테스트 — 발화 분할, 필드 해석, 값 정규화.
+ *
+ * 실제 입력창 대신 getAttribute/tagName 만 가진 가짜 요소를 쓴다. 값 쓰기(writeValue)는
+ * 브라우저 이벤트에 의존하므로 여기서는 다루지 않는다.
+ */
+import { FormFiller } from '../form-filler'
+import { InteractiveElement } from '../dom-analyzer'
+
+function fakeInput(label: string, attrs: { [key: string]: string } = {}, tag = 'INPUT'): InteractiveElement {
+  const element = {
+    tagName: tag,
+    getAttribute: (name: string) => attrs[name] ?? null
+  } as unknown as HTMLElement
+
+  return {
+    id: `input-${label}`,
+    type: 'input',
+    label,
+    description: `${label} 버튼`,
+    selector: `#${label}`,
+    element,
+    isVisible: true,
+    boundingRect: {} as DOMRect
+  }
+}
+
+describe('FormFiller', () => {
+  let filler: FormFiller
+
+  beforeEach(() => {
+    filler = new FormFiller()
+  })
+
+  describe('parseUtterance', () => {
+    it('"<필드>은/는 <값>" 을 나눈다', () => {
+      expect(filler.parseUtterance('이름은 홍길동')).toEqual([{ field: '이름', value: '홍길동' }])
+      expect(filler.parseUtterance('전화번호는 010-1234-5678')).toEqual([
+        { field: '전화번호', value: '010-1234-5678' }
+      ])
+    })
+
+    it('필드명에 은/는 이 들어가면 분할 지점마다 후보를 만든다', () => {
+      expect(filler.parseUtterance('받는 사람은 홍길동')).toEqual([
+        { field: '받', value: '사람은 홍길동' },
+        { field: '받는 사람', value: '홍길동' }
+      ])
+    })
+
+    it('값 끝의 서술어를 떼어낸다', () => {
+      expect(filler.parseUtterance('이름은 홍길동입니다')[0].value).toBe('홍길동')
+      expect(filler.parseUtterance('이름은 홍길동이라고 입력해줘')[0].value).toBe('홍길동')
+    })
+
+    it('은/는 이 없으면 후보 없음', () => {
+      expect(filler.parseUtterance('로그인 눌러줘')).toEqual([])
+    })
+  })
+
+  describe('resolveField', () => {
+    const inputs = [
+      fakeInput('아이디', { name: 'userId' }),
+      fakeInput('input', { name: 'user_phone', type: 'text' }),
+      fakeInput('받는 사람', { placeholder: '받는 사람' }),
+      fakeInput('동의', { type: 'checkbox' })
+    ]
+
+    it('라벨이 맞는 입력창을 우선한다', () => {
+      expect(filler.resolveField(inputs, '받는 사람')?.label).toBe('받는 사람')
+    })
+
+    it('라벨이 없으면 동의어 → name 토큰으로 찾는다', () => {
+      expect(filler.resolveField(inputs, '휴대폰 번호')?.element.getAttribute('name')).toBe('user_phone')
+    })
+
+    it('체크박스 등 글자를 쓸 수 없는 입력은 제외한다', () => {
+      expect(filler.resolveField(inputs, '동의')).toBeNull()
+    })
+  })
+
+  describe('detectFieldKind / normalizeValue', () => {
+    it('input type 이 필드 종류를 결정한다', () => {
+      expect(filler.detectFieldKind(fakeInput('x', { type: 'email' }).element, '아이디')).toBe('email')
+      expect(filler.detectFieldKind(fakeInput('x', { type: 'text' }).element, '연락처')).toBe('tel')
+    })
+
+    it('종류별로 말한 값을 정규화한다', () => {
+      expect(filler.normalizeValue('공일공 일이삼사 오육칠팔', 'tel')).toBe('010-1234-5678')
+      expect(filler.normalizeValue('1990년 5월 3일', 'date')).toBe('1990-05-03')
+      expect(filler.normalizeValue('스물다섯 살', 'number')).toBe('25')
+      expect(filler.normalizeValue('홍길동', 'text')).toBe('홍길동')
+    })
+  })
+})
@@ -0,0 +1,159 @@
+/**
+ * FormModelBuilder 회귀 테스트 — 칸 순서·제약·값과 aria-errormessage·옆의 오류 문구·브라우저 검사 결과.
+ * DOM 이 없는 node 환경이라 태그·속성·클래스와 :not 만 아는 작은 선택자 엔진을 얹은 가짜 트리를 쓴다.
+ */
+import { FormModelBuilder } from '../form-model'
+
+function text(value: string): any {
+  return { nodeType: 3, textContent: value }
+}
+
+// 'input:not([type="hidden"])', '[role="alert"]', '.error', '[class*="error"]', 'label[for="x"]' 정도만 안다
+function matchesPart(element: any, part: string): boolean {
+  if (element.nodeType !== 1) return false
+  const not = Array.from(part.matchAll(/:not\(\[(\w[\w-]*)="([^"]*)"\]\)/g))
+  const rest = part.replace(/:not\([^)]*\)/g, '')
+  const tag = rest.match(/^[a-z]+/)?.[0]
+  if (tag && element.tagName !== tag.toUpperCase()) return false
+  if (not.some(([, name, value]) => element.getAttribute(name) === value)) return false
+
+  for (const [, name, operator, value] of Array.from(rest.matchAll(/\[(\w[\w-]*)(\*?=)?"?([^"\]]*)"?\]/g))) {
+    const actual = element.getAttribute(name)
+    if (actual === null) return false
+    if (operator === '=' && actual !== value) return false
+    if (operator === '*=' && !actual.includes(value)) return false
+  }
+  const classes = (element.getAttribute('class') || '').split(' ')
+  return Array.from(rest.matchAll(/\.([\w-]+)/g)).every(([, name]) => classes.includes(name))
+}
+
+function matches(element: any, selector: string): boolean {
+  return selector.split(',').some(part => matchesPart(element, part.trim()))
+}
+
+function descendants(element: any): any[] {
+  return element.childNodes.filter((child: any) => child.nodeType === 1).flatMap((child: any) => [child, ...descendants(child)])
+}
+
+let root: any
+
+function el(tagName: string, attrs: { [name: string]: string } = {}, children: any[] = [], props: object = {}): any {
+  const element: any = {
+    nodeType: 1,
+    tagName: tagName.toUpperCase(),
+    childNodes: children,
+    parentElement: null,
+    get textContent() {
+      return children.map((child: any) => child.textContent).join('')
+    },
+    get id() {
+      return attrs.id || ''
+    },
+    getAttribute: (name: string) => attrs[name] ?? null,
+    hasAttribute: (name: string) => name in attrs,
+    getRootNode: () => root,
+    querySelectorAll: (selector: string) => descendants(element).filter(child => matches(child, selector)),
+    querySelector: (selector: string) => descendants(element).find(child => matches(child, selector)) || null,
+    closest: (selector: string) => {
+      for (let current = element; current; current = current.parentElement) {
+        if (matches(current, selector)) return current
+      }
+      return null
+    },
+    contains: (other: any) => other === element || descendants(element).includes(other),
+    ...props
+  }
+  children.forEach(child => { child.parentElement = element })
+  return element
+}
+
+function page(form: any): any {
+  root = {
+    querySelector: () => null,
+    querySelectorAll: (selector: string) => descendants({ childNodes: [form] }).filter(child => matches(child, selector)),
+    getElementById: (id: string) => descendants({ childNodes: [form] }).find(child => child.getAttribute('id') === id) || null
+  }
+  return form
+}
+
+function isRendered(element: any): boolean {
+  return !element.hidden
+}
+
+describe('FormModelBuilder', () => {
+  it('칸을 문서 순서로, 필수·형식 제약·지금 값과 함께 모은다', () => {
+    const builder = new FormModelBuilder(isRendered, () => false)
+    const form = page(el('form', { 'aria-label': '회원가입' }, [
+      el('input', { 'aria-label': '이름', required: '' }, [], { value: ' 홍길동 ' }),
+      el('input', { type: 'hidden', name: 'token' }),
+      el('input', { type: 'tel', 'aria-label': '전화번호', pattern: '[0-9-]+', maxlength: '13' }, [], { value: '' }),
+      el('input', { type: 'number', 'aria-label': '나이', min: '1', max: '120' }, [], { value: '' }),
+      el('button', { type: 'submit' }, [text('가입')])
+    ]))
+
+    const model = builder.build(form)
+
+    expect(model.name).toBe('회원가입')
+    expect(model.fields.map(field => field.label)).toEqual(['이름', '전화번호', '나이'])
+    expect(model.fields[0]).toMatchObject({ type: 'text', required: true, value: '홍길동', invalid: false })
+    expect(model.fields[1]).toMatchObject({ type: 'tel', required: false, pattern: '[0-9-]+', maxLength: 13, value: '' })
+    expect(model.fields[2]).toMatchObject({ min: '1', max: '120' })
+  })
+
+  it('같은 name 의 라디오는 fieldset 이름으로 한 칸이 되고, 체크된 버튼이 값이다', () => {
+    const builder = new FormModelBuilder(isRendered, () => false)
+    const form = page(el('form', {}, [
+      el('fieldset', {}, [
+        el('legend', {}, [text('성별')]),
+        el('input', { type: 'radio', name: 'gender', 'aria-label': '남' }, [], { checked: false, value: 'm' }),
+        el('input', { type: 'radio', name: 'gender', 'aria-label': '여' }, [], { checked: true, value: 'f' })
+      ])
+    ]))
+
+    const [gender, ...rest] = builder.build(form).fields
+    expect(rest).toHaveLength(0)
+    expect(gender).toMatchObject({ label: '성별', type: 'radio', value: '여' })
+  })
+
+  it('aria-errormessage, 옆의 오류 문구, 제출 때 실패한 브라우저 검사 순으로 오류를 읽는다', () => {
+    const email = el('input', {
+      type: 'email', 'aria-label': '이메일', 'aria-invalid': 'true', 'aria-errormessage': 'email-error'
+    }, [], { value: 'abc' })
+    const phone = el('input', { type: 'tel', 'aria-label': '전화번호' }, [], { value: '12' })
+    const name = el('input', { 'aria-label': '이름', required: '' }, [], {
+      value: '', validity: { valid: false }, validationMessage: '이 입력란을 작성하세요.'
+    })
+    const hiddenError = el('span', { class: 'error-message' }, [text('숨은 오류')], { hidden: true })
+    const form = page(el('form', {}, [
+      el('div', {}, [email, el('p', { id: 'email-error' }, [text('이메일 형식이 아닙니다')])]),
+      el('div', {}, [el('label', {}, [text('전화번호')]), phone, el('span', { class: 'error-message' }, [text('숫자 10자리 이상')])]),
+      el('div', {}, [name, hiddenError])
+    ]))
+
+    const notSubmitted = new FormModelBuilder(isRendered, () => false).build(form).fields
+    expect(notSubmitted.map(field => [field.invalid, field.error])).toEqual([
+      [true, '이메일 형식이 아닙니다'],
+      [true, '숫자 10자리 이상'],
+      // 제출하지 않은 빈 필수 칸은 틀린 것이 아니다
+      [false, undefined]
+    ])
+
+    const submitted = new FormModelBuilder(isRendered, element => element === name).build(form)
+    expect(submitted.fields[2]).toMatchObject({ invalid: true, error: '이 입력란을 작성하세요.' })
+    // 칸에 붙은 오류 문구는 양식 전체의 오류로 다시 읽지 않는다
+    expect(submitted.alerts).toEqual([])
+  })
+
+  it('다른 칸까지 품은 묶음의 오류 문구는 칸에 붙이지 않고 양식 전체의 오류로 둔다', () => {
+    const builder = new FormModelBuilder(isRendered, () => false)
+    const form = page(el('form', {}, [
+      el('input', { 'aria-label': '아이디' }, [], { value: '' }),
+      el('input', { type: 'password', 'aria-label': '비밀번호' }, [], { value: '' }),
+      el('p', { role: 'alert' }, [text('아이디 또는 비밀번호가 틀렸습니다')])
+    ]))
+
+    const model = builder.build(form)
+    expect(model.fields.map(field => field.invalid)).toEqual([false, false])
+    expect(model.alerts).toEqual(['아이디 또는 비밀번호가 틀렸습니다'])
+  })
+})
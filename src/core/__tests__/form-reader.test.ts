@@ -0,0 +1,87 @@
+/**
+ * FormReader 회귀 테스트 — 양식 고르기, "다음 칸" 이동, 빈 칸·오류 안내 문장.
+ */
+import { FormReader } from '../form-reader'
+import { FormField, FormModel } from '../form-model'
+
+function field(label: string, extra: Partial<FormField> = {}): FormField {
+  return {
+    element: { getAttribute: () => null } as unknown as HTMLElement,
+    label,
+    type: 'text',
+    required: false,
+    value: '',
+    invalid: false,
+    ...extra
+  }
+}
+
+function form(fields: FormField[], top = 100, alerts: string[] = []): FormModel {
+  const element: any = {
+    isConnected: true,
+    contains: (other: any) => fields.some(f => f.element === other),
+    getBoundingClientRect: () => ({ left: 0, top, width: 500, height: 300, right: 500, bottom: top + 300 })
+  }
+  return { element, name: '', fields, alerts }
+}
+
+describe('FormReader', () => {
+  it('입력 중인 칸이 든 양식을 화면의 양식보다 먼저 연다', () => {
+    const reader = new FormReader()
+    const search = form([field('검색어')], 0)
+    const signup = form([field('이름')], 2000)
+
+    expect(reader.open([search, signup], signup.fields[0].element, 900)).toBe(signup)
+    expect(reader.open([search, signup], null, 900)).toBe(signup)
+    expect(reader.open([search], null, 900)).toBe(search)
+  })
+
+  it('"다음 칸" 은 입력 중인 칸, 없으면 마지막으로 옮긴 칸의 다음 칸이다', () => {
+    const reader = new FormReader()
+    const signup = form([field('이름'), field('전화번호'), field('이메일')])
+    reader.open([signup], null, 900)
+
+    expect(reader.nextField(null)?.label).toBe('이름')
+    expect(reader.nextField(null)?.label).toBe('전화번호')
+    expect(reader.nextField(signup.fields[0].element)?.label).toBe('전화번호')
+    expect(reader.nextField(signup.fields[2].element)).toBeNull()
+  })
+
+  it('칸 이름·필수·지금 값을 알린다', () => {
+    const reader = new FormReader()
+    expect(reader.describeField(field('전화번호', { required: true, value: '010-1234-5678' })))
+      .toBe('전화번호 칸입니다. 꼭 입력해야 합니다. 지금 010-1234-5678이 들어 있습니다.')
+  })
+
+  it('빈 칸은 필수 칸부터 알린다', () => {
+    const reader = new FormReader()
+    reader.open([form([field('이름', { required: true }), field('주소'), field('이메일', { value: 'a@b.c' }), field('전화번호', { required: true })])], null, 900)
+    expect(reader.emptyFields()).toEqual([
+      '빈 칸이 세 개 있습니다.',
+      '꼭 입력해야 하는 칸은 이름, 전화번호입니다.',
+      '그 밖에 주소가 비어 있습니다.'
+    ])
+
+    reader.open([form([field('이름', { value: '홍길동' })])], null, 900)
+    expect(reader.emptyFields()).toEqual(['빈 칸이 없습니다'])
+  })
+
+  it('양식 오류 문구와 칸마다 오류 문구를 읽는다', () => {
+    const reader = new FormReader()
+    reader.open([form([
+      field('이메일', { invalid: true, error: '이메일 형식이 아닙니다' }),
+      field('이름'),
+      field('생년월일', { invalid: true })
+    ], 100, ['입력 내용을 확인해 주세요'])], null, 900)
+
+    expect(reader.errors()).toEqual([
+      '입력 내용을 확인해 주세요',
+      '고쳐야 할 칸이 두 개 있습니다.',
+      '이메일: 이메일 형식이 아닙니다',
+      '생년월일: 입력한 값을 확인해 주세요'
+    ])
+
+    reader.open([form([field('이름')])], null, 900)
+    expect(reader.errors()).toEqual(['틀린 곳이 없습니다'])
+  })
+})
@@ -55,4 +55,10 @@ describe('KoreanCancellationManager.parseCompoundCommand', () => {
     expect(result.finalCommand).toBe('OK Google')
     expect(result.confidence).toBeCloseTo(0.7, 5)
   })
+
+  it('"다시 말해줘" 는 "다시" 를 품었지만 취소가 아니다', () => {
+    const result = manager.parseCompoundCommand('다시 말해줘')
+    expect(result.hasCancellation).toBe(false)
+    expect(result.finalCommand).toBe('다시 말해줘')
+  })
 })
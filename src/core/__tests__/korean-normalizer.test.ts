@@ -0,0 +1,156 @@
+/**
+ * KoreanNormalizer 회귀 테스트.
+ *
+ * 음성으로 말한 숫자·전화번호·이메일·날짜를 입력값으로 바꾸는 순수 함수들이다
+ * (DOM/부작용 없음). 폼 작성과 슬롯 추출이 모두 이 변환에 기대므로 결과를 고정한다.
+ */
+import { KoreanNormalizer } from '../korean-normalizer'
+
+describe('KoreanNormalizer', () => {
+  let normalizer: KoreanNormalizer
+
+  beforeEach(() => {
+    normalizer = new KoreanNormalizer()
+  })
+
+  describe('parseNumber', () => {
+    it('아라비아 숫자와 한자어 수사를 해석한다', () => {
+      expect(normalizer.parseNumber('42')).toBe(42)
+      expect(normalizer.parseNumber('이십삼')).toBe(23)
+      expect(normalizer.parseNumber('천구백구십')).toBe(1990)
+      expect(normalizer.parseNumber('삼만 오천')).toBe(35000)
+    })
+
+    it('고유어 수사와 관형형을 해석한다', () => {
+      expect(normalizer.parseNumber('다섯')).toBe(5)
+      expect(normalizer.parseNumber('두')).toBe(2)
+      expect(normalizer.parseNumber('스물다섯')).toBe(25)
+      expect(normalizer.parseNumber('열')).toBe(10)
+    })
+
+    it('숫자가 아니면 null', () => {
+      expect(normalizer.parseNumber('홍길동')).toBeNull()
+      expect(normalizer.parseNumber('')).toBeNull()
+    })
+  })
+
+  describe('normalizePhone', () => {
+    it('자리마다 읽은 휴대폰 번호를 하이픈 형식으로', () => {
+      expect(normalizer.normalizePhone('공일공 일이삼사 오육칠팔')).toBe('010-1234-5678')
+      expect(normalizer.normalizePhone('010 1234 5678')).toBe('010-1234-5678')
+    })
+
+    it('서울 지역번호(02)는 2자리로 끊는다', () => {
+      expect(normalizer.normalizePhone('공이 삼사오 육칠팔구')).toBe('02-345-6789')
+    })
+  })
+
+  it('normalizeEmail: 골뱅이/점과 도메인 읽기를 기호로', () => {
+    expect(normalizer.normalizeEmail('hong 골뱅이 네이버 점 컴')).toBe('hong@naver.com')
+    expect(normalizer.normalizeEmail('Test at gmail dot com')).toBe('test@gmail.com')
+  })
+
+  it('normalizeEmail: 도메인 읽기는 @ 뒤에서만 바꾼다', () => {
+    expect(normalizer.normalizeEmail('다음넷 골뱅이 다음 점 넷')).toBe('다음넷@daum.net')
+    expect(normalizer.normalizeEmail('컴 언더바 kim 골뱅이 네이버 점 컴')).toBe('컴_kim@naver.com')
+  })
+
+  describe('normalizeDate', () => {
+    const now = new Date(2026, 9, 19)
+
+    it('숫자/한글 날짜를 ISO 형식으로', () => {
+      expect(normalizer.normalizeDate('1990년 5월 3일', now)).toBe('1990-05-03')
+      expect(normalizer.normalizeDate('천구백구십년 오월 삼일', now)).toBe('1990-05-03')
+      expect(normalizer.normalizeDate('1990.5.3', now)).toBe('1990-05-03')
+    })
+
+    it('연도 생략 시 올해, 두 자리 연도는 가까운 과거로', () => {
+      expect(normalizer.normalizeDate('10월 3일', now)).toBe('2026-10-03')
+      expect(normalizer.normalizeDate('90년 5월 3일', now)).toBe('1990-05-03')
+    })
+
+    it('해석할 수 없으면 null', () => {
+      expect(normalizer.normalizeDate('언젠가', now)).toBeNull()
+      expect(normalizer.normalizeDate('13월 1일', now)).toBeNull()
+      expect(normalizer.normalizeDate('2월 30일', now)).toBeNull()
+      expect(normalizer.normalizeDate('2027년 2월 29일', now)).toBeNull()
+      expect(normalizer.normalizeDate('2028년 2월 29일', now)).toBe('2028-02-29')
+    })
+
+    it('오늘 기준 날짜 — 내일, 요일, 며칠 뒤, 다음 달, 내년 (2026-10-19 은 월요일)', () => {
+      expect(normalizer.normalizeDate('내일', now)).toBe('2026-10-20')
+      expect(normalizer.normalizeDate('모레', now)).toBe('2026-10-21')
+      expect(normalizer.normalizeDate('다음 주 화요일', now)).toBe('2026-10-27')
+      expect(normalizer.normalizeDate('이번 주 금요일', now)).toBe('2026-10-23')
+      expect(normalizer.normalizeDate('일요일', now)).toBe('2026-10-25')
+      expect(normalizer.normalizeDate('사흘 뒤', now)).toBe('2026-10-22')
+      expect(normalizer.normalizeDate('일주일 후', now)).toBe('2026-10-26')
+      expect(normalizer.normalizeDate('두 달 뒤', now)).toBe('2026-12-19')
+      expect(normalizer.normalizeDate('다음 달 5일', now)).toBe('2026-11-05')
+      expect(normalizer.normalizeDate('내년 3월 1일', now)).toBe('2027-03-01')
+      expect(normalizer.normalizeDate('25일', now)).toBe('2026-10-25')
+    })
+  })
+
+  describe('normalizeTime / normalizeDateTime', () => {
+    it('오전·오후, 반, 분을 24시간 형식으로', () => {
+      expect(normalizer.normalizeTime('오후 3시 30분')).toBe('15:30')
+      expect(normalizer.normalizeTime('오전 열 시')).toBe('10:00')
+      expect(normalizer.normalizeTime('저녁 일곱 시 반')).toBe('19:30')
+      expect(normalizer.normalizeTime('밤 12시')).toBe('00:00')
+      expect(normalizer.normalizeTime('14:05')).toBe('14:05')
+      expect(normalizer.normalizeTime('정오')).toBe('12:00')
+      expect(normalizer.normalizeTime('25시')).toBeNull()
+      expect(normalizer.normalizeTime('나중에')).toBeNull()
+    })
+
+    it('날짜와 시각을 이어 말하면 둘 다', () => {
+      const now = new Date(2026, 9, 19)
+      expect(normalizer.normalizeDateTime('내일 오후 3시', now)).toBe('2026-10-20T15:00')
+      expect(normalizer.normalizeDateTime('오전 9시', now)).toBe('2026-10-19T09:00')
+      expect(normalizer.normalizeDateTime('다음 주 화요일', now)).toBeNull()
+    })
+
+    it('describeDate / describeTime: 읽기 좋은 문장으로', () => {
+      const now = new Date(2026, 9, 19)
+      expect(normalizer.describeDate('2026-10-27', now)).toBe('10월 27일 화요일')
+      expect(normalizer.describeDate('2027-03-01', now)).toBe('2027년 3월 1일 월요일')
+      expect(normalizer.describeTime('15:30')).toBe('오후 3시 30분')
+      expect(normalizer.describeTime('09:00')).toBe('오전 9시')
+    })
+  })
+})
+
+describe('KoreanNormalizer.parseOrdinal', () => {
+  const normalizer = new KoreanNormalizer()
+
+  it('고유어/숫자 서수와 "마지막"', () => {
+    expect(normalizer.parseOrdinal('첫 번째')).toBe(1)
+    expect(normalizer.parseOrdinal('세번째')).toBe(3)
+    expect(normalizer.parseOrdinal('열한 번째')).toBe(11)
+    expect(normalizer.parseOrdinal('3번')).toBe(3)
+    expect(normalizer.parseOrdinal('둘째')).toBe(2)
+    expect(normalizer.parseOrdinal('마지막')).toBe(-1)
+    expect(normalizer.parseOrdinal('버튼')).toBeNull()
+  })
+})
+
+describe('KoreanNormalizer 서수 추출/읽기', () => {
+  const normalizer = new KoreanNormalizer()
+
+  it('extractOrdinal: 문장 안의 서수나 숫자만 말한 답', () => {
+    expect(normalizer.extractOrdinal('두번째 거 눌러줘')).toBe(2)
+    expect(normalizer.extractOrdinal('그 첫 번째요')).toBe(1)
+    expect(normalizer.extractOrdinal('3번')).toBe(3)
+    expect(normalizer.extractOrdinal('2')).toBe(2)
+    expect(normalizer.extractOrdinal('마지막 거')).toBe(-1)
+    expect(normalizer.extractOrdinal('글쎄요')).toBeNull()
+  })
+
+  it('formatCount / formatOrdinal', () => {
+    expect(normalizer.formatCount(2)).toBe('두 개')
+    expect(normalizer.formatCount(12)).toBe('12개')
+    expect(normalizer.formatOrdinal(1)).toBe('첫 번째')
+    expect(normalizer.formatOrdinal(3)).toBe('세 번째')
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * MessageCatalog 회귀 테스트 — 조사 선택, 자리 채우기, 언어별 서수.
+ */
+import { MessageCatalog, attachParticle } from '../messages'
+
+describe('attachParticle', () => {
+  it('받침 유무로 을/를, 이/가 를 고른다', () => {
+    expect(attachParticle('로그인', '을(를)')).toBe('로그인을')
+    expect(attachParticle('다음 페이지로 이동', '을(를)')).toBe('다음 페이지로 이동을')
+    expect(attachParticle('검색하기', '을(를)')).toBe('검색하기를')
+    expect(attachParticle('메뉴', '이(가)')).toBe('메뉴가')
+  })
+
+  it('ㄹ 받침은 "으로" 대신 "로"', () => {
+    expect(attachParticle('서울', '으로(로)')).toBe('서울로')
+    expect(attachParticle('본문', '으로(로)')).toBe('본문으로')
+    expect(attachParticle('위', '으로(로)')).toBe('위로')
+  })
+
+  it('숫자와 영어는 읽는 소리로 판단한다', () => {
+    expect(attachParticle('010-1234-5678', '을(를)')).toBe('010-1234-5678을')
+    expect(attachParticle('5', '을(를)')).toBe('5를')
+    expect(attachParticle('Gmail', '을(를)')).toBe('Gmail을')
+    expect(attachParticle('hong@naver.com', '을(를)')).toBe('hong@naver.com을')
+    expect(attachParticle('Yahoo', '을(를)')).toBe('Yahoo를')
+  })
+})
+
+describe('MessageCatalog', () => {
+  it('자리에 값을 넣고 조사를 맞춘다', () => {
+    const ko = new MessageCatalog('ko-KR')
+    expect(ko.t('formFilled', { field: '이메일', value: 'hong@naver.com' })).toBe('이메일에 hong@naver.com을 입력했습니다')
+    expect(ko.t('commandDone', { description: '도움말 보기' })).toBe('도움말 보기를 완료했습니다')
+  })
+
+  it('en-US 는 영어 문구와 기본 명령 키워드를 쓴다', () => {
+    const en = new MessageCatalog('en-US')
+    expect(en.t('commandDone', { description: 'go to the next page' })).toBe('Done: go to the next page')
+    expect(en.command('help').keywords).toContain('help')
+    expect(en.formatOrdinal(2)).toBe('second')
+    expect([11, 12, 13, 21, 22, 23, 24, 101, 111, 112].map(n => en.formatOrdinal(n)))
+      .toEqual(['11th', '12th', '13th', '21st', '22nd', '23rd', '24th', '101st', '111th', '112th'])
+    expect(en.formatCount(3)).toBe('three')
+    // 요소 설명도 영어 종류 이름을 붙인다 ("Clicked Sign in 버튼" 이 되지 않게)
+    expect(en.t('elementButton', { label: 'Sign in' })).toBe('Sign in button')
+    expect(en.t('elementLink', { label: 'Help' })).toBe('Help link')
+  })
+
+  it('대답 속 서수를 언어에 맞게 읽는다', () => {
+    expect(new MessageCatalog('ko-KR').parseOrdinal('두 번째 거')).toBe(2)
+    const en = new MessageCatalog('en-US')
+    expect(en.parseOrdinal('the second one')).toBe(2)
+    expect(en.parseOrdinal('number 3')).toBe(3)
+    expect(en.parseOrdinal('the last one')).toBe(-1)
+  })
+
+  it('날짜·시각 입력값을 언어에 맞게 읽는다', () => {
+    const now = new Date(2026, 9, 19)
+    expect(new MessageCatalog('ko-KR').formatDateTime('2026-10-27T15:30', now)).toBe('10월 27일 화요일 오후 3시 30분')
+    const en = new MessageCatalog('en-US')
+    expect(en.formatDateTime('2026-10-27', now)).toBe('Tuesday, October 27')
+    expect(en.formatDateTime('09:05', now)).toBe('9:05 AM')
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * MiddlewarePipeline 회귀 테스트 — 순서 지정, 교체·제거, 멈춤 처리.
+ */
+import { MiddlewarePipeline, MiddlewareContext } from '../middleware'
+
+function context(transcript: string): MiddlewareContext {
+  return { transcript, originalTranscript: transcript, state: {} }
+}
+
+describe('MiddlewarePipeline', () => {
+  let pipeline: MiddlewarePipeline
+
+  beforeEach(() => {
+    pipeline = new MiddlewarePipeline()
+    jest.spyOn(console, 'error').mockImplementation(() => undefined)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('before/after 로 기존 미들웨어 앞뒤에 넣고, 같은 이름은 교체한다', () => {
+    pipeline.use({ name: 'a' })
+    pipeline.use({ name: 'c' })
+    pipeline.use({ name: 'b' }, { after: 'a' })
+    pipeline.use({ name: 'first' }, { before: 'a' })
+    pipeline.use({ name: 'c' }, { before: 'first' })
+
+    expect(pipeline.names()).toEqual(['c', 'first', 'a', 'b'])
+    expect(pipeline.remove('first')).toBe(true)
+    expect(pipeline.remove('first')).toBe(false)
+    expect(pipeline.names()).toEqual(['c', 'a', 'b'])
+  })
+
+  it('등록 순서대로 발화를 고치고, 처음 멈춘 훅에서 끝낸다', async () => {
+    const last = jest.fn()
+    pipeline.use({ name: 'rewrite', beforeMatch: ctx => { ctx.transcript = ctx.transcript.replace('장바구니', '카트') } })
+    pipeline.use({ name: 'limit', beforeMatch: () => ({ type: 'veto', reason: '잠시 후 다시 말씀해 주세요' }) })
+    pipeline.use({ name: 'last', beforeMatch: last })
+
+    const ctx = context('장바구니 열어줘')
+    const stop = await pipeline.run('beforeMatch', ctx)
+
+    expect(ctx.transcript).toBe('카트 열어줘')
+    expect(stop).toEqual({ type: 'veto', reason: '잠시 후 다시 말씀해 주세요', middleware: 'limit' })
+    expect(last).not.toHaveBeenCalled()
+  })
+
+  it('훅이 오류를 던지면 통과시키지 않고 거부한다', async () => {
+    pipeline.use({ name: 'auth', afterMatch: async () => { throw new Error('세션 확인 실패') } })
+
+    const stop = await pipeline.run('afterMatch', context('결제해줘'))
+    expect(stop).toMatchObject({ type: 'veto', middleware: 'auth' })
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * NumberOverlay 회귀 테스트 — 번호 매기기 순서, 페이지 변화 시 갱신, 끄기.
+ */
+jest.mock('../visual-feedback')
+
+import { NumberOverlay } from '../number-overlay'
+import { VisualFeedbackManager } from '../visual-feedback'
+
+;(global as any).window = { addEventListener: jest.fn(), removeEventListener: jest.fn() }
+
+function placed(label: string, left: number, top: number) {
+  const rect = { left, top, width: 80, height: 30, right: left + 80, bottom: top + 30 }
+  return {
+    id: label, type: 'button', label, description: label, selector: '', isVisible: true,
+    boundingRect: rect,
+    element: { getBoundingClientRect: () => rect }
+  }
+}
+
+function createOverlay(buttons: object[], links: object[] = []) {
+  let invalidate: () => void = () => undefined
+  const unsubscribe = jest.fn()
+  const domAnalyzer = {
+    scanPage: jest.fn().mockResolvedValue({ buttons, links, forms: [], inputs: [], navigation: [] }),
+    onInvalidate: jest.fn((listener: () => void) => {
+      invalidate = listener
+      return unsubscribe
+    })
+  }
+  const visualFeedback = new VisualFeedbackManager() as jest.Mocked<VisualFeedbackManager>
+  const overlay = new NumberOverlay(domAnalyzer as any, visualFeedback)
+  return { overlay, domAnalyzer, visualFeedback, unsubscribe, invalidate: () => invalidate() }
+}
+
+describe('NumberOverlay', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('버튼·링크를 화면 읽기 순서로 한 번씩만 번호 매긴다', async () => {
+    const save = placed('저장', 300, 10)
+    const menu = placed('메뉴', 10, 12)
+    const help = placed('도움말', 10, 200)
+    const { overlay, visualFeedback } = createOverlay([save, menu], [help, menu])
+
+    expect(await overlay.show()).toBe(3)
+    expect(overlay.getElement(1)).toBe(menu)
+    expect(overlay.getElement(2)).toBe(save)
+    expect(overlay.getElement(3)).toBe(help)
+    expect(overlay.getElement(4)).toBeNull()
+    expect(visualFeedback.showNumberBadges).toHaveBeenCalledWith([menu.element, save.element, help.element])
+  })
+
+  it('페이지가 바뀌면 잠시 뒤 한 번만 다시 번호를 매긴다', async () => {
+    jest.useFakeTimers()
+    const { overlay, domAnalyzer, invalidate } = createOverlay([placed('저장', 0, 0)])
+    await overlay.show()
+
+    invalidate()
+    invalidate()
+    jest.advanceTimersByTime(300)
+    await Promise.resolve()
+
+    expect(domAnalyzer.scanPage).toHaveBeenCalledTimes(2)
+  })
+
+  it('끄면 배지를 지우고 변화 구독과 스크롤 감시를 해제한다', async () => {
+    const { overlay, visualFeedback, unsubscribe } = createOverlay([placed('저장', 0, 0)])
+    await overlay.show()
+    overlay.hide()
+
+    expect(overlay.isActive()).toBe(false)
+    expect(overlay.getElement(1)).toBeNull()
+    expect(unsubscribe).toHaveBeenCalled()
+    expect(visualFeedback.clearNumberBadges).toHaveBeenCalled()
+    expect(window.removeEventListener).toHaveBeenCalledWith('scroll', expect.any(Function))
+  })
+})
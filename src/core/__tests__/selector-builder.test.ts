@@ -0,0 +1,130 @@
+/**
+ * SelectorBuilder 회귀 테스트 — 고정 속성을 먼저 쓰고, 겹치면 경로를 붙여 요소 하나로 돌아오는지.
+ * DOM 이 없는 node 환경이라 "a > b" 와 태그·#id·[속성="값"]·:nth-of-type 만 아는 가짜 트리를 쓴다.
+ */
+import { SelectorBuilder } from '../selector-builder'
+
+interface FakeElement {
+  tagName: string
+  attributes: { [name: string]: string }
+  parentElement: FakeElement | null
+  parentNode: any
+  children: FakeElement[]
+  [key: string]: any
+}
+
+function all(node: { children: FakeElement[] }): FakeElement[] {
+  return node.children.flatMap(child => [child, ...all(child)])
+}
+
+// 하나의 복합 선택자 (예: button[aria-label="삭제"]:nth-of-type(2))
+function matchesCompound(element: FakeElement, compound: string): boolean {
+  const tag = compound.match(/^[a-z][\w-]*/)
+  if (tag && element.tagName.toLowerCase() !== tag[0]) return false
+
+  const id = compound.match(/#([\w-]+)/)
+  if (id && element.attributes.id !== id[1]) return false
+
+  for (const [, name, value] of compound.matchAll(/\[([\w-]+)="((?:[^"\\]|\\.)*)"\]/g)) {
+    if (element.attributes[name] !== value.replace(/\\(.)/g, '$1')) return false
+  }
+
+  const nth = compound.match(/:nth-of-type\((\d+)\)/)
+  if (nth) {
+    const siblings = element.parentNode.children.filter((child: FakeElement) => child.tagName === element.tagName)
+    if (siblings.indexOf(element) + 1 !== Number(nth[1])) return false
+  }
+  return true
+}
+
+function matches(element: FakeElement, selector: string): boolean {
+  const compounds = selector.split(' > ')
+  let current: FakeElement | null = element
+  for (let i = compounds.length - 1; i >= 0; i--) {
+    if (!current || !matchesCompound(current, compounds[i])) return false
+    current = current.parentElement
+  }
+  return true
+}
+
+function el(tagName: string, attributes: { [name: string]: string } = {}, children: FakeElement[] = []): any {
+  const element: FakeElement = {
+    tagName: tagName.toUpperCase(),
+    attributes,
+    parentElement: null,
+    parentNode: null,
+    children,
+    getAttribute: (name: string) => attributes[name] ?? null
+  }
+  children.forEach(child => {
+    child.parentElement = element
+    child.parentNode = element
+  })
+  return element
+}
+
+function fakeDocument(body: FakeElement): any {
+  const document: any = {
+    children: [body],
+    querySelectorAll: (selector: string) => all(document).filter(element => matches(element, selector))
+  }
+  body.parentNode = document
+  all(document).forEach(element => { element.getRootNode = () => document })
+  return document
+}
+
+describe('SelectorBuilder', () => {
+  const builder = new SelectorBuilder()
+
+  it('data-testid 를 id 보다 먼저 쓰고, 겹치는 id 는 건너뛴다', () => {
+    const save = el('button', { 'data-testid': 'save', id: 'submit' })
+    const first = el('button', { id: 'dup' })
+    const second = el('button', { id: 'dup', 'aria-label': '삭제' })
+    const document = fakeDocument(el('body', {}, [save, first, second]))
+
+    expect(builder.build(save)).toBe('[data-testid="save"]')
+    expect(builder.build(second)).toBe('button[aria-label="삭제"]')
+    expect(builder.resolves(document, builder.build(first), first)).toBe(true)
+  })
+
+  it('이름이 겹치면 가장 가까운 조상의 고정 속성에 경로를 붙인다', () => {
+    const rows = [1, 2].map(n => el('li', {}, [el('button', { 'aria-label': '삭제' })]))
+    const list = el('ul', { 'data-testid': 'cart-items' }, rows)
+    const document = fakeDocument(el('body', {}, [el('div', {}, [list]), el('button', { 'aria-label': '삭제' })]))
+    const target = rows[1].children[0]
+
+    const selector = builder.build(target)
+    expect(selector).toBe('[data-testid="cart-items"] > li:nth-of-type(2) > button')
+    expect(builder.resolves(document, selector, target)).toBe(true)
+  })
+
+  it('고정 속성이 없으면 루트까지 nth-of-type 경로로 요소 하나를 가리킨다', () => {
+    const target = el('a')
+    const document = fakeDocument(el('body', {}, [
+      el('div', {}, [el('a'), el('a')]),
+      el('div', {}, [el('a'), target])
+    ]))
+
+    const selector = builder.build(target)
+    expect(selector).toBe('div:nth-of-type(2) > a:nth-of-type(2)')
+    expect(builder.resolves(document, selector, target)).toBe(true)
+  })
+
+  it('루트까지 올라가도 요소 하나로 좁혀지지 않으면 빈 문자열을 돌려준다', () => {
+    // shadow root 바로 아래 요소처럼 위에 조상이 없는데 같은 태그가 안쪽에 또 있는 경우
+    const target = el('section', {}, [el('section')])
+    const document = fakeDocument(target)
+
+    expect(builder.build(target)).toBe('')
+    expect(document.querySelectorAll('section')).toHaveLength(2)
+  })
+
+  it('따옴표가 든 값은 이스케이프해 그대로 돌아온다', () => {
+    const target = el('input', { name: 'say "hi"' })
+    const document = fakeDocument(el('body', {}, [target]))
+
+    const selector = builder.build(target)
+    expect(selector).toBe('input[name="say \\"hi\\""]')
+    expect(builder.resolves(document, selector, target)).toBe(true)
+  })
+})
@@ -0,0 +1,38 @@
+/**
+ * SlotTemplateMatcher 회귀 테스트 — 패턴 컴파일과 타입별 슬롯 변환.
+ */
+import { SlotTemplateMatcher } from '../slot-template'
+
+describe('SlotTemplateMatcher', () => {
+  let templates: SlotTemplateMatcher
+
+  beforeEach(() => {
+    templates = new SlotTemplateMatcher()
+  })
+
+  it('문자열 슬롯: "혈압약 검색해줘" → { query: "혈압약" }', () => {
+    expect(templates.match('{query} 검색해줘', '혈압약 검색해줘')).toEqual({ query: '혈압약' })
+    expect(templates.match('{query} 검색해줘', '고혈압 약 검색해 주세요')).toEqual({ query: '고혈압 약' })
+  })
+
+  it('숫자 슬롯은 한국어 수사를 숫자로 바꾼다', () => {
+    const slots = { count: 'number' as const }
+    expect(templates.match('{count}개 담아줘', '세 개 담아줘', slots)).toEqual({ count: 3 })
+    expect(templates.match('{count}개 담아줘', '10개 담아줘', slots)).toEqual({ count: 10 })
+  })
+
+  it('서수·날짜 슬롯', () => {
+    expect(templates.match('{index} 상품 보여줘', '두 번째 상품 보여줘', { index: 'ordinal' })).toEqual({ index: 2 })
+    expect(templates.match('{day}로 예약해줘', '2026년 10월 3일로 예약해줘', { day: 'date' })).toEqual({ day: '2026-10-03' })
+  })
+
+  it('타입 변환에 실패하거나 고정 글자가 다르면 null', () => {
+    expect(templates.match('{count}개 담아줘', '많이 개 담아줘', { count: 'number' })).toBeNull()
+    expect(templates.match('{query} 검색해줘', '혈압약 찾아줘')).toBeNull()
+  })
+
+  it('슬롯이 여러 개여도 순서대로 뽑는다', () => {
+    expect(templates.match('{item} {count}개 담아줘', '사과 다섯 개 담아줘', { count: 'number' }))
+      .toEqual({ item: '사과', count: 5 })
+  })
+})
@@ -0,0 +1,74 @@
+/**
+ * SpatialReferenceResolver 회귀 테스트 — 서수·위치 지칭 해석과 화면 읽기 순서.
+ */
+import { SpatialReferenceResolver } from '../spatial-resolver'
+import { ElementMap, InteractiveElement } from '../dom-analyzer'
+
+const VIEWPORT = { width: 900, height: 900 }
+
+function placed(label: string, type: InteractiveElement['type'], left: number, top: number): InteractiveElement {
+  const rect = { left, top, width: 80, height: 30, right: left + 80, bottom: top + 30 } as DOMRect
+  return {
+    id: label,
+    type,
+    label,
+    description: label,
+    selector: '',
+    element: { getBoundingClientRect: () => rect } as unknown as HTMLElement,
+    isVisible: true,
+    boundingRect: rect
+  }
+}
+
+function elementMap(partial: Partial<ElementMap>): ElementMap {
+  return { buttons: [], links: [], forms: [], inputs: [], navigation: [], ...partial }
+}
+
+describe('SpatialReferenceResolver', () => {
+  let resolver: SpatialReferenceResolver
+
+  beforeEach(() => {
+    resolver = new SpatialReferenceResolver()
+  })
+
+  it('서수·종류·위치를 해석한다', () => {
+    expect(resolver.parse('세 번째 링크')).toEqual({ ordinal: 3, kind: 'link', vertical: undefined, horizontal: undefined })
+    expect(resolver.parse('오른쪽 위 버튼')).toEqual({ ordinal: undefined, kind: 'button', vertical: 'top', horizontal: 'right' })
+    expect(resolver.parse('아래쪽에 있는 두 번째 입력창')).toMatchObject({ ordinal: 2, kind: 'input', vertical: 'bottom' })
+    expect(resolver.parse('마지막 버튼')).toMatchObject({ ordinal: -1, kind: 'button' })
+  })
+
+  it('이름이 섞인 지칭은 위치 지칭으로 보지 않는다', () => {
+    expect(resolver.parse('로그인 버튼')).toBeNull()
+    expect(resolver.parse('위치 안내 버튼')).toBeNull()
+  })
+
+  it('위에서 아래로, 같은 줄은 왼쪽부터 센다', () => {
+    const links = [
+      placed('아래', 'link', 0, 400),
+      placed('오른쪽', 'link', 300, 102),
+      placed('왼쪽', 'link', 10, 100)
+    ]
+    expect(resolver.sortReadingOrder(links).map(e => e.label)).toEqual(['왼쪽', '오른쪽', '아래'])
+
+    const third = resolver.resolve(resolver.parse('세 번째 링크')!, elementMap({ links }), VIEWPORT)
+    expect(third?.label).toBe('아래')
+  })
+
+  it('서수 없이 위치만 말하면 그 구석에 가장 가까운 요소', () => {
+    const buttons = [
+      placed('메뉴', 'button', 20, 20),
+      placed('검색', 'button', 650, 60),
+      placed('닫기', 'button', 800, 10),
+      placed('저장', 'button', 800, 800)
+    ]
+    const target = resolver.resolve(resolver.parse('오른쪽 위 버튼')!, elementMap({ buttons }), VIEWPORT)
+    expect(target?.label).toBe('닫기')
+  })
+
+  it('화면 밖 요소는 세지 않고, 구역에 요소가 없으면 null', () => {
+    const buttons = [placed('화면 밖', 'button', 0, -200), placed('첫째', 'button', 0, 50)]
+    expect(resolver.resolve(resolver.parse('첫 번째 버튼')!, elementMap({ buttons }), VIEWPORT)?.label).toBe('첫째')
+    expect(resolver.resolve(resolver.parse('아래쪽 버튼')!, elementMap({ buttons }), VIEWPORT)).toBeNull()
+  })
+})
@@ -0,0 +1,97 @@
+/**
+ * StructureNavigator 회귀 테스트 — 제목·영역 이동이 문서 순서와 마지막 위치를 따르는지.
+ * DOM 이 없는 node 환경이라 문서 순서(order)와 부모 관계로 compareDocumentPosition 을 흉내 낸다.
+ */
+import { StructureNavigator } from '../structure-navigator'
+
+function node(order: number, top: number, parent: any = null): any {
+  const attributes: { [name: string]: string } = {}
+  const element: any = {
+    order,
+    parent,
+    isConnected: true,
+    getBoundingClientRect: () => ({ left: 0, top, width: 100, height: 20 }),
+    hasAttribute: (name: string) => name in attributes,
+    setAttribute: (name: string, value: string) => { attributes[name] = value },
+    getAttribute: (name: string) => attributes[name] ?? null,
+    focus: jest.fn(),
+    scrollIntoView: jest.fn(),
+    compareDocumentPosition: (other: any) => {
+      if (other === element) return 0
+      const contains = (ancestor: any, descendant: any) => {
+        for (let current = descendant.parent; current; current = current.parent) {
+          if (current === ancestor) return true
+        }
+        return false
+      }
+      if (contains(element, other)) return 4 | 16
+      if (contains(other, element)) return 2 | 8
+      return other.order > element.order ? 4 : 2
+    }
+  }
+  return element
+}
+
+function setup() {
+  const nav = node(1, 0)
+  const main = node(2, 300)
+  const intro = node(3, 320, main)
+  const detail = node(4, 900, main)
+  const sideNav = node(5, 1200)
+  const footer = node(6, 1500)
+  const structure = {
+    headings: [
+      { level: 1, text: '건강 소식', element: intro },
+      { level: 2, text: '예방 접종', element: detail }
+    ],
+    landmarks: [
+      { kind: 'navigation', label: '주 메뉴', element: nav },
+      { kind: 'main', label: '', element: main },
+      { kind: 'navigation', label: '', element: sideNav },
+      { kind: 'contentinfo', label: '', element: footer }
+    ]
+  }
+  const domAnalyzer = { scanStructure: jest.fn(() => structure) }
+  return { navigator: new StructureNavigator(domAnalyzer as any), domAnalyzer, intro, detail, main, nav, sideNav }
+}
+
+describe('StructureNavigator', () => {
+  it('처음엔 화면 아래쪽의 첫 제목으로, 그 뒤로는 마지막 위치 기준으로 오간다', () => {
+    const { navigator, intro, detail } = setup()
+
+    expect(navigator.moveHeading('next')).toMatchObject({ status: 'moved', heading: { text: '건강 소식' } })
+    expect(intro.getAttribute('tabindex')).toBe('-1')
+    expect(intro.focus).toHaveBeenCalledWith({ preventScroll: true })
+    expect(intro.scrollIntoView).toHaveBeenCalled()
+
+    expect(navigator.moveHeading('next')).toMatchObject({ status: 'moved', heading: { element: detail } })
+    expect(navigator.moveHeading('next')).toEqual({ status: 'last' })
+    expect(navigator.moveHeading('previous')).toMatchObject({ status: 'moved', heading: { element: intro } })
+    expect(navigator.moveHeading('previous')).toEqual({ status: 'first' })
+  })
+
+  it('본문으로 간 뒤 "다음 제목" 은 본문 안의 첫 제목이다', () => {
+    const { navigator, main, intro } = setup()
+
+    expect(navigator.moveToLandmark('main')?.element).toBe(main)
+    expect(navigator.moveHeading('next')).toMatchObject({ heading: { element: intro } })
+  })
+
+  it('같은 종류 영역이 여럿이면 다시 말할 때마다 다음 영역으로 넘어가고, 없으면 null', () => {
+    const { navigator, nav, sideNav } = setup()
+
+    expect(navigator.moveToLandmark('navigation')?.element).toBe(nav)
+    expect(navigator.moveToLandmark('navigation')?.element).toBe(sideNav)
+    expect(navigator.moveToLandmark('navigation')?.element).toBe(nav)
+    expect(navigator.moveToLandmark('search')).toBeNull()
+  })
+
+  it('기준점이 화면에서 사라졌으면 화면 위치에서 다시 찾는다', () => {
+    const { navigator, detail, intro } = setup()
+    navigator.moveHeading('next')
+    navigator.moveHeading('next')
+    detail.isConnected = false
+
+    expect(navigator.moveHeading('next')).toMatchObject({ heading: { element: intro } })
+  })
+})
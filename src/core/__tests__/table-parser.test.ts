@@ -0,0 +1,74 @@
+/**
+ * TableParser 회귀 테스트 — 머리글 줄을 찾아 칸마다 열 머리글을 잇는지, 합친 칸·배치용 표를 다루는지.
+ * DOM 이 없는 node 환경이라 rows/cells 만 흉내 낸 가짜 표를 쓴다.
+ */
+import { TableParser } from '../table-parser'
+
+function cell(tagName: 'TH' | 'TD', text: string, attrs: { [name: string]: string } = {}): any {
+  return {
+    tagName,
+    textContent: text,
+    getAttribute: (name: string) => attrs[name] ?? null
+  }
+}
+
+function row(cells: any[], section = 'TBODY'): any {
+  return { tagName: 'TR', cells, parentElement: { tagName: section } }
+}
+
+function table(rows: any[], attrs: { [name: string]: string } = {}, caption: string | null = null): any {
+  return {
+    tagName: 'TABLE',
+    rows,
+    caption: caption === null ? null : { textContent: caption },
+    childNodes: [],
+    querySelector: () => null,
+    getAttribute: (name: string) => attrs[name] ?? null,
+    hasAttribute: (name: string) => name in attrs
+  }
+}
+
+describe('TableParser', () => {
+  const parser = new TableParser()
+
+  it('머리글 줄을 열 이름으로 쓰고 데이터 줄의 칸마다 잇는다', () => {
+    const model = parser.parse(table([
+      row([cell('TH', '날짜'), cell('TH', ' 진료과 ')], 'THEAD'),
+      row([cell('TD', '10월 3일'), cell('TD', '내과')]),
+      row([cell('TD', '10월 10일'), cell('TD', '')])
+    ], {}, '예약 내역'))!
+
+    expect(model.caption).toBe('예약 내역')
+    expect(model.columns).toEqual(['날짜', '진료과'])
+    expect(model.rows).toHaveLength(2)
+    expect(model.rows[0].cells.map(c => [c.header, c.text])).toEqual([['날짜', '10월 3일'], ['진료과', '내과']])
+    expect(model.rows[1].cells[1].text).toBe('')
+  })
+
+  it('thead 가 없어도 모든 칸이 th 인 첫 줄은 머리글이고, 줄 머리글(scope=row)은 데이터 줄이다', () => {
+    const model = parser.parse(table([
+      row([cell('TH', '약'), cell('TH', '아침'), cell('TH', '저녁')]),
+      row([cell('TH', '혈압약', { scope: 'row' }), cell('TD', '1정'), cell('TD', '-')])
+    ]))!
+
+    expect(model.rows[0].cells.map(c => `${c.header}: ${c.text}`)).toEqual(['약: 혈압약', '아침: 1정', '저녁: -'])
+  })
+
+  it('colspan·rowspan 으로 합친 칸은 시작 자리의 열 머리글로 한 번만 읽는다', () => {
+    const model = parser.parse(table([
+      row([cell('TH', '날짜'), cell('TH', '시간'), cell('TH', '진료과')]),
+      row([cell('TD', '10월 3일', { rowspan: '2' }), cell('TD', '오전'), cell('TD', '내과')]),
+      row([cell('TD', '오후'), cell('TD', '안과')]),
+      row([cell('TD', '휴진', { colspan: '3' })])
+    ]))!
+
+    expect(model.rows[1].cells.map(c => [c.header, c.text])).toEqual([['시간', '오후'], ['진료과', '안과']])
+    expect(model.rows[2].cells.map(c => [c.header, c.text])).toEqual([['날짜', '휴진']])
+  })
+
+  it('배치용 표와 머리글뿐인 표는 읽지 않는다', () => {
+    const rows = [row([cell('TD', '왼쪽'), cell('TD', '오른쪽')]), row([cell('TD', '아래')])]
+    expect(parser.parse(table(rows, { role: 'presentation' }))).toBeNull()
+    expect(parser.parse(table([row([cell('TD', '한 줄')])]))).toBeNull()
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * TableReader 회귀 테스트 — 표 소개·줄 읽기·열 읽기 문장과 읽은 위치.
+ */
+import { TableReader } from '../table-reader'
+import { TableModel } from '../table-parser'
+import { MessageCatalog } from '../messages'
+
+function model(rowCount: number, top = 100, caption = '진료 예약'): TableModel {
+  const element: any = {
+    isConnected: true,
+    getBoundingClientRect: () => ({ left: 0, top, width: 500, height: 200, right: 500, bottom: top + 200 })
+  }
+  return {
+    element,
+    caption,
+    columns: ['날짜', '진료과'],
+    rows: Array.from({ length: rowCount }, (_, i) => ({
+      element: {} as HTMLElement,
+      cells: [
+        { header: '날짜', text: `10월 ${i + 1}일`, element: {} as HTMLElement },
+        { header: '진료과', text: i === 1 ? '' : '내과', element: {} as HTMLElement }
+      ]
+    }))
+  }
+}
+
+describe('TableReader', () => {
+  it('표를 소개하고 앞 세 줄을 머리글과 함께 읽은 뒤 이어 읽는 법을 알려준다', () => {
+    const reader = new TableReader()
+    reader.open([model(5)], 900)
+
+    expect(reader.introduction()).toEqual([
+      '진료 예약 표입니다. 줄이 5개 있습니다. 열은 날짜, 진료과입니다.',
+      '첫 번째 줄. 날짜: 10월 1일, 진료과: 내과',
+      '두 번째 줄. 날짜: 10월 2일, 진료과: 빈 칸',
+      '세 번째 줄. 날짜: 10월 3일, 진료과: 내과',
+      '"다음 줄"이라고 말씀하시면 이어서 읽습니다.'
+    ])
+    expect(reader.position).toBe(2)
+  })
+
+  it('화면에 걸쳐 있는 표를 먼저 연다', () => {
+    const reader = new TableReader()
+    const above = model(2, -800, '지난 예약')
+    const onScreen = model(2, 300, '이번 예약')
+
+    expect(reader.open([above, onScreen], 900)).toBe(onScreen)
+    expect(reader.open([model(2, 2000)], 900)).not.toBeNull()
+  })
+
+  it('범위 밖 줄은 null 이고 위치를 바꾸지 않는다', () => {
+    const reader = new TableReader()
+    reader.open([model(2)], 900)
+
+    expect(reader.readRow(1)).toBe('두 번째 줄. 날짜: 10월 2일, 진료과: 빈 칸')
+    expect(reader.readRow(2)).toBeNull()
+    expect(reader.position).toBe(1)
+  })
+
+  it('열 이름은 띄어쓰기를 무시하고 찾아 그 열 값만 읽는다', () => {
+    const reader = new TableReader()
+    reader.open([model(3)], 900)
+
+    expect(reader.readColumn('진료 과')).toBe('진료과 열: 내과, 빈 칸, 내과')
+    expect(reader.readColumn('담당의')).toBeNull()
+  })
+
+  it('en-US 는 영어 문장으로 읽는다', () => {
+    const reader = new TableReader(new MessageCatalog('en-US'))
+    reader.open([model(2, 100, '')], 900)
+
+    expect(reader.introduction()).toEqual([
+      'A table with 2 rows. The columns are 날짜, 진료과.',
+      'Row 1. 날짜: 10월 1일, 진료과: 내과',
+      'Row 2. 날짜: 10월 2일, 진료과: blank'
+    ])
+  })
+
+  it('en-US 에서 한 줄짜리 표는 단수형으로 알린다', () => {
+    const reader = new TableReader(new MessageCatalog('en-US'))
+    reader.open([model(1, 100, '')], 900)
+
+    expect(reader.introduction()[0]).toBe('A table with one row. The columns are 날짜, 진료과.')
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * VoiceAnnotationReader 회귀 테스트 — data-voice-* 속성을 읽고 data-voice-ignore 로 뺄 요소를 가리는지.
+ * DOM 이 없는 node 환경이라 속성과 closest 만 흉내 낸 가짜 요소를 쓴다.
+ */
+import { VoiceAnnotationReader } from '../voice-annotations'
+import { MessageCatalog } from '../messages'
+
+function el(attributes: { [name: string]: string } = {}, parent: any = null): any {
+  const element: any = {
+    parent,
+    getAttribute: (name: string) => attributes[name] ?? null,
+    // '[data-voice-ignore]' 만 흉내 낸다
+    closest: (selector: string) => {
+      const name = selector.slice(1, -1)
+      for (let current = element; current; current = current.parent) {
+        if (current.getAttribute(name) !== null) return current
+      }
+      return null
+    }
+  }
+  return element
+}
+
+describe('VoiceAnnotationReader', () => {
+  const reader = new VoiceAnnotationReader()
+
+  it('별칭·이름·명령은 쉼표로 나눈 목록으로 읽는다', () => {
+    expect(reader.read(el({
+      'data-voice': '로그인, 접속 ,',
+      'data-voice-label': ' 로그인 버튼 ',
+      'data-voice-command': '장바구니 담기,카트에 담기'
+    }))).toEqual({
+      label: '로그인 버튼',
+      aliases: ['로그인', '접속'],
+      confirmRequired: false,
+      confirmPrompt: undefined,
+      commands: ['장바구니 담기', '카트에 담기']
+    })
+    expect(reader.read(el())).toMatchObject({ label: undefined, aliases: [], commands: [] })
+  })
+
+  it('data-voice-confirm 은 값이 있으면 질문으로, 없으면 기본 질문으로, "false" 면 묻지 않는다', () => {
+    expect(reader.read(el({ 'data-voice-confirm': '정말 삭제할까요?' }))).toMatchObject({ confirmRequired: true, confirmPrompt: '정말 삭제할까요?' })
+    expect(reader.read(el({ 'data-voice-confirm': '' }))).toMatchObject({ confirmRequired: true, confirmPrompt: undefined })
+    expect(reader.read(el({ 'data-voice-confirm': 'false' })).confirmRequired).toBe(false)
+  })
+
+  it('이름이 없는 요소는 첫 data-voice 별칭으로 부르고 안내한다', () => {
+    // <div data-ai="clickable" data-voice="장바구니, 카트">🛒</div> — 이모지뿐이라 접근 가능한 이름이 없다
+    const annotations = reader.read(el({ 'data-ai': 'clickable', 'data-voice': '장바구니, 카트' }))
+    const name = reader.nameOf(annotations, '')
+
+    expect(name).toBe('장바구니')
+    expect(new MessageCatalog().t('elementClicked', { description: name })).toBe('장바구니를 클릭했습니다')
+    // 이름이 있으면 별칭보다 이름, data-voice-label 은 그보다 먼저
+    expect(reader.nameOf(annotations, '카트 열기')).toBe('카트 열기')
+    expect(reader.nameOf(reader.read(el({ 'data-voice-label': '주문' })), '구매')).toBe('주문')
+  })
+
+  it('자신이나 조상에 data-voice-ignore 가 있으면 뺀다', () => {
+    const aside = el({ 'data-voice-ignore': '' })
+    expect(reader.isIgnored(el({}, el({}, aside)))).toBe(true)
+    expect(reader.isIgnored(el({ 'data-voice-ignore': 'false' }))).toBe(false)
+    expect(reader.isIgnored(el({}, el()))).toBe(false)
+  })
+})
@@ -0,0 +1,172 @@
+/**
+ * AccessibleNameComputer - 요소의 접근 가능한 이름 계산
+ * WAI-ARIA accname 순서(aria-labelledby → aria-label → 네이티브 라벨 → 내용 → title → placeholder)를 따라
+ * 화면 낭독기가 읽는 이름과 같은 이름으로 요소를 부른다.
+ */
+
+import { DocumentTraverser } from './dom-traversal'
+
+export type NameSource =
+  | 'aria-labelledby' | 'aria-label' | 'label' | 'alt' | 'value'
+  | 'content' | 'title' | 'placeholder' | 'none'
+
+export interface AccessibleName {
+  /** 정리된 이름 (없으면 빈 문자열) */
+  name: string
+  /** aria-describedby 로 연결된 설명 */
+  description: string
+  source: NameSource
+}
+
+// 내용(자식 텍스트)으로 이름을 정하는 역할 — 버튼·링크·메뉴 항목 등
+const NAME_FROM_CONTENT_TAGS = ['BUTTON', 'A', 'SUMMARY', 'OPTION', 'LEGEND', 'LABEL', 'TH', 'TD', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']
+const NAME_FROM_CONTENT_ROLES = ['button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'option', 'checkbox', 'radio', 'switch', 'treeitem', 'heading', 'cell', 'columnheader', 'rowheader', 'tooltip']
+
+// 값이 곧 이름인 input 과 값이 없을 때의 기본 이름 (브라우저 기본 표시와 같게)
+const BUTTON_INPUT_DEFAULTS: { [type: string]: string } = { submit: '제출', reset: '초기화', button: '' }
+
+const LABELABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON', 'METER', 'PROGRESS', 'OUTPUT']
+
+// 이름이 너무 길면 음성 안내가 늘어진다
+const MAX_NAME_LENGTH = 50
+
+export class AccessibleNameComputer {
+  private traverser = new DocumentTraverser()
+
+  compute(element: Element): AccessibleName {
+    return {
+      ...this.computeName(element),
+      description: this.clean(this.referencedText(element, 'aria-describedby'))
+    }
+  }
+
+  // 이모지·제어 문자를 빼고 공백을 하나로 — 음성으로 읽거나 말한 이름과 비교하기 좋게
+  clean(text: string): string {
+    const cleaned = text
+      .replace(/\p{Extended_Pictographic}|\p{Regional_Indicator}|\u200B|\u200C|\u200D|\uFE0E|\uFE0F|\u20E3/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+
+    if (cleaned.length <= MAX_NAME_LENGTH) return cleaned
+    const cut = cleaned.slice(0, MAX_NAME_LENGTH)
+    const lastSpace = cut.lastIndexOf(' ')
+    return (lastSpace > MAX_NAME_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()
+  }
+
+  private computeName(element: Element): Omit<AccessibleName, 'description'> {
+    const candidates: Array<[NameSource, () => string]> = [
+      ['aria-labelledby', () => this.referencedText(element, 'aria-labelledby')],
+      ['aria-label', () => element.getAttribute('aria-label') || ''],
+      ...this.nativeSources(element),
+      ['content', () => this.allowsNameFromContent(element) ? this.contentText(element, element) : ''],
+      ['title', () => element.getAttribute('title') || ''],
+      ['placeholder', () => element.getAttribute('placeholder') || '']
+    ]
+
+    for (const [source, read] of candidates) {
+      const name = this.clean(read())
+      if (name) return { name, source }
+    }
+    return { name: '', source: 'none' }
+  }
+
+  // 태그별 네이티브 이름: 연결된 <label>, 이미지 alt, 버튼형 input 의 value
+  private nativeSources(element: Element): Array<[NameSource, () => string]> {
+    const tag = element.tagName
+    const type = (element.getAttribute('type') || '').toLowerCase()
+
+    if (tag === 'INPUT' && type in BUTTON_INPUT_DEFAULTS) {
+      return [['value', () => element.getAttribute('value') || BUTTON_INPUT_DEFAULTS[type]]]
+    }
+    if (tag === 'INPUT' && type === 'image') {
+      return [['alt', () => element.getAttribute('alt') || '']]
+    }
+    if (tag === 'IMG' || tag === 'AREA') {
+      return [['alt', () => element.getAttribute('alt') || '']]
+    }
+    if (LABELABLE_TAGS.includes(tag)) {
+      return [['label', () => this.labelText(element)]]
+    }
+    return []
+  }
+
+  private allowsNameFromContent(element: Element): boolean {
+    // data-ai="clickable"·data-voice-command 로 누를 수 있다고 표시한 div·span 은 버튼처럼 내용을 이름으로 쓴다
+    if (element.getAttribute('data-ai') === 'clickable' || element.getAttribute('data-voice-command') !== null) return true
+    const role = element.getAttribute('role')
+    if (role) return NAME_FROM_CONTENT_ROLES.includes(role)
+    return NAME_FROM_CONTENT_TAGS.includes(element.tagName)
+  }
+
+  // <label for=id> 와 요소를 감싼 <label> — 여러 개면 이어 붙인다
+  private labelText(element: Element): string {
+    const labels = new Set<Element>()
+
+    const native = (element as HTMLInputElement).labels
+    if (native) {
+      Array.from(native).forEach(label => labels.add(label))
+    } else {
+      const id = element.getAttribute('id')
+      const root = this.rootOf(element)
+      if (id && root) {
+        root.querySelectorAll(`label[for="${id}"]`).forEach(label => labels.add(label))
+      }
+      const wrapping = typeof element.closest === 'function' ? element.closest('label') : null
+      if (wrapping) labels.add(wrapping)
+    }
+
+    return Array.from(labels).map(label => this.contentText(label, element)).join(' ')
+  }
+
+  // aria-labelledby / aria-describedby 가 가리키는 요소들의 텍스트 (숨겨져 있어도 쓴다 — 명세대로)
+  private referencedText(element: Element, attribute: string): string {
+    const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(id => id.length > 0)
+    const root = this.rootOf(element)
+    if (ids.length === 0 || !root) return ''
+
+    return ids
+      .map(id => {
+        const target = 'getElementById' in root && typeof root.getElementById === 'function'
+          ? root.getElementById(id)
+          : root.querySelector(`[id="${id}"]`)
+        if (!target) return ''
+        return target.getAttribute('aria-label') || this.contentText(target, element)
+      })
+      .join(' ')
+  }
+
+  // 자식 텍스트를 문서 순서로 모은다. aria-hidden·hidden 인 자식은 빼고,
+  // 이름 계산 중인 컨트롤 자신(라벨에 감싸인 input 등)은 넣지 않는다.
+  private contentText(node: Node, exclude: Element): string {
+    const parts: string[] = []
+
+    node.childNodes?.forEach(child => {
+      if (child.nodeType === 3) {
+        parts.push(child.textContent || '')
+        return
+      }
+      if (child.nodeType !== 1) return
+
+      const childElement = child as Element
+      if (childElement === exclude) return
+      if (childElement.getAttribute('aria-hidden') === 'true' || childElement.hasAttribute('hidden')) return
+      if (['SCRIPT', 'STYLE', 'TEMPLATE'].includes(childElement.tagName)) return
+
+      // 인라인 텍스트("<b>로</b>그인")는 붙이고, 대체 텍스트는 앞뒤를 띄운다
+      const label = childElement.getAttribute('aria-label')
+      if (label) {
+        parts.push(` ${label} `)
+      } else if (childElement.tagName === 'IMG') {
+        parts.push(` ${childElement.getAttribute('alt') || ''} `)
+      } else {
+        parts.push(this.contentText(childElement, exclude))
+      }
+    })
+
+    return parts.join('')
+  }
+
+  private rootOf(element: Element): Document | ShadowRoot | null {
+    return this.traverser.rootOf(element) || null
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * AnnotatedCommandRegistry - 마크업에 단 명령 (data-voice-command) 등록
+ * <button data-voice-command="장바구니 담기"> 가 화면에 있는 동안만 "장바구니 담기" 명령이 살아 있다.
+ * 요소가 붙거나 떨어지면 잠시 뒤 다시 모으고, 명령을 처리하기 직전에도 다시 모은다.
+ */
+
+import type { DOMAnalyzer, InteractiveElement } from './dom-analyzer'
+import type { VoiceCommand } from './command-router'
+
+export class AnnotatedCommandRegistry {
+  // 페이지가 바뀐 뒤 다시 모으기까지 기다리는 시간 (연속 변화는 한 번만 모은다)
+  private static readonly SYNC_DELAY = 300
+
+  private domAnalyzer: DOMAnalyzer
+  private createCommand: (element: InteractiveElement) => VoiceCommand
+  private registered: VoiceCommand[] = []
+  private unsubscribe: (() => void) | null = null
+  private syncTimer: ReturnType<typeof setTimeout> | null = null
+
+  constructor(domAnalyzer: DOMAnalyzer, createCommand: (element: InteractiveElement) => VoiceCommand) {
+    this.domAnalyzer = domAnalyzer
+    this.createCommand = createCommand
+  }
+
+  get commands(): VoiceCommand[] {
+    return this.registered
+  }
+
+  // 페이지 변화를 따라 명령을 다시 모은다. 그만 따라가는 함수를 돌려준다
+  watch(): () => void {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.domAnalyzer.onInvalidate(this.scheduleSync)
+    }
+    return () => this.unwatch()
+  }
+
+  unwatch(): void {
+    this.unsubscribe?.()
+    this.unsubscribe = null
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer)
+      this.syncTimer = null
+    }
+  }
+
+  // 지금 화면에서 명령을 단 요소마다 명령 하나 (분류가 여럿인 요소도 한 번만)
+  async sync(): Promise<void> {
+    const elements = await this.domAnalyzer.scanPage()
+    const seen = new Set<HTMLElement>()
+    const commands: VoiceCommand[] = []
+
+    for (const elem of [...elements.buttons, ...elements.links, ...elements.inputs, ...elements.forms, ...elements.navigation]) {
+      if (!elem.voiceCommands || seen.has(elem.element)) continue
+      seen.add(elem.element)
+      commands.push(this.createCommand(elem))
+    }
+    this.registered = commands
+  }
+
+  private scheduleSync = (): void => {
+    if (this.syncTimer) clearTimeout(this.syncTimer)
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null
+      void this.sync()
+    }, AnnotatedCommandRegistry.SYNC_DELAY)
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * CommandMatcher - 점수 기반 명령어 매칭
+ * 모든 후보를 키워드 포괄도, 정확/부분 일치, 자모 단위 편집 거리로 채점해 순위를 매긴다
+ */
+
+import type { VoiceCommand } from './command-router'
+import { SlotTemplateMatcher, SlotValues } from './slot-template'
+
+export type MatchType = 'exact' | 'token' | 'partial' | 'fuzzy' | 'template'
+
+export interface CommandMatch {
+  command: VoiceCommand
+  keyword: string
+  /** 0~1 신뢰도 */
+  score: number
+  matchType: MatchType
+  /** 템플릿 매칭으로 뽑은 슬롯 값 — action(params) 로 전달된다 */
+  params?: SlotValues
+}
+
+// 일치 종류별 품질 가중치 — 포괄도와 곱해 최종 점수가 된다
+const MATCH_QUALITY: { [key in MatchType]: number } = {
+  exact: 1.0,
+  token: 1.0,
+  partial: 0.8,
+  fuzzy: 0.9,
+  template: 1.0
+}
+
+// 의미 없는 꼬리말 ("다음으로 가줘" → "다음") — 포괄도 계산에서 제외
+const FILLER_SUFFIX = /\s*(?:좀\s*)?(?:가|해|해서|이동해|넘어가|보여|열어)?\s*(?:줘|줘요|주세요|줄래|줄래요|주실래요)$/
+const PARTICLE_SUFFIX = /(?:으로|로|을|를|은|는|이|가)$/
+
+// 한글 음절 분해용 자모 표
+const CHOSEONG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ'
+const JUNGSEONG = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ'
+const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ']
+
+export class CommandMatcher {
+  private minConfidence: number
+  private fuzzyThreshold = 0.8
+  private templates = new SlotTemplateMatcher()
+
+  constructor(minConfidence: number = 0.65) {
+    this.minConfidence = minConfidence
+  }
+
+  // 모든 명령을 채점해 점수 내림차순으로 돌려준다 (점수 0 후보 제외)
+  rank(transcript: string, commands: VoiceCommand[]): CommandMatch[] {
+    const variants = this.variants(transcript.toLowerCase().trim())
+    const matches: CommandMatch[] = []
+
+    for (const command of commands) {
+      let best: CommandMatch | null = null
+
+      for (const keyword of command.keywords) {
+        const scored = this.scoreVariants(variants, keyword.toLowerCase().trim())
+        if (!scored) continue
+        // 같은 점수면 더 긴(구체적인) 키워드를 대표로
+        if (!best || scored.score > best.score ||
+            (scored.score === best.score && keyword.length > best.keyword.length)) {
+          best = { command, keyword, ...scored }
+        }
+      }
+
+      const templated = this.matchTemplates(transcript, command)
+      if (templated && (!best || templated.score >= best.score)) {
+        best = templated
+      }
+
+      if (best) matches.push(best)
+    }
+
+    // 점수 → 키워드 길이 순. Array.sort 는 안정 정렬이라 나머지는 등록 순서를 따른다
+    return matches.sort((a, b) => b.score - a.score || b.keyword.length - a.keyword.length)
+  }
+
+  // 최소 신뢰도를 넘는 최고 후보
+  findBest(transcript: string, commands: VoiceCommand[]): CommandMatch | null {
+    const [best] = this.rank(transcript, commands)
+    return best && best.score >= this.minConfidence ? best : null
+  }
+
+  // 템플릿은 발화 전체와 맞아야 하므로 신뢰도가 높다. 고정 글자 비율로 더 구체적인 템플릿을 앞세운다
+  private matchTemplates(transcript: string, command: VoiceCommand): CommandMatch | null {
+    let best: CommandMatch | null = null
+
+    for (const pattern of command.patterns || []) {
+      const params = this.templates.match(pattern, transcript, command.slots)
+      if (!params) continue
+
+      const coverage = this.templates.literalCoverage(pattern, transcript)
+      const score = Number((MATCH_QUALITY.template * (0.8 + 0.2 * coverage)).toFixed(3))
+      if (!best || score > best.score) {
+        best = { command, keyword: pattern, score, matchType: 'template', params }
+      }
+    }
+
+    return best
+  }
+
+  // 발화 변형 중 가장 잘 맞는 쪽 ("아래로" 키워드 vs "다음으로" 발화)
+  private scoreVariants(variants: string[], keyword: string): { score: number, matchType: MatchType } | null {
+    let best: { score: number, matchType: MatchType } | null = null
+    for (const variant of variants) {
+      const scored = this.scoreKeyword(variant, keyword)
+      if (scored && (!best || scored.score > best.score)) best = scored
+    }
+    return best
+  }
+
+  scoreKeyword(transcript: string, keyword: string): { score: number, matchType: MatchType } | null {
+    const compactTranscript = this.compact(transcript)
+    const compactKeyword = this.compact(keyword)
+    if (!compactKeyword || !compactTranscript) return null
+
+    if (compactTranscript === compactKeyword) {
+      return { score: MATCH_QUALITY.exact, matchType: 'exact' }
+    }
+
+    const coverage = Math.min(compactKeyword.length / compactTranscript.length, 1)
+    const weighted = (quality: number) => Number((quality * (0.4 + 0.6 * coverage)).toFixed(3))
+
+    const index = transcript.indexOf(keyword)
+    if (index !== -1) {
+      // 어절 시작에서 일치하면 토큰 일치, 어절 중간이면 부분 일치
+      const atTokenStart = index === 0 || /\s/.test(transcript[index - 1])
+      const matchType: MatchType = atTokenStart ? 'token' : 'partial'
+      return { score: weighted(MATCH_QUALITY[matchType]), matchType }
+    }
+
+    const similarity = this.bestWindowSimilarity(compactTranscript, compactKeyword)
+    if (similarity >= this.fuzzyThreshold) {
+      return { score: weighted(MATCH_QUALITY.fuzzy * similarity), matchType: 'fuzzy' }
+    }
+
+    return null
+  }
+
+  // 자모 단위 편집 거리 ("패이지" ↔ "페이지" 는 1)
+  jamoDistance(a: string, b: string): number {
+    return this.levenshtein(this.toJamo(a), this.toJamo(b))
+  }
+
+  toJamo(text: string): string {
+    let jamo = ''
+    for (const char of text) {
+      const code = char.charCodeAt(0) - 0xac00
+      if (code < 0 || code > 11171) {
+        jamo += char
+        continue
+      }
+      jamo += CHOSEONG[Math.floor(code / 588)] + JUNGSEONG[Math.floor((code % 588) / 28)] + JONGSEONG[code % 28]
+    }
+    return jamo
+  }
+
+  // 발화 안에서 키워드 길이 ±1 음절 구간 중 가장 비슷한 곳의 유사도 (0~1)
+  private bestWindowSimilarity(transcript: string, keyword: string): number {
+    const keywordJamo = this.toJamo(keyword)
+    let best = 0
+
+    for (let size = Math.max(1, keyword.length - 1); size <= keyword.length + 1; size++) {
+      for (let start = 0; start + size <= transcript.length; start++) {
+        const windowJamo = this.toJamo(transcript.slice(start, start + size))
+        const distance = this.levenshtein(windowJamo, keywordJamo)
+        const similarity = 1 - distance / Math.max(windowJamo.length, keywordJamo.length)
+        if (similarity > best) best = similarity
+      }
+    }
+
+    return best
+  }
+
+  private levenshtein(a: string, b: string): number {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i]
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      }
+      previous = current
+    }
+
+    return previous[b.length]
+  }
+
+  // 원문, 꼬리말을 뗀 형태, 조사까지 뗀 형태 ("다시 말해줘" 처럼 꼬리말까지가 키워드인 경우도 있다)
+  private variants(text: string): string[] {
+    const withoutFiller = text.replace(FILLER_SUFFIX, '').trim() || text
+    const withoutParticle = withoutFiller.replace(PARTICLE_SUFFIX, '').trim() || withoutFiller
+    return Array.from(new Set([text, withoutFiller, withoutParticle]))
+  }
+
+  private compact(text: string): string {
+    return text.replace(/\s+/g, '')
+  }
+}
@@ -2,184 +2,1266 @@
  * CommandRouter - 음성 명령어 처리 및 라우팅
  */
 
-import { DOMAnalyzer, InteractiveElement } from './dom-analyzer'
+import { DOMAnalyzer, ElementMap, ElementRegion, InteractiveElement, LandmarkKind, PageType } from './dom-analyzer'
 import { VoiceEngine } from './voice-engine'
 import { KoreanCancellationManager } from './korean-cancellation'
 import { VisualFeedbackManager } from './visual-feedback'
+import { FormFiller } from './form-filler'
+import { ControlInput, ControlChange, ControlOutcome } from './control-input'
+import { ConfirmationManager, ConfirmationOutcome } from './confirmation-manager'
+import { CommandMatcher, CommandMatch } from './command-matcher'
+import { SlotType } from './slot-template'
+import { DialogManager, DialogAnswerHandler, AskOptions, DialogOutcome, DialogState } from './dialog-manager'
+import { ElementNameMatcher } from './element-matcher'
+import { SpatialReferenceResolver } from './spatial-resolver'
+import { NumberOverlay } from './number-overlay'
+import { ContentReader, ReadingMode } from './content-reader'
+import { StructureNavigator } from './structure-navigator'
+import { TableReader } from './table-reader'
+import { FormReader } from './form-reader'
+import { AnnotatedCommandRegistry } from './annotated-commands'
+import { MiddlewarePipeline, CommandMiddleware, MiddlewareContext, MiddlewarePosition, PipelineStop } from './middleware'
+import { MessageCatalog, MessageKey, DefaultCommandId, Locale } from './messages'
+
+/**
+ * 명령 활성 범위. 지정한 조건을 모두 만족하는 페이지에서만 명령이 후보가 된다.
+ */
+export interface CommandScope {
+  /** URL 조건 — 문자열은 부분 일치(`*` 와일드카드 허용), RegExp 는 전체 URL 에 test */
+  urlPattern?: string | RegExp
+  /** 페이지에 이 선택자에 맞는 요소가 있어야 함 */
+  selector?: string
+  /** DOMAnalyzer.detectPageType() 결과 중 하나여야 함 */
+  pageType?: PageType | PageType[]
+}
+
+export interface AvailableCommandsFilter {
+  /** true 면 현재 페이지 범위에 맞는 명령만 */
+  activeOnly?: boolean
+  category?: VoiceCommand['category']
+}
 
 export interface VoiceCommand {
   keywords: string[]
   action: (params?: any) => Promise<void>
   description: string
   confirmRequired?: boolean
+  /** confirmRequired 일 때 묻는 질문 (기본: "<description>을(를) 하시겠습니까?") */
+  confirmPrompt?: string
   category: 'navigation' | 'interaction' | 'form' | 'system'
+  /** 슬롯 템플릿 ('{query} 검색해줘', '{count}개 담아줘') — 뽑은 값은 action(params) 로 전달 */
+  patterns?: string[]
+  /** 슬롯 이름 → 타입 (지정하지 않은 슬롯은 'string') */
+  slots?: { [name: string]: SlotType }
+  /** 활성 범위 — 없으면 모든 페이지에서 동작 */
+  scope?: CommandScope
+  /** true 면 실행 후 "…을 완료했습니다" 안내를 말하지 않는다 (스스로 말하는 명령용) */
+  silent?: boolean
 }
 
 export interface CommandResult {
   success: boolean
   message: string
   executedCommand?: VoiceCommand
+  /** confirmRequired 명령의 확인 결과 */
+  confirmation?: ConfirmationOutcome
+  /** 실행된 명령의 매칭 신뢰도 (0~1) */
+  confidence?: number
+  /** 디버깅용 상위 매칭 후보 (점수 내림차순) */
+  candidates?: CommandMatch[]
+  /** 복합 발화("로그인하고 마이페이지 가줘")의 단계별 결과 — 실행한 단계까지만 담긴다 */
+  steps?: CommandResult[]
+  /** 실패해 멈춘 단계의 0부터 시작하는 번호 */
+  failedStep?: number
+  /** 명령을 거부한 미들웨어 이름 */
+  vetoedBy?: string
+}
+
+// 후보 위치 안내 ("상단 메뉴의 로그인") 에 쓰는 영역 이름
+const REGION_MESSAGES: { [region in ElementRegion]: MessageKey } = {
+  'header-nav': 'regionHeaderNav',
+  'footer-nav': 'regionFooterNav',
+  'nav': 'regionNav',
+  'dialog': 'regionDialog',
+  'header': 'regionHeader',
+  'footer': 'regionFooter',
+  'form': 'regionForm',
+  'aside': 'regionAside',
+  'top': 'regionTop',
+  'middle': 'regionMiddle',
+  'bottom': 'regionBottom'
 }
 
 export class CommandRouter {
+  private static readonly MAX_CANDIDATES = 3
+  private static readonly HELP_CHUNK_SIZE = 3
+  private static readonly MAX_DISAMBIGUATION = 5
+  // 이 점수 이상이면 명령이 확실히 맞은 것으로 본다 (정확한 키워드·슬롯 템플릿)
+  private static readonly CONFIDENT_MATCH = 0.8
+  // 스크롤하거나 메뉴를 펼친 뒤 누를 요소를 강조해 보여주는 시간
+  private static readonly PREVIEW_DELAY = 600
+  private static readonly CATEGORY_LABELS: { [key in VoiceCommand['category']]: MessageKey } = {
+    navigation: 'categoryNavigation',
+    interaction: 'categoryInteraction',
+    form: 'categoryForm',
+    system: 'categorySystem'
+  }
   private commands: VoiceCommand[] = []
   private domAnalyzer: DOMAnalyzer
   private voiceEngine: VoiceEngine
   private cancellationManager: KoreanCancellationManager
   private visualFeedback: VisualFeedbackManager
+  private formFiller: FormFiller
+  private controlInput: ControlInput
+  private confirmation: ConfirmationManager
+  private matcher: CommandMatcher
+  private dialog: DialogManager
+  private elementMatcher: ElementNameMatcher
+  private spatialResolver: SpatialReferenceResolver
+  private numberOverlay: NumberOverlay
+  private reader: ContentReader
+  private structure: StructureNavigator
+  private tableReader: TableReader
+  private formReader: FormReader
+  private annotatedCommands: AnnotatedCommandRegistry
+  private middleware: MiddlewarePipeline
+  private messages: MessageCatalog
 
-  constructor(domAnalyzer: DOMAnalyzer, voiceEngine: VoiceEngine) {
+  constructor(domAnalyzer: DOMAnalyzer, voiceEngine: VoiceEngine, language: Locale = 'ko-KR') {
     this.domAnalyzer = domAnalyzer
     this.voiceEngine = voiceEngine
-    this.cancellationManager = new KoreanCancellationManager()
+    this.messages = new MessageCatalog(language)
+    this.cancellationManager = new KoreanCancellationManager(this.messages.patterns.cancellation)
     this.visualFeedback = new VisualFeedbackManager()
+    this.formFiller = new FormFiller(this.messages.patterns)
+    this.controlInput = new ControlInput(this.formFiller, this.messages)
+    this.confirmation = new ConfirmationManager(undefined, language)
+    this.matcher = new CommandMatcher()
+    this.dialog = new DialogManager(voiceEngine, this.messages)
+    this.elementMatcher = new ElementNameMatcher()
+    this.spatialResolver = new SpatialReferenceResolver(this.messages)
+    this.numberOverlay = new NumberOverlay(domAnalyzer, this.visualFeedback)
+    this.reader = new ContentReader(voiceEngine, this.messages)
+    this.structure = new StructureNavigator(domAnalyzer)
+    this.tableReader = new TableReader(this.messages)
+    this.formReader = new FormReader(this.messages)
+    this.annotatedCommands = new AnnotatedCommandRegistry(domAnalyzer, element => this.annotatedCommand(element))
+    this.middleware = new MiddlewarePipeline(this.messages.t('middlewareError'))
+    this.middleware.use(this.cancellationMiddleware())
+    this.middleware.use(this.visualFeedbackMiddleware())
     this.initializeDefaultCommands()
   }
 
   private initializeDefaultCommands(): void {
+    // 키워드·설명은 언어별 카탈로그에서
+    const text = (id: DefaultCommandId) => this.messages.command(id)
+
     // 기본 네비게이션 명령어
     this.commands = [
       {
-        keywords: ['다음 페이지', '넘어가기', '다음'],
+        ...text('nextPage'),
         action: async () => this.handleNavigation('next'),
-        description: '다음 페이지로 이동',
         category: 'navigation'
       },
       {
-        keywords: ['이전 페이지', '뒤로가기', '이전'],
+        ...text('previousPage'),
         action: async () => this.handleNavigation('previous'),
-        description: '이전 페이지로 이동',
         category: 'navigation'
       },
       {
-        keywords: ['위로', '맨 위로', '상단으로'],
+        ...text('scrollTop'),
         action: async () => window.scrollTo({ top: 0, behavior: 'smooth' }),
-        description: '페이지 상단으로 스크롤',
         category: 'navigation'
       },
       {
-        keywords: ['아래로', '맨 아래로', '하단으로'],
+        ...text('scrollBottom'),
         action: async () => window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' }),
-        description: '페이지 하단으로 스크롤',
         category: 'navigation'
+      },
+      // 제목·영역 단위 이동
+      {
+        ...text('nextHeading'),
+        action: async () => this.handleHeadingMove('next'),
+        category: 'navigation',
+        silent: true
+      },
+      {
+        ...text('previousHeading'),
+        action: async () => this.handleHeadingMove('previous'),
+        category: 'navigation',
+        silent: true
+      },
+      {
+        ...text('goToMain'),
+        action: async () => this.handleLandmarkMove('main', 'landmarkMain'),
+        category: 'navigation',
+        silent: true
+      },
+      {
+        ...text('goToNavigation'),
+        action: async () => this.handleLandmarkMove('navigation', 'landmarkNavigation'),
+        category: 'navigation',
+        silent: true
+      },
+      {
+        ...text('goToFooter'),
+        action: async () => this.handleLandmarkMove('contentinfo', 'landmarkContentinfo'),
+        category: 'navigation',
+        silent: true
+      },
+      // 쓰임새로 찾는 요소 (검색창, 메뉴 버튼, 대화상자 닫기)
+      {
+        ...text('focusSearch'),
+        action: async () => this.handleFocusSearch(),
+        category: 'interaction',
+        silent: true
+      },
+      {
+        ...text('openMenu'),
+        action: async () => this.handleOpenMenu(),
+        category: 'interaction',
+        silent: true
+      },
+      {
+        ...text('closeDialog'),
+        action: async () => this.handleCloseDialog(),
+        category: 'interaction',
+        silent: true
+      },
+      // 번호 오버레이
+      {
+        ...text('showNumbers'),
+        action: async () => this.handleShowNumbers(),
+        category: 'interaction',
+        silent: true
+      },
+      {
+        ...text('hideNumbers'),
+        action: async () => this.handleHideNumbers(),
+        category: 'interaction',
+        silent: true
+      },
+      {
+        ...text('clickNumber'),
+        slots: { number: 'number' },
+        action: async (params: { number: number }) => this.handleNumberedClick(params.number),
+        category: 'interaction',
+        silent: true
+      },
+      {
+        ...text('fillNumber'),
+        slots: { number: 'number' },
+        action: async (params: { number: number, value?: string }) => this.handleNumberedInput(params.number, params.value),
+        category: 'form',
+        silent: true
+      },
+      // 입력 양식 안내
+      {
+        ...text('nextField'),
+        action: async () => this.handleNextField(),
+        category: 'form',
+        silent: true
+      },
+      {
+        ...text('emptyFields'),
+        action: async () => this.handleEmptyFields(),
+        category: 'form',
+        silent: true
+      },
+      {
+        ...text('formErrors'),
+        action: async () => this.handleFormErrors(),
+        category: 'form',
+        silent: true
+      },
+      // 본문 읽기 — 읽기는 뒤에서 계속되고 명령은 바로 끝난다
+      {
+        ...text('readPage'),
+        action: async () => this.handleReadPage('full'),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('summarizePage'),
+        action: async () => this.handleReadPage('summary'),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('pauseReading'),
+        action: async () => this.handlePauseReading(),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('resumeReading'),
+        action: async () => this.handleResumeReading(),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('nextParagraph'),
+        action: async () => this.handleNextParagraph(),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('restartReading'),
+        action: async () => this.handleRestartReading(),
+        category: 'system',
+        silent: true
+      },
+      // 표 읽기
+      {
+        ...text('readTable'),
+        action: async () => this.handleReadTable(),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('nextRow'),
+        action: async () => this.handleTableRow(this.tableReader.position + 1),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('previousRow'),
+        action: async () => this.handleTableRow(this.tableReader.position - 1),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('readRow'),
+        action: async (params: { row: string }) => this.handleReadRow(params.row),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('readColumn'),
+        action: async (params: { column: string }) => this.handleReadColumn(params.column),
+        category: 'system',
+        silent: true
+      },
+      // 시스템 제어
+      {
+        ...text('repeat'),
+        action: async () => this.handleRepeat(),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('stop'),
+        action: async () => this.voiceEngine.stopSpeaking(),
+        category: 'system',
+        silent: true
+      },
+      {
+        ...text('help'),
+        action: async () => this.handleHelp(),
+        category: 'system',
+        silent: true
       }
     ]
-  }  async processCommand(transcript: string): Promise<CommandResult> {
-    // 1. 복합 명령어 분석 ("확인, 아니 취소")
-    const parsed = this.cancellationManager.parseCompoundCommand(transcript)
-    
-    // 2. 취소 명령 우선 처리
-    if (parsed.hasCancellation) {
-      this.visualFeedback.showInstantFeedback('🚫 취소 처리 중...', { type: 'warning' })
-      
-      const undoSuccess = await this.cancellationManager.handleCancellation()
-      if (undoSuccess) {
-        await this.voiceEngine.speak('이전 상태로 되돌렸습니다')
-        return {
-          success: true,
-          message: '취소 완료'
+  }
+
+  async processCommand(transcript: string): Promise<CommandResult> {
+    // 0. 확인 질문에 대한 대답 — "아니요" 가 되돌리기로 처리되지 않도록 취소 분석보다 먼저
+    if (this.confirmation.isPending()) {
+      return await this.handleConfirmationAnswer(transcript)
+    }
+
+    // 0-1. 명령이 던진 질문에 대한 답 ("무엇을 찾으시나요?" → "혈압약")
+    if (this.dialog.isAwaitingAnswer()) {
+      return await this.dialog.handleAnswer(transcript)
+    }
+
+    // 0-2. 복합 발화는 단계별로 나눠 차례로 실행
+    const steps = await this.compoundSteps(transcript)
+    if (steps) {
+      return await this.processSteps(steps)
+    }
+
+    return await this.processSingleCommand(transcript)
+  }
+
+  private async processSingleCommand(transcript: string): Promise<CommandResult> {
+    const context: MiddlewareContext = { transcript, originalTranscript: transcript, state: {} }
+
+    // 1. 매칭 전 미들웨어 — 기본: 취소 처리("확인, 아니 취소"), 즉시 시각적 피드백
+    const beforeStop = await this.middleware.run('beforeMatch', context)
+    if (beforeStop) return await this.finishStopped(beforeStop, context)
+
+    // 2. 명령 채점 — 모든 후보를 채점해 가장 잘 맞는 명령 하나만 고른다
+    // (매처가 키워드 비교용으로 직접 소문자화하므로, 슬롯 값의 대소문자를 지키려 원문을 넘긴다)
+    // 마크업에 단 명령(data-voice-command)은 지금 화면에 있는 요소 것만 후보가 되도록 다시 모은다
+    await this.annotatedCommands.sync()
+    const commandText = context.transcript.trim()
+    const activeCommands = this.getAvailableCommands({ activeOnly: true })
+    const candidates = this.matcher.rank(commandText, activeCommands).slice(0, CommandRouter.MAX_CANDIDATES)
+    const best = this.matcher.findBest(commandText, activeCommands)
+    context.match = best
+
+    // 3. 실행 전 미들웨어 — 권한 확인·요청 제한 등이 여기서 거부한다
+    const matchStop = await this.middleware.run('afterMatch', context)
+    if (matchStop) return await this.finishStopped(matchStop, context)
+
+    context.result = await this.executeMatched(commandText, best, candidates)
+
+    // 4. 실행 후 미들웨어 — 결과를 고치거나 기록한다
+    const executeStop = await this.middleware.run('afterExecute', context)
+    if (executeStop) return await this.finishStopped(executeStop, context)
+    return context.result
+  }
+
+  private async executeMatched(commandText: string, best: CommandMatch | null, candidates: CommandMatch[]): Promise<CommandResult> {
+    // 선택 메뉴·체크박스·날짜 칸 ("성별 여자로 선택", "예약일 다음 주 화요일"), 폼 작성 ("이름은 홍길동")
+    // — 값 안의 단어("다음 주")가 키워드로 오인되지 않도록 명령보다 먼저 본다.
+    // 다만 명령이 확실히 맞았으면("번호 꺼줘", "3번 선택해줘") 칸 이름을 그대로 말한 경우만 칸을 바꾼다
+    const confident = !!best && best.score >= CommandRouter.CONFIDENT_MATCH
+    const controlResult = await this.tryControlInput(commandText, confident)
+    if (controlResult) return controlResult
+
+    const formResult = await this.tryFormFill(commandText, confident)
+    if (formResult) return formResult
+
+    if (best) {
+      const result = await this.executeCommand(best.command, best.params)
+      return { ...result, confidence: best.score, candidates }
+    }
+
+    // 동적 요소 상호작용 시도
+    const interaction = await this.tryElementInteraction(commandText.toLowerCase())
+    return { ...interaction, candidates }
+  }
+
+  // 미들웨어가 멈춘 경우: 거부면 이유를 말해주고, 직접 응답이면 그 결과로 끝낸다
+  private async finishStopped(stop: PipelineStop, context: MiddlewareContext): Promise<CommandResult> {
+    if (stop.type === 'respond') return stop.result
+
+    await this.voiceEngine.speak(stop.reason)
+    return {
+      success: false,
+      message: stop.reason,
+      vetoedBy: stop.middleware,
+      confidence: context.match?.score
+    }
+  }
+
+  // 기본 미들웨어: 되돌리기 요청을 먼저 처리하고, 아니면 취소 표현을 걷어낸 발화로 바꾼다
+  private cancellationMiddleware(): CommandMiddleware {
+    return {
+      name: 'cancellation',
+      beforeMatch: async (context) => {
+        const parsed = this.cancellationManager.parseCompoundCommand(context.transcript)
+
+        if (!parsed.hasCancellation) {
+          context.transcript = parsed.finalCommand
+          return
         }
-      } else {
-        await this.voiceEngine.speak('되돌릴 수 없습니다')
-        return {
-          success: false,
-          message: '되돌리기 실패'
+
+        this.visualFeedback.showInstantFeedback(this.messages.t('feedbackUndoing'), { type: 'warning' })
+
+        const undoSuccess = await this.cancellationManager.handleCancellation()
+        if (undoSuccess) {
+          await this.voiceEngine.speak(this.messages.t('undoDone'))
+          return { type: 'respond', result: { success: true, message: this.messages.t('resultUndoDone') } }
         }
+        await this.voiceEngine.speak(this.messages.t('undoFailed'))
+        return { type: 'respond', result: { success: false, message: this.messages.t('resultUndoFailed') } }
       }
     }
+  }
 
-    const normalizedTranscript = parsed.finalCommand.toLowerCase().trim()
-    
-    // 3. 즉시 시각적 피드백
-    this.visualFeedback.showInstantFeedback(`🎤 "${normalizedTranscript}" 처리중`)
-    
-    // 4. 기본 명령어 처리
-    for (const command of this.commands) {
-      for (const keyword of command.keywords) {
-        if (normalizedTranscript.includes(keyword.toLowerCase())) {
-          try {
-            // 액션 기록 (되돌리기용)
-            const actionId = this.cancellationManager.recordAction(command.description)
-            
-            await command.action()
-            this.visualFeedback.showInstantFeedback('✅ 완료', { type: 'success' })
-            await this.voiceEngine.speak(`${command.description}을 완료했습니다`)
-            
-            return {
-              success: true,
-              message: command.description,
-              executedCommand: command
-            }
-          } catch (error) {
-            this.visualFeedback.showInstantFeedback('❌ 실패', { type: 'error' })
-            return {
-              success: false,
-              message: `명령 실행 중 오류가 발생했습니다: ${error}`
-            }
+  // 기본 미들웨어: 알아들은 말을 즉시 화면에 보여준다
+  private visualFeedbackMiddleware(): CommandMiddleware {
+    return {
+      name: 'visual-feedback',
+      beforeMatch: (context) => {
+        this.visualFeedback.showInstantFeedback(this.messages.t('feedbackProcessing', { transcript: context.transcript.toLowerCase().trim() }))
+      }
+    }
+  }
+
+  // "하고", "그리고", "다음에", "그다음" 으로 이어진 절 나누기. 빈 절이 생기면 나누지 않는다
+  // 발화 전체가 명령이면("검색하고 싶어") 나누지 않고, 나눈 절이 모두 명령·화면 요소·입력칸으로
+  // 풀릴 때만 단계로 나눈다. 나누지 않으면 null
+  private async compoundSteps(transcript: string): Promise<string[] | null> {
+    const clauses = this.splitCompoundUtterance(transcript)
+    if (clauses.length < 2) return null
+
+    const commands = this.getAvailableCommands({ activeOnly: true })
+    const whole = this.matcher.findBest(transcript.trim(), commands)
+    if (whole && whole.score >= CommandRouter.CONFIDENT_MATCH) return null
+
+    const elements = await this.domAnalyzer.scanPage()
+    return clauses.every(clause => this.clauseResolves(clause, commands, elements)) ? clauses : null
+  }
+
+  private clauseResolves(clause: string, commands: VoiceCommand[], elements: ElementMap): boolean {
+    if (this.matcher.findBest(clause, commands)) return true
+    if (this.formFiller.parseUtterance(clause).some(request => this.formFiller.resolveField(elements.inputs, request.field))) return true
+
+    const { name, verb } = this.interactionTarget(clause.toLowerCase())
+    if (this.spatialResolver.parse(name)) return true
+    if (verb) {
+      const all = [...elements.buttons, ...elements.links, ...elements.inputs, ...elements.forms, ...elements.navigation]
+      return this.elementMatcher.match(all, name).length > 0
+    }
+    return [...elements.buttons, ...elements.links].some(elem => this.elementMatcher.isExact(elem, name))
+  }
+
+  private splitCompoundUtterance(transcript: string): string[] {
+    const clauses = transcript
+      .trim()
+      .split(/\s*하고\s+|\s+(?:그리고|그\s?다음에?|다음에)\s+/)
+      .map(clause => clause.trim())
+
+    return clauses.some(clause => clause.length === 0) ? [transcript] : clauses
+  }
+
+  private async processSteps(steps: string[]): Promise<CommandResult> {
+    const results: CommandResult[] = []
+
+    for (let i = 0; i < steps.length; i++) {
+      this.visualFeedback.showInstantFeedback(this.messages.t('feedbackStep', { current: i + 1, total: steps.length, step: steps[i] }))
+      const result = await this.processSingleCommand(steps[i])
+      results.push(result)
+
+      if (!result.success) {
+        const message = this.messages.t('stepFailed', { number: i + 1, step: steps[i] })
+        await this.voiceEngine.speak(message)
+        return { success: false, message, steps: results, failedStep: i }
+      }
+
+      // 다음 단계 전에 화면 전환·렌더링이 끝나기를 기다린다
+      if (i < steps.length - 1) {
+        await this.domAnalyzer.waitForSettle()
+      }
+    }
+
+    return {
+      success: true,
+      message: this.messages.t('stepsDone', { count: steps.length }),
+      steps: results
+    }
+  }
+
+  private async executeCommand(command: VoiceCommand, params?: any): Promise<CommandResult> {
+    try {
+      if (command.confirmRequired) {
+        const outcome = await this.requestConfirmation(
+          command.confirmPrompt || this.messages.t('confirmPrompt', { description: command.description })
+        )
+        if (outcome !== 'confirmed') {
+          return {
+            success: false,
+            message: this.messages.t(outcome === 'declined' ? 'resultCommandDeclined' : 'resultCommandTimeout'),
+            confirmation: outcome
           }
         }
       }
+
+      // 액션 기록 (되돌리기용)
+      this.cancellationManager.recordAction(command.description)
+      
+      await command.action(params)
+      this.visualFeedback.showInstantFeedback(this.messages.t('feedbackDone'), { type: 'success' })
+      if (!command.silent) {
+        await this.voiceEngine.speak(this.messages.t('commandDone', { description: command.description }))
+      }
+      
+      return {
+        success: true,
+        message: command.description,
+        executedCommand: command,
+        confirmation: command.confirmRequired ? 'confirmed' : undefined
+      }
+    } catch (error) {
+      this.visualFeedback.showInstantFeedback(this.messages.t('feedbackFailed'), { type: 'error' })
+      return {
+        success: false,
+        message: this.messages.t('resultCommandError', { error: String(error) })
+      }
+    }
+  }
+
+  private async requestConfirmation(prompt: string): Promise<ConfirmationOutcome> {
+    const outcome = this.confirmation.request()
+    this.visualFeedback.showInstantFeedback(this.messages.t('feedbackAwaitingConfirm'), { type: 'warning' })
+    try {
+      // speak 는 말하기 시작하면 끝나므로, 질문을 다 읽은 뒤에 듣기와 대답 시간을 시작한다
+      await this.voiceEngine.speak(prompt)
+      await this.voiceEngine.waitForSpeechEnd()
+      await this.voiceEngine.startListening()
+    } finally {
+      this.confirmation.startTimer()
+    }
+
+    const result = await outcome
+    if (result === 'declined') {
+      await this.voiceEngine.speak(this.messages.t('confirmDeclined'))
+    } else if (result === 'timeout') {
+      await this.voiceEngine.speak(this.messages.t('confirmTimeout'))
+    }
+    return result
+  }
+
+  private async handleConfirmationAnswer(transcript: string): Promise<CommandResult> {
+    const answer = this.confirmation.handleAnswer(transcript)
+
+    if (answer === 'unclear') {
+      try {
+        await this.voiceEngine.speak(this.messages.t('confirmUnclear'))
+        await this.voiceEngine.waitForSpeechEnd()
+        await this.voiceEngine.startListening()
+      } finally {
+        this.confirmation.startTimer()
+      }
+      return {
+        success: false,
+        message: this.messages.t('resultConfirmUnclear')
+      }
+    }
+
+    return {
+      success: true,
+      message: this.messages.t(answer === 'yes' ? 'resultConfirmYes' : 'resultConfirmNo')
+    }
+  }
+
+  private async tryControlInput(transcript: string, requireFieldName: boolean): Promise<CommandResult | null> {
+    const elements = await this.domAnalyzer.scanPage()
+    // 접힌 곳의 칸은 몰래 바꾸지 않는다
+    const inputs = elements.inputs.filter(input => input.visibility !== 'collapsed')
+    const resolution = this.controlInput.resolve(inputs, transcript, requireFieldName)
+    if (!resolution) return null
+
+    // 바꾸기 전에 칸을 보여 준다 — 사용자가 어느 칸이 바뀌는지 보고 듣는다
+    if (resolution.status === 'ready') await this.presentTarget(resolution.change.element.element)
+    const outcome = resolution.status === 'ready' ? this.controlInput.commit(resolution) : resolution
+    if (outcome.status !== 'changed') {
+      const message = this.controlFailureMessage(outcome)
+      await this.voiceEngine.speak(message)
+      return { success: false, message }
+    }
+
+    this.visualFeedback.showInstantFeedback(this.messages.t('feedbackFilled'), { type: 'success' })
+    const message = this.controlChangeMessage(outcome.change)
+    await this.voiceEngine.speak(message)
+    return { success: true, message }
+  }
+
+  // 바꾼 것을 그대로 읽어 준다 — "성별을 여자로 선택했습니다", "예약일을 10월 27일 화요일로 정했습니다"
+  private controlChangeMessage(change: ControlChange): string {
+    switch (change.kind) {
+      case 'select':
+      case 'radio':
+        return this.messages.t('controlChosen', { field: change.field, option: change.value })
+      case 'checkbox':
+        return this.messages.t(change.checked ? 'controlChecked' : 'controlUnchecked', { label: change.field })
+      case 'switch':
+        return this.messages.t(change.checked ? 'controlSwitchedOn' : 'controlSwitchedOff', { label: change.field })
+      default:
+        return this.messages.t('controlValueSet', { field: change.field, value: this.messages.formatDateTime(change.value) })
+    }
+  }
+
+  private controlFailureMessage(outcome: Exclude<ControlOutcome, { status: 'changed' }>): string {
+    if (outcome.status === 'unknown-value') {
+      return this.messages.t('controlValueInvalid', { field: outcome.field, value: outcome.value })
+    }
+    if (outcome.status === 'rejected') {
+      return this.messages.t('formRejected', { field: outcome.field, value: outcome.value })
+    }
+    return this.messages.t('controlOptionMissing', {
+      field: outcome.field,
+      option: outcome.option,
+      options: outcome.options.join(', ')
+    })
+  }
+
+  private async tryFormFill(transcript: string, requireFieldName: boolean): Promise<CommandResult | null> {
+    if (this.formFiller.parseUtterance(transcript).length === 0) return null
+
+    const elements = await this.domAnalyzer.scanPage()
+    // 접힌 곳의 칸에는 몰래 입력하지 않는다
+    const inputs = elements.inputs.filter(input => input.visibility !== 'collapsed')
+    const filled = this.formFiller.resolve(inputs, transcript, requireFieldName)
+    if (!filled) return null
+
+    await this.presentTarget(filled.element.element)
+    if (!this.formFiller.commit(filled)) {
+      const message = this.messages.t('formRejected', { field: filled.field, value: filled.value })
+      await this.voiceEngine.speak(message)
+      return { success: false, message }
+    }
+    this.visualFeedback.showInstantFeedback(this.messages.t('feedbackFilled'), { type: 'success' })
+    const message = this.messages.t('formFilled', { field: filled.field, value: filled.value })
+    await this.voiceEngine.speak(message)
+
+    return {
+      success: true,
+      message
     }
-    
-    // 5. 동적 요소 상호작용 시도
-    return await this.tryElementInteraction(normalizedTranscript)
   }
 
   private async tryElementInteraction(transcript: string): Promise<CommandResult> {
     const elements = await this.domAnalyzer.scanPage()
+    const { name: targetName, verb } = this.interactionTarget(transcript)
+
+    if (verb) {
+      const spatial = await this.trySpatialReference(targetName, elements)
+      if (spatial) return spatial
+
+      const allElements = [
+        ...elements.buttons,
+        ...elements.links,
+        ...elements.inputs,
+        ...elements.forms,
+        ...elements.navigation
+      ]
+      const resolution = this.elementMatcher.resolve(allElements, targetName)
+
+      if (resolution.status === 'unique') {
+        return this.clickElement(resolution.element)
+      }
+      if (resolution.status === 'ambiguous') {
+        return await this.disambiguate(targetName, resolution.candidates)
+      }
+    } else {
+      // 동사 없이 이름만 말한 경우 ("로그인하고 …" 의 "로그인") — 라벨이 정확히 같은 요소만
+      const spatial = await this.trySpatialReference(targetName, elements)
+      if (spatial) return spatial
+
+      const resolution = this.elementMatcher.resolve([...elements.buttons, ...elements.links], targetName)
+      const isExact = (elem: InteractiveElement) => this.elementMatcher.isExact(elem, targetName)
+
+      if (resolution.status === 'unique' && isExact(resolution.element)) {
+        return this.clickElement(resolution.element)
+      }
+      if (resolution.status === 'ambiguous' && isExact(resolution.candidates[0])) {
+        return await this.disambiguate(targetName, resolution.candidates)
+      }
+    }
     
-    // "X 클릭해줘" 패턴 매칭
-    const clickMatch = transcript.match(/(.*?)\s*(?:클릭|눌러|선택)/)
-    if (clickMatch) {
-      const targetName = clickMatch[1].trim()
-      const element = this.findElementByName(elements, targetName)
-      
-      if (element) {
-        element.element.click()
+    return {
+      success: false,
+      message: this.messages.t('notUnderstood')
+    }
+  }
+
+  // "X 클릭해줘" / "X로 가줘" / "click X" 의 X. 누르기 동사가 없으면 발화 전체를 이름으로
+  private interactionTarget(transcript: string): { name: string, verb: boolean } {
+    const clickMatch = transcript.trim().match(this.messages.patterns.click)
+    return clickMatch ? { name: clickMatch[1].trim(), verb: true } : { name: transcript.trim(), verb: false }
+  }
+
+  // "세 번째 링크", "오른쪽 위 버튼" — 이름 대신 순서·위치로 가리킨 경우. 위치 지칭이 아니면 null
+  private async trySpatialReference(targetName: string, elements: ElementMap): Promise<CommandResult | null> {
+    const reference = this.spatialResolver.parse(targetName)
+    if (!reference) return null
+
+    const target = this.spatialResolver.resolve(reference, elements, {
+      width: window.innerWidth,
+      height: window.innerHeight
+    })
+    if (!target) {
+      return {
+        success: false,
+        message: this.messages.t('elementNotFound', { target: targetName })
+      }
+    }
+    return this.clickElement(target)
+  }
+
+  // 누르기 전에 요소를 보이게 하고 강조한다 (화면 밖이면 스크롤, 접힌 메뉴면 펼침)
+  // data-voice-confirm 이 달린 요소는 먼저 묻는다
+  private async clickElement(element: InteractiveElement): Promise<CommandResult> {
+    if (element.confirmRequired) {
+      const outcome = await this.requestConfirmation(this.elementConfirmPrompt(element))
+      if (outcome !== 'confirmed') {
         return {
-          success: true,
-          message: `${element.description}을 클릭했습니다`
+          success: false,
+          message: this.messages.t(outcome === 'declined' ? 'resultCommandDeclined' : 'resultCommandTimeout'),
+          confirmation: outcome
         }
       }
     }
-    
+    return await this.pressElement(element)
+  }
+
+  private async pressElement(element: InteractiveElement): Promise<CommandResult> {
+    if (!(await this.presentTarget(element.element))) {
+      const message = this.messages.t('elementRevealFailed', { description: element.description })
+      await this.voiceEngine.speak(message)
+      return { success: false, message }
+    }
+
+    element.element.click()
     return {
-      success: false,
-      message: '명령을 이해하지 못했습니다'
-    }
-  }  private findElementByName(elements: any, targetName: string): InteractiveElement | null {
-    const allElements = [
-      ...elements.buttons,
-      ...elements.links,
-      ...elements.inputs,
-      ...elements.forms,
-      ...elements.navigation
-    ]
-    
-    return allElements.find(elem => 
-      elem.label.toLowerCase().includes(targetName) ||
-      elem.description.toLowerCase().includes(targetName)
-    ) || null
+      success: true,
+      message: this.messages.t('elementClicked', { description: element.description })
+    }
+  }
+
+  private elementConfirmPrompt(element: InteractiveElement): string {
+    return element.confirmPrompt || this.messages.t('confirmPrompt', { description: element.description })
+  }
+
+  // data-voice-command 로 단 명령 — 말하면 그 요소를 누른다 (확인은 executeCommand 가 묻는다)
+  private annotatedCommand(element: InteractiveElement): VoiceCommand {
+    return {
+      keywords: element.voiceCommands || [],
+      description: element.voiceCommands?.[0] || element.label,
+      category: 'interaction',
+      confirmRequired: element.confirmRequired,
+      confirmPrompt: element.confirmRequired ? this.elementConfirmPrompt(element) : undefined,
+      action: async () => {
+        const result = await this.pressElement(element)
+        if (!result.success) throw new Error(result.message)
+      }
+    }
+  }
+
+  // 요소를 보이게 하고 강조한다. 펼치지 못하면 false
+  private async presentTarget(element: HTMLElement): Promise<boolean> {
+    const outcome = await this.domAnalyzer.bringIntoView(element)
+    if (outcome === 'failed') return false
+
+    this.visualFeedback.highlightElement(element)
+    // 스크롤·펼침 애니메이션이 끝나 무엇을 누르는지 볼 수 있도록 잠깐 기다린다
+    if (outcome !== 'visible') {
+      await new Promise(resolve => setTimeout(resolve, CommandRouter.PREVIEW_DELAY))
+    }
+    return true
+  }
+
+  // 같은 이름의 요소가 여럿이면 번호를 붙여 보여주고 "몇 번째" 인지 묻는다
+  private async disambiguate(name: string, candidates: InteractiveElement[]): Promise<CommandResult> {
+    const shown = candidates.slice(0, CommandRouter.MAX_DISAMBIGUATION)
+    this.visualFeedback.showNumberBadges(shown.map(candidate => candidate.element))
+
+    const options = shown.map((candidate, index) => this.messages.t('disambiguationOption', {
+      ordinal: this.messages.formatOrdinal(index + 1),
+      location: this.messages.t(REGION_MESSAGES[this.domAnalyzer.locateElement(candidate.element)]),
+      label: candidate.label
+    }))
+    const question = [
+      this.messages.t('disambiguationIntro', { name, count: this.messages.formatCount(candidates.length) }),
+      ...(candidates.length > shown.length ? [this.messages.t('disambiguationMore', { count: this.messages.formatCount(shown.length) })] : []),
+      ...options,
+      this.messages.t('disambiguationAsk')
+    ].join(' ')
+
+    let chosen: InteractiveElement | null = null
+    let prompt = question
+
+    try {
+      // 범위 밖 번호를 말하면 한 번 더 묻는다
+      for (let attempt = 0; attempt < 2 && !chosen; attempt++) {
+        const outcome = await this.dialog.ask(prompt, (answer) => {
+          const ordinal = this.messages.parseOrdinal(answer)
+          const index = ordinal === -1 ? shown.length - 1 : (ordinal ?? 0) - 1
+          if (index < 0 || index >= shown.length) {
+            return { success: false, message: this.messages.t('resultCandidateInvalid', { answer }) }
+          }
+          chosen = shown[index]
+          return { success: true, message: this.messages.t('resultCandidateChosen', { ordinal: this.messages.formatOrdinal(index + 1) }) }
+        }, { reprompt: this.messages.t('disambiguationReprompt') })
+
+        if (outcome !== 'answered') break
+        prompt = this.messages.t('disambiguationRange', { last: this.messages.formatOrdinal(shown.length) })
+      }
+    } finally {
+      // 번호 오버레이가 켜져 있었으면 후보 번호 대신 원래 번호로 되돌린다
+      if (this.numberOverlay.isActive()) {
+        await this.numberOverlay.show()
+      } else {
+        this.visualFeedback.clearNumberBadges()
+      }
+    }
+
+    if (!chosen) {
+      return {
+        success: false,
+        message: this.messages.t('resultSelectionUnfinished', { name })
+      }
+    }
+    return this.clickElement(chosen)
+  }
+
+  private async handleShowNumbers(): Promise<void> {
+    const count = await this.numberOverlay.show()
+    if (count === 0) {
+      this.numberOverlay.hide()
+      await this.voiceEngine.speak(this.messages.t('numbersNone'))
+      return
+    }
+    await this.voiceEngine.speak(this.messages.t('numbersShown', { count }))
+  }
+
+  private async handleHideNumbers(): Promise<void> {
+    this.numberOverlay.hide()
+    await this.voiceEngine.speak(this.messages.t('numbersHidden'))
+  }
+
+  // 안내를 말한 뒤 같은 문장으로 명령을 실패시킨다 (executeCommand 가 실패 결과로 바꾼다)
+  private async failWithSpeech(message: string): Promise<never> {
+    await this.voiceEngine.speak(message)
+    throw new Error(message)
+  }
+
+  // 오버레이가 꺼져 있거나 없는 번호면 안내하고 실패로 끝낸다
+  private async numberedElement(number: number): Promise<InteractiveElement> {
+    if (!this.numberOverlay.isActive()) {
+      return await this.failWithSpeech(this.messages.t('numbersOff'))
+    }
+
+    const target = this.numberOverlay.getElement(number)
+    if (!target) {
+      return await this.failWithSpeech(this.messages.t('numberMissing', { number, count: this.numberOverlay.count }))
+    }
+    return target
+  }
+
+  private async handleNumberedClick(number: number): Promise<void> {
+    const target = await this.numberedElement(number)
+    const result = await this.clickElement(target)
+    if (!result.success) throw new Error(result.message)
+    await this.voiceEngine.speak(this.messages.t('numberClicked', { number }))
+  }
+
+  // 값을 함께 말하지 않으면 칸에 커서를 두고 무엇을 입력할지 묻는다
+  private async handleNumberedInput(number: number, value?: string): Promise<void> {
+    const target = await this.numberedElement(number)
+    const element = target.element as HTMLInputElement
+
+    if (!('value' in element)) {
+      await this.failWithSpeech(this.messages.t('numberNotInput', { number }))
+    }
+
+    const write = async (spoken: string) => {
+      const kind = this.formFiller.detectFieldKind(element, target.label)
+      const normalized = this.formFiller.normalizeValue(spoken, kind)
+      this.formFiller.writeValue(element, normalized)
+      this.visualFeedback.highlightElement(element)
+      await this.voiceEngine.speak(this.messages.t('numberFilled', { number, value: normalized }))
+    }
+
+    if (value) {
+      await write(value)
+      return
+    }
+
+    element.focus()
+    void this.dialog.ask(this.messages.t('numberAskValue', { number }), async (answer) => {
+      await write(answer)
+      return { success: true, message: this.messages.t('numberFilled', { number, value: answer }) }
+    })
+  }
+
+  private async handleHeadingMove(direction: 'next' | 'previous'): Promise<void> {
+    const move = this.structure.moveHeading(direction)
+    if (move.status !== 'moved') {
+      const reasons: { [status in typeof move.status]: MessageKey } = {
+        none: 'readingNoHeadings',
+        first: 'headingFirst',
+        last: 'headingLast'
+      }
+      return await this.failWithSpeech(this.messages.t(reasons[move.status]))
+    }
+
+    this.visualFeedback.highlightElement(move.heading.element)
+    await this.voiceEngine.speak(this.messages.t('headingAnnounce', { text: move.heading.text }))
+  }
+
+  private async handleLandmarkMove(kind: LandmarkKind, regionName: MessageKey): Promise<void> {
+    const region = this.messages.t(regionName)
+    const landmark = this.structure.moveToLandmark(kind)
+    if (!landmark) {
+      return await this.failWithSpeech(this.messages.t('landmarkMissing', { region }))
+    }
+
+    this.visualFeedback.highlightElement(landmark.element)
+    await this.voiceEngine.speak(this.messages.t('landmarkMoved', { region }))
+  }
+
+  private async handleReadTable(): Promise<void> {
+    const table = this.tableReader.open(this.domAnalyzer.scanTables(), window.innerHeight)
+    if (!table) {
+      return await this.failWithSpeech(this.messages.t('tableNone'))
+    }
+
+    const sentences = this.tableReader.introduction()
+    this.visualFeedback.highlightElement(table.element)
+    await this.voiceEngine.speakSequence(sentences)
+  }
+
+  // 입력 중인 칸이 든 양식을 (없으면 안내하던 양식, 화면의 양식을) 새로 읽어 연다
+  private async openForm(): Promise<void> {
+    if (!this.formReader.open(this.domAnalyzer.scanForms(), document.activeElement, window.innerHeight)) {
+      await this.failWithSpeech(this.messages.t('formNone'))
+    }
+  }
+
+  // 다음 칸으로 옮겨 이름·필수 여부·지금 값을 알린다
+  private async handleNextField(): Promise<void> {
+    await this.openForm()
+    const field = this.formReader.nextField(document.activeElement)
+    if (!field) {
+      return await this.failWithSpeech(this.messages.t('formLastField'))
+    }
+
+    if (!(await this.presentTarget(field.element))) {
+      return await this.failWithSpeech(this.messages.t('elementRevealFailed', { description: field.label }))
+    }
+    field.element.focus()
+    await this.voiceEngine.speak(this.formReader.describeField(field))
+  }
+
+  private async handleEmptyFields(): Promise<void> {
+    await this.openForm()
+    await this.voiceEngine.speakSequence(this.formReader.emptyFields())
+  }
+
+  // 제출에 실패한 뒤 "뭐가 틀렸어?" — 틀린 칸의 오류 문구를 읽고 첫 틀린 칸으로 옮긴다
+  private async handleFormErrors(): Promise<void> {
+    await this.openForm()
+    const [first] = this.formReader.invalidFields()
+    if (first) {
+      this.visualFeedback.highlightElement(first.element)
+      first.element.focus()
+    }
+    await this.voiceEngine.speakSequence(this.formReader.errors())
+  }
+
+  // "다음 줄" 등을 "표 읽어줘" 없이 말해도 화면의 표를 연다
+  private async ensureTable(): Promise<void> {
+    if (this.tableReader.table) return
+    if (!this.tableReader.open(this.domAnalyzer.scanTables(), window.innerHeight)) {
+      await this.failWithSpeech(this.messages.t('tableNone'))
+    }
+  }
+
+  // index(0부터) 줄을 읽는다. 앞뒤로 벗어나면 처음·마지막 줄이라고 알린다
+  private async handleTableRow(index: number): Promise<void> {
+    await this.ensureTable()
+    const sentence = this.tableReader.readRow(index)
+    if (!sentence) {
+      return await this.failWithSpeech(this.messages.t(index < 0 ? 'tableFirstRow' : 'tableLastRow'))
+    }
+
+    this.visualFeedback.highlightElement(this.tableReader.currentRow()!.element)
+    await this.voiceEngine.speak(sentence)
+  }
+
+  // "세 번째 줄", "마지막 줄" — 서수는 언어별로 해석한다
+  private async handleReadRow(row: string): Promise<void> {
+    await this.ensureTable()
+    const count = this.tableReader.table!.rows.length
+    const ordinal = this.messages.parseOrdinal(row)
+    const index = ordinal === -1 ? count - 1 : (ordinal ?? 0) - 1
+
+    if (index < 0 || index >= count) {
+      return await this.failWithSpeech(count === 1
+        ? this.messages.t('tableRowRangeOne')
+        : this.messages.t('tableRowRange', { last: this.messages.formatOrdinal(count) }))
+    }
+    await this.handleTableRow(index)
+  }
+
+  private async handleReadColumn(column: string): Promise<void> {
+    await this.ensureTable()
+    const sentence = this.tableReader.readColumn(column)
+    if (!sentence) {
+      return await this.failWithSpeech(this.messages.t('tableColumnMissing', { column }))
+    }
+    await this.voiceEngine.speak(sentence)
+  }
+
+  private async handleReadPage(mode: ReadingMode): Promise<void> {
+    this.reader.stop()
+    await this.reader.start(mode)
+  }
+
+  private async handlePauseReading(): Promise<void> {
+    if (this.reader.state === 'idle') {
+      await this.failWithSpeech(this.messages.t('readingIdle'))
+    }
+    this.reader.pause()
+    await this.voiceEngine.speak(this.messages.t('readingPaused'))
+  }
+
+  private async handleResumeReading(): Promise<void> {
+    if (this.reader.state === 'idle') {
+      await this.failWithSpeech(this.messages.t('readingIdle'))
+    }
+    this.reader.resume()
+  }
+
+  private async handleNextParagraph(): Promise<void> {
+    if (this.reader.state === 'idle') {
+      await this.failWithSpeech(this.messages.t('readingIdle'))
+    }
+    if (!this.reader.next()) {
+      await this.failWithSpeech(this.messages.t('readingLast'))
+    }
+  }
+
+  // 읽고 있지 않을 때 "처음부터" 는 새로 읽기 시작한다
+  private async handleRestartReading(): Promise<void> {
+    if (!this.reader.restart()) {
+      await this.reader.start()
+    }
+  }
+
+  private async handleRepeat(): Promise<void> {
+    const lastSpoken = this.voiceEngine.lastSpokenTexts
+    if (lastSpoken.length === 0) {
+      await this.voiceEngine.speak(this.messages.t('repeatNothing'))
+      return
+    }
+    await this.voiceEngine.speakSequence(lastSpoken)
+  }
+
+  private async handleHelp(): Promise<void> {
+    const chunks = this.buildHelpChunks(this.getAvailableCommands({ activeOnly: true }))
+    await this.voiceEngine.speakSequence(chunks)
+  }
+
+  // 분류별로 명령을 묶어 한 번에 세 개씩 읽는다 — 한 문장이 길면 따라가기 어렵다
+  buildHelpChunks(commands: VoiceCommand[]): string[] {
+    const chunks = [this.messages.t('helpIntro')]
+
+    for (const category of Object.keys(CommandRouter.CATEGORY_LABELS) as VoiceCommand['category'][]) {
+      const phrases = commands
+        .filter(cmd => cmd.category === category)
+        .map(cmd => this.exampleUtterance(cmd))
+        .filter((phrase): phrase is string => !!phrase)
+
+      for (let i = 0; i < phrases.length; i += CommandRouter.HELP_CHUNK_SIZE) {
+        const group = phrases.slice(i, i + CommandRouter.HELP_CHUNK_SIZE).map(phrase => `"${phrase}"`)
+        chunks.push(this.messages.t('helpGroup', {
+          category: this.messages.t(CommandRouter.CATEGORY_LABELS[category]),
+          phrases: group.join(', ')
+        }))
+      }
+    }
+
+    chunks.push(this.messages.t('helpOutro'))
+    return chunks
   }
 
+  // 명령을 대표하는 말 — 키워드가 없으면 슬롯 템플릿을 "○○" 로 채워 보여준다
+  private exampleUtterance(command: VoiceCommand): string | null {
+    if (command.keywords.length > 0) return command.keywords[0]
+    const pattern = command.patterns?.[0]
+    return pattern ? pattern.replace(/\{\w+\}/g, this.messages.t('slotPlaceholder')) : null
+  }
+
+  // rel="next"·"다음 ›" 처럼 쪽 넘김으로 분류된 버튼·링크를 누른다
   private async handleNavigation(direction: 'next' | 'previous'): Promise<void> {
-    const elements = await this.domAnalyzer.scanPage()
-    
-    if (direction === 'next') {
-      const nextBtn = elements.buttons.find(btn => 
-        ['다음', 'next', '→', '>'].some(keyword => 
-          btn.label.toLowerCase().includes(keyword)
-        )
-      )
-      if (nextBtn) nextBtn.element.click()
-    } else {
-      const prevBtn = elements.buttons.find(btn => 
-        ['이전', 'prev', '←', '<'].some(keyword => 
-          btn.label.toLowerCase().includes(keyword)
-        )
-      )
-      if (prevBtn) prevBtn.element.click()
+    const target = await this.domAnalyzer.findByPurpose(direction === 'next' ? 'next-page' : 'previous-page')
+    if (!target) {
+      return await this.failWithSpeech(this.messages.t(direction === 'next' ? 'nextPageMissing' : 'previousPageMissing'))
+    }
+
+    const result = await this.clickElement(target)
+    if (!result.success) throw new Error(result.message)
+  }
+
+  // 검색창에 커서를 두고 검색어를 물어 입력한 뒤 검색한다
+  private async handleFocusSearch(): Promise<void> {
+    const target = await this.domAnalyzer.findByPurpose('search')
+    if (!target) {
+      return await this.failWithSpeech(this.messages.t('searchMissing'))
+    }
+
+    const field = target.element as HTMLInputElement
+    if (!(await this.presentTarget(field))) {
+      return await this.failWithSpeech(this.messages.t('elementRevealFailed', { description: target.description }))
+    }
+    field.focus()
+
+    void this.dialog.ask(this.messages.t('searchAsk'), async (query) => {
+      this.formFiller.writeValue(field, query)
+      this.submitSearch(field)
+      const message = this.messages.t('searchSubmitted', { query })
+      await this.voiceEngine.speak(message)
+      return { success: true, message }
+    })
+  }
+
+  // 검색 폼이 있으면 제출하고, 없으면 Enter 를 눌러 사이트의 검색 처리에 맡긴다
+  private submitSearch(field: HTMLInputElement): void {
+    const form = field.closest('form')
+    if (form) {
+      form.requestSubmit()
+      return
+    }
+    const enter = { key: 'Enter', code: 'Enter', bubbles: true }
+    field.dispatchEvent(new KeyboardEvent('keydown', enter))
+    field.dispatchEvent(new KeyboardEvent('keyup', enter))
+  }
+
+  private async handleOpenMenu(): Promise<void> {
+    const target = await this.domAnalyzer.findByPurpose('menu-toggle')
+    if (!target) {
+      return await this.failWithSpeech(this.messages.t('menuMissing'))
+    }
+
+    // 이미 펼쳐진 메뉴를 다시 눌러 닫지 않는다
+    if (target.element.getAttribute('aria-expanded') !== 'true') {
+      const result = await this.clickElement(target)
+      if (!result.success) throw new Error(result.message)
+    }
+    await this.voiceEngine.speak(this.messages.t('menuOpened'))
+  }
+
+  private async handleCloseDialog(): Promise<void> {
+    const target = await this.domAnalyzer.findByPurpose('close-dialog')
+    // 접힌 닫기 버튼은 이미 닫힌 대화상자의 것이다
+    if (!target || target.visibility === 'collapsed') {
+      return await this.failWithSpeech(this.messages.t('dialogMissing'))
     }
+
+    const result = await this.clickElement(target)
+    if (!result.success) throw new Error(result.message)
+    await this.voiceEngine.speak(this.messages.t('dialogClosed'))
+  }
+
+  // 질문하고 다음 발화를 답으로 받는다 (다중 턴 대화)
+  ask(question: string, handler: DialogAnswerHandler, options?: AskOptions): Promise<DialogOutcome> {
+    return this.dialog.ask(question, handler, options)
+  }
+
+  cancelDialog(): void {
+    this.dialog.cancel()
+    this.confirmation.cancel()
+    this.numberOverlay.hide()
+    this.reader.stop()
+  }
+
+  getDialogState(): DialogState {
+    return this.dialog.state
+  }
+
+  // 미들웨어 추가 — 기본으로 'cancellation', 'visual-feedback' 이 이 순서로 들어 있다
+  use(middleware: CommandMiddleware, position?: MiddlewarePosition): void {
+    this.middleware.use(middleware, position)
+  }
+
+  removeMiddleware(name: string): boolean {
+    return this.middleware.remove(name)
+  }
+
+  getMiddlewareNames(): string[] {
+    return this.middleware.names()
+  }
+
+  // 마크업에 단 명령(data-voice-command)을 페이지 변화에 따라 다시 모은다. 그만 따라가는 함수를 돌려준다
+  watchAnnotatedCommands(): () => void {
+    return this.annotatedCommands.watch()
   }
 
   registerCommand(command: VoiceCommand): void {
@@ -192,7 +1274,47 @@ export class CommandRouter {
     )
   }
 
-  getAvailableCommands(): VoiceCommand[] {
-    return [...this.commands]
+  // 등록한 명령 + 지금 화면의 마크업 명령
+  getAvailableCommands(filter: AvailableCommandsFilter = {}): VoiceCommand[] {
+    let commands = [...this.commands, ...this.annotatedCommands.commands]
+
+    if (filter.category) {
+      commands = commands.filter(cmd => cmd.category === filter.category)
+    }
+    if (filter.activeOnly) {
+      // 페이지 유형은 명령마다 다시 계산하지 않도록 한 번만 구한다
+      let pageType: PageType | null = null
+      const getPageType = () => pageType ?? (pageType = this.domAnalyzer.detectPageType())
+      commands = commands.filter(cmd => this.isInScope(cmd.scope, getPageType))
+    }
+
+    return commands
+  }
+
+  private isInScope(scope: CommandScope | undefined, getPageType: () => PageType): boolean {
+    if (!scope) return true
+
+    if (scope.urlPattern && !this.matchesUrl(scope.urlPattern, window.location.href)) {
+      return false
+    }
+    if (scope.selector && !document.querySelector(scope.selector)) {
+      return false
+    }
+    if (scope.pageType) {
+      const pageTypes = Array.isArray(scope.pageType) ? scope.pageType : [scope.pageType]
+      if (!pageTypes.includes(getPageType())) return false
+    }
+
+    return true
+  }
+
+  private matchesUrl(pattern: string | RegExp, url: string): boolean {
+    if (pattern instanceof RegExp) return pattern.test(url)
+
+    const escaped = pattern
+      .split('*')
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')
+    return new RegExp(escaped).test(url)
   }
 }
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * ConfirmationManager - 음성 예/아니오 확인 단계
+ * confirmRequired 명령 실행 전 "주문하시겠습니까?" 에 대한 다음 발화를 기다린다
+ */
+
+import type { Locale } from './messages'
+
+export type ConfirmationOutcome = 'confirmed' | 'declined' | 'timeout'
+export type ConfirmationAnswer = 'yes' | 'no' | 'unclear'
+
+// 부정어를 먼저 본다 — "아니요"·"안 해요" 에 긍정어 조각이 섞여 있어도 부정으로 판정
+const ANSWER_KEYWORDS: { [locale in Locale]: { no: string[], yes: string[] } } = {
+  'ko-KR': {
+    no: ['아니', '아뇨', '취소', '싫어', '하지 마', '하지마', '안 해', '안해', '그만'],
+    yes: ['네', '예', '응', '맞아', '맞습니다', '좋아', '그래', '확인', '해줘', '해주세요']
+  },
+  'en-US': {
+    no: ['no', 'nope', 'cancel', "don't", 'do not', 'stop'],
+    yes: ['yes', 'yeah', 'yep', 'sure', 'okay', 'ok', 'confirm', 'go ahead', 'do it']
+  }
+}
+
+interface PendingConfirmation {
+  resolve: (outcome: ConfirmationOutcome) => void
+  /** 질문을 다 들려준 뒤에야 센다 (startTimer) */
+  timer?: ReturnType<typeof setTimeout>
+}
+
+export class ConfirmationManager {
+  private pending: PendingConfirmation | null = null
+  private timeoutMs: number
+  private readonly noKeywords: string[]
+  private readonly yesKeywords: string[]
+
+  constructor(timeoutMs: number = 8000, language: Locale = 'ko-KR') {
+    this.timeoutMs = timeoutMs
+    this.noKeywords = ANSWER_KEYWORDS[language].no
+    this.yesKeywords = ANSWER_KEYWORDS[language].yes
+  }
+
+  isPending(): boolean {
+    return this.pending !== null
+  }
+
+  // 대답을 기다린다. startTimer 뒤 시간 안에 답이 없으면 'timeout' 으로 끝난다.
+  request(): Promise<ConfirmationOutcome> {
+    // 이전 확인이 남아 있으면 새 질문으로 대체 (이전 것은 응답 없음 처리)
+    this.settle('timeout')
+
+    return new Promise(resolve => {
+      this.pending = { resolve }
+    })
+  }
+
+  // 질문을 다 읽어 준 뒤 부른다. 긴 질문을 읽는 동안 대답 시간이 줄지 않게, 다시 물을 때마다 처음부터 센다.
+  startTimer(): void {
+    if (!this.pending) return
+    clearTimeout(this.pending.timer)
+    this.pending.timer = setTimeout(() => this.settle('timeout'), this.timeoutMs)
+  }
+
+  // 대기 중인 확인에 발화를 대답으로 넘긴다. 'unclear' 면 다시 물을 때까지 시간을 멈추고 기다린다.
+  handleAnswer(transcript: string): ConfirmationAnswer {
+    const answer = this.classify(transcript)
+    if (answer === 'yes') this.settle('confirmed')
+    if (answer === 'no') this.settle('declined')
+    if (answer === 'unclear' && this.pending) clearTimeout(this.pending.timer)
+    return answer
+  }
+
+  classify(transcript: string): ConfirmationAnswer {
+    const normalized = transcript.trim().toLowerCase()
+    if (this.noKeywords.some(keyword => this.contains(normalized, keyword))) return 'no'
+    if (this.yesKeywords.some(keyword => this.contains(normalized, keyword))) return 'yes'
+    return 'unclear'
+  }
+
+  // 영어는 단어 단위로 ("know" 안의 "no" 는 부정이 아니다), 한국어는 어미가 붙으므로 부분 일치
+  private contains(text: string, keyword: string): boolean {
+    if (/^[a-z' ]+$/.test(keyword)) {
+      return new RegExp(`\\b${keyword}\\b`).test(text)
+    }
+    return text.includes(keyword)
+  }
+
+  cancel(): void {
+    this.settle('declined')
+  }
+
+  private settle(outcome: ConfirmationOutcome): void {
+    if (!this.pending) return
+
+    const { resolve, timer } = this.pending
+    clearTimeout(timer)
+    this.pending = null
+    resolve(outcome)
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * ContentReader - 페이지 본문 읽어주기
+ * "이 페이지 읽어줘" 로 본문(main·article)을 문단 단위로 읽는다. 메뉴·광고·data-voice-ignore 영역은 건너뛴다.
+ * 잠깐·계속·다음 문단·처음부터, 제목만 읽는 요약 모드를 지원한다.
+ */
+
+import { VoiceEngine } from './voice-engine'
+import { MessageCatalog } from './messages'
+import { ASSISTANT_UI_CLASS } from './dom-analyzer'
+import { VoiceAnnotationReader } from './voice-annotations'
+
+export interface ReadingBlock {
+  kind: 'heading' | 'text'
+  /** 제목이면 1~6 */
+  level?: number
+  text: string
+  element: HTMLElement
+}
+
+export type ReadingMode = 'full' | 'summary'
+export type ReadingState = 'idle' | 'reading' | 'paused'
+
+// 문단처럼 읽을 블록 — 안에 다른 블록이 있으면 바깥 블록 하나로 읽는다
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, dt, dd'
+const MAIN_SELECTOR = 'main, [role="main"]'
+
+// 어디서든 건너뛰는 영역: 메뉴·옆 영역·광고·숨김·도우미 UI
+const ALWAYS_SKIP = [
+  'nav', '[role="navigation"]', 'aside', '[role="complementary"]',
+  '.ad', '.ads', '.advertisement', 'ins.adsbygoogle', '[data-ad-slot]', '[id^="ad-"]', '[aria-label*="광고"]',
+  '[aria-hidden="true"]', '[hidden]', 'script', 'style', 'noscript', `.${ASSISTANT_UI_CLASS}`
+].join(', ')
+// 본문 영역을 못 찾아 body 전체를 읽을 때만 건너뛰는 페이지 머리말·꼬리말 (article 안 header 는 글 제목이다)
+const PAGE_CHROME = 'header, footer, [role="banner"], [role="contentinfo"]'
+
+// 긴 문단은 문장 경계에서 나눠 읽는다 — 한 번에 너무 길면 멈추기 어렵다
+const MAX_CHUNK_LENGTH = 200
+
+export class ContentReader {
+  private voiceEngine: VoiceEngine
+  private messages: MessageCatalog
+  private annotationReader = new VoiceAnnotationReader()
+  private blocks: ReadingBlock[] = []
+  private position = 0
+  private mode: ReadingMode = 'full'
+  private readingState: ReadingState = 'idle'
+  // 읽기를 새로 시작하거나 멈출 때마다 증가 — 이전 읽기 루프를 끝낸다
+  private session = 0
+
+  constructor(voiceEngine: VoiceEngine, messages: MessageCatalog = new MessageCatalog()) {
+    this.voiceEngine = voiceEngine
+    this.messages = messages
+  }
+
+  get state(): ReadingState {
+    return this.readingState
+  }
+
+  // 본문을 다시 찾아 처음부터 읽는다. 읽을 것이 없으면 false
+  async start(mode: ReadingMode = 'full'): Promise<boolean> {
+    const blocks = this.extractBlocks(document)
+    const readable = mode === 'summary' ? blocks.filter(block => block.kind === 'heading') : blocks
+
+    if (readable.length === 0) {
+      this.stop()
+      await this.voiceEngine.speak(this.messages.t(mode === 'summary' ? 'readingNoHeadings' : 'readingEmpty'))
+      return false
+    }
+
+    this.blocks = readable
+    this.mode = mode
+    this.position = 0
+    const intro = mode === 'summary' ? [this.messages.t('readingSummaryIntro', { count: readable.length })] : []
+    void this.play(intro)
+    return true
+  }
+
+  // 읽던 문단에서 멈춘다. 이어 읽으면 그 문단을 처음부터 다시 읽는다
+  pause(): boolean {
+    if (this.readingState !== 'reading') return false
+    this.session++
+    this.readingState = 'paused'
+    this.voiceEngine.stopSpeaking()
+    return true
+  }
+
+  resume(): boolean {
+    if (this.readingState !== 'paused') return false
+    void this.play()
+    return true
+  }
+
+  // 지금 문단을 건너뛰고 다음 문단부터 (요약 모드에서는 다음 제목)
+  next(): boolean {
+    if (this.readingState === 'idle') return false
+    if (this.position >= this.blocks.length - 1) return false
+    this.position++
+    this.interrupt()
+    void this.play()
+    return true
+  }
+
+  restart(): boolean {
+    if (this.readingState === 'idle') return false
+    this.position = 0
+    this.interrupt()
+    void this.play()
+    return true
+  }
+
+  stop(): void {
+    if (this.readingState === 'reading') this.interrupt()
+    this.session++
+    this.readingState = 'idle'
+    this.blocks = []
+    this.position = 0
+  }
+
+  // 본문 블록을 문서 순서로 모은다
+  extractBlocks(document: Document): ReadingBlock[] {
+    const root = this.findMainContent(document)
+    if (!root) return []
+
+    const skip = root === document.body ? `${ALWAYS_SKIP}, ${PAGE_CHROME}` : ALWAYS_SKIP
+    const blocks: ReadingBlock[] = []
+
+    root.querySelectorAll(BLOCK_SELECTOR).forEach(node => {
+      const element = node as HTMLElement
+      if (element.closest(skip) || this.annotationReader.isIgnored(element)) return
+      // li 안의 p 처럼 블록 안의 블록은 바깥 블록의 텍스트로 이미 읽는다
+      const outer = element.parentElement?.closest(BLOCK_SELECTOR)
+      if (outer && root.contains(outer)) return
+
+      const text = (element.textContent || '').replace(/\s+/g, ' ').trim()
+      if (!text) return
+
+      const heading = element.tagName.match(/^H([1-6])$/)
+      blocks.push(heading
+        ? { kind: 'heading', level: Number(heading[1]), text, element }
+        : { kind: 'text', text, element })
+    })
+
+    return blocks
+  }
+
+  // main → article → body 순으로 본문 영역을 고른다
+  private findMainContent(document: Document): HTMLElement | null {
+    return document.querySelector<HTMLElement>(MAIN_SELECTOR) ||
+      document.querySelector<HTMLElement>('article') ||
+      document.body
+  }
+
+  // 문장 경계에서 MAX_CHUNK_LENGTH 안쪽으로 나눈다 (한 문장이 더 길면 그대로 둔다)
+  splitChunks(text: string): string[] {
+    if (text.length <= MAX_CHUNK_LENGTH) return [text]
+
+    const chunks: string[] = []
+    let current = ''
+    for (const sentence of text.split(/(?<=[.!?。])\s+/)) {
+      if (current && current.length + sentence.length + 1 > MAX_CHUNK_LENGTH) {
+        chunks.push(current)
+        current = sentence
+      } else {
+        current = current ? `${current} ${sentence}` : sentence
+      }
+    }
+    if (current) chunks.push(current)
+    return chunks
+  }
+
+  private interrupt(): void {
+    this.session++
+    this.voiceEngine.stopSpeaking()
+  }
+
+  // 현재 위치부터 끝까지 읽는다. 다른 조작으로 session 이 바뀌면 조용히 끝낸다
+  private async play(intro: string[] = []): Promise<void> {
+    const session = ++this.session
+    this.readingState = 'reading'
+
+    for (const text of intro) {
+      if (!await this.speakChunk(text, session)) return
+    }
+
+    while (this.position < this.blocks.length) {
+      for (const chunk of this.splitChunks(this.blocks[this.position].text)) {
+        if (!await this.speakChunk(chunk, session)) return
+      }
+      if (session !== this.session) return
+      this.position++
+    }
+
+    this.readingState = 'idle'
+    await this.voiceEngine.speak(this.messages.t(this.mode === 'summary' ? 'readingSummaryDone' : 'readingDone'))
+  }
+
+  // 한 조각을 끝까지 읽었으면 true. "멈춰" 처럼 밖에서 음성을 끊었으면 일시정지로 둔다
+  private async speakChunk(text: string, session: number): Promise<boolean> {
+    const finished = await this.voiceEngine.speakSequence([text])
+    if (session !== this.session) return false
+    if (!finished) {
+      this.session++
+      this.readingState = 'paused'
+      return false
+    }
+    return true
+  }
+}
@@ -0,0 +1,329 @@
+/**
+ * ControlInput - 선택 메뉴·체크박스·스위치·라디오·날짜/시각 칸을 음성으로 바꾸기
+ * "성별 여자로 선택", "내과 골라줘" → 항목 고르기, "약관 동의 체크해줘", "알림 꺼줘" → 체크 켜고 끄기,
+ * "예약일 다음 주 화요일", "방문 시간은 오후 3시" → 날짜·시각 넣기.
+ * 바꾼 결과를 돌려주고, 안내 문장은 부른 쪽이 만든다.
+ * resolve 로 바꿀 칸과 값을 먼저 정하고 commit 으로 바꾼다 — 부른 쪽이 그 사이에 칸을 보여 준다.
+ * 체크·고르기 동사, 예/아니오, 날짜·시각 읽기는 언어별 MessageCatalog 에서 꺼낸다.
+ */
+
+import type { InteractiveElement } from './dom-analyzer'
+import { FormFiller } from './form-filler'
+import { AccessibleNameComputer } from './accessible-name'
+import { MessageCatalog, ControlPatterns } from './messages'
+
+/** 입력 요소의 조작 방식 — text 는 글자를 써 넣는 칸 (FormFiller 가 맡는다) */
+export type ControlKind = 'text' | 'select' | 'checkbox' | 'switch' | 'radio' | 'date' | 'time' | 'datetime'
+
+export interface ControlChange {
+  /** 바꾼 요소 (라디오는 고른 버튼) */
+  element: InteractiveElement
+  kind: ControlKind
+  /** 칸 이름 (라디오는 묶음 이름) */
+  field: string
+  /** 고른 항목의 글, 또는 넣은 날짜·시각 ("2026-10-27", "15:30", "2026-10-27T15:30") */
+  value: string
+  /** 체크박스·스위치의 바뀐 뒤 상태 */
+  checked?: boolean
+}
+
+export type ControlOutcome =
+  | { status: 'changed', change: ControlChange }
+  /** 칸은 찾았지만 말한 항목이 없다 */
+  | { status: 'unknown-option', element: InteractiveElement, field: string, option: string, options: string[] }
+  /** 날짜·시각 칸에 넣을 값으로 알아듣지 못했다 */
+  | { status: 'unknown-value', element: InteractiveElement, field: string, value: string }
+  /** 값을 썼지만 칸이 받아들이지 않았다 (min/max 밖 등) */
+  | { status: 'rejected', element: InteractiveElement, field: string, value: string }
+
+/** 바꿀 칸과 값을 정했지만 아직 바꾸지 않은 상태 */
+export interface ControlPlan {
+  status: 'ready'
+  change: ControlChange
+  /** 말한 값 (칸이 받아들이지 않았을 때 알린다) */
+  spoken: string
+  /** 값을 바꾸고, 칸이 받아들였으면 true */
+  write: () => boolean
+}
+
+export type ControlResolution = ControlPlan | Exclude<ControlOutcome, { status: 'changed' }>
+
+// "<칸> <값>" 한 쌍. field 가 비면 어느 칸의 항목이든 찾는다. bare 는 동사 없이 이어 말한 것 (날짜·시각 칸만)
+interface ControlRequest {
+  field: string
+  value: string
+  bare?: boolean
+}
+
+const CHECKABLE: ControlKind[] = ['checkbox', 'switch']
+const CHOOSABLE: ControlKind[] = ['select', 'radio']
+const TEMPORAL: ControlKind[] = ['date', 'time', 'datetime']
+
+/** 입력 요소가 어떤 조작 방식인지 (role="switch" 인 체크박스는 스위치) */
+export function controlKindOf(element: HTMLElement): ControlKind {
+  const role = element.getAttribute('role')
+  if (element.tagName === 'SELECT') return 'select'
+  if (role === 'switch') return 'switch'
+  if (element.tagName === 'INPUT') {
+    const type = (element.getAttribute('type') || 'text').toLowerCase()
+    if (type === 'checkbox' || type === 'radio' || type === 'date' || type === 'time') return type
+    if (type === 'datetime-local') return 'datetime'
+    return 'text'
+  }
+  if (role === 'checkbox' || role === 'radio') return role
+  return 'text'
+}
+
+export class ControlInput {
+  private nameComputer = new AccessibleNameComputer()
+  private formFiller: FormFiller
+  // 체크·고르기 동사와 예/아니오, 말한 날짜·시각 읽기는 언어별로
+  private messages: MessageCatalog
+  private patterns: ControlPatterns
+  private now: () => Date
+
+  constructor(formFiller: FormFiller = new FormFiller(), messages: MessageCatalog = new MessageCatalog(), now: () => Date = () => new Date()) {
+    this.formFiller = formFiller
+    this.messages = messages
+    this.patterns = messages.patterns.controls
+    this.now = now
+  }
+
+  // 정하자마자 바꾼다 (칸을 먼저 보여 줄 필요가 없을 때)
+  apply(inputs: InteractiveElement[], transcript: string, requireFieldName = false): ControlOutcome | null {
+    const resolution = this.resolve(inputs, transcript, requireFieldName)
+    return resolution?.status === 'ready' ? this.commit(resolution) : resolution
+  }
+
+  commit(plan: ControlPlan): ControlOutcome {
+    return plan.write()
+      ? { status: 'changed', change: plan.change }
+      : { status: 'rejected', element: plan.change.element, field: plan.change.field, value: plan.spoken }
+  }
+
+  // 발화를 칸 조작으로 옮긴다. 고칠 칸이 없으면 null (폼 작성·일반 명령으로 넘긴다)
+  // requireFieldName 이면 칸 이름을 그대로 말한 경우만 ("번호 꺼줘" 가 "전화번호 공개" 를 끄지 않도록)
+  resolve(inputs: InteractiveElement[], transcript: string, requireFieldName = false): ControlResolution | null {
+    const text = transcript.trim()
+    const controls = inputs.filter(input => controlKindOf(input.element) !== 'text')
+    if (controls.length === 0) return null
+
+    const unchecked = text.match(this.patterns.uncheck)
+    const checked = unchecked ? null : text.match(this.patterns.check)
+    const toggle = unchecked || checked
+    if (toggle) {
+      const checkables = controls.filter(control => CHECKABLE.includes(controlKindOf(control.element)))
+      // "turn alerts off" 처럼 동사 앞뒤로 갈린 패턴은 잡힌 그룹이 하나뿐이다
+      const name = toggle.slice(1).find(Boolean) || ''
+      const target = this.findByName(checkables, name, requireFieldName)
+      if (target) return this.setChecked(target, !unchecked)
+    }
+
+    let failure: ControlResolution | null = null
+    const requests = this.parseRequests(text).filter(request => !requireFieldName || request.field)
+    for (const request of requests) {
+      const outcome = this.resolveRequest(controls, request, requireFieldName)
+      if (outcome?.status === 'ready') return outcome
+      failure = failure || outcome
+    }
+    return failure
+  }
+
+  // 선택 동사가 있으면 "<칸> <항목>" 으로 나눌 수 있는 곳마다, "<칸>은 <값>" 이면 그 쌍,
+  // 아무 동사도 없으면 "<칸> <날짜>" 로 나눌 수 있는 곳마다 후보를 만든다
+  private parseRequests(text: string): ControlRequest[] {
+    const choose = text.match(this.patterns.choose)
+    if (choose) {
+      return [...this.splits(choose[1]), { field: '', value: choose[1].trim() }]
+    }
+
+    const stated = this.formFiller.parseUtterance(text).map(request => ({
+      field: request.field,
+      value: this.patterns.valueParticle ? request.value.replace(this.patterns.valueParticle, '') : request.value
+    }))
+    return stated.length > 0 ? stated : this.splits(text).map(request => ({ ...request, bare: true }))
+  }
+
+  private splits(phrase: string): ControlRequest[] {
+    const words = phrase.trim().split(/\s+/)
+    return words.slice(1).map((_, index) => ({
+      field: this.stripParticle(words.slice(0, index + 1).join(' ')),
+      value: words.slice(index + 1).join(' ')
+    }))
+  }
+
+  private stripParticle(field: string): string {
+    return this.patterns.fieldParticle ? field.replace(this.patterns.fieldParticle, '') : field
+  }
+
+  private resolveRequest(controls: InteractiveElement[], request: ControlRequest, requireFieldName: boolean): ControlResolution | null {
+    const named = (name: string) => requireFieldName ? this.nameEquals(name, request.field) : this.nameMatches(name, request.field)
+    const candidates = request.field
+      ? controls.filter(control => this.fieldNames(control).some(named))
+      : controls.filter(control => !TEMPORAL.includes(controlKindOf(control.element)))
+
+    let failure: ControlResolution | null = null
+    for (const control of candidates) {
+      const kind = controlKindOf(control.element)
+      if (request.bare && !TEMPORAL.includes(kind)) continue
+
+      const outcome = CHOOSABLE.includes(kind) ? this.choose(controls, control, request)
+        : CHECKABLE.includes(kind) ? this.check(control, request)
+          : this.setTemporal(control, kind, request.value)
+      if (outcome?.status === 'ready') return outcome
+      // 못 알아들었다는 안내는 동사나 은/는 으로 칸 이름을 분명히 말했을 때만
+      if (request.field && !request.bare) failure = failure || outcome
+    }
+    return failure
+  }
+
+  private choose(controls: InteractiveElement[], control: InteractiveElement, request: ControlRequest): ControlResolution | null {
+    const field = this.fieldName(control)
+
+    if (controlKindOf(control.element) === 'select') {
+      const select = control.element as HTMLSelectElement
+      const options = Array.from(select.options || []).filter(option => option.value !== '' && !option.disabled)
+      const texts = options.map(option => this.nameComputer.clean(option.textContent || ''))
+      const index = this.bestMatch(texts, request.value)
+      if (index < 0) return { status: 'unknown-option', element: control, field, option: request.value, options: texts }
+
+      return {
+        status: 'ready',
+        change: { element: control, kind: 'select', field, value: texts[index] },
+        spoken: request.value,
+        write: () => this.formFiller.writeValue(select, options[index].value)
+      }
+    }
+
+    const group = this.radioGroup(controls, control)
+    const labels = group.map(radio => radio.label)
+    const index = this.bestMatch(labels, request.value)
+    if (index < 0) return { status: 'unknown-option', element: control, field, option: request.value, options: labels }
+
+    const radio = group[index]
+    return {
+      status: 'ready',
+      change: { element: radio, kind: 'radio', field, value: radio.label },
+      spoken: request.value,
+      write: () => {
+        if (!this.isChecked(radio.element)) radio.element.click()
+        return this.isChecked(radio.element)
+      }
+    }
+  }
+
+  // 칸 이름 없이 항목 이름만 말하면 ("약관 동의 선택") 그 체크박스를 켠다. 이름과 함께면 예/아니오로
+  private check(control: InteractiveElement, request: ControlRequest): ControlPlan | null {
+    if (!request.field) {
+      return this.nameMatches(this.fieldName(control), request.value) ? this.setChecked(control, true) : null
+    }
+
+    const answer = request.value.replace(/\s+/g, '').toLowerCase()
+    if (this.patterns.yes.includes(answer)) return this.setChecked(control, true)
+    if (this.patterns.no.includes(answer)) return this.setChecked(control, false)
+    return null
+  }
+
+  // 이미 원하는 상태면 누르지 않는다 (누르면 도로 바뀐다)
+  private setChecked(control: InteractiveElement, checked: boolean): ControlPlan {
+    const kind = controlKindOf(control.element)
+    const value = checked ? 'on' : 'off'
+    return {
+      status: 'ready',
+      change: { element: control, kind, field: this.fieldName(control), value, checked },
+      spoken: value,
+      write: () => {
+        if (this.isChecked(control.element) !== checked) control.element.click()
+        return this.isChecked(control.element) === checked
+      }
+    }
+  }
+
+  private setTemporal(control: InteractiveElement, kind: ControlKind, spoken: string): ControlResolution {
+    const field = this.fieldName(control)
+    const now = this.now()
+    const value = kind === 'date' ? this.messages.parseDate(spoken, now)
+      : kind === 'time' ? this.messages.parseTime(spoken)
+        : this.messages.parseDateTime(spoken, now)
+    if (!value) return { status: 'unknown-value', element: control, field, value: spoken }
+
+    return {
+      status: 'ready',
+      change: { element: control, kind, field, value },
+      spoken,
+      write: () => this.formFiller.writeValue(control.element as HTMLInputElement, value)
+    }
+  }
+
+  private isChecked(element: HTMLElement): boolean {
+    return element.tagName === 'INPUT'
+      ? !!(element as HTMLInputElement).checked
+      : element.getAttribute('aria-checked') === 'true'
+  }
+
+  // 같은 name 의 라디오 (role="radio" 는 같은 radiogroup 안의 것)
+  private radioGroup(controls: InteractiveElement[], control: InteractiveElement): InteractiveElement[] {
+    const name = control.element.getAttribute('name')
+    const group = this.groupElement(control.element)
+    return controls.filter(other => {
+      if (controlKindOf(other.element) !== 'radio') return false
+      if (other.element === control.element) return true
+      if (name) return other.element.getAttribute('name') === name && this.formOf(other.element) === this.formOf(control.element)
+      return !!group && this.groupElement(other.element) === group
+    })
+  }
+
+  // 칸을 부르는 이름 — 라디오는 묶음 이름(fieldset legend, radiogroup 이름)
+  private fieldName(control: InteractiveElement): string {
+    if (controlKindOf(control.element) !== 'radio') return control.label
+    const group = this.groupElement(control.element)
+    if (!group) return control.label
+    const legend = group.tagName === 'FIELDSET' ? group.querySelector('legend') : null
+    return (legend ? this.nameComputer.clean(legend.textContent || '') : this.nameComputer.compute(group).name) || control.label
+  }
+
+  private fieldNames(control: InteractiveElement): string[] {
+    return [this.fieldName(control), control.ariaLabel, control.element.getAttribute('placeholder'), ...(control.aliases || [])]
+      .filter((name): name is string => !!name)
+  }
+
+  private groupElement(element: HTMLElement): HTMLElement | null {
+    return typeof element.closest === 'function' ? element.closest<HTMLElement>('fieldset, [role="radiogroup"]') : null
+  }
+
+  private formOf(element: HTMLElement): HTMLElement | null {
+    return typeof element.closest === 'function' ? element.closest<HTMLElement>('form') : null
+  }
+
+  private findByName(controls: InteractiveElement[], spoken: string, exactOnly: boolean): InteractiveElement | null {
+    return controls.find(control => this.fieldNames(control).some(name => this.nameEquals(name, spoken))) ||
+      (exactOnly ? undefined : controls.find(control => this.fieldNames(control).some(name => this.nameMatches(name, spoken)))) ||
+      null
+  }
+
+  private nameEquals(name: string, spoken: string): boolean {
+    return this.compact(name) === this.compact(spoken)
+  }
+
+  // 이름에 말한 말이 들어 있는지 ("마케팅 정보 수신 동의" ← "마케팅 수신"은 아님)
+  private nameMatches(name: string, spoken: string): boolean {
+    const target = this.compact(spoken)
+    return target.length > 0 && this.compact(name).includes(target)
+  }
+
+  // 같은 글 → 말한 말을 품은 글 순. 없으면 -1
+  // (말에 들어 있는 글까지 받으면 "3번 선택해줘" 가 항목 "3" 을 고른다)
+  private bestMatch(texts: string[], spoken: string): number {
+    const target = this.compact(spoken)
+    if (!target) return -1
+
+    const compacted = texts.map(text => this.compact(text))
+    const exact = compacted.indexOf(target)
+    if (exact >= 0) return exact
+    return compacted.findIndex(text => text.includes(target))
+  }
+
+  private compact(text: string): string {
+    return text.toLowerCase().replace(/[\s*:]/g, '')
+  }
+}
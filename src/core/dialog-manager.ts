@@ -0,0 +1,170 @@
+/**
+ * DialogManager - 다중 턴 대화 상태 관리
+ * 명령이 "무엇을 찾으시나요?" 처럼 질문하고 다음 발화를 답으로 받는다.
+ * 답이 없으면 한 번 다시 묻고, 그래도 없으면 대화를 끝내 대기 상태에 갇히지 않게 한다.
+ */
+
+import type { CommandResult } from './command-router'
+import { VoiceEngine } from './voice-engine'
+import { MessageCatalog, Locale } from './messages'
+
+export type DialogOutcome = 'answered' | 'cancelled' | 'timeout'
+
+export type DialogAnswerHandler = (answer: string) => Promise<CommandResult | void> | CommandResult | void
+
+export interface AskOptions {
+  /** 답을 기다리는 시간 (ms) */
+  timeoutMs?: number
+  /** 시간 초과 시 다시 묻는 말 (기본: 원래 질문) */
+  reprompt?: string
+  /** 다시 묻는 최대 횟수 */
+  maxReprompts?: number
+}
+
+export interface DialogState {
+  awaitingAnswer: boolean
+  question: string | null
+  repromptCount: number
+}
+
+// 답 대신 나오는 대화 제어 발화
+const CONTROL_PATTERNS: { [locale in Locale]: { cancel: RegExp, repeat: RegExp } } = {
+  'ko-KR': {
+    cancel: /^(?:취소|그만|됐어|됐습니다|안 할래|안할래)/,
+    repeat: /(?:다시 말해|다시 물어|뭐라고|못 들었|못들었)/
+  },
+  'en-US': {
+    cancel: /^(?:cancel|never ?mind|forget it|stop)\b/i,
+    repeat: /(?:say (?:that|it) again|repeat|what did you say|pardon|didn't catch)/i
+  }
+}
+
+interface PendingQuestion {
+  question: string
+  handler: DialogAnswerHandler
+  options: Required<Omit<AskOptions, 'reprompt'>> & Pick<AskOptions, 'reprompt'>
+  repromptCount: number
+  timer: ReturnType<typeof setTimeout> | null
+  resolve: (outcome: DialogOutcome) => void
+}
+
+export class DialogManager {
+  private voiceEngine: VoiceEngine
+  private messages: MessageCatalog
+  private pending: PendingQuestion | null = null
+  private defaults = { timeoutMs: 10000, maxReprompts: 1 }
+  private readonly cancelPattern: RegExp
+  private readonly repeatPattern: RegExp
+
+  constructor(voiceEngine: VoiceEngine, messages: MessageCatalog = new MessageCatalog()) {
+    this.voiceEngine = voiceEngine
+    this.messages = messages
+    this.cancelPattern = CONTROL_PATTERNS[messages.locale].cancel
+    this.repeatPattern = CONTROL_PATTERNS[messages.locale].repeat
+  }
+
+  // 질문하고 다음 발화를 handler 로 넘긴다. 반환된 Promise 는 대화가 끝날 때 결과와 함께 풀린다
+  // (기다리지 않아도 된다 — 답은 processCommand 경로로 들어온다).
+  ask(question: string, handler: DialogAnswerHandler, options: AskOptions = {}): Promise<DialogOutcome> {
+    // 새 질문이 이전 질문을 대체한다
+    this.finish('cancelled')
+
+    return new Promise(resolve => {
+      this.pending = {
+        question,
+        handler,
+        options: { ...this.defaults, ...options },
+        repromptCount: 0,
+        timer: null,
+        resolve
+      }
+      void this.prompt(question)
+    })
+  }
+
+  isAwaitingAnswer(): boolean {
+    return this.pending !== null
+  }
+
+  async handleAnswer(transcript: string): Promise<CommandResult> {
+    const pending = this.pending
+    if (!pending) {
+      return { success: false, message: this.messages.t('dialogNoPending') }
+    }
+
+    const answer = transcript.trim()
+
+    if (this.cancelPattern.test(answer)) {
+      this.finish('cancelled')
+      await this.voiceEngine.speak(this.messages.t('dialogCancelled'))
+      return { success: true, message: this.messages.t('resultDialogCancelled') }
+    }
+
+    if (this.repeatPattern.test(answer)) {
+      this.clearTimer(pending)
+      await this.prompt(pending.question)
+      return { success: true, message: this.messages.t('resultDialogRepeated') }
+    }
+
+    // handler 안에서 다시 ask() 할 수 있도록 상태를 먼저 비운다
+    this.finish('answered')
+    const result = await pending.handler(answer)
+    return result || { success: true, message: this.messages.t('resultDialogAnswer', { answer }) }
+  }
+
+  cancel(): void {
+    this.finish('cancelled')
+  }
+
+  get state(): DialogState {
+    return {
+      awaitingAnswer: this.pending !== null,
+      question: this.pending?.question ?? null,
+      repromptCount: this.pending?.repromptCount ?? 0
+    }
+  }
+
+  private async prompt(text: string): Promise<void> {
+    const pending = this.pending
+    // speak 는 말하기 시작하면 끝나므로 다 읽을 때까지 기다린 뒤 듣는다
+    await this.voiceEngine.speak(text)
+    await this.voiceEngine.waitForSpeechEnd()
+    // 말하는 사이 답이 오거나 취소됐으면 타이머를 걸지 않는다
+    if (this.pending !== pending || !pending) return
+
+    await this.voiceEngine.startListening()
+    this.clearTimer(pending)
+    pending.timer = setTimeout(() => this.handleTimeout(), pending.options.timeoutMs)
+  }
+
+  private handleTimeout(): void {
+    const pending = this.pending
+    if (!pending) return
+    pending.timer = null
+
+    if (pending.repromptCount < pending.options.maxReprompts) {
+      pending.repromptCount++
+      void this.prompt(pending.options.reprompt || pending.question)
+      return
+    }
+
+    this.finish('timeout')
+    void this.voiceEngine.speak(this.messages.t('dialogTimeout'))
+  }
+
+  private finish(outcome: DialogOutcome): void {
+    const pending = this.pending
+    if (!pending) return
+
+    this.clearTimer(pending)
+    this.pending = null
+    pending.resolve(outcome)
+  }
+
+  private clearTimer(pending: PendingQuestion): void {
+    if (pending.timer) {
+      clearTimeout(pending.timer)
+      pending.timer = null
+    }
+  }
+}
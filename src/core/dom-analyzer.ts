@@ -2,17 +2,54 @@
  * DOMAnalyzer - 화면 요소 자동 분석 및 매핑
  */
 
+import { ElementNameMatcher } from './element-matcher'
+import { DocumentTraverser, SearchRoot } from './dom-traversal'
+import { AccessibleNameComputer } from './accessible-name'
+import { TableParser, TableModel, TABLE_SELECTOR } from './table-parser'
+import { FormModelBuilder, FormModel } from './form-model'
+import { ElementIndex, ElementCategory } from './element-index'
+import { SelectorBuilder } from './selector-builder'
+import { ElementRevealer } from './element-revealer'
+import { PurposeClassifier, ElementPurpose } from './element-purpose'
+import { VoiceAnnotationReader, ANNOTATION_ATTRIBUTES } from './voice-annotations'
+import { ControlKind, controlKindOf } from './control-input'
+import { MessageCatalog, Locale } from './messages'
+
 export interface InteractiveElement {
+  /** 다시 스캔해도 같은 요소면 같은 id (다시 그려진 요소는 지문이 같으면 이어받는다) */
   id: string
   type: 'button' | 'link' | 'input' | 'select' | 'form'
   label: string
   description: string
+  /** 이 요소 하나만 가리키는 CSS 경로 (data-testid·id·ARIA 속성 우선). 하나로 좁힐 수 없으면 빈 문자열 */
   selector: string
   element: HTMLElement
+  /** 화면에 그려져 있는지 (스크롤해야 보이는 요소도 true, 접힌 메뉴 안이면 false) */
   isVisible: boolean
+  /** 스캔한 때의 보이는 상태 (없으면 visible) */
+  visibility?: ElementVisibility
   boundingRect: DOMRect
   ariaLabel?: string
   role?: string
+  /** 요소가 들어 있는 같은 출처 iframe (최상위 문서면 없음) */
+  frame?: HTMLIFrameElement
+  /** 요소가 웹 컴포넌트의 shadow root 안에 있으면 그 호스트 요소. selector 는 이 루트 기준이다 */
+  shadowHost?: HTMLElement
+  /** 접근 가능한 이름이 없어 label 이 태그 이름뿐인 요소 (아이콘만 있는 버튼 등) */
+  unnamed?: boolean
+  /** aria-describedby 로 연결된 설명 */
+  accessibleDescription?: string
+  /** 쓰임새 (검색창, 로그인 폼, 다음 페이지, 메뉴 버튼 …). 모르면 없음 */
+  purpose?: ElementPurpose
+  /** data-voice 로 붙인 다른 이름 */
+  aliases?: string[]
+  /** data-voice-confirm — 누르기 전에 묻는다 */
+  confirmRequired?: boolean
+  confirmPrompt?: string
+  /** data-voice-command — 말하면 이 요소를 누르는 명령 키워드 */
+  voiceCommands?: string[]
+  /** 입력 요소의 조작 방식 (글자 칸, 선택 메뉴, 체크박스, 스위치, 라디오, 날짜·시각) */
+  control?: ControlKind
 }
 
 export interface ElementMap {
@@ -23,171 +60,352 @@ export interface ElementMap {
   navigation: InteractiveElement[]
 }
 
+/**
+ * 요소가 보이는 상태
+ * - visible: 지금 화면 안에 보인다
+ * - offscreen: 그려져 있지만 스크롤해야 보인다
+ * - collapsed: 접힌 메뉴·details 안에 있어 펼쳐야 보인다
+ */
+export type ElementVisibility = 'visible' | 'offscreen' | 'collapsed'
+
+/** bringIntoView 결과 — failed 는 접힌 곳을 펼치지 못한 경우 */
+export type BringIntoViewOutcome = 'visible' | 'scrolled' | 'revealed' | 'failed'
+
+/** 요소가 놓인 영역 (DOMAnalyzer.locateElement) */
+export type ElementRegion =
+  | 'header-nav' | 'footer-nav' | 'nav' | 'dialog' | 'header' | 'footer' | 'form' | 'aside'
+  | 'top' | 'middle' | 'bottom'
+
+/** 페이지 구조 탐색용 제목 (h1~h6, role="heading") */
+export interface HeadingInfo {
+  level: number
+  text: string
+  element: HTMLElement
+}
+
+/** ARIA 랜드마크 종류 — header·footer 는 article/section 안에 있지 않을 때만 banner·contentinfo 다 */
+export type LandmarkKind = 'banner' | 'navigation' | 'main' | 'complementary' | 'contentinfo' | 'search' | 'region'
+
+export interface LandmarkInfo {
+  kind: LandmarkKind
+  /** aria-label 등 접근 가능한 이름 (없으면 빈 문자열) */
+  label: string
+  element: HTMLElement
+}
+
+export interface PageStructure {
+  /** 문서 순서 */
+  headings: HeadingInfo[]
+  /** 문서 순서 */
+  landmarks: LandmarkInfo[]
+}
+
+/** scanPage 한 번의 소요 시간 — full: 전체 훑기, incremental: 쌓인 변화 반영, cached: 바뀐 것 없음 */
+export interface ScanTiming {
+  kind: 'full' | 'incremental' | 'cached'
+  durationMs: number
+  elementCount: number
+  at: number
+}
+
+export interface ScanStats {
+  /** FEATURE_SPECIFICATION 의 DOM 스캔 목표 시간 */
+  budgetMs: number
+  last: ScanTiming | null
+  count: number
+  averageMs: number
+  maxMs: number
+  /** 목표 시간을 넘긴 스캔 수 */
+  overBudget: number
+}
+
+/** 도우미가 페이지에 붙이는 UI(배지·안내)에 공통으로 다는 클래스 — 요소 분석에서 제외된다 */
+export const ASSISTANT_UI_CLASS = 'ai-assistant-ui'
+
+// 색인 분류별 요소 유형 (메뉴 영역은 누를 수 있는 것으로 다룬다)
+const CATEGORY_TYPES: { [category in ElementCategory]: InteractiveElement['type'] } = {
+  buttons: 'button',
+  links: 'link',
+  inputs: 'input',
+  forms: 'form',
+  navigation: 'button'
+}
+
+interface IdleDeadlineLike {
+  timeRemaining(): number
+}
+
+// requestIdleCallback 이 없는 브라우저(Safari)는 짧은 타이머로 대신한다. 취소 함수를 돌려준다
+function requestIdle(callback: (deadline: IdleDeadlineLike) => void): () => void {
+  if (typeof window !== 'undefined' && typeof window.requestIdleCallback === 'function') {
+    const handle = window.requestIdleCallback(callback, { timeout: 1000 })
+    return () => window.cancelIdleCallback(handle)
+  }
+  const startedAt = Date.now()
+  const handle = setTimeout(() => callback({ timeRemaining: () => Math.max(0, 16 - (Date.now() - startedAt)) }), 50)
+  return () => clearTimeout(handle)
+}
+
+/** ContextualIntentAnalyzer.detectPageType 과 같은 페이지 유형 */
+export type PageType = 'login' | 'search' | 'cart' | 'checkout' | 'form' | 'general'
+
 export class DOMAnalyzer {
   private observer: MutationObserver | null = null
+  private static readonly SCAN_BUDGET_MS = 500
+  private static readonly MAX_TIMINGS = 50
   private elementCache: ElementMap | null = null
   private cacheTimestamp = 0
-  private readonly CACHE_DURATION = 5000 // 5초 캐시
+  private readonly CACHE_DURATION = 5000 // 관찰하지 않을 때의 5초 캐시
+  private index: ElementIndex
+  // 관찰했지만 아직 색인에 반영하지 않은 변화 (유휴 시간이나 다음 스캔에서 반영)
+  private pendingMutations: MutationRecord[] = []
+  private cancelIdle: (() => void) | null = null
+  private timings: ScanTiming[] = []
+  private lastMutationAt = 0
+  private nameMatcher = new ElementNameMatcher()
+  private invalidationListeners: Set<() => void> = new Set()
+  private traverser = new DocumentTraverser()
+  private nameComputer = new AccessibleNameComputer()
+  private tableParser = new TableParser()
+  private selectorBuilder = new SelectorBuilder()
+  private purposeClassifier = new PurposeClassifier()
+  private annotationReader = new VoiceAnnotationReader()
+  // 요소 설명("로그인 버튼")의 종류 이름
+  private messages: MessageCatalog
+  // 제출에 실패해 브라우저가 invalid 이벤트를 낸 칸 (그 칸의 브라우저 검사 결과만 오류로 읽는다)
+  private reportedInvalid: WeakSet<Element> = new WeakSet()
+  private formModelBuilder = new FormModelBuilder(
+    element => this.isElementVisible(element),
+    element => this.reportedInvalid.has(element)
+  )
+  private revealer = new ElementRevealer(
+    element => this.isElementVisible(element),
+    () => this.waitForSettle(100, 1000)
+  )
+  private isObserving = false
+  // 이미 감시 중인 shadow root·iframe 문서 (스캔할 때 새로 생긴 것만 추가로 감시)
+  private observedRoots: WeakSet<Node> = new WeakSet()
+  // load 를 듣고 있는 iframe (관찰을 멈출 때 떼어 낸다)
+  private watchedFrames: Map<HTMLIFrameElement, () => void> = new Map()
 
-  constructor() {
+  constructor(language: Locale = 'ko-KR') {
+    this.messages = new MessageCatalog(language)
+    this.index = new ElementIndex({
+      describe: (element, category) => this.createElementInfo(element, this.elementType(element, category)),
+      // 펼치면 보이는 요소까지 담되, data-voice-ignore 로 뺀 요소는 담지 않는다
+      isVisible: (element) => !this.annotationReader.isIgnored(element) &&
+        (this.isElementVisible(element) || this.revealer.canReveal(element)),
+      nestedRoots: (element) => {
+        const roots = this.traverser.nestedRoots(element)
+        if (this.isObserving) this.observeRoots(roots)
+        return roots
+      }
+    })
     this.initializeMutationObserver()
   }
 
   private initializeMutationObserver(): void {
     this.observer = new MutationObserver((mutations) => {
-      const hasStructuralChanges = mutations.some(mutation => 
-        mutation.type === 'childList' || 
-        (mutation.type === 'attributes' && 
-         ['class', 'id', 'aria-label', 'role'].includes(mutation.attributeName || ''))
+      // 도우미가 띄운 배지·안내 추가/제거는 페이지 변화가 아니다 (번호 오버레이가 스스로를 갱신하는 순환 방지)
+      const pageMutations = mutations.filter(mutation => !this.isAssistantMutation(mutation))
+      if (pageMutations.length === 0) return
+
+      this.lastMutationAt = Date.now()
+      this.pendingMutations.push(...pageMutations)
+      this.scheduleIdleUpdate()
+
+      // 인라인 style 이나 글자만 바뀐 경우(애니메이션·시계 등)는 화면 위 표시를 다시 그릴 만큼의 변화가 아니다
+      // (라벨은 다음 스캔에서 다시 잰다)
+      const hasStructuralChanges = pageMutations.some(mutation =>
+        mutation.type === 'childList' || (mutation.type === 'attributes' && mutation.attributeName !== 'style')
       )
-      
       if (hasStructuralChanges) {
-        this.invalidateCache()
+        this.notifyInvalidation()
       }
     })
-  }  async scanPage(): Promise<ElementMap> {
-    if (this.isCacheValid()) {
-      return this.elementCache!
-    }
+  }
 
-    const elements: ElementMap = {
-      buttons: [],
-      links: [],
-      forms: [],
-      inputs: [],
-      navigation: []
+  // 관찰 중이면 색인에 쌓인 변화만 반영하고, 처음이거나 관찰하지 않는 중이면 전체를 훑는다
+  async scanPage(): Promise<ElementMap> {
+    const startedAt = this.now()
+    let kind: ScanTiming['kind'] = 'cached'
+
+    if (!this.index.isBuilt || (!this.isObserving && !this.isCacheValid())) {
+      this.rebuildIndex()
+      kind = 'full'
+    } else if (this.pendingMutations.length > 0 || this.index.pending > 0) {
+      this.applyPendingMutations()
+      kind = 'incremental'
     }
 
-    // 버튼 요소 스캔
-    const buttons = document.querySelectorAll('button, [role="button"], input[type="submit"]')
-    buttons.forEach((btn, index) => {
-      if (this.isElementVisible(btn as HTMLElement)) {
-        elements.buttons.push(this.createElementInfo(btn as HTMLElement, 'button', `btn-${index}`))
-      }
-    })
+    const elements = this.index.snapshot()
+    this.updateViewportStatus(elements)
+    this.cacheElements(elements)
+    this.recordTiming(kind, startedAt, this.index.size)
+    return elements
+  }
 
-    // 링크 요소 스캔  
-    const links = document.querySelectorAll('a[href]')
-    links.forEach((link, index) => {
-      if (this.isElementVisible(link as HTMLElement)) {
-        elements.links.push(this.createElementInfo(link as HTMLElement, 'link', `link-${index}`))
-      }
+  // 스크롤은 DOM 변화로 알 수 없으므로 화면 안에 있는지는 스캔할 때마다 다시 잰다
+  private updateViewportStatus(elements: ElementMap): void {
+    this.getAllElements(elements).forEach(elem => {
+      if (elem.visibility === 'collapsed') return
+      elem.boundingRect = this.traverser.viewportRect(elem.element)
+      elem.visibility = this.isInViewport(elem.boundingRect) ? 'visible' : 'offscreen'
     })
+  }
 
-    // 입력 요소 스캔
-    const inputs = document.querySelectorAll('input:not([type="submit"]), textarea, select')
-    inputs.forEach((input, index) => {
-      if (this.isElementVisible(input as HTMLElement)) {
-        elements.inputs.push(this.createElementInfo(input as HTMLElement, 'input', `input-${index}`))
-      }
-    })
+  private isInViewport(rect: DOMRect): boolean {
+    return rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth
+  }
 
-    // 폼 요소 스캔
-    const forms = document.querySelectorAll('form')
-    forms.forEach((form, index) => {
-      if (this.isElementVisible(form as HTMLElement)) {
-        elements.forms.push(this.createElementInfo(form as HTMLElement, 'form', `form-${index}`))
-      }
-    })
+  /**
+   * 요소를 누르기 전에 보이게 한다 — 접힌 메뉴면 펼치고, 화면 밖이면 가운데로 스크롤한다.
+   */
+  async bringIntoView(element: HTMLElement): Promise<BringIntoViewOutcome> {
+    let revealed = false
+    if (!this.isElementVisible(element)) {
+      if (!(await this.revealer.reveal(element))) return 'failed'
+      revealed = true
+    }
+
+    if (this.isInViewport(this.traverser.viewportRect(element))) return revealed ? 'revealed' : 'visible'
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    return revealed ? 'revealed' : 'scrolled'
+  }
+
+  private rebuildIndex(): void {
+    // 최상위 문서 + open shadow root + 같은 출처 iframe
+    const roots = this.traverser.collectRoots(document)
+    if (this.isObserving) this.observeRoots(roots)
+    this.pendingMutations = []
+    this.index.rebuild(roots)
+  }
+
+  private applyPendingMutations(): void {
+    const records = this.pendingMutations
+    this.pendingMutations = []
+    this.index.applyMutations(records)
+  }
 
-    // 네비게이션 요소 스캔
-    const navElements = document.querySelectorAll('nav, [role="navigation"], .menu, .navbar')
-    navElements.forEach((nav, index) => {
-      if (this.isElementVisible(nav as HTMLElement)) {
-        elements.navigation.push(this.createElementInfo(nav as HTMLElement, 'button', `nav-${index}`))
+  // 변화 반영과 보이는지 다시 재기를 브라우저가 한가할 때 미리 해 둔다 (명령 처리 중 스캔이 짧아지도록)
+  private scheduleIdleUpdate(): void {
+    if (this.cancelIdle || !this.isObserving) return
+
+    this.cancelIdle = requestIdle(deadline => {
+      this.cancelIdle = null
+      if (!this.index.isBuilt) {
+        this.rebuildIndex()
+      } else {
+        this.applyPendingMutations()
       }
+      const finished = this.index.refresh(() => deadline.timeRemaining() < 1)
+      if (!finished) this.scheduleIdleUpdate()
     })
+  }
 
-    this.cacheElements(elements)
-    return elements
-  }  private createElementInfo(element: HTMLElement, type: InteractiveElement['type'], id: string): InteractiveElement {
-    const rect = element.getBoundingClientRect()
-    const label = this.extractElementLabel(element)
-    
+  private recordTiming(kind: ScanTiming['kind'], startedAt: number, elementCount: number): void {
+    this.timings.push({ kind, durationMs: this.now() - startedAt, elementCount, at: Date.now() })
+    if (this.timings.length > DOMAnalyzer.MAX_TIMINGS) this.timings.shift()
+  }
+
+  /** 최근 scanPage 소요 시간 (최근 50회) — 500ms 목표를 지키는지 확인용 */
+  getScanStats(): ScanStats {
+    const durations = this.timings.map(timing => timing.durationMs)
     return {
-      id,
-      type,
-      label,
-      description: this.generateDescription(element, label),
-      selector: this.generateSelector(element),
-      element,
-      isVisible: this.isElementVisible(element),
-      boundingRect: rect,
-      ariaLabel: element.getAttribute('aria-label') || undefined,
-      role: element.getAttribute('role') || undefined
+      budgetMs: DOMAnalyzer.SCAN_BUDGET_MS,
+      last: this.timings[this.timings.length - 1] || null,
+      count: durations.length,
+      averageMs: durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length : 0,
+      maxMs: durations.length > 0 ? Math.max(...durations) : 0,
+      overBudget: durations.filter(ms => ms > DOMAnalyzer.SCAN_BUDGET_MS).length
     }
   }
 
-  private extractElementLabel(element: HTMLElement): string {
-    // ARIA 라벨 우선
-    const ariaLabel = element.getAttribute('aria-label')
-    if (ariaLabel) return ariaLabel
+  private now(): number {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now()
+  }
 
-    // 텍스트 콘텐츠
-    const textContent = element.textContent?.trim()
-    if (textContent && textContent.length < 50) return textContent
+  // 입력 분류의 <select> 는 선택 메뉴로
+  private elementType(element: HTMLElement, category: ElementCategory): InteractiveElement['type'] {
+    return category === 'inputs' && element.tagName === 'SELECT' ? 'select' : CATEGORY_TYPES[category]
+  }
 
-    // placeholder 텍스트
-    const placeholder = element.getAttribute('placeholder')
-    if (placeholder) return placeholder
+  private createElementInfo(element: HTMLElement, type: InteractiveElement['type']): Omit<InteractiveElement, 'id'> {
+    const rect = this.traverser.viewportRect(element)
+    const rendered = this.isElementVisible(element)
+    const accessible = this.nameComputer.compute(element)
+    const annotations = this.annotationReader.read(element)
+    // <div data-ai="clickable" data-voice="장바구니">🛒</div> 처럼 이름이 없으면 별칭으로 부른다
+    const name = this.annotationReader.nameOf(annotations, accessible.name)
+    // 이름이 없으면 태그 이름으로라도 부를 수 있게 두되 unnamed 로 표시한다
+    const label = name || element.tagName.toLowerCase()
 
-    // 폼 라벨 연결
-    const id = element.getAttribute('id')
-    if (id) {
-      const label = document.querySelector(`label[for="${id}"]`)
-      if (label?.textContent) return label.textContent.trim()
+    return {
+      type,
+      label,
+      description: this.generateDescription(element, label),
+      selector: this.selectorBuilder.build(element),
+      element,
+      isVisible: rendered,
+      visibility: !rendered ? 'collapsed' : this.isInViewport(rect) ? 'visible' : 'offscreen',
+      boundingRect: rect,
+      ariaLabel: element.getAttribute('aria-label') || undefined,
+      role: element.getAttribute('role') || undefined,
+      frame: this.traverser.frameOf(element) || undefined,
+      shadowHost: this.traverser.shadowHostOf(element) || undefined,
+      unnamed: !name,
+      accessibleDescription: accessible.description || undefined,
+      purpose: this.purposeClassifier.classify(element, name),
+      aliases: annotations.aliases.length > 0 ? annotations.aliases : undefined,
+      confirmRequired: annotations.confirmRequired || undefined,
+      confirmPrompt: annotations.confirmPrompt,
+      voiceCommands: annotations.commands.length > 0 ? annotations.commands : undefined,
+      control: type === 'input' || type === 'select' ? controlKindOf(element) : undefined
     }
-
-    return element.tagName.toLowerCase()
   }
 
   private generateDescription(element: HTMLElement, label: string): string {
     const tag = element.tagName.toLowerCase()
     
+    const control = controlKindOf(element)
+    if (control === 'checkbox') return this.messages.t('elementCheckbox', { label })
+    if (control === 'switch') return this.messages.t('elementSwitch', { label })
+    if (control === 'radio') return this.messages.t('elementRadio', { label })
+
     switch (tag) {
       case 'button':
+        return this.messages.t('elementButton', { label })
       case 'input':
-        return `${label} 버튼`
+        return ['submit', 'button', 'reset', 'image'].includes((element.getAttribute('type') || '').toLowerCase())
+          ? this.messages.t('elementButton', { label })
+          : this.messages.t('elementInput', { label })
       case 'a':
-        return `${label} 링크`
+        return this.messages.t('elementLink', { label })
       case 'select':
-        return `${label} 선택 메뉴`
+        return this.messages.t('elementSelect', { label })
       case 'textarea':
-        return `${label} 텍스트 입력창`
+        return this.messages.t('elementTextarea', { label })
       default:
         return label
     }
-  }  private generateSelector(element: HTMLElement): string {
-    if (element.id) return `#${element.id}`
-    
-    const className = element.className
-    if (className && typeof className === 'string') {
-      const classes = className.split(' ').filter(c => c.length > 0)
-      if (classes.length > 0) {
-        return `.${classes[0]}`
-      }
-    }
-    
-    const tagName = element.tagName.toLowerCase()
-    const parent = element.parentElement
-    if (parent) {
-      const siblings = Array.from(parent.children).filter(el => el.tagName === element.tagName)
-      const index = siblings.indexOf(element)
-      return `${tagName}:nth-of-type(${index + 1})`
-    }
-    
-    return tagName
   }
 
   private isElementVisible(element: HTMLElement): boolean {
     const rect = element.getBoundingClientRect()
-    const style = window.getComputedStyle(element)
+    // iframe 안 요소는 그 iframe 의 window 로 스타일을 계산해야 한다
+    const view = element.ownerDocument?.defaultView || window
+    const style = view.getComputedStyle(element)
     
-    return rect.width > 0 && 
+    const visible = rect.width > 0 && 
            rect.height > 0 && 
            style.display !== 'none' && 
            style.visibility !== 'hidden' &&
            style.opacity !== '0'
+    if (!visible) return false
+
+    // 숨겨진 iframe 안의 요소는 보이지 않는다
+    const frame = this.traverser.frameOf(element)
+    return frame ? this.isElementVisible(frame) : true
   }
 
   private isCacheValid(): boolean {
@@ -200,48 +418,266 @@ export class DOMAnalyzer {
     this.cacheTimestamp = Date.now()
   }
 
+  // 전체를 다시 훑어야 하는 변화 (iframe 이 다른 문서를 읽은 경우)
   private invalidateCache(): void {
     this.elementCache = null
+    this.index.clear()
+    this.notifyInvalidation()
+  }
+
+  private notifyInvalidation(): void {
+    this.invalidationListeners.forEach(listener => listener())
+  }
+
+  // 페이지 변화로 캐시가 무효화될 때 알림 (화면 위 표시를 다시 그리는 데 쓴다). 해제 함수를 돌려준다
+  onInvalidate(listener: () => void): () => void {
+    this.invalidationListeners.add(listener)
+    return () => this.invalidationListeners.delete(listener)
+  }
+
+  private isAssistantMutation(mutation: MutationRecord): boolean {
+    if (mutation.type !== 'childList') return false
+    const nodes = [...Array.from(mutation.addedNodes), ...Array.from(mutation.removedNodes)]
+    return nodes.length > 0 && nodes.every(node =>
+      node instanceof HTMLElement && node.classList.contains(ASSISTANT_UI_CLASS)
+    )
   }
 
   findElementByDescription(description: string): HTMLElement | null {
-    const normalizedDesc = description.toLowerCase().trim()
-    
+    const [first] = this.findElementsByDescription(description)
+    return first ? first.element : null
+  }
+
+  // 설명에 맞는 요소 전부 (라벨이 정확히 같은 것 먼저). 여럿이면 호출한 쪽이 사용자에게 묻는다.
+  findElementsByDescription(description: string): InteractiveElement[] {
     // 캐시에서 검색
-    if (this.elementCache) {
-      const allElements = [
-        ...this.elementCache.buttons,
-        ...this.elementCache.links,
-        ...this.elementCache.inputs,
-        ...this.elementCache.forms,
-        ...this.elementCache.navigation
-      ]
-      
-      for (const elem of allElements) {
-        if (elem.label.toLowerCase().includes(normalizedDesc) ||
-            elem.description.toLowerCase().includes(normalizedDesc)) {
-          return elem.element
+    if (!this.elementCache) return []
+    return this.nameMatcher.match(this.getAllElements(this.elementCache), description)
+  }
+
+  // 쓰임새로 요소 찾기 ("검색창", "메뉴 버튼") — 화면 안에 보이는 것, 스크롤하면 보이는 것, 접힌 것 순
+  async findByPurpose(purpose: ElementPurpose): Promise<InteractiveElement | null> {
+    const elements = await this.scanPage()
+    const matches = this.getAllElements(elements).filter(elem => elem.purpose === purpose)
+    const rank = (elem: InteractiveElement) => ['visible', 'offscreen', 'collapsed'].indexOf(elem.visibility || 'visible')
+    return matches.sort((a, b) => rank(a) - rank(b))[0] || null
+  }
+
+  getAllElements(elements: ElementMap): InteractiveElement[] {
+    return [
+      ...elements.buttons,
+      ...elements.links,
+      ...elements.inputs,
+      ...elements.forms,
+      ...elements.navigation
+    ]
+  }
+
+  // 요소가 놓인 영역 — 안내 문장("상단 메뉴의 로그인")의 영역 이름은 메시지 카탈로그에서 고른다
+  locateElement(element: HTMLElement): ElementRegion {
+    const inside = (selector: string) => !!element.closest(selector)
+    const inHeader = inside('header, [role="banner"]')
+    const inFooter = inside('footer, [role="contentinfo"]')
+
+    if (inside('nav, [role="navigation"]')) {
+      return inHeader ? 'header-nav' : inFooter ? 'footer-nav' : 'nav'
+    }
+    if (inside('dialog, [role="dialog"], [aria-modal="true"]')) return 'dialog'
+    if (inHeader) return 'header'
+    if (inFooter) return 'footer'
+    if (inside('form, [role="search"], [role="form"]')) return 'form'
+    if (inside('aside, [role="complementary"]')) return 'aside'
+
+    const rect = element.getBoundingClientRect()
+    const third = window.innerHeight / 3
+    if (rect.top < third) return 'top'
+    if (rect.top > third * 2) return 'bottom'
+    return 'middle'
+  }
+
+  // 제목과 랜드마크를 문서 순서로 모은다 (제목·영역 단위 이동에 쓴다). data-voice-ignore 영역은 뺀다
+  scanStructure(): PageStructure {
+    const roots = this.traverser.collectRoots(document)
+    const query = (selector: string) => this.traverser.queryAll(roots, selector)
+      .filter(element => this.isElementVisible(element) && !element.closest(`.${ASSISTANT_UI_CLASS}`) &&
+        !this.annotationReader.isIgnored(element))
+
+    const headings = query('h1, h2, h3, h4, h5, h6, [role="heading"]')
+      .map(element => ({
+        level: Number(element.getAttribute('aria-level')) || Number(element.tagName.match(/^H([1-6])$/)?.[1]) || 2,
+        text: this.nameComputer.compute(element).name,
+        element
+      }))
+      .filter(heading => heading.text.length > 0)
+
+    const landmarks: LandmarkInfo[] = []
+    query([
+      'header', 'footer', 'nav', 'main', 'aside', 'search',
+      '[role="banner"]', '[role="navigation"]', '[role="main"]', '[role="complementary"]',
+      '[role="contentinfo"]', '[role="search"]', '[role="region"]', 'section[aria-label]', 'section[aria-labelledby]'
+    ].join(', ')).forEach(element => {
+      const kind = this.landmarkKind(element)
+      if (kind) landmarks.push({ kind, label: this.nameComputer.compute(element).name, element })
+    })
+
+    return { headings, landmarks }
+  }
+
+  // 화면에 보이는 데이터 표 (문서 순서). 배치용 표와 data-voice-ignore 로 뺀 표는 뺀다
+  scanTables(): TableModel[] {
+    const roots = this.traverser.collectRoots(document)
+    return this.traverser.queryAll(roots, TABLE_SELECTOR)
+      .filter(table => this.isElementVisible(table) && !this.annotationReader.isIgnored(table))
+      .map(table => this.tableParser.parse(table))
+      .filter((table): table is TableModel => table !== null)
+  }
+
+  // 화면에 보이는 입력 양식 (문서 순서). 칸이 없는 폼은 뺀다
+  scanForms(): FormModel[] {
+    const roots = this.traverser.collectRoots(document)
+    return this.traverser.queryAll(roots, 'form')
+      .filter(form => this.isElementVisible(form) && !this.annotationReader.isIgnored(form))
+      .map(form => this.formModelBuilder.build(form))
+      .filter(form => form.fields.length > 0)
+  }
+
+  private landmarkKind(element: HTMLElement): LandmarkKind | null {
+    const role = element.getAttribute('role')
+    const roles: { [role: string]: LandmarkKind } = {
+      banner: 'banner', navigation: 'navigation', main: 'main', complementary: 'complementary',
+      contentinfo: 'contentinfo', search: 'search', region: 'region'
+    }
+    if (role) return roles[role] || null
+
+    // article·section 안의 header/footer 는 그 글의 머리말·꼬리말일 뿐 페이지 영역이 아니다
+    const sectioned = () => !!element.parentElement?.closest('article, aside, main, nav, section')
+    switch (element.tagName) {
+      case 'HEADER': return sectioned() ? null : 'banner'
+      case 'FOOTER': return sectioned() ? null : 'contentinfo'
+      case 'NAV': return 'navigation'
+      case 'MAIN': return 'main'
+      case 'ASIDE': return 'complementary'
+      case 'SEARCH': return 'search'
+      case 'SECTION': return 'region'
+      default: return null
+    }
+  }
+
+  // 마지막 스캔에서 찾은 폼의 쓰임새, 없으면 URL·제목·폼 유무로 현재 페이지 유형 추정
+  detectPageType(): PageType {
+    const formPurposes = (this.elementCache?.forms || []).map(form => form.purpose)
+    if (formPurposes.includes('login')) return 'login'
+    if (formPurposes.includes('checkout')) return 'checkout'
+
+    const url = window.location.href.toLowerCase()
+    const title = document.title.toLowerCase()
+
+    if (url.includes('login') || title.includes('로그인')) return 'login'
+    if (url.includes('search') || title.includes('검색')) return 'search'
+    if (url.includes('cart') || title.includes('장바구니')) return 'cart'
+    if (url.includes('checkout') || title.includes('결제')) return 'checkout'
+    if (document.querySelector('form')) return 'form'
+
+    return 'general'
+  }
+
+  // DOM 이 quietMs 동안 바뀌지 않을 때까지 기다린다 (최대 timeoutMs).
+  // 복합 명령의 단계 사이에서 화면 전환·렌더링이 끝나기를 기다리는 데 쓴다.
+  waitForSettle(quietMs: number = 300, timeoutMs: number = 3000): Promise<void> {
+    const startedAt = Date.now()
+
+    return new Promise(resolve => {
+      const check = () => {
+        const now = Date.now()
+        const quietFor = now - this.lastMutationAt
+        const waited = now - startedAt
+
+        if (quietFor >= quietMs || waited >= timeoutMs) {
+          resolve()
+          return
         }
+        setTimeout(check, Math.min(quietMs - quietFor, timeoutMs - waited))
       }
-    }
-    
-    return null
+
+      // 직전 동작이 DOM 을 바꾸기 시작할 틈을 준 뒤 검사
+      setTimeout(check, quietMs)
+    })
   }
 
   startObserving(): void {
     if (this.observer) {
-      this.observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['class', 'id', 'aria-label', 'role']
-      })
+      this.isObserving = true
+      this.observeRoots(this.traverser.collectRoots(document))
+      // 관찰하지 않는 동안의 변화는 모르므로 처음부터 다시 훑되, 첫 명령 전에 유휴 시간에 미리 해 둔다
+      this.index.clear()
+      this.scheduleIdleUpdate()
+      window.addEventListener('resize', this.handleResize)
+      // invalid 는 버블링되지 않으므로 캡처 단계에서 받는다
+      document.addEventListener('invalid', this.handleInvalid, true)
     }
   }
 
   stopObserving(): void {
     if (this.observer) {
       this.observer.disconnect()
+      this.isObserving = false
+      this.observedRoots = new WeakSet()
+      this.pendingMutations = []
+      this.cancelIdle?.()
+      this.cancelIdle = null
+      window.removeEventListener('resize', this.handleResize)
+      document.removeEventListener('invalid', this.handleInvalid, true)
+      this.watchedFrames.forEach((listener, frame) => frame.removeEventListener('load', listener))
+      this.watchedFrames.clear()
+    }
+  }
+
+  // 창 크기가 바뀌면 반응형 레이아웃에서 보이는 요소가 달라진다
+  private handleResize = (): void => {
+    this.index.invalidateAll()
+    this.scheduleIdleUpdate()
+  }
+
+  private handleInvalid = (event: Event): void => {
+    if (event.target instanceof Element) this.reportedInvalid.add(event.target)
+  }
+
+  // 문서 본문뿐 아니라 shadow root·iframe 문서 안의 변화도 감시한다
+  private observeRoots(roots: SearchRoot[]): void {
+    // 문서에서 떨어진 iframe 은 더 듣지 않는다
+    this.watchedFrames.forEach((listener, frame) => {
+      if (frame.isConnected) return
+      frame.removeEventListener('load', listener)
+      this.watchedFrames.delete(frame)
+    })
+
+    for (const { root, frame } of roots) {
+      const target = 'body' in root && root.body ? root.body : root
+      if (!this.observedRoots.has(target)) {
+        this.observedRoots.add(target)
+        this.observer!.observe(target, {
+          childList: true,
+          subtree: true,
+          // 글자 노드만 바뀌어도 버튼·라벨의 이름이 바뀐다
+          characterData: true,
+          attributes: true,
+          // 보이는지(style·hidden), 이름(aria-*·value·title·alt·placeholder·name), 상태(aria-expanded·disabled·aria-invalid),
+          // 분류(role·type·href), 음성 주석(data-voice-*)을 바꾸는 속성
+          attributeFilter: [
+            'class', 'id', 'style', 'hidden', 'open', 'aria-hidden', 'aria-label', 'aria-labelledby', 'aria-describedby',
+            'value', 'title', 'alt', 'placeholder', 'name', 'aria-expanded', 'disabled', 'aria-invalid',
+            'role', 'type', 'href',
+            ...ANNOTATION_ATTRIBUTES
+          ]
+        })
+      }
+
+      // iframe 이 다른 문서를 새로 읽으면 이전 문서의 요소는 사라진다
+      if (frame && !this.watchedFrames.has(frame)) {
+        const listener = () => this.invalidateCache()
+        this.watchedFrames.set(frame, listener)
+        frame.addEventListener('load', listener)
+      }
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * DocumentTraverser - shadow DOM·iframe 를 포함한 탐색 범위
+ * document.querySelectorAll 로는 웹 컴포넌트(open shadow root) 안과 같은 출처 iframe 안의
+ * 요소가 보이지 않는다. 탐색할 루트를 모두 모아 한 번에 검색한다.
+ */
+
+export interface SearchRoot {
+  root: Document | ShadowRoot
+  /** 이 루트가 들어 있는 iframe (최상위 문서면 없음) */
+  frame?: HTMLIFrameElement
+  /** 이 루트가 shadow root 면 그 호스트 요소 */
+  shadowHost?: HTMLElement
+}
+
+export class DocumentTraverser {
+  // 문서와 그 안의 open shadow root, 같은 출처 iframe 문서를 깊이 우선으로 모은다
+  collectRoots(document: Document): SearchRoot[] {
+    const roots: SearchRoot[] = []
+    this.visit({ root: document }, roots, new Set())
+    return roots
+  }
+
+  // 새로 붙은 요소(와 그 자손)가 품은 shadow root·iframe 문서 — 요소가 속한 루트 자신은 빼고
+  nestedRoots(element: Element): SearchRoot[] {
+    const roots: SearchRoot[] = []
+    const descendants = [element, ...Array.from(element.querySelectorAll('*'))]
+    this.visitHosts(descendants, this.frameOf(element) || undefined, roots, new Set())
+    return roots
+  }
+
+  private visit(entry: SearchRoot, roots: SearchRoot[], visited: Set<Document | ShadowRoot>): void {
+    if (visited.has(entry.root)) return
+    visited.add(entry.root)
+    roots.push(entry)
+    this.visitHosts(Array.from(entry.root.querySelectorAll('*')), entry.frame, roots, visited)
+  }
+
+  // shadow root 를 가진 요소와 iframe 에서 한 단계 안쪽 루트로 들어간다
+  private visitHosts(elements: Element[], frame: HTMLIFrameElement | undefined, roots: SearchRoot[], visited: Set<Document | ShadowRoot>): void {
+    elements.forEach(node => {
+      const element = node as HTMLElement
+      if (element.shadowRoot) {
+        this.visit({ root: element.shadowRoot, frame, shadowHost: element }, roots, visited)
+      }
+      if (element.tagName === 'IFRAME') {
+        const frameDocument = this.sameOriginDocument(element as HTMLIFrameElement)
+        if (frameDocument) this.visit({ root: frameDocument, frame: element as HTMLIFrameElement }, roots, visited)
+      }
+    })
+  }
+
+  // 모든 루트에서 선택자에 맞는 요소 (루트 순서, 루트 안에서는 문서 순서)
+  queryAll(roots: SearchRoot[], selector: string): HTMLElement[] {
+    const elements: HTMLElement[] = []
+    for (const { root } of roots) {
+      root.querySelectorAll(selector).forEach(node => elements.push(node as HTMLElement))
+    }
+    return elements
+  }
+
+  // 다른 출처 iframe 은 contentDocument 가 null 이거나 접근 시 예외가 난다
+  sameOriginDocument(frame: HTMLIFrameElement): Document | null {
+    try {
+      return frame.contentDocument || null
+    } catch {
+      return null
+    }
+  }
+
+  frameOf(element: Element): HTMLIFrameElement | null {
+    const frameElement = element.ownerDocument?.defaultView?.frameElement
+    return frameElement && frameElement.tagName === 'IFRAME' ? frameElement as HTMLIFrameElement : null
+  }
+
+  shadowHostOf(element: Element): HTMLElement | null {
+    const root = typeof element.getRootNode === 'function' ? element.getRootNode() : null
+    return root && 'host' in root ? (root as ShadowRoot).host as HTMLElement : null
+  }
+
+  // 요소가 속한 문서·shadow root — label[for] 같은 id 참조는 같은 루트 안에서만 찾는다
+  rootOf(element: Element): Document | ShadowRoot {
+    const root = typeof element.getRootNode === 'function' ? element.getRootNode() : null
+    return root && 'querySelector' in root ? root as Document | ShadowRoot : element.ownerDocument
+  }
+
+  // 최상위 화면 기준 위치 — iframe 안 요소는 iframe 의 위치만큼 옮긴다
+  viewportRect(element: Element): DOMRect {
+    const rect = element.getBoundingClientRect()
+    let left = rect.left
+    let top = rect.top
+
+    let frame = this.frameOf(element)
+    while (frame) {
+      const frameRect = frame.getBoundingClientRect()
+      left += frameRect.left + frame.clientLeft
+      top += frameRect.top + frame.clientTop
+      frame = this.frameOf(frame)
+    }
+
+    if (left === rect.left && top === rect.top) return rect
+    return {
+      x: left, y: top, left, top,
+      width: rect.width, height: rect.height,
+      right: left + rect.width, bottom: top + rect.height,
+      toJSON: () => ({ left, top, width: rect.width, height: rect.height })
+    } as DOMRect
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * ElementIdentity - 다시 스캔해도 바뀌지 않는 요소 id
+ * 같은 노드는 처음 받은 id 를 계속 쓴다. 화면을 다시 그려 노드가 바뀐 경우에는
+ * 사라진 노드의 지문(태그·data-testid·id·이름·글자)이 같은 새 노드가 그 id 를 이어받는다.
+ */
+
+import type { ElementCategory } from './element-index'
+
+const ID_PREFIXES: { [category in ElementCategory]: string } = {
+  buttons: 'btn',
+  links: 'link',
+  inputs: 'input',
+  forms: 'form',
+  navigation: 'nav'
+}
+
+// 지문에 쓰는 속성 — 다시 그려도 대개 그대로인 것들
+const FINGERPRINT_ATTRIBUTES = ['name', 'type', 'role', 'aria-label', 'href']
+
+export class ElementIdentity {
+  // 이어받을 주인을 기다리는 id 가 너무 쌓이지 않도록
+  private static readonly MAX_RETIRED = 500
+
+  private ids: WeakMap<HTMLElement, Map<ElementCategory, string>> = new WeakMap()
+  // 지문 → 사라진 노드가 쓰던 id (먼저 사라진 것부터)
+  private retired: Map<string, string[]> = new Map()
+  private retiredCount = 0
+  private counters: Map<ElementCategory, number> = new Map()
+
+  idFor(element: HTMLElement, category: ElementCategory): string {
+    let ids = this.ids.get(element)
+    if (!ids) {
+      ids = new Map()
+      this.ids.set(element, ids)
+    }
+
+    let id = ids.get(category)
+    if (!id) {
+      id = this.inherit(this.fingerprint(element, category)) || this.nextId(category)
+      ids.set(category, id)
+    }
+    return id
+  }
+
+  // 페이지에서 사라진 노드의 id 를 같은 지문의 새 노드가 이어받을 수 있게 내놓는다
+  retire(element: HTMLElement): void {
+    const ids = this.ids.get(element)
+    if (!ids) return
+    this.ids.delete(element)
+
+    ids.forEach((id, category) => {
+      const key = this.fingerprint(element, category)
+      this.retired.set(key, [...(this.retired.get(key) || []), id])
+      this.retiredCount++
+    })
+    this.trimRetired()
+  }
+
+  private nextId(category: ElementCategory): string {
+    const count = this.counters.get(category) || 0
+    this.counters.set(category, count + 1)
+    return `${ID_PREFIXES[category]}-${count}`
+  }
+
+  private inherit(key: string): string | null {
+    const queue = this.retired.get(key)
+    if (!queue) return null
+
+    const id = queue.shift()!
+    this.retiredCount--
+    if (queue.length === 0) this.retired.delete(key)
+    return id
+  }
+
+  // data-testid·id 가 있으면 그것만으로 (장바구니 개수처럼 글자가 바뀌어도 같은 요소)
+  private fingerprint(element: HTMLElement, category: ElementCategory): string {
+    const key = element.getAttribute('data-testid') || element.getAttribute('id')
+    if (key) return [category, element.tagName, key].join('|')
+
+    const attributes = FINGERPRINT_ATTRIBUTES.map(name => element.getAttribute(name) || '')
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 50)
+    return [category, element.tagName, ...attributes, text].join('|')
+  }
+
+  private trimRetired(): void {
+    for (const [key, queue] of this.retired) {
+      if (this.retiredCount <= ElementIdentity.MAX_RETIRED) return
+      this.retiredCount -= queue.length
+      this.retired.delete(key)
+    }
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * ElementIndex - 화면 요소 색인
+ * 한 번 전체를 훑은 뒤로는 MutationObserver 가 알려준 변화(추가·제거·속성·글자)만 반영한다.
+ * 보이는지 여부와 라벨은 바뀐 요소만 표시해 두었다가 읽을 때(또는 유휴 시간에) 다시 잰다.
+ */
+
+import type { ElementMap, InteractiveElement } from './dom-analyzer'
+import type { SearchRoot } from './dom-traversal'
+import { ElementIdentity } from './element-identity'
+import { ANNOTATED_CLICKABLE_SELECTOR } from './voice-annotations'
+
+export type ElementCategory = keyof ElementMap
+
+// 분류별 선택자 — 한 요소가 여러 분류에 들 수 있다 (role="button" 인 링크)
+export const CATEGORY_SELECTORS: { [category in ElementCategory]: string } = {
+  buttons: `button, [role="button"], input[type="submit"], ${ANNOTATED_CLICKABLE_SELECTOR}`,
+  links: 'a[href]',
+  inputs: 'input:not([type="submit"]), textarea, select, [role="checkbox"], [role="switch"], [role="radio"]',
+  forms: 'form',
+  navigation: 'nav, [role="navigation"], .menu, .navbar'
+}
+
+const CATEGORIES = Object.keys(CATEGORY_SELECTORS) as ElementCategory[]
+
+// Node.compareDocumentPosition 의 "뒤에 있음" 비트
+const FOLLOWING = 4
+
+// 다른 요소의 글로 이름·설명을 짓는 속성 — 가리킨 요소가 바뀌면 이 요소의 라벨도 바뀐다
+const REFERENCE_ATTRIBUTES = ['aria-labelledby', 'aria-describedby']
+
+/** 색인이 요소 정보를 만들 때 쓰는 DOMAnalyzer 쪽 함수들 */
+export interface IndexHooks {
+  describe(element: HTMLElement, category: ElementCategory): Omit<InteractiveElement, 'id'>
+  isVisible(element: HTMLElement): boolean
+  /** 새로 붙은 요소 안의 shadow root·iframe 문서 */
+  nestedRoots(element: HTMLElement): SearchRoot[]
+}
+
+interface IndexEntry {
+  element: HTMLElement
+  categories: Set<ElementCategory>
+  visible: boolean
+  info: Map<ElementCategory, Omit<InteractiveElement, 'id'>>
+}
+
+export class ElementIndex {
+  private hooks: IndexHooks
+  private entries: Map<HTMLElement, IndexEntry> = new Map()
+  private identity = new ElementIdentity()
+  // 보이는지·라벨을 다시 재야 하는 요소
+  private stale: Set<IndexEntry> = new Set()
+  private built = false
+  private orderDirty = false
+  private version = 0
+  private cached: { version: number, map: ElementMap } | null = null
+
+  constructor(hooks: IndexHooks) {
+    this.hooks = hooks
+  }
+
+  get isBuilt(): boolean {
+    return this.built
+  }
+
+  get size(): number {
+    return this.entries.size
+  }
+
+  /** 다시 재야 하는 요소 수 */
+  get pending(): number {
+    return this.stale.size
+  }
+
+  // 처음부터 다시 훑는다 (루트 순서, 루트 안에서는 문서 순서). 다시 찾은 요소는 id 를 그대로 쓴다
+  rebuild(roots: SearchRoot[]): void {
+    const previous = this.entries
+    this.entries = new Map()
+    this.stale.clear()
+    for (const { root } of roots) this.addFrom(root)
+    previous.forEach((_, element) => {
+      if (!this.entries.has(element)) this.identity.retire(element)
+    })
+    this.built = true
+    this.orderDirty = false
+    this.version++
+  }
+
+  // 다음 스캔이 전체를 다시 훑게 한다 (iframe 이 다른 문서를 읽은 경우 등)
+  clear(): void {
+    this.entries.forEach((_, element) => this.identity.retire(element))
+    this.entries.clear()
+    this.stale.clear()
+    this.built = false
+    this.cached = null
+  }
+
+  // 관찰한 변화를 반영한다. 아직 전체를 훑기 전이면 무시한다 (어차피 처음 스캔에서 모두 본다)
+  applyMutations(records: MutationRecord[]): void {
+    if (!this.built) return
+    let removed = false
+    let referrers: Map<string, IndexEntry[]> | null = null
+
+    for (const record of records) {
+      // aria-labelledby 로 바뀐 곳(또는 그 조상)을 가리키는 요소도 라벨을 다시 잰다
+      const ids = this.idsAround(record.target)
+      if (ids.length > 0) {
+        referrers = referrers || this.referrersById()
+        ids.forEach(id => referrers!.get(id)?.forEach(entry => this.markStale(entry)))
+      }
+      this.invalidateLabelled(record.target)
+
+      if (record.type === 'characterData') {
+        // 글자 노드가 바뀌면 그것을 품은 요소들의 라벨이 바뀐다
+        this.invalidateAncestors(record.target)
+      } else if (record.type === 'childList') {
+        if (record.removedNodes.length > 0) removed = true
+        record.addedNodes.forEach(node => {
+          if (node.nodeType === 1 && node.isConnected) this.addSubtree(node as HTMLElement)
+        })
+        // 자식(텍스트)이 바뀌면 그 요소와 조상 요소의 라벨이 바뀐다
+        this.invalidateAncestors(record.target)
+        // 같은 태그 형제의 nth-of-type 자리가 밀리므로 그 형제와 자손의 선택자를 다시 만든다
+        this.invalidateSiblings(record.target, [...Array.from(record.addedNodes), ...Array.from(record.removedNodes)])
+      } else if (record.type === 'attributes') {
+        const target = record.target as HTMLElement
+        this.reclassify(target)
+        // class·style·hidden 은 자손이 보이는지도 바꾼다
+        this.invalidateSubtree(target)
+      }
+    }
+
+    // 옮겨진 노드는 다시 붙어 있으므로, 떨어져 나간 것만 지운다
+    if (removed) this.sweepDisconnected()
+  }
+
+  // 모든 요소를 다시 재도록 표시 (창 크기가 바뀐 경우)
+  invalidateAll(): void {
+    this.entries.forEach(entry => this.markStale(entry))
+  }
+
+  // 표시해 둔 요소를 다시 잰다. shouldYield 가 true 면 멈추고 false (유휴 시간이 끝난 경우)
+  refresh(shouldYield: () => boolean = () => false): boolean {
+    for (const entry of this.stale) {
+      if (shouldYield()) return false
+      this.stale.delete(entry)
+
+      entry.visible = entry.element.isConnected && this.hooks.isVisible(entry.element)
+      entry.info.clear()
+      if (entry.visible) {
+        entry.categories.forEach(category => entry.info.set(category, this.hooks.describe(entry.element, category)))
+      }
+    }
+    return true
+  }
+
+  // 보이는 요소를 분류별로 (문서 순서). 바뀐 것이 없으면 지난 결과를 그대로 돌려준다
+  // id 는 이때 붙인다 — 같은 변화 묶음에서 사라진 노드의 id 를 새 노드가 이어받도록 지운 뒤에
+  snapshot(): ElementMap {
+    this.refresh()
+    if (this.cached && this.cached.version === this.version) return this.cached.map
+
+    if (this.orderDirty) this.sortEntries()
+    const map: ElementMap = { buttons: [], links: [], forms: [], inputs: [], navigation: [] }
+
+    this.entries.forEach(entry => {
+      if (!entry.visible) return
+      for (const category of CATEGORIES) {
+        const info = entry.info.get(category)
+        if (info) map[category].push({ id: this.identity.idFor(entry.element, category), ...info })
+      }
+    })
+
+    this.cached = { version: this.version, map }
+    return map
+  }
+
+  private addFrom(root: ParentNode): void {
+    for (const category of CATEGORIES) {
+      root.querySelectorAll(CATEGORY_SELECTORS[category]).forEach(element => this.include(element as HTMLElement, category))
+    }
+  }
+
+  private addSubtree(element: HTMLElement): void {
+    for (const category of CATEGORIES) {
+      if (element.matches(CATEGORY_SELECTORS[category])) this.include(element, category)
+    }
+    this.addFrom(element)
+    this.hooks.nestedRoots(element).forEach(({ root }) => this.addFrom(root))
+    this.orderDirty = true
+  }
+
+  private include(element: HTMLElement, category: ElementCategory): void {
+    let entry = this.entries.get(element)
+    if (!entry) {
+      entry = { element, categories: new Set(), visible: false, info: new Map() }
+      this.entries.set(element, entry)
+    }
+    entry.categories.add(category)
+    this.markStale(entry)
+  }
+
+  // role·type·href 가 바뀌면 분류가 달라진다
+  private reclassify(element: HTMLElement): void {
+    if (typeof element.matches !== 'function') return
+
+    for (const category of CATEGORIES) {
+      if (element.matches(CATEGORY_SELECTORS[category])) {
+        this.include(element, category)
+        continue
+      }
+      const entry = this.entries.get(element)
+      if (entry?.categories.delete(category) && entry.categories.size === 0) {
+        this.remove(entry)
+      }
+    }
+  }
+
+  private invalidateSubtree(target: HTMLElement): void {
+    this.entries.forEach(entry => {
+      if (entry.element === target || target.contains(entry.element)) this.markStale(entry)
+    })
+  }
+
+  private invalidateSiblings(parent: Node, changed: Node[]): void {
+    const tags = new Set(changed.filter(node => node.nodeType === 1).map(node => (node as HTMLElement).tagName))
+    if (tags.size === 0) return
+    Array.from((parent as ParentNode).children || []).forEach(child => {
+      if (tags.has(child.tagName)) this.invalidateSubtree(child as HTMLElement)
+    })
+  }
+
+  // shadow root 를 만나면 호스트로 올라간다
+  private invalidateAncestors(node: Node): void {
+    for (let current: Node | null = node; current; current = current.parentNode || (current as ShadowRoot).host || null) {
+      const entry = this.entries.get(current as HTMLElement)
+      if (entry) this.markStale(entry)
+    }
+  }
+
+  // <label> 안의 글이 바뀌면 그 라벨이 이름을 붙인 입력칸(for 로 가리키거나 안에 품은 것)도 다시 잰다
+  private invalidateLabelled(node: Node): void {
+    for (let current: Node | null = node; current; current = current.parentNode) {
+      if (current.nodeType !== 1 || (current as HTMLElement).tagName !== 'LABEL') continue
+      const label = current as HTMLElement
+      const target = label.getAttribute('for')
+      this.entries.forEach(entry => {
+        if (label.contains(entry.element) || (target && entry.element.getAttribute('id') === target)) this.markStale(entry)
+      })
+      return
+    }
+  }
+
+  // 노드 자신과 조상 요소의 id (바뀐 글은 조상 요소의 글이기도 하다)
+  private idsAround(node: Node): string[] {
+    const ids: string[] = []
+    for (let current: Node | null = node; current; current = current.parentNode) {
+      const id = current.nodeType === 1 ? (current as HTMLElement).getAttribute('id') : null
+      if (id) ids.push(id)
+    }
+    return ids
+  }
+
+  private referrersById(): Map<string, IndexEntry[]> {
+    const referrers: Map<string, IndexEntry[]> = new Map()
+    this.entries.forEach(entry => {
+      for (const name of REFERENCE_ATTRIBUTES) {
+        (entry.element.getAttribute(name) || '').split(/\s+/).filter(Boolean).forEach(id => {
+          referrers.set(id, [...(referrers.get(id) || []), entry])
+        })
+      }
+    })
+    return referrers
+  }
+
+  private sweepDisconnected(): void {
+    this.entries.forEach(entry => {
+      if (!entry.element.isConnected) this.remove(entry)
+    })
+  }
+
+  private remove(entry: IndexEntry): void {
+    this.identity.retire(entry.element)
+    this.entries.delete(entry.element)
+    this.stale.delete(entry)
+    this.version++
+  }
+
+  private markStale(entry: IndexEntry): void {
+    this.stale.add(entry)
+    this.version++
+  }
+
+  // 새로 붙은 요소가 섞였으면 문서 순서로 다시 줄 세운다
+  private sortEntries(): void {
+    const sorted = Array.from(this.entries.values()).sort((a, b) =>
+      a.element === b.element ? 0 : (a.element.compareDocumentPosition(b.element) & FOLLOWING) ? -1 : 1
+    )
+    this.entries = new Map(sorted.map(entry => [entry.element, entry]))
+    this.orderDirty = false
+  }
+}
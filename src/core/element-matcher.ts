@@ -0,0 +1,87 @@
+/**
+ * ElementNameMatcher - 이름으로 화면 요소 찾기 + 모호성 판정
+ * "로그인 눌러줘" 에 로그인 요소가 여럿이면 첫 번째를 누르지 않고 후보 목록을 돌려준다
+ */
+
+import { ElementVisibility, InteractiveElement } from './dom-analyzer'
+
+export type ElementResolution =
+  | { status: 'none' }
+  | { status: 'unique', element: InteractiveElement }
+  | { status: 'ambiguous', candidates: InteractiveElement[] }
+
+const VISIBILITY_ORDER: ElementVisibility[] = ['visible', 'offscreen', 'collapsed']
+
+export class ElementNameMatcher {
+  // 라벨/설명에 이름이 들어간 요소 전부. 라벨이 정확히 같은 요소가 앞에 온다.
+  match(elements: InteractiveElement[], name: string): InteractiveElement[] {
+    const target = this.normalize(name)
+    if (!target) return []
+
+    const matched = elements.filter(elem =>
+      this.normalize(elem.label).includes(target) ||
+      this.normalize(elem.description).includes(target) ||
+      (elem.aliases || []).some(alias => this.normalize(alias).includes(target))
+    )
+
+    const exact: InteractiveElement[] = []
+    const partial: InteractiveElement[] = []
+    for (const elem of this.dedupe(matched)) {
+      if (this.isExact(elem, name)) {
+        exact.push(elem)
+      } else {
+        partial.push(elem)
+      }
+    }
+
+    return [...exact, ...partial]
+  }
+
+  // 정확히 같은 라벨이 하나면 그것, 여럿이면 모호. 정확한 것이 없으면 부분 일치로 같은 판정.
+  // 보이는 요소가 맞으면 접힌 메뉴 안 같은 이름 요소(모바일 메뉴의 중복 등)는 후보에서 뺀다.
+  resolve(elements: InteractiveElement[], name: string): ElementResolution {
+    const matches = this.match(elements, name)
+    if (matches.length === 0) return { status: 'none' }
+
+    const exact = matches.filter(elem => this.isExact(elem, name))
+    const named = exact.length > 0 ? exact : matches
+    const rendered = named.filter(elem => elem.visibility !== 'collapsed')
+    const pool = this.byVisibility(rendered.length > 0 ? rendered : named)
+
+    return pool.length === 1
+      ? { status: 'unique', element: pool[0] }
+      : { status: 'ambiguous', candidates: pool }
+  }
+
+  // 라벨이나 data-voice 별칭이 이름과 정확히 같은지
+  isExact(elem: InteractiveElement, name: string): boolean {
+    const target = this.normalize(name)
+    return this.normalize(elem.label) === target || (elem.aliases || []).some(alias => this.normalize(alias) === target)
+  }
+
+  // 화면 안에 보이는 것, 스크롤하면 보이는 것, 접힌 것 순 (같은 순위끼리는 원래 순서)
+  private byVisibility(elements: InteractiveElement[]): InteractiveElement[] {
+    const rank = (elem: InteractiveElement) => VISIBILITY_ORDER.indexOf(elem.visibility || 'visible')
+    return [...elements].sort((a, b) => rank(a) - rank(b))
+  }
+
+  // 같은 요소가 여러 분류(버튼·네비게이션)에 있거나, 메뉴 컨테이너가 안쪽 링크와 함께 일치하면
+  // 안쪽(실제로 누를) 요소만 남긴다.
+  private dedupe(elements: InteractiveElement[]): InteractiveElement[] {
+    const unique = elements.filter((elem, index) =>
+      elements.findIndex(other => other.element === elem.element) === index
+    )
+
+    return unique.filter(elem =>
+      !unique.some(other =>
+        other !== elem &&
+        typeof elem.element.contains === 'function' &&
+        elem.element.contains(other.element)
+      )
+    )
+  }
+
+  private normalize(text: string | undefined): string {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim()
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * PurposeClassifier - 요소의 쓰임새 추정
+ * "검색창", "메뉴 버튼", "다음 페이지" 처럼 쓰임새로 요소를 찾을 수 있게
+ * ARIA 역할, 입력 type·autocomplete, rel, 글자로 쓰임새를 붙인다. 모르면 undefined.
+ */
+
+export type ElementPurpose =
+  | 'search'
+  | 'login'
+  | 'next-page'
+  | 'previous-page'
+  | 'menu-toggle'
+  | 'cart'
+  | 'checkout'
+  | 'close-dialog'
+  | 'submit'
+
+const SEARCH_TEXT = /검색|search|찾기/i
+const SEARCH_NAMES = ['q', 'query', 'keyword', 'keywords', 'search', 'search_query']
+const LOGIN_TEXT = /로그인|log\s?in|sign\s?in/i
+// "다음", "다음 페이지", "Next ›", "»"
+const NEXT_TEXT = /^((다음|next)(\s?(페이지|page))?\s?[›»>→]?|[›»>→])$/i
+const PREVIOUS_TEXT = /^([‹«<←]?\s?(이전|prev|previous)(\s?(페이지|page))?|[‹«<←])$/i
+const MENU_TEXT = /메뉴|menu|☰/i
+const MENU_LABEL = /^(메뉴|전체\s?메뉴|메뉴\s?열기|menu|open\s?menu|☰)$/i
+const MENU_CLASS = /hamburger|nav-?toggle|menu-?(button|toggle|btn)/i
+const CART_TEXT = /장바구니|카트|cart|basket/i
+const CHECKOUT_TEXT = /결제|주문하기|구매하기|바로\s?구매|checkout|check\s?out|place\s?order|buy\s?now/i
+const CLOSE_TEXT = /^(닫기|창\s?닫기|close|dismiss|×|✕|✖|x)$/i
+
+const DIALOG_SELECTOR = 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]'
+const SEARCH_REGION_SELECTOR = 'search, [role="search"]'
+const CARD_FIELDS_SELECTOR = '[autocomplete~="cc-number"], [autocomplete~="cc-exp"], [autocomplete~="cc-csc"]'
+
+export class PurposeClassifier {
+  classify(element: HTMLElement, label: string): ElementPurpose | undefined {
+    const tag = element.tagName
+    if (tag === 'FORM') return this.formPurpose(element as HTMLFormElement)
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return this.fieldPurpose(element, label)
+    if (tag === 'INPUT' && !this.isSubmitInput(element)) return this.fieldPurpose(element, label)
+    // 메뉴 영역(nav) 같은 컨테이너는 쓰임새를 붙이지 않는다
+    if (!this.isAction(element)) return undefined
+    return this.actionPurpose(element, label.trim())
+  }
+
+  // 폼은 담긴 칸으로 — 검색 칸이면 검색, 카드 칸이면 결제, 기존 비밀번호 칸이면 로그인
+  private formPurpose(form: HTMLFormElement): ElementPurpose | undefined {
+    if (form.matches(SEARCH_REGION_SELECTOR) || form.querySelector('input[type="search"], [role="searchbox"]')) return 'search'
+    if (form.querySelector(CARD_FIELDS_SELECTOR)) return 'checkout'
+    if (form.querySelector('input[type="password"]') && !form.querySelector('[autocomplete~="new-password"]')) return 'login'
+    if (SEARCH_TEXT.test(form.getAttribute('action') || '')) return 'search'
+    return undefined
+  }
+
+  private fieldPurpose(field: HTMLElement, label: string): ElementPurpose | undefined {
+    const type = (field.getAttribute('type') || '').toLowerCase()
+    if (type === 'search' || field.getAttribute('role') === 'searchbox' || field.getAttribute('enterkeyhint') === 'search') return 'search'
+    if (field.closest(SEARCH_REGION_SELECTOR)) return 'search'
+
+    // 글자 칸인데 이름이 검색어인 경우 (<input name="q" placeholder="검색어 입력">)
+    const isText = field.tagName === 'INPUT' && (type === '' || type === 'text')
+    const name = (field.getAttribute('name') || '').toLowerCase()
+    if (isText && (SEARCH_NAMES.includes(name) || SEARCH_TEXT.test(label) || SEARCH_TEXT.test(field.getAttribute('id') || ''))) {
+      return 'search'
+    }
+    return undefined
+  }
+
+  // 버튼·링크 — 좁은 쓰임새부터 (대화상자 닫기 → 쪽 넘김 → 메뉴 → 결제·장바구니·로그인 → 제출)
+  private actionPurpose(element: HTMLElement, label: string): ElementPurpose | undefined {
+    const ariaLabel = element.getAttribute('aria-label') || ''
+    const rel = (element.getAttribute('rel') || '').toLowerCase().split(/\s+/)
+    const href = (element.getAttribute('href') || '').toLowerCase()
+    const className = element.getAttribute('class') || ''
+
+    if (element.closest(DIALOG_SELECTOR) && (CLOSE_TEXT.test(label) || CLOSE_TEXT.test(ariaLabel) || /\bclose\b/i.test(className))) {
+      return 'close-dialog'
+    }
+    if (rel.includes('next') || NEXT_TEXT.test(label)) return 'next-page'
+    if (rel.includes('prev') || PREVIOUS_TEXT.test(label)) return 'previous-page'
+
+    const opensPopup = ['true', 'menu'].includes(element.getAttribute('aria-haspopup') || '') || element.hasAttribute('aria-expanded')
+    if ((opensPopup && MENU_TEXT.test(label)) || MENU_LABEL.test(label) || MENU_CLASS.test(className)) return 'menu-toggle'
+
+    if (CHECKOUT_TEXT.test(label) || /\/(checkout|order)\b/.test(href)) return 'checkout'
+    if (CART_TEXT.test(label) || /\/(cart|basket)\b/.test(href)) return 'cart'
+    if (LOGIN_TEXT.test(label) || /\/(login|signin)\b/.test(href)) return 'login'
+
+    if (this.isSubmitInput(element) || this.isSubmitButton(element)) return 'submit'
+    return undefined
+  }
+
+  private isAction(element: HTMLElement): boolean {
+    return ['BUTTON', 'A', 'INPUT', 'SUMMARY'].includes(element.tagName) ||
+      ['button', 'link', 'menuitem'].includes(element.getAttribute('role') || '')
+  }
+
+  private isSubmitInput(element: HTMLElement): boolean {
+    return element.tagName === 'INPUT' && ['submit', 'image'].includes((element.getAttribute('type') || '').toLowerCase())
+  }
+
+  // type 이 없는 폼 안 <button> 은 제출 버튼이다
+  private isSubmitButton(element: HTMLElement): boolean {
+    if (element.tagName !== 'BUTTON') return false
+    const type = (element.getAttribute('type') || 'submit').toLowerCase()
+    return type === 'submit' && !!element.closest('form')
+  }
+}
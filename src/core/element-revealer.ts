@@ -0,0 +1,89 @@
+/**
+ * ElementRevealer - 접힌 메뉴·details 안에 숨은 요소를 펼쳐 보이게
+ * 숨은 요소의 조상을 거슬러 올라가며 펼칠 수 있는 곳을 찾는다.
+ * - 닫힌 <details> → open
+ * - aria-controls 로 이 영역을 여닫는 버튼 (aria-expanded="false") → 클릭
+ * - 같은 부모 아래 팝업 메뉴를 여는 버튼 (aria-haspopup·aria-expanded) → 클릭
+ * 여는 버튼도 접혀 있으면 (하위 메뉴) 그 버튼부터 펼친다.
+ */
+
+export interface Revealer {
+  kind: 'details' | 'toggle' | 'popup'
+  /** 열 때 누르는 요소 (details 는 details 자신) */
+  control: HTMLElement
+}
+
+const POPUP_TRIGGER = '[aria-expanded="false"], [aria-haspopup]:not([aria-haspopup="false"])'
+const POPUP_CONTAINER = 'ul, ol, [role="menu"], [role="menubar"], [role="listbox"], [class*="menu"], [class*="dropdown"]'
+
+export class ElementRevealer {
+  // 하위 메뉴를 몇 단계까지 펼칠지
+  private static readonly MAX_DEPTH = 3
+
+  private isRendered: (element: HTMLElement) => boolean
+  private waitForSettle: () => Promise<void>
+
+  constructor(isRendered: (element: HTMLElement) => boolean, waitForSettle: () => Promise<void>) {
+    this.isRendered = isRendered
+    this.waitForSettle = waitForSettle
+  }
+
+  // 숨은 요소를 펼칠 방법. 보이는 조상에 닿을 때까지 찾지 못하면 null
+  find(element: HTMLElement): Revealer | null {
+    for (let current: HTMLElement | null = element; current && !this.isRendered(current); current = current.parentElement) {
+      const revealer = this.revealerOf(current, element)
+      if (revealer) return revealer
+    }
+    return null
+  }
+
+  // 누를 수 있는 여는 버튼까지 닿는지. 여는 버튼 자체가 그려지지 않으면 (화면 크기 때문에 숨은
+  // 모바일 메뉴 버튼 등) 펼칠 수 없는 요소다. 하위 메뉴는 바깥 여는 버튼까지 거슬러 올라간다.
+  canReveal(element: HTMLElement, depth: number = 0): boolean {
+    const revealer = this.find(element)
+    if (!revealer) return false
+    if (this.isRendered(revealer.control)) return true
+    return depth < ElementRevealer.MAX_DEPTH && this.canReveal(revealer.control, depth + 1)
+  }
+
+  // 펼친 뒤 요소가 보이면 true
+  async reveal(element: HTMLElement, depth: number = 0): Promise<boolean> {
+    for (let attempt = 0; attempt < ElementRevealer.MAX_DEPTH && !this.isRendered(element); attempt++) {
+      const revealer = this.find(element)
+      if (!revealer) return false
+
+      if (!this.isRendered(revealer.control)) {
+        if (depth >= ElementRevealer.MAX_DEPTH || !(await this.reveal(revealer.control, depth + 1))) return false
+      }
+
+      if (revealer.kind === 'details') {
+        (revealer.control as HTMLDetailsElement).open = true
+      } else {
+        revealer.control.click()
+      }
+      await this.waitForSettle()
+    }
+    return this.isRendered(element)
+  }
+
+  // container 는 보이지 않는 조상. 이것을 보이게 할 수 있는 요소를 찾는다
+  private revealerOf(container: HTMLElement, target: HTMLElement): Revealer | null {
+    // 닫힌 details 는 summary 외의 자식을 그리지 않는다
+    const parent = container.parentElement
+    if (parent?.tagName === 'DETAILS' && !(parent as HTMLDetailsElement).open) {
+      return { kind: 'details', control: parent }
+    }
+
+    const id = container.getAttribute('id')
+    if (id) {
+      const toggle = container.ownerDocument?.querySelector<HTMLElement>(`[aria-controls~="${id.replace(/(["\\])/g, '\\$1')}"]`)
+      if (toggle && toggle.getAttribute('aria-expanded') !== 'true') return { kind: 'toggle', control: toggle }
+    }
+
+    // 메뉴를 여는 버튼은 대개 메뉴 바로 옆 형제다 (<li><button aria-haspopup>…</button><ul>…</ul></li>)
+    if (!parent || !container.matches(POPUP_CONTAINER)) return null
+    const siblings = Array.from(parent.children) as HTMLElement[]
+    const trigger = siblings.find(sibling => sibling !== container && !sibling.contains(target) && sibling.matches(POPUP_TRIGGER))
+    return trigger ? { kind: 'popup', control: trigger } : null
+  }
+}
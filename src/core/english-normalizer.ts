@@ -0,0 +1,194 @@
+/**
+ * EnglishNormalizer - 영어로 말한 날짜·시각을 입력 가능한 값으로 정규화
+ * "October 27th"·"next Tuesday"·"in three days" → 날짜, "3:30 pm"·"half past seven"·"noon" → 시각.
+ * KoreanNormalizer 의 날짜·시각 함수와 같은 모양이다 (en-US 의 MessageCatalog 가 고른다)
+ */
+
+// 1~12 와 날짜에 흔한 수 — 음성 인식이 숫자 대신 단어로 적는 경우
+const NUMBER_WORDS: { [word: string]: number } = {
+  'a': 1, 'an': 1, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+  'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12,
+  'fifteen': 15, 'twenty': 20, 'thirty': 30, 'forty': 40, 'forty-five': 45, 'fifty': 50
+}
+
+const ORDINAL_WORDS: { [word: string]: number } = {
+  'first': 1, 'second': 2, 'third': 3, 'fourth': 4, 'fifth': 5, 'sixth': 6, 'seventh': 7,
+  'eighth': 8, 'ninth': 9, 'tenth': 10, 'eleventh': 11, 'twelfth': 12, 'twentieth': 20, 'thirtieth': 30
+}
+
+// Date.getDay() 순서의 요일
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+
+// 오늘에서 며칠 떨어진 날
+const RELATIVE_DAYS: { [phrase: string]: number } = {
+  'day before yesterday': -2, 'yesterday': -1, 'today': 0, 'tomorrow': 1, 'day after tomorrow': 2
+}
+
+// "next week", "last Tuesday" 의 앞말 → 몇 주 뒤인지
+const PERIOD_OFFSETS: { [word: string]: number } = { 'last': -1, 'this': 0, 'next': 1 }
+
+const AFTERNOON_PERIODS = ['pm', 'in the afternoon', 'in the evening', 'at night', 'tonight']
+
+const MONTH = `(${MONTHS.join('|')})`
+const DAY = '(\\d{1,2}(?:st|nd|rd|th)?|[a-z]+(?:-[a-z]+)?)'
+
+export class EnglishNormalizer {
+  // "October 27th", "the 3rd of May 2027", "10/27/2026" → "2026-10-27" (해석 불가 시 null)
+  // 오늘 기준으로 말한 날짜도 푼다 — "tomorrow", "next Tuesday", "in 3 days", "two weeks from now", "the 15th"
+  normalizeDate(text: string, now: Date = new Date()): string | null {
+    const compact = this.clean(text).replace(/^on\s+/, '')
+
+    const iso = compact.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)
+    if (iso) return this.formatDate(Number(iso[1]), Number(iso[2]), Number(iso[3]))
+
+    // 미국식 월/일/년
+    const numeric = compact.match(/^(\d{1,2})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{2,4})$/)
+    if (numeric) {
+      return this.formatDate(this.expandYear(Number(numeric[3]), now), Number(numeric[1]), Number(numeric[2]))
+    }
+
+    const relative = this.relativeDate(compact, now)
+    if (relative !== undefined) return relative
+
+    const monthFirst = compact.match(new RegExp(`^${MONTH}\\s+(?:the\\s+)?${DAY}(?:,?\\s+(\\d{4}))?$`))
+    const dayFirst = compact.match(new RegExp(`^(?:the\\s+)?${DAY}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?$`))
+    if (monthFirst || dayFirst) {
+      const [monthWord, dayWord, yearWord] = monthFirst
+        ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+        : [dayFirst![2], dayFirst![1], dayFirst![3]]
+      const day = this.parseDay(dayWord)
+      if (day === null) return null
+      return this.formatDate(yearWord ? Number(yearWord) : now.getFullYear(), MONTHS.indexOf(monthWord) + 1, day)
+    }
+
+    // 날만 말하면 이번 달
+    const dayOnly = compact.match(/^(?:the\s+)?(\d{1,2}(?:st|nd|rd|th)|[a-z]+)$/)
+    if (dayOnly && (/\d/.test(dayOnly[1]) || dayOnly[1] in ORDINAL_WORDS)) {
+      const day = this.parseDay(dayOnly[1])
+      return day !== null ? this.formatDate(now.getFullYear(), now.getMonth() + 1, day) : null
+    }
+
+    return null
+  }
+
+  // "3 pm", "3:30 p.m.", "seven in the evening", "half past three", "15:30", "noon" → "15:30" (해석 불가 시 null)
+  // am·pm 을 말하지 않으면 말한 시 그대로 (3 → 03:00)
+  normalizeTime(text: string): string | null {
+    const compact = this.clean(text).replace(/^at\s+/, '').replace(/\b([ap])\.?\s?m\b\.?/g, '$1m')
+    if (compact === 'noon' || compact === 'midday') return '12:00'
+    if (compact === 'midnight') return '00:00'
+
+    const clock = compact.match(/^(\d{1,2}):(\d{2})$/)
+    if (clock) return this.formatTime(Number(clock[1]), Number(clock[2]))
+
+    const period = AFTERNOON_PERIODS.concat(['am', 'in the morning']).find(word => compact.endsWith(` ${word}`) || compact === word)
+    const body = (period ? compact.slice(0, compact.length - period.length).trim() : compact).replace(/\s+o'?clock$/, '')
+
+    let hour: number | null = null
+    let minute: number | null = 0
+    const past = body.match(/^(half|quarter|\S+ minutes?|\S+) past (\S+)$/)
+    const spoken = body.match(/^(\S+?)(?::(\d{2})|\s+(\S+))?$/)
+    if (past) {
+      hour = this.parseNumber(past[2])
+      minute = past[1] === 'half' ? 30 : past[1] === 'quarter' ? 15 : this.parseNumber(past[1].replace(/\s+minutes?$/, ''))
+    } else if (spoken) {
+      hour = this.parseNumber(spoken[1])
+      minute = spoken[2] ? Number(spoken[2]) : spoken[3] ? this.parseNumber(spoken[3]) : 0
+    }
+    if (hour === null || minute === null) return null
+
+    if (period && AFTERNOON_PERIODS.includes(period)) {
+      hour = hour < 12 ? hour + 12 : hour
+    } else if (period && hour === 12) {
+      hour = 0
+    }
+    return this.formatTime(hour, minute)
+  }
+
+  // "tomorrow at 3 pm" → "2026-10-20T15:00". 시각만 말하면 오늘
+  normalizeDateTime(text: string, now: Date = new Date()): string | null {
+    const words = this.clean(text).split(/\s+/)
+
+    for (let split = words.length - 1; split >= 0; split--) {
+      const time = this.normalizeTime(words.slice(split).join(' '))
+      if (!time) continue
+      const date = split === 0
+        ? this.formatDate(now.getFullYear(), now.getMonth() + 1, now.getDate())
+        : this.normalizeDate(words.slice(0, split).join(' ').replace(/\s+at$/, ''), now)
+      if (date) return `${date}T${time}`
+    }
+    return null
+  }
+
+  // 숫자나 1~12 등의 단어
+  parseNumber(text: string): number | null {
+    if (/^\d+$/.test(text)) return Number(text)
+    return NUMBER_WORDS[text] ?? null
+  }
+
+  // 오늘을 기준으로 말한 날짜. 그런 표현이 아니면 undefined, 표현은 맞는데 없는 날이면 null
+  private relativeDate(compact: string, now: Date): string | null | undefined {
+    const shifted = (days: number, months = 0) => {
+      const date = new Date(now.getFullYear(), now.getMonth() + months, now.getDate() + days)
+      return this.formatDate(date.getFullYear(), date.getMonth() + 1, date.getDate())
+    }
+
+    const phrase = compact.replace(/^the\s+/, '')
+    if (phrase in RELATIVE_DAYS) return shifted(RELATIVE_DAYS[phrase])
+
+    // "next Tuesday" 는 월요일에 시작하는 다음 주의 화요일. 주를 말하지 않으면 오늘부터 다가오는 그 요일
+    const weekday = phrase.match(new RegExp(`^(?:(last|this|next)\\s+)?(${WEEKDAYS.join('|')})$`))
+    if (weekday) {
+      const target = WEEKDAYS.indexOf(weekday[2])
+      if (!weekday[1]) return shifted((target - now.getDay() + 7) % 7)
+      const fromMonday = (day: number) => (day + 6) % 7
+      return shifted(fromMonday(target) - fromMonday(now.getDay()) + 7 * PERIOD_OFFSETS[weekday[1]])
+    }
+
+    // "in 3 days", "two weeks from now", "a month later", "2 days ago"
+    const later = phrase.match(/^(?:in\s+)?(\S+)\s+(days?|weeks?|months?)(?:\s+(from now|later|ago))?$/)
+    if (later && (phrase.startsWith('in ') || later[3])) {
+      const count = this.parseNumber(later[1])
+      if (count === null) return null
+      const sign = later[3] === 'ago' ? -1 : 1
+      if (later[2].startsWith('month')) return shifted(0, sign * count)
+      return shifted(sign * count * (later[2].startsWith('week') ? 7 : 1))
+    }
+
+    return undefined
+  }
+
+  // "27th", "27", "third"
+  private parseDay(text: string): number | null {
+    const digits = text.match(/^(\d{1,2})(?:st|nd|rd|th)?$/)
+    if (digits) return Number(digits[1])
+    return ORDINAL_WORDS[text] ?? null
+  }
+
+  // 소문자로 바꾸고 공백과 끝의 문장 부호를 정리한다
+  private clean(text: string): string {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]$/, '')
+  }
+
+  // 두 자리 연도 → 네 자리 ("90" → 1990, "05" → 2005)
+  private expandYear(year: number, now: Date): number {
+    if (year >= 100) return year
+    const century = Math.floor(now.getFullYear() / 100) * 100
+    return century + year > now.getFullYear() ? century - 100 + year : century + year
+  }
+
+  // 달력에 있는 날짜만 ("February 30th" 는 null)
+  private formatDate(year: number, month: number, day: number): string | null {
+    const date = new Date(year, month - 1, day)
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null
+    const pad = (n: number) => String(n).padStart(2, '0')
+    return `${year}-${pad(month)}-${pad(day)}`
+  }
+
+  private formatTime(hour: number, minute: number): string | null {
+    if (hour < 0 || hour > 23 || minute < 0 || minute > 59) return null
+    const pad = (n: number) => String(n).padStart(2, '0')
+    return `${pad(hour)}:${pad(minute)}`
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * FormFiller - 음성 폼 작성 ("이름은 홍길동", "전화번호는 010-1234-5678")
+ * 발화를 필드/값으로 나누고, 입력창을 찾아 값을 쓴 뒤 input/change 이벤트를 발생시킨다
+ */
+
+import { InteractiveElement } from './dom-analyzer'
+import { KoreanNormalizer } from './korean-normalizer'
+import { MessageCatalog, UtterancePatterns } from './messages'
+
+export type FieldKind = 'tel' | 'email' | 'date' | 'number' | 'text'
+
+export interface FormFillRequest {
+  field: string
+  value: string
+}
+
+export interface FormFillResult {
+  element: InteractiveElement
+  field: string
+  value: string
+  kind: FieldKind
+}
+
+// 말한 필드명 → 입력창 name/id/autocomplete 에 흔히 쓰이는 영문 토큰
+const FIELD_SYNONYMS: Array<{ spoken: string[], tokens: string[], kind: FieldKind }> = [
+  { spoken: ['전화번호', '휴대폰', '핸드폰', '연락처', '휴대전화', '전화', 'phone', 'mobile'], tokens: ['tel', 'phone', 'mobile'], kind: 'tel' },
+  { spoken: ['이메일', '메일', '이메일 주소', 'email', 'e-mail'], tokens: ['email', 'mail'], kind: 'email' },
+  { spoken: ['생년월일', '생일', '날짜', '예약일', 'birthday', 'date of birth', 'date'], tokens: ['bday', 'birth', 'date'], kind: 'date' },
+  { spoken: ['이름', '성함', '성명', 'name'], tokens: ['name'], kind: 'text' },
+  { spoken: ['주소', 'address'], tokens: ['address', 'addr'], kind: 'text' },
+  { spoken: ['나이', '수량', '개수', 'age', 'quantity'], tokens: ['age', 'quantity', 'qty', 'count'], kind: 'number' }
+]
+
+export class FormFiller {
+  private normalizer = new KoreanNormalizer()
+  private patterns: UtterancePatterns
+
+  // 필드·값을 나누는 말은 언어마다 다르다 (은/는, is/to)
+  constructor(patterns: UtterancePatterns = new MessageCatalog().patterns) {
+    this.patterns = patterns
+  }
+
+  // "<필드>은/는 <값>" 후보를 모두 돌려준다. "받는 사람은 홍길동" 처럼 필드명에
+  // 은/는 이 들어갈 수 있으므로 분할 지점마다 후보를 만들고, 실제 입력창과 맞는 것을 고른다.
+  parseUtterance(transcript: string): FormFillRequest[] {
+    const text = transcript.trim()
+    const requests: FormFillRequest[] = []
+    const splitPattern = new RegExp(this.patterns.fieldSeparator.source, this.patterns.fieldSeparator.flags)
+    let match: RegExpExecArray | null
+
+    while ((match = splitPattern.exec(text)) !== null) {
+      const field = text.slice(0, match.index).replace(this.patterns.fieldPrefix ?? /^/, '').trim()
+      const value = text.slice(match.index + match[0].length).replace(this.patterns.valueSuffix, '').trim()
+      if (field && value) {
+        requests.push({ field, value })
+      }
+    }
+
+    return requests
+  }
+
+  // 라벨·placeholder·aria-label·name/id/autocomplete 로 필드 찾기. exact 면 라벨이 말한 필드명과 같은 입력창만
+  resolveField(inputs: InteractiveElement[], field: string, exact = false): InteractiveElement | null {
+    const spoken = field.toLowerCase().replace(/\s+/g, '')
+    const synonym = FIELD_SYNONYMS.find(entry => entry.spoken.some(word => spoken.includes(word.replace(/\s+/g, ''))))
+    const writable = inputs.filter(input => this.isWritable(input.element))
+
+    // 1순위: 사람이 읽는 라벨에 필드명이 들어있는 입력창
+    const byLabel = writable.find(input =>
+      this.readableNames(input).some(name => exact
+        ? name === spoken
+        : name.includes(spoken) || (name.length > 0 && spoken.includes(name)))
+    )
+    if (byLabel || exact) return byLabel || null
+
+    // 2순위: 동의어 → name/id/autocomplete/type 토큰
+    if (synonym) {
+      const byToken = writable.find(input =>
+        this.machineNames(input.element).some(name => synonym.tokens.some(token => name.includes(token)))
+      )
+      if (byToken) return byToken
+    }
+
+    return null
+  }
+
+  detectFieldKind(element: HTMLElement, field: string): FieldKind {
+    const type = (element.getAttribute('type') || '').toLowerCase()
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase()
+
+    if (type === 'tel' || autocomplete.startsWith('tel')) return 'tel'
+    if (type === 'email' || autocomplete === 'email') return 'email'
+    if (type === 'date' || autocomplete.startsWith('bday')) return 'date'
+    if (type === 'number') return 'number'
+
+    const spoken = field.replace(/\s+/g, '')
+    const synonym = FIELD_SYNONYMS.find(entry => entry.spoken.some(word => spoken.includes(word.replace(/\s+/g, ''))))
+    return synonym ? synonym.kind : 'text'
+  }
+
+  normalizeValue(value: string, kind: FieldKind): string {
+    switch (kind) {
+      case 'tel':
+        return this.normalizer.normalizePhone(value)
+      case 'email':
+        return this.normalizer.normalizeEmail(value)
+      case 'date':
+        return this.normalizer.normalizeDate(value) ?? value
+      case 'number': {
+        const number = this.normalizer.parseNumber(value.replace(/(?:개|살|세|명)$/, ''))
+        return number !== null ? String(number) : value
+      }
+      default:
+        return value
+    }
+  }
+
+  // 발화 → 쓸 입력창과 값. 아직 쓰지 않는다 (부른 쪽이 칸을 보여 준 뒤 commit).
+  // 맞는 필드가 없으면 null (일반 명령 처리로 넘긴다). requireFieldName 이면 입력창 라벨을 그대로 말한 경우만
+  resolve(inputs: InteractiveElement[], transcript: string, requireFieldName = false): FormFillResult | null {
+    for (const request of this.parseUtterance(transcript)) {
+      const target = this.resolveField(inputs, request.field, requireFieldName)
+      if (!target) continue
+
+      const kind = this.detectFieldKind(target.element, request.field)
+      const value = this.normalizeValue(request.value, kind)
+      return { element: target, field: request.field, value, kind }
+    }
+
+    return null
+  }
+
+  // 입력창이 값을 받아들였으면 true
+  commit(result: FormFillResult): boolean {
+    return this.writeValue(result.element.element as HTMLInputElement | HTMLTextAreaElement, result.value)
+  }
+
+  // React/Vue 는 value 세터를 가로채 변경을 추적하므로, 프로토타입의 원래 세터로 값을 쓰고
+  // 버블링되는 input/change 이벤트를 보내야 상태가 갱신된다.
+  // 칸이 값을 받아들였으면 true — 브라우저는 형식에 맞지 않는 값(없는 날짜 등)을 빈 값으로 바꾼다.
+  writeValue(element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement, value: string): boolean {
+    element.focus()
+
+    const prototype = Object.getPrototypeOf(element)
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value')
+    if (descriptor?.set) {
+      descriptor.set.call(element, value)
+    } else {
+      element.value = value
+    }
+
+    element.dispatchEvent(new Event('input', { bubbles: true }))
+    element.dispatchEvent(new Event('change', { bubbles: true }))
+    return element.value === value
+  }
+
+  private isWritable(element: HTMLElement): boolean {
+    const tag = element.tagName.toLowerCase()
+    if (tag === 'textarea') return true
+    if (tag !== 'input') return false
+
+    const type = (element.getAttribute('type') || 'text').toLowerCase()
+    return !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'hidden', 'image'].includes(type)
+  }
+
+  private readableNames(input: InteractiveElement): string[] {
+    return [
+      input.label,
+      input.ariaLabel,
+      input.element.getAttribute('placeholder')
+    ]
+      .filter((name): name is string => !!name)
+      .map(name => name.toLowerCase().replace(/[\s*:]/g, ''))
+  }
+
+  private machineNames(element: HTMLElement): string[] {
+    return ['name', 'id', 'autocomplete', 'type']
+      .map(attr => (element.getAttribute(attr) || '').toLowerCase())
+      .filter(name => name.length > 0)
+  }
+}
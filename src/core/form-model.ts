@@ -0,0 +1,206 @@
+/**
+ * FormModelBuilder - <form> 을 칸 목록 모델로
+ * 칸마다 순서·필수 여부·형식 제약(type, pattern, min/max)·지금 값·붙어 있는 오류 문구를 모아
+ * "다음 칸", "빈 칸 알려줘", "뭐가 틀렸어?" 에 답할 수 있게 한다.
+ * 같은 name 의 라디오 버튼은 한 칸으로 묶는다.
+ * 브라우저 검사(required·pattern…) 결과는 제출에 실패해 invalid 이벤트가 난 칸만 오류로 본다
+ * (아직 제출하지 않은 빈 필수 칸을 틀렸다고 하지 않도록).
+ */
+
+import { AccessibleNameComputer } from './accessible-name'
+import { DocumentTraverser } from './dom-traversal'
+
+export interface FormField {
+  element: HTMLElement
+  label: string
+  /** input 의 type (없으면 'text'), 또는 'textarea'·'select' */
+  type: string
+  required: boolean
+  pattern?: string
+  min?: string
+  max?: string
+  minLength?: number
+  maxLength?: number
+  /** 지금 값 — 선택 칸은 고른 항목의 글, 체크박스·라디오는 체크된 것의 이름 (비었으면 빈 문자열) */
+  value: string
+  /** 오류로 표시됐는지 (aria-invalid, 오류 문구, 제출 때의 브라우저 검사 실패) */
+  invalid: boolean
+  /** 칸에 붙은 오류 문구 */
+  error?: string
+}
+
+export interface FormModel {
+  element: HTMLElement
+  /** aria-label 등 폼 이름 (없으면 빈 문자열) */
+  name: string
+  /** 문서 순서 */
+  fields: FormField[]
+  /** 어느 칸에도 붙지 않은 양식 전체의 오류 문구 ("아이디 또는 비밀번호가 틀렸습니다") */
+  alerts: string[]
+}
+
+export const FORM_FIELD_SELECTOR =
+  'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), textarea, select'
+
+// 칸 옆에 두는 오류 문구 요소 (<span class="error-message">…</span>, <p role="alert">)
+const ERROR_TEXT_SELECTOR = '[role="alert"], .error, .errors, .invalid-feedback, .error-message, .field-error, [class*="error"]'
+const ERROR_ID = /error|invalid|err-/i
+
+export class FormModelBuilder {
+  private nameComputer = new AccessibleNameComputer()
+  private traverser = new DocumentTraverser()
+  private isRendered: (element: HTMLElement) => boolean
+  private wasReported: (element: HTMLElement) => boolean
+
+  constructor(isRendered: (element: HTMLElement) => boolean, wasReported: (element: HTMLElement) => boolean) {
+    this.isRendered = isRendered
+    this.wasReported = wasReported
+  }
+
+  build(form: HTMLElement): FormModel {
+    const fields: FormField[] = []
+    const radioGroups = new Set<string>()
+
+    Array.from(form.querySelectorAll<HTMLElement>(FORM_FIELD_SELECTOR)).forEach(element => {
+      if (!this.isRendered(element) || (element as HTMLInputElement).disabled) return
+
+      if (this.typeOf(element) === 'radio') {
+        const name = element.getAttribute('name') || ''
+        if (name && radioGroups.has(name)) return
+        radioGroups.add(name)
+      }
+      fields.push(this.buildField(element, form))
+    })
+
+    const fieldErrors = fields.map(field => field.error || '')
+    const alerts = this.errorTexts(form).filter(alert => !fieldErrors.some(error => error.includes(alert)))
+    return { element: form, name: this.nameComputer.compute(form).name, fields, alerts }
+  }
+
+  private buildField(element: HTMLElement, form: HTMLElement): FormField {
+    const type = this.typeOf(element)
+    const number = (attribute: string) => {
+      const value = element.getAttribute(attribute)
+      return value !== null && value !== '' && !isNaN(Number(value)) ? Number(value) : undefined
+    }
+    const error = this.errorText(element)
+    const validity = (element as HTMLInputElement).validity
+    const failedCheck = !!validity && !validity.valid && this.wasReported(element)
+
+    return {
+      element,
+      label: this.labelOf(element, type, form),
+      type,
+      required: element.hasAttribute('required') || element.getAttribute('aria-required') === 'true',
+      pattern: element.getAttribute('pattern') || undefined,
+      min: element.getAttribute('min') || undefined,
+      max: element.getAttribute('max') || undefined,
+      minLength: number('minlength'),
+      maxLength: number('maxlength'),
+      value: this.valueOf(element, type, form),
+      invalid: element.getAttribute('aria-invalid') === 'true' || !!error || failedCheck,
+      error: error || (failedCheck ? (element as HTMLInputElement).validationMessage || undefined : undefined)
+    }
+  }
+
+  private typeOf(element: HTMLElement): string {
+    if (element.tagName === 'TEXTAREA') return 'textarea'
+    if (element.tagName === 'SELECT') return 'select'
+    return (element.getAttribute('type') || 'text').toLowerCase()
+  }
+
+  // 라디오 묶음은 묶음 이름(fieldset legend, radiogroup 이름)으로 부른다
+  private labelOf(element: HTMLElement, type: string, form: HTMLElement): string {
+    if (type === 'radio') {
+      const group = element.closest('fieldset, [role="radiogroup"]')
+      if (group && form.contains(group)) {
+        const legend = group.tagName === 'FIELDSET' ? group.querySelector('legend') : null
+        const name = legend ? this.nameComputer.clean(legend.textContent || '') : this.nameComputer.compute(group).name
+        if (name) return name
+      }
+    }
+    return this.nameComputer.compute(element).name || element.getAttribute('name') || type
+  }
+
+  private valueOf(element: HTMLElement, type: string, form: HTMLElement): string {
+    if (type === 'select') {
+      const select = element as HTMLSelectElement
+      return Array.from(select.selectedOptions || [])
+        .filter(option => option.value !== '')
+        .map(option => this.nameComputer.clean(option.textContent || ''))
+        .join(', ')
+    }
+    if (type === 'checkbox') {
+      return (element as HTMLInputElement).checked ? this.nameComputer.compute(element).name || 'on' : ''
+    }
+    if (type === 'radio') {
+      const name = element.getAttribute('name')
+      const group = name
+        ? Array.from(form.querySelectorAll<HTMLInputElement>('input[type="radio"]')).filter(radio => radio.getAttribute('name') === name)
+        : [element as HTMLInputElement]
+      const checked = group.find(radio => radio.checked)
+      return checked ? this.nameComputer.compute(checked).name || checked.value : ''
+    }
+    return ((element as HTMLInputElement).value || '').trim()
+  }
+
+  // aria-errormessage → aria-describedby 중 오류 문구 → 칸 옆의 오류 문구 순
+  private errorText(element: HTMLElement): string {
+    const invalid = element.getAttribute('aria-invalid') === 'true'
+    if (invalid) {
+      const message = this.referencedText(element, 'aria-errormessage', () => true)
+      if (message) return message
+    }
+
+    const described = this.referencedText(element, 'aria-describedby', target =>
+      target.getAttribute('role') === 'alert' || ERROR_ID.test(target.id) || ERROR_ID.test(target.getAttribute('class') || '')
+    )
+    if (described) return described
+
+    return this.siblingErrorText(element)
+  }
+
+  private referencedText(element: HTMLElement, attribute: string, accept: (target: HTMLElement) => boolean): string {
+    const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(id => id.length > 0)
+    const root = this.traverser.rootOf(element)
+    if (ids.length === 0 || !root) return ''
+
+    return ids
+      .map(id => root.getElementById(id) as HTMLElement | null)
+      .filter((target): target is HTMLElement => !!target && accept(target) && this.isRendered(target))
+      .map(target => this.nameComputer.clean(target.textContent || ''))
+      .filter(text => text.length > 0)
+      .join(' ')
+  }
+
+  // 칸을 감싼 요소(라벨 묶음) 안에서 다른 칸을 품지 않은, 보이는 오류 문구
+  private siblingErrorText(element: HTMLElement): string {
+    const container = element.parentElement
+    if (!container) return ''
+
+    const name = element.getAttribute('name')
+    const isOtherField = (field: HTMLElement) =>
+      field !== element && !(this.typeOf(field) === 'radio' && name && field.getAttribute('name') === name)
+
+    const scopes = [container, ...(container.parentElement ? [container.parentElement] : [])]
+    for (const scope of scopes) {
+      // 다른 칸까지 품은 묶음의 오류 문구는 이 칸의 것인지 알 수 없다
+      if (Array.from(scope.querySelectorAll<HTMLElement>(FORM_FIELD_SELECTOR)).some(isOtherField)) break
+
+      const errors = this.errorTexts(scope)
+      if (errors.length > 0) return errors.join(' ')
+    }
+    return ''
+  }
+
+  // 칸을 품지 않은 보이는 오류 문구 — 겹쳐 있으면 안쪽 것만 (<div class="errors"><p class="error">…)
+  private errorTexts(scope: HTMLElement): string[] {
+    const candidates = Array.from(scope.querySelectorAll<HTMLElement>(ERROR_TEXT_SELECTOR))
+      .filter(candidate => !candidate.querySelector(FORM_FIELD_SELECTOR) && this.isRendered(candidate))
+    const texts = candidates
+      .filter(candidate => !candidates.some(other => other !== candidate && candidate.contains(other)))
+      .map(candidate => this.nameComputer.clean(candidate.textContent || ''))
+      .filter(text => text.length > 0)
+    return Array.from(new Set(texts))
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * FormReader - 입력 양식 안내와 칸 단위 이동
+ * "다음 칸" 으로 칸을 차례로 옮겨 가며 이름·필수 여부·지금 값을 알려주고,
+ * "빈 칸 알려줘" 로 아직 안 채운 칸을, "뭐가 틀렸어?" 로 제출에 실패한 칸의 오류 문구를 읽는다.
+ */
+
+import { FormField, FormModel } from './form-model'
+import { MessageCatalog } from './messages'
+import { DocumentTraverser } from './dom-traversal'
+
+export class FormReader {
+  private messages: MessageCatalog
+  private traverser = new DocumentTraverser()
+  private current: FormModel | null = null
+  private cursor = -1
+
+  constructor(messages: MessageCatalog = new MessageCatalog()) {
+    this.messages = messages
+  }
+
+  /** 안내하고 있는 양식 (화면에서 사라졌으면 null) */
+  get form(): FormModel | null {
+    return this.current && this.current.element.isConnected ? this.current : null
+  }
+
+  /** 마지막으로 옮겨 간 칸 (0부터, 아직 없으면 -1) */
+  get position(): number {
+    return this.cursor
+  }
+
+  // 입력 중인 칸이 든 양식, 안내하던 양식, 화면에 걸친 첫 양식, 문서의 첫 양식 순으로 연다
+  // 값·오류는 바뀌므로 같은 양식이어도 새로 만든 모델로 바꾼다
+  open(forms: FormModel[], active: Element | null, viewportHeight: number): FormModel | null {
+    const previous = this.form?.element
+    const focused = active ? forms.find(form => form.element.contains(active)) : undefined
+    const visible = forms.find(form => {
+      const rect = this.traverser.viewportRect(form.element)
+      return rect.bottom > 0 && rect.top < viewportHeight
+    })
+    const chosen = focused || forms.find(form => form.element === previous) || visible || forms[0] || null
+
+    if (chosen?.element !== previous) this.cursor = -1
+    this.current = chosen
+    return chosen
+  }
+
+  // 입력 중인 칸(없으면 마지막으로 옮겨 간 칸)의 다음 칸. 마지막 칸이면 null
+  nextField(active: Element | null): FormField | null {
+    const fields = this.form?.fields || []
+    const focused = active ? fields.findIndex(field => this.holds(field, active)) : -1
+    const index = (focused >= 0 ? focused : this.cursor) + 1
+    if (index >= fields.length) return null
+
+    this.cursor = index
+    return fields[index]
+  }
+
+  // "전화번호 칸입니다. 꼭 입력해야 합니다. 지금 010-1234-5678이 들어 있습니다."
+  describeField(field: FormField): string {
+    return [
+      this.messages.t('formField', { label: field.label }),
+      ...(field.required ? [this.messages.t('formFieldRequired')] : []),
+      ...(field.value ? [this.messages.t('formFieldValue', { value: field.value })] : []),
+      ...(field.error ? [field.error] : [])
+    ].join(' ')
+  }
+
+  // 빈 칸을 필수 칸부터 알리는 문장들 (빈 칸이 없으면 그렇다고)
+  emptyFields(): string[] {
+    const empty = (this.form?.fields || []).filter(field => !field.value)
+    if (empty.length === 0) return [this.messages.t('formEmptyNone')]
+
+    const labels = (fields: FormField[]) => fields.map(field => field.label).join(', ')
+    const required = empty.filter(field => field.required)
+    const optional = empty.filter(field => !field.required)
+    return [
+      this.messages.t('formEmptyIntro', { count: this.messages.formatCount(empty.length) }),
+      ...(required.length > 0 ? [this.messages.t('formEmptyRequired', { fields: labels(required) })] : []),
+      ...(optional.length > 0 ? [this.messages.t(required.length > 0 ? 'formEmptyOthers' : 'formEmptyOptional', { fields: labels(optional) })] : [])
+    ]
+  }
+
+  /** 오류로 표시된 칸 (문서 순서) */
+  invalidFields(): FormField[] {
+    return (this.form?.fields || []).filter(field => field.invalid)
+  }
+
+  // 양식 전체의 오류 문구, 그다음 오류 칸마다 오류 문구를 읽는 문장들 (틀린 곳이 없으면 그렇다고)
+  errors(): string[] {
+    const alerts = this.form?.alerts || []
+    const invalid = this.invalidFields()
+    if (alerts.length === 0 && invalid.length === 0) return [this.messages.t('formErrorsNone')]
+
+    return [
+      ...alerts,
+      ...(invalid.length > 0 ? [this.messages.t('formErrorsIntro', { count: this.messages.formatCount(invalid.length) })] : []),
+      ...invalid.map(field => field.error
+        ? this.messages.t('formError', { label: field.label, error: field.error })
+        : this.messages.t('formErrorUnspecified', { label: field.label }))
+    ]
+  }
+
+  // 라디오 묶음은 같은 name 의 어느 버튼에 있어도 그 칸이다
+  private holds(field: FormField, active: Element): boolean {
+    if (field.element === active) return true
+    const name = field.element.getAttribute('name')
+    return field.type === 'radio' && !!name && active.getAttribute('type') === 'radio' && active.getAttribute('name') === name
+  }
+}
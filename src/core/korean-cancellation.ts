@@ -1,8 +1,10 @@
 /**
- * KoreanCancellation - 한국어 취소/되돌리기 패턴 처리
- * "아니", "취소", "되돌리기" 등의 한국어 취소 표현 지원
+ * KoreanCancellation - 취소/되돌리기 패턴 처리
+ * "아니", "취소", "되돌리기" 등의 취소 표현 지원 (표현은 언어별 카탈로그에서 받는다)
  */
 
+import { CancellationPatterns, MessageCatalog } from './messages'
+
 export interface ActionHistory {
   id: string
   timestamp: number
@@ -15,12 +17,11 @@ export interface ActionHistory {
 export class KoreanCancellationManager {
   private actionHistory: ActionHistory[] = []
   private maxHistorySize = 10
-  private cancellationKeywords = [
-    '아니', '아니야', '아니에요',
-    '취소', '취소해줘', '취소해', 
-    '되돌려', '되돌리기', '이전으로',
-    '잘못됐어', '다시', '원래대로'
-  ]
+  private patterns: CancellationPatterns
+
+  constructor(patterns: CancellationPatterns = new MessageCatalog().patterns.cancellation) {
+    this.patterns = patterns
+  }
 
   // 복합 명령어 분석 ("확인, 아니 취소")
   parseCompoundCommand(transcript: string): {
@@ -29,18 +30,25 @@ export class KoreanCancellationManager {
     confidence: number
   } {
     const normalized = transcript.toLowerCase().trim()
+
+    if (this.patterns.exceptions.some(phrase => normalized.includes(phrase))) {
+      return {
+        finalCommand: transcript,
+        hasCancellation: false,
+        confidence: 0.7
+      }
+    }
     
     // "확인, 아니 취소" 패턴 감지
-    const compoundPattern = /(.*?),?\s*(아니|취소)(.*)$/
-    const match = normalized.match(compoundPattern)
+    const match = normalized.match(this.patterns.compound)
     
     if (match) {
       const [, firstPart, cancellation, lastPart] = match
       
       // 취소가 명확한 경우
-      if (this.isCancellationWord(cancellation) || lastPart.includes('취소')) {
+      if (this.isCancellationWord(cancellation) || lastPart.includes(this.patterns.cancel)) {
         return {
-          finalCommand: this.extractCancellationCommand(lastPart) || '취소',
+          finalCommand: this.extractCancellationCommand(lastPart) || this.patterns.cancel,
           hasCancellation: true,
           confidence: 0.9
         }
@@ -48,9 +56,9 @@ export class KoreanCancellationManager {
     }
     
     // 단순 "아니" 명령
-    if (this.cancellationKeywords.some(keyword => normalized.includes(keyword))) {
+    if (this.patterns.keywords.test(normalized)) {
       return {
-        finalCommand: '아니',
+        finalCommand: this.patterns.negation,
         hasCancellation: true,
         confidence: 0.85
       }
@@ -141,14 +149,11 @@ export class KoreanCancellationManager {
   }
 
   private isCancellationWord(word: string): boolean {
-    return this.cancellationKeywords.includes(word)
+    return this.patterns.keywords.test(word)
   }
 
   private extractCancellationCommand(text: string): string | null {
-    if (text.includes('취소')) return '취소'
-    if (text.includes('되돌')) return '되돌리기'
-    if (text.includes('이전')) return '이전으로'
-    return null
+    return this.patterns.commands.find(([clue]) => text.includes(clue))?.[1] ?? null
   }
 
   private capturePreviousState(element?: HTMLElement): any {
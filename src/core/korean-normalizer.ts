@@ -0,0 +1,369 @@
+/**
+ * KoreanNormalizer - 한국어로 말한 값을 입력 가능한 값으로 정규화
+ * "공일공 일이삼사…" → 010-1234-…, "홍 골뱅이 네이버 점 컴" → 이메일, "오월 삼일"·"다음 주 화요일" → 날짜,
+ * "오후 세 시 반" → 시각
+ */
+
+// 한자어 숫자 한 글자 → 숫자 ("공일공" 처럼 자리마다 읽는 전화번호용)
+const SINO_DIGITS: { [key: string]: number } = {
+  '공': 0, '영': 0, '빵': 0,
+  '일': 1, '이': 2, '삼': 3, '사': 4, '오': 5,
+  '육': 6, '륙': 6, '칠': 7, '팔': 8, '구': 9
+}
+
+const SINO_UNITS: { [key: string]: number } = { '십': 10, '백': 100, '천': 1000 }
+
+// 고유어 수사 (관형형 "한/두/세/네" 포함)
+const NATIVE_TENS: { [key: string]: number } = {
+  '열': 10, '스물': 20, '스무': 20, '서른': 30, '마흔': 40,
+  '쉰': 50, '예순': 60, '일흔': 70, '여든': 80, '아흔': 90
+}
+
+const NATIVE_UNITS: { [key: string]: number } = {
+  '하나': 1, '한': 1, '둘': 2, '두': 2, '셋': 3, '세': 3, '석': 3,
+  '넷': 4, '네': 4, '넉': 4, '다섯': 5, '여섯': 6, '일곱': 7, '여덟': 8, '아홉': 9
+}
+
+// 이메일 받아쓰기 어휘 → 기호
+const EMAIL_SYMBOLS: Array<[RegExp, string]> = [
+  [/\s*(?:골뱅이|앳|\bat\b)\s*/gi, '@'],
+  [/\s*(?:점|닷|\bdot\b)\s*/gi, '.'],
+  [/\s*(?:언더바|언더스코어|밑줄)\s*/g, '_'],
+  [/\s*(?:하이픈|대시|빼기)\s*/g, '-']
+]
+
+const EMAIL_DOMAINS: { [key: string]: string } = {
+  '네이버': 'naver', '지메일': 'gmail', '다음': 'daum', '한메일': 'hanmail',
+  '네이트': 'nate', '카카오': 'kakao', '컴': 'com', '넷': 'net', '케이알': 'kr', '씨오': 'co'
+}
+
+// 1~10 읽기 — 안내 문장용 ("두 개", "첫 번째")
+const COUNT_WORDS = ['', '한', '두', '세', '네', '다섯', '여섯', '일곱', '여덟', '아홉', '열']
+const ORDINAL_WORDS = ['', '첫', '두', '세', '네', '다섯', '여섯', '일곱', '여덟', '아홉', '열']
+
+// Date.getDay() 순서의 요일
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토']
+
+// 오늘에서 며칠 떨어진 날
+const RELATIVE_DAYS: { [word: string]: number } = {
+  '그저께': -2, '그제': -2, '어제': -1, '오늘': 0, '금일': 0,
+  '내일': 1, '낼': 1, '모레': 2, '내일모레': 2, '글피': 3
+}
+
+// 날수를 세는 고유어 ("이틀 뒤")
+const DAY_COUNTS: { [word: string]: number } = {
+  '하루': 1, '이틀': 2, '사흘': 3, '나흘': 4, '닷새': 5, '엿새': 6, '이레': 7, '열흘': 10
+}
+
+// "다음 주", "이번 달" 의 앞말 → 몇 주(달) 뒤인지
+const PERIOD_OFFSETS: { [word: string]: number } = {
+  '지난': -1, '저번': -1, '이번': 0, '다음': 1, '담': 1, '다다음': 2
+}
+
+const YEAR_OFFSETS: { [word: string]: number } = {
+  '재작년': -2, '작년': -1, '올해': 0, '금년': 0, '내년': 1, '후년': 2
+}
+
+// 오전·오후 대신 쓰는 때 — 오후 쪽이면 12시간을 더한다
+const AFTERNOON_PERIODS = ['오후', '저녁', '밤']
+
+export class KoreanNormalizer {
+  // 숫자 읽기 → number. 아라비아 숫자, 한자어("천구백구십"), 고유어("스물다섯") 지원
+  parseNumber(text: string): number | null {
+    const compact = text.replace(/[\s,]/g, '')
+    if (!compact) return null
+
+    if (/^\d+(?:\.\d+)?$/.test(compact)) {
+      return Number(compact)
+    }
+
+    return this.parseSinoNumber(compact) ?? this.parseNativeNumber(compact)
+  }
+
+  private parseSinoNumber(text: string): number | null {
+    let total = 0
+    let section = 0
+    let current = 0
+
+    for (const char of text) {
+      if (char in SINO_DIGITS) {
+        current = SINO_DIGITS[char]
+      } else if (char in SINO_UNITS) {
+        // "십" 처럼 앞 숫자가 없으면 1로 본다
+        section += (current || 1) * SINO_UNITS[char]
+        current = 0
+      } else if (char === '만') {
+        total += ((section + current) || 1) * 10000
+        section = 0
+        current = 0
+      } else {
+        return null
+      }
+    }
+
+    return total + section + current
+  }
+
+  private parseNativeNumber(text: string): number | null {
+    let rest = text
+    let value = 0
+
+    const tens = Object.keys(NATIVE_TENS).find(word => rest.startsWith(word))
+    if (tens) {
+      value += NATIVE_TENS[tens]
+      rest = rest.slice(tens.length)
+    }
+
+    if (rest) {
+      const unit = Object.keys(NATIVE_UNITS).find(word => rest === word)
+      if (!unit) return null
+      value += NATIVE_UNITS[unit]
+    }
+
+    return value > 0 ? value : null
+  }
+
+  // 서수 → number ("첫 번째" → 1, "세번째" → 3, "3번" → 3). "마지막" 은 -1
+  parseOrdinal(text: string): number | null {
+    const compact = text.replace(/\s+/g, '')
+    if (/^마지막(?:번째|거|것)?$/.test(compact)) return -1
+
+    const match = compact.match(/^(.+?)(?:번째|째|번)$/)
+    if (!match) return null
+    if (match[1] === '첫') return 1
+
+    const number = this.parseNumber(match[1])
+    return number !== null && number > 0 ? number : null
+  }
+
+  // 문장 안의 서수 찾기 ("두번째 거 눌러줘" → 2, "3번" → 3, 숫자만 "2" → 2)
+  extractOrdinal(text: string): number | null {
+    if (/마지막/.test(text)) return -1
+
+    const match = text.match(/([가-힣]+|\d+)\s*(번째|째|번)/)
+    if (match) {
+      const ordinal = this.parseOrdinal(match[1] + match[2])
+      if (ordinal !== null) return ordinal
+    }
+
+    const bare = text.trim().match(/^(\d+)$/)
+    return bare ? Number(bare[1]) : null
+  }
+
+  // 2 → "두 개", 11 → "11개"
+  formatCount(count: number): string {
+    return count >= 1 && count <= 10 ? `${COUNT_WORDS[count]} 개` : `${count}개`
+  }
+
+  // 1 → "첫 번째", 11 → "11번째"
+  formatOrdinal(ordinal: number): string {
+    return ordinal >= 1 && ordinal <= 10 ? `${ORDINAL_WORDS[ordinal]} 번째` : `${ordinal}번째`
+  }
+
+  // 자리마다 읽은 숫자열 → 숫자 문자열 ("공일공 일이삼사" → "0101234")
+  toDigits(text: string): string {
+    let digits = ''
+    for (const char of text) {
+      if (/\d/.test(char)) {
+        digits += char
+      } else if (char in SINO_DIGITS) {
+        digits += String(SINO_DIGITS[char])
+      }
+    }
+    return digits
+  }
+
+  normalizePhone(text: string): string {
+    const digits = this.toDigits(text)
+
+    // 서울 지역번호(02)는 자리수가 다르다
+    if (digits.startsWith('02')) {
+      if (digits.length === 9) return `02-${digits.slice(2, 5)}-${digits.slice(5)}`
+      if (digits.length === 10) return `02-${digits.slice(2, 6)}-${digits.slice(6)}`
+    }
+    if (digits.length === 11) return `${digits.slice(0, 3)}-${digits.slice(3, 7)}-${digits.slice(7)}`
+    if (digits.length === 10) return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`
+
+    return digits || text.trim()
+  }
+
+  // 도메인 읽기("다음", "넷", "컴")는 @ 뒤에서만 바꾼다 — 아이디에 같은 글자가 있어도 그대로 둔다
+  normalizeEmail(text: string): string {
+    let email = text.trim()
+
+    for (const [pattern, symbol] of EMAIL_SYMBOLS) {
+      email = email.replace(pattern, symbol)
+    }
+
+    const at = email.indexOf('@')
+    if (at >= 0) {
+      let domain = email.slice(at + 1)
+      for (const [spoken, written] of Object.entries(EMAIL_DOMAINS)) {
+        domain = domain.split(spoken).join(written)
+      }
+      email = `${email.slice(0, at)}@${domain}`
+    }
+
+    return email.replace(/\s+/g, '').toLowerCase()
+  }
+
+  // "1990년 5월 3일", "천구백구십년 오월 삼일", "1990.5.3" → "1990-05-03" (해석 불가 시 null)
+  // 오늘 기준으로 말한 날짜도 푼다 — "내일", "다음 주 화요일", "사흘 뒤", "다음 달 5일", "내년 3월 1일", "15일"
+  normalizeDate(text: string, now: Date = new Date()): string | null {
+    const compact = text.trim()
+
+    const numeric = compact.match(/^(\d{2,4})\s*[.\-/]\s*(\d{1,2})\s*[.\-/]\s*(\d{1,2})\.?$/)
+    if (numeric) {
+      return this.formatDate(this.expandYear(Number(numeric[1]), now), Number(numeric[2]), Number(numeric[3]))
+    }
+
+    const relative = this.relativeDate(compact.replace(/\s+/g, ''), now)
+    if (relative !== undefined) return relative
+
+    const spoken = compact.match(/^(?:(\S+?)\s*년)?\s*(\S+?)\s*월\s*(\S+?)\s*일$/)
+    if (spoken) {
+      const month = this.parseNumber(spoken[2])
+      const day = this.parseNumber(spoken[3])
+      const year = spoken[1] ? this.parseNumber(spoken[1]) : now.getFullYear()
+      if (year === null || month === null || day === null) return null
+      return this.formatDate(this.expandYear(year, now), month, day)
+    }
+
+    // 날만 말하면 이번 달
+    const dayOnly = compact.match(/^(\S+?)\s*일$/)
+    if (dayOnly) {
+      const day = this.parseNumber(dayOnly[1])
+      return day !== null ? this.formatDate(now.getFullYear(), now.getMonth() + 1, day) : null
+    }
+
+    return null
+  }
+
+  // "오후 3시 30분", "세 시 반", "저녁 일곱 시", "15:30", "정오" → "15:30" (해석 불가 시 null)
+  // 오전·오후를 말하지 않으면 말한 시 그대로 (3시 → 03:00)
+  normalizeTime(text: string): string | null {
+    const compact = text.replace(/\s+/g, '')
+    if (compact === '정오') return '12:00'
+    if (compact === '자정') return '00:00'
+
+    const clock = compact.match(/^(\d{1,2}):(\d{2})$/)
+    if (clock) return this.formatTime(Number(clock[1]), Number(clock[2]))
+
+    const spoken = compact.match(/^(오전|오후|아침|낮|저녁|밤|새벽)?(.+?)시(?:(반)|(.+?)분)?$/)
+    if (!spoken) return null
+
+    let hour = this.parseNumber(spoken[2])
+    const minute = spoken[3] ? 30 : spoken[4] ? this.parseNumber(spoken[4]) : 0
+    if (hour === null || minute === null) return null
+
+    const period = spoken[1]
+    if (period && AFTERNOON_PERIODS.includes(period)) {
+      // "밤 12시" 는 자정
+      hour = hour === 12 ? (period === '밤' ? 0 : 12) : hour < 12 ? hour + 12 : hour
+    } else if (period === '낮') {
+      hour = hour < 7 ? hour + 12 : hour
+    } else if (period && hour === 12) {
+      hour = 0
+    }
+    return this.formatTime(hour, minute)
+  }
+
+  // "내일 오후 3시" → "2026-10-20T15:00". 시각만 말하면 오늘
+  normalizeDateTime(text: string, now: Date = new Date()): string | null {
+    const words = text.trim().split(/\s+/)
+
+    for (let split = words.length - 1; split >= 0; split--) {
+      const time = this.normalizeTime(words.slice(split).join(' '))
+      if (!time) continue
+      const date = split === 0
+        ? this.formatDate(now.getFullYear(), now.getMonth() + 1, now.getDate())
+        : this.normalizeDate(words.slice(0, split).join(' '), now)
+      if (date) return `${date}T${time}`
+    }
+    return null
+  }
+
+  // "2026-10-27" → "10월 27일 화요일" (올해가 아니면 연도도)
+  describeDate(iso: string, now: Date = new Date()): string {
+    const [year, month, day] = iso.split('-').map(Number)
+    const weekday = WEEKDAYS[new Date(year, month - 1, day).getDay()]
+    const date = `${month}월 ${day}일 ${weekday}요일`
+    return year === now.getFullYear() ? date : `${year}년 ${date}`
+  }
+
+  // "15:30" → "오후 3시 30분", "09:00" → "오전 9시"
+  describeTime(time: string): string {
+    const [hour, minute] = time.split(':').map(Number)
+    const period = hour < 12 ? '오전' : '오후'
+    const clock = hour % 12 === 0 ? 12 : hour % 12
+    return `${period} ${clock}시${minute > 0 ? ` ${minute}분` : ''}`
+  }
+
+  // 오늘을 기준으로 말한 날짜. 그런 표현이 아니면 undefined, 표현은 맞는데 없는 날이면 null
+  private relativeDate(compact: string, now: Date): string | null | undefined {
+    const year = now.getFullYear()
+    const month = now.getMonth()
+    const shifted = (days: number, months = 0) => {
+      const date = new Date(year, month + months, now.getDate() + days)
+      return this.formatDate(date.getFullYear(), date.getMonth() + 1, date.getDate())
+    }
+
+    if (compact in RELATIVE_DAYS) return shifted(RELATIVE_DAYS[compact])
+
+    // "다음 주 화요일" 은 월요일에 시작하는 주로 센다. 주를 말하지 않으면 오늘부터 다가오는 그 요일
+    const weekday = compact.match(/^(?:(지난|저번|이번|다음|담|다다음)주)?([월화수목금토일])요일$/)
+    if (weekday) {
+      const target = WEEKDAYS.indexOf(weekday[2])
+      if (!weekday[1]) return shifted((target - now.getDay() + 7) % 7)
+      const fromMonday = (day: number) => (day + 6) % 7
+      return shifted(fromMonday(target) - fromMonday(now.getDay()) + 7 * PERIOD_OFFSETS[weekday[1]])
+    }
+
+    // "사흘 뒤", "3일 후", "일주일 뒤", "두 달 뒤", "2주 전"
+    const later = compact.match(/^(.+?)(일|주일|주|달|개월)?(후|뒤|전)$/)
+    if (later) {
+      const count = later[2] ? this.parseNumber(later[1]) : DAY_COUNTS[later[1]] ?? null
+      if (count === null) return null
+      const sign = later[3] === '전' ? -1 : 1
+      if (later[2] === '달' || later[2] === '개월') return shifted(0, sign * count)
+      return shifted(sign * count * (later[2] === '주' || later[2] === '주일' ? 7 : 1))
+    }
+
+    // "다음 달 5일"
+    const monthDay = compact.match(/^(지난|저번|이번|다음|담|다다음)달(.+?)일$/)
+    if (monthDay) {
+      const day = this.parseNumber(monthDay[2])
+      const base = new Date(year, month + PERIOD_OFFSETS[monthDay[1]], 1)
+      return day !== null ? this.formatDate(base.getFullYear(), base.getMonth() + 1, day) : null
+    }
+
+    // "내년 3월 1일" → 연도를 숫자로 바꿔 일반 날짜로 푼다
+    const yearWord = Object.keys(YEAR_OFFSETS).find(word => compact.startsWith(word) && /월.+일$/.test(compact))
+    if (yearWord) {
+      return this.normalizeDate(`${year + YEAR_OFFSETS[yearWord]}년 ${compact.slice(yearWord.length)}`, now)
+    }
+
+    return undefined
+  }
+
+  // 두 자리 연도 → 네 자리 ("90년" → 1990, "05년" → 2005)
+  private expandYear(year: number, now: Date): number {
+    if (year >= 100) return year
+    const century = Math.floor(now.getFullYear() / 100) * 100
+    return century + year > now.getFullYear() ? century - 100 + year : century + year
+  }
+
+  // 달력에 있는 날짜만 ("2월 30일", "4월 31일" 은 null) — Date 가 다음 달로 넘긴 값이면 없는 날짜다
+  private formatDate(year: number, month: number, day: number): string | null {
+    const date = new Date(year, month - 1, day)
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null
+    const pad = (n: number) => String(n).padStart(2, '0')
+    return `${year}-${pad(month)}-${pad(day)}`
+  }
+
+  private formatTime(hour: number, minute: number): string | null {
+    if (hour < 0 || hour > 23 || minute < 0 || minute > 59) return null
+    const pad = (n: number) => String(n).padStart(2, '0')
+    return `${pad(hour)}:${pad(minute)}`
+  }
+}
@@ -0,0 +1,710 @@
+/**
+ * MessageCatalog - 언어별 안내 문구와 기본 명령 어휘
+ * 말하거나 화면에 띄우는 문장은 모두 여기서 꺼낸다. 명령 키워드로 잡지 않는 자유 발화
+ * ("로그인 눌러줘", "이름은 홍길동", "아니 취소", "세 번째 링크")를 푸는 패턴도 언어별로 둔다.
+ * 한국어 문구의 "{name}을(를)" 은 값의 받침에 맞춰 "을" 또는 "를" 로 바뀐다.
+ */
+
+import { KoreanNormalizer } from './korean-normalizer'
+import { EnglishNormalizer } from './english-normalizer'
+import type { ElementKind, HorizontalRegion, VerticalRegion } from './spatial-resolver'
+
+export type Locale = 'ko-KR' | 'en-US'
+
+const KO_MESSAGES = {
+  commandDone: '{description}을(를) 완료했습니다',
+  confirmPrompt: '{description}을(를) 하시겠습니까?',
+  confirmDeclined: '취소했습니다',
+  confirmTimeout: '응답이 없어 취소했습니다',
+  confirmUnclear: '네 또는 아니요로 말씀해 주세요',
+  resultConfirmUnclear: '확인 응답을 이해하지 못했습니다',
+  resultConfirmYes: '확인 응답: 네',
+  resultConfirmNo: '확인 응답: 아니요',
+  resultCommandDeclined: '명령을 취소했습니다',
+  resultCommandTimeout: '응답이 없어 명령을 취소했습니다',
+  resultCommandError: '명령 실행 중 오류가 발생했습니다: {error}',
+  middlewareError: '요청을 처리할 수 없습니다',
+  undoDone: '이전 상태로 되돌렸습니다',
+  undoFailed: '되돌릴 수 없습니다',
+  resultUndoDone: '취소 완료',
+  resultUndoFailed: '되돌리기 실패',
+  feedbackUndoing: '🚫 취소 처리 중...',
+  feedbackProcessing: '🎤 "{transcript}" 처리중',
+  feedbackStep: '▶ {current}/{total} 단계: "{step}"',
+  feedbackDone: '✅ 완료',
+  feedbackFailed: '❌ 실패',
+  feedbackAwaitingConfirm: '❓ 확인 대기 중',
+  feedbackFilled: '✅ 입력 완료',
+  stepFailed: '{number}번째 단계 "{step}"에서 멈췄습니다',
+  stepsDone: '{count}단계를 모두 실행했습니다',
+  formFilled: '{field}에 {value}을(를) 입력했습니다',
+  formRejected: '{field}에 {value}을(를) 넣지 못했습니다. 형식을 확인해 주세요',
+  controlChosen: '{field}을(를) {option}으로(로) 선택했습니다',
+  controlChecked: '{label}을(를) 체크했습니다',
+  controlUnchecked: '{label} 체크를 해제했습니다',
+  controlSwitchedOn: '{label}을(를) 켰습니다',
+  controlSwitchedOff: '{label}을(를) 껐습니다',
+  controlValueSet: '{field}을(를) {value}으로(로) 정했습니다',
+  controlOptionMissing: '{field}에는 {option}이(가) 없습니다. {options} 중에서 골라 주세요',
+  controlValueInvalid: '{value}을(를) {field}에 넣을 날짜나 시각으로 알아듣지 못했습니다',
+  notUnderstood: '명령을 이해하지 못했습니다',
+  elementNotFound: '{target}에 해당하는 요소를 찾지 못했습니다',
+  elementClicked: '{description}을(를) 클릭했습니다',
+  elementRevealFailed: '{description}이(가) 접힌 메뉴 안에 있어 펼치지 못했습니다',
+  disambiguationIntro: '{name}이(가) {count} 있습니다.',
+  disambiguationMore: '앞의 {count}만 알려드립니다.',
+  disambiguationOption: '{ordinal}, {location}의 {label}.',
+  disambiguationAsk: '몇 번째를 누를까요?',
+  disambiguationReprompt: '몇 번째를 누를까요? 첫 번째, 두 번째처럼 말씀해 주세요',
+  disambiguationRange: '첫 번째부터 {last} 중에서 골라 주세요.',
+  resultCandidateInvalid: '후보 선택 실패: {answer}',
+  resultCandidateChosen: '{ordinal} 후보 선택',
+  resultSelectionUnfinished: '{name} 선택을 마치지 못했습니다',
+  numbersNone: '번호를 붙일 요소가 화면에 없습니다',
+  numbersShown: '번호 {count}개를 표시했습니다. "3번 눌러줘"처럼 말씀해 주세요',
+  numbersHidden: '번호를 숨겼습니다',
+  numbersOff: '먼저 "번호 보여줘"라고 말씀해 주세요',
+  numberMissing: '{number}번은 없습니다. 1번부터 {count}번까지 있습니다',
+  numberClicked: '{number}번을 눌렀습니다',
+  numberNotInput: '{number}번은 입력칸이 아닙니다',
+  numberFilled: '{number}번에 {value}을(를) 입력했습니다',
+  numberAskValue: '{number}번에 무엇을 입력할까요?',
+  searchAsk: '검색창을 선택했습니다. 무엇을 검색할까요?',
+  searchSubmitted: '{query}을(를) 검색합니다',
+  searchMissing: '이 페이지에서 검색창을 찾지 못했습니다',
+  nextPageMissing: '다음 페이지로 넘기는 링크를 찾지 못했습니다',
+  previousPageMissing: '이전 페이지로 넘기는 링크를 찾지 못했습니다',
+  menuOpened: '메뉴를 열었습니다',
+  menuMissing: '메뉴 버튼을 찾지 못했습니다',
+  dialogClosed: '창을 닫았습니다',
+  dialogMissing: '닫을 창을 찾지 못했습니다',
+  repeatNothing: '다시 들려드릴 안내가 없습니다',
+  helpIntro: '지금 쓰실 수 있는 말씀을 알려드릴게요.',
+  helpGroup: '{category}: {phrases}.',
+  helpOutro: '그만 들으시려면 "멈춰"라고 말씀하세요.',
+  slotPlaceholder: '○○',
+  dialogNoPending: '대기 중인 질문이 없습니다',
+  dialogCancelled: '질문을 취소했습니다',
+  dialogTimeout: '답변이 없어 질문을 마칩니다. 필요하시면 다시 말씀해 주세요',
+  resultDialogCancelled: '질문 취소',
+  resultDialogRepeated: '질문 반복',
+  resultDialogAnswer: '답변: {answer}',
+  readingEmpty: '읽을 내용을 찾지 못했습니다',
+  readingNoHeadings: '이 페이지에는 제목이 없습니다',
+  readingSummaryIntro: '제목 {count}개를 읽어드릴게요.',
+  readingDone: '끝까지 읽었습니다',
+  readingSummaryDone: '제목을 모두 읽었습니다',
+  readingPaused: '읽기를 멈췄습니다. "계속 읽어줘"라고 말씀하시면 이어서 읽습니다',
+  readingIdle: '먼저 "이 페이지 읽어줘"라고 말씀해 주세요',
+  readingLast: '마지막 문단입니다',
+  headingAnnounce: '제목: {text}',
+  headingFirst: '첫 번째 제목입니다',
+  headingLast: '마지막 제목입니다',
+  landmarkMoved: '{region}으로(로) 이동했습니다',
+  landmarkMissing: '이 페이지에는 {region}이(가) 없습니다',
+  landmarkMain: '본문',
+  landmarkNavigation: '메뉴 영역',
+  landmarkContentinfo: '바닥글',
+  tableNone: '이 페이지에는 표가 없습니다',
+  tableIntro: '표가 있습니다. 줄이 {count}개 있습니다.',
+  tableIntroOne: '표가 있습니다. 줄이 하나 있습니다.',
+  tableIntroNamed: '{caption} 표입니다. 줄이 {count}개 있습니다.',
+  tableIntroNamedOne: '{caption} 표입니다. 줄이 하나 있습니다.',
+  tableColumns: '열은 {columns}입니다.',
+  tableRow: '{ordinal} 줄. {cells}',
+  tableCell: '{header}: {text}',
+  tableEmptyCell: '빈 칸',
+  tableMore: '"다음 줄"이라고 말씀하시면 이어서 읽습니다.',
+  tableFirstRow: '첫 번째 줄입니다',
+  tableLastRow: '마지막 줄입니다',
+  tableRowRange: '첫 번째 줄부터 {last} 줄까지 있습니다',
+  tableRowRangeOne: '줄이 하나뿐입니다',
+  tableColumn: '{column} 열: {values}',
+  tableColumnMissing: '{column} 열을 찾지 못했습니다',
+  formNone: '이 페이지에는 입력 양식이 없습니다',
+  formField: '{label} 칸입니다.',
+  formFieldRequired: '꼭 입력해야 합니다.',
+  formFieldValue: '지금 {value}이(가) 들어 있습니다.',
+  formLastField: '마지막 칸입니다',
+  formEmptyNone: '빈 칸이 없습니다',
+  formEmptyIntro: '빈 칸이 {count} 있습니다.',
+  formEmptyRequired: '꼭 입력해야 하는 칸은 {fields}입니다.',
+  formEmptyOthers: '그 밖에 {fields}이(가) 비어 있습니다.',
+  formEmptyOptional: '{fields}이(가) 비어 있습니다.',
+  formErrorsNone: '틀린 곳이 없습니다',
+  formErrorsIntro: '고쳐야 할 칸이 {count} 있습니다.',
+  formError: '{label}: {error}',
+  formErrorUnspecified: '{label}: 입력한 값을 확인해 주세요',
+  categoryNavigation: '이동',
+  categoryInteraction: '화면 조작',
+  categoryForm: '입력',
+  categorySystem: '음성 제어',
+  regionHeaderNav: '상단 메뉴',
+  regionFooterNav: '하단 메뉴',
+  regionNav: '메뉴',
+  regionDialog: '팝업 창',
+  regionHeader: '상단',
+  regionFooter: '하단',
+  regionForm: '입력 양식',
+  regionAside: '옆 영역',
+  regionTop: '화면 위쪽',
+  regionMiddle: '화면 가운데',
+  regionBottom: '화면 아래쪽',
+  elementButton: '{label} 버튼',
+  elementLink: '{label} 링크',
+  elementInput: '{label} 입력창',
+  elementSelect: '{label} 선택 메뉴',
+  elementTextarea: '{label} 텍스트 입력창',
+  elementCheckbox: '{label} 체크박스',
+  elementSwitch: '{label} 스위치',
+  elementRadio: '{label} 라디오 버튼'
+}
+
+export type MessageKey = keyof typeof KO_MESSAGES
+export type MessageParams = { [name: string]: string | number }
+
+const EN_MESSAGES: { [key in MessageKey]: string } = {
+  commandDone: 'Done: {description}',
+  confirmPrompt: 'Do you want to {description}?',
+  confirmDeclined: 'Cancelled',
+  confirmTimeout: 'No answer, so I cancelled it',
+  confirmUnclear: 'Please answer yes or no',
+  resultConfirmUnclear: 'Could not understand the confirmation answer',
+  resultConfirmYes: 'Confirmation answer: yes',
+  resultConfirmNo: 'Confirmation answer: no',
+  resultCommandDeclined: 'Command cancelled',
+  resultCommandTimeout: 'No answer, so the command was cancelled',
+  resultCommandError: 'An error occurred while running the command: {error}',
+  middlewareError: 'This request cannot be processed',
+  undoDone: 'Restored the previous state',
+  undoFailed: 'There is nothing to undo',
+  resultUndoDone: 'Undo complete',
+  resultUndoFailed: 'Undo failed',
+  feedbackUndoing: '🚫 Undoing...',
+  feedbackProcessing: '🎤 Processing "{transcript}"',
+  feedbackStep: '▶ Step {current}/{total}: "{step}"',
+  feedbackDone: '✅ Done',
+  feedbackFailed: '❌ Failed',
+  feedbackAwaitingConfirm: '❓ Waiting for confirmation',
+  feedbackFilled: '✅ Entered',
+  stepFailed: 'Stopped at step {number}, "{step}"',
+  stepsDone: 'Completed all {count} steps',
+  formFilled: 'Entered {value} in {field}',
+  formRejected: '{field} did not accept {value}. Please check the format',
+  controlChosen: 'Selected {option} for {field}',
+  controlChecked: 'Checked {label}',
+  controlUnchecked: 'Unchecked {label}',
+  controlSwitchedOn: 'Turned on {label}',
+  controlSwitchedOff: 'Turned off {label}',
+  controlValueSet: 'Set {field} to {value}',
+  controlOptionMissing: '{field} has no option {option}. Choose from {options}',
+  controlValueInvalid: 'Could not understand {value} as a date or time for {field}',
+  notUnderstood: 'I did not understand the command',
+  elementNotFound: 'Could not find {target}',
+  elementClicked: 'Clicked {description}',
+  elementRevealFailed: 'Could not open the menu that contains {description}',
+  disambiguationIntro: 'There are {count} items called {name}.',
+  disambiguationMore: 'Here are the first {count}.',
+  disambiguationOption: '{ordinal}, {label} in the {location}.',
+  disambiguationAsk: 'Which one should I press?',
+  disambiguationReprompt: 'Which one should I press? Say first, second, and so on',
+  disambiguationRange: 'Please choose from the first to the {last}.',
+  resultCandidateInvalid: 'Invalid choice: {answer}',
+  resultCandidateChosen: 'Chose the {ordinal} candidate',
+  resultSelectionUnfinished: 'Could not finish choosing {name}',
+  numbersNone: 'There is nothing on screen to number',
+  numbersShown: 'Showing {count} numbers. Say something like "click 3"',
+  numbersHidden: 'Numbers hidden',
+  numbersOff: 'Say "show numbers" first',
+  numberMissing: 'There is no number {number}. Numbers go from 1 to {count}',
+  numberClicked: 'Clicked number {number}',
+  numberNotInput: 'Number {number} is not a text field',
+  numberFilled: 'Entered {value} in number {number}',
+  numberAskValue: 'What should I enter in number {number}?',
+  searchAsk: 'Search box selected. What would you like to search for?',
+  searchSubmitted: 'Searching for {query}',
+  searchMissing: 'I could not find a search box on this page',
+  nextPageMissing: 'I could not find a link to the next page',
+  previousPageMissing: 'I could not find a link to the previous page',
+  menuOpened: 'Menu opened',
+  menuMissing: 'I could not find a menu button',
+  dialogClosed: 'Closed the dialog',
+  dialogMissing: 'There is no open dialog to close',
+  repeatNothing: 'There is nothing to repeat',
+  helpIntro: 'Here is what you can say right now.',
+  helpGroup: '{category}: {phrases}.',
+  helpOutro: 'To stop me speaking, say "stop".',
+  slotPlaceholder: '...',
+  dialogNoPending: 'There is no pending question',
+  dialogCancelled: 'Question cancelled',
+  dialogTimeout: 'No answer, so I will stop asking. Just say it again when you need to',
+  resultDialogCancelled: 'Question cancelled',
+  resultDialogRepeated: 'Question repeated',
+  resultDialogAnswer: 'Answer: {answer}',
+  readingEmpty: 'I could not find anything to read',
+  readingNoHeadings: 'This page has no headings',
+  readingSummaryIntro: 'Here are the {count} headings.',
+  readingDone: 'That is the end of the page',
+  readingSummaryDone: 'That is all the headings',
+  readingPaused: 'Paused. Say "continue reading" to pick up where I left off',
+  readingIdle: 'Say "read this page" first',
+  readingLast: 'This is the last paragraph',
+  headingAnnounce: 'Heading: {text}',
+  headingFirst: 'This is the first heading',
+  headingLast: 'This is the last heading',
+  landmarkMoved: 'Moved to the {region}',
+  landmarkMissing: 'This page has no {region}',
+  landmarkMain: 'main content',
+  landmarkNavigation: 'navigation',
+  landmarkContentinfo: 'footer',
+  tableNone: 'This page has no tables',
+  tableIntro: 'A table with {count} rows.',
+  tableIntroOne: 'A table with one row.',
+  tableIntroNamed: 'Table {caption}, with {count} rows.',
+  tableIntroNamedOne: 'Table {caption}, with one row.',
+  tableColumns: 'The columns are {columns}.',
+  tableRow: 'Row {number}. {cells}',
+  tableCell: '{header}: {text}',
+  tableEmptyCell: 'blank',
+  tableMore: 'Say "next row" to keep going.',
+  tableFirstRow: 'This is the first row',
+  tableLastRow: 'This is the last row',
+  tableRowRange: 'The rows go from the first to the {last}',
+  tableRowRangeOne: 'There is only one row',
+  tableColumn: '{column} column: {values}',
+  tableColumnMissing: 'Could not find a {column} column',
+  formNone: 'This page has no form',
+  formField: '{label} field.',
+  formFieldRequired: 'Required.',
+  formFieldValue: 'It currently says {value}.',
+  formLastField: 'This is the last field',
+  formEmptyNone: 'No fields are empty',
+  formEmptyIntro: 'Empty fields: {count}.',
+  formEmptyRequired: 'Required: {fields}.',
+  formEmptyOthers: 'Also empty: {fields}.',
+  formEmptyOptional: 'Empty: {fields}.',
+  formErrorsNone: 'Nothing is marked wrong',
+  formErrorsIntro: 'Fields to fix: {count}.',
+  formError: '{label}: {error}',
+  formErrorUnspecified: '{label}: please check this value',
+  categoryNavigation: 'Navigation',
+  categoryInteraction: 'Page controls',
+  categoryForm: 'Input',
+  categorySystem: 'Voice controls',
+  regionHeaderNav: 'top menu',
+  regionFooterNav: 'bottom menu',
+  regionNav: 'menu',
+  regionDialog: 'pop-up',
+  regionHeader: 'header',
+  regionFooter: 'footer',
+  regionForm: 'form',
+  regionAside: 'sidebar',
+  regionTop: 'top of the screen',
+  regionMiddle: 'middle of the screen',
+  regionBottom: 'bottom of the screen',
+  elementButton: '{label} button',
+  elementLink: '{label} link',
+  elementInput: '{label} field',
+  elementSelect: '{label} menu',
+  elementTextarea: '{label} text area',
+  elementCheckbox: '{label} checkbox',
+  elementSwitch: '{label} switch',
+  elementRadio: '{label} radio button'
+}
+
+/** 기본 명령의 언어별 키워드·설명·슬롯 템플릿 */
+export type DefaultCommandId =
+  | 'nextPage' | 'previousPage' | 'scrollTop' | 'scrollBottom'
+  | 'nextHeading' | 'previousHeading' | 'goToMain' | 'goToNavigation' | 'goToFooter'
+  | 'focusSearch' | 'openMenu' | 'closeDialog'
+  | 'showNumbers' | 'hideNumbers' | 'clickNumber' | 'fillNumber'
+  | 'nextField' | 'emptyFields' | 'formErrors'
+  | 'readTable' | 'nextRow' | 'previousRow' | 'readRow' | 'readColumn'
+  | 'readPage' | 'pauseReading' | 'resumeReading' | 'nextParagraph' | 'restartReading' | 'summarizePage'
+  | 'repeat' | 'stop' | 'help'
+
+export interface CommandText {
+  keywords: string[]
+  description: string
+  patterns?: string[]
+}
+
+const KO_COMMANDS: { [id in DefaultCommandId]: CommandText } = {
+  nextPage: { keywords: ['다음 페이지', '넘어가기', '다음'], description: '다음 페이지로 이동' },
+  previousPage: { keywords: ['이전 페이지', '뒤로가기', '이전'], description: '이전 페이지로 이동' },
+  scrollTop: { keywords: ['위로', '맨 위로', '상단으로'], description: '페이지 상단으로 스크롤' },
+  scrollBottom: { keywords: ['아래로', '맨 아래로', '하단으로'], description: '페이지 하단으로 스크롤' },
+  nextHeading: { keywords: ['다음 제목', '다음 제목으로'], description: '다음 제목으로 이동' },
+  previousHeading: { keywords: ['이전 제목', '이전 제목으로', '앞 제목'], description: '이전 제목으로 이동' },
+  goToMain: { keywords: ['본문으로', '본문으로 이동', '내용으로'], description: '본문 영역으로 이동' },
+  goToNavigation: { keywords: ['메뉴 영역으로', '메뉴 영역', '메뉴로'], description: '메뉴 영역으로 이동' },
+  goToFooter: { keywords: ['바닥글로', '바닥글', '맨 아래 정보로'], description: '바닥글로 이동' },
+  focusSearch: { keywords: ['검색창', '검색창으로', '검색창 열어줘', '검색할래', '검색하고 싶어'], description: '검색창에서 검색' },
+  openMenu: { keywords: ['메뉴 열어줘', '메뉴 열기', '메뉴 보여줘', '전체 메뉴'], description: '메뉴 열기' },
+  closeDialog: { keywords: ['창 닫아줘', '팝업 닫아줘', '닫아줘', '닫기'], description: '열린 창 닫기' },
+  showNumbers: { keywords: ['번호 보여줘', '번호 표시해줘', '번호 켜줘', '번호 붙여줘'], description: '화면 요소에 번호 표시' },
+  hideNumbers: { keywords: ['번호 숨겨줘', '번호 숨겨', '번호 꺼줘', '번호 지워줘'], description: '번호 표시 끄기' },
+  clickNumber: {
+    keywords: [],
+    patterns: ['{number}번 눌러줘', '{number}번 눌러', '{number}번 클릭해줘', '{number}번 클릭', '{number}번 선택해줘'],
+    description: '번호로 요소 누르기'
+  },
+  fillNumber: {
+    keywords: [],
+    patterns: ['{number}번에 {value} 입력해줘', '{number}번에 {value} 입력', '{number}번 입력해줘', '{number}번 입력'],
+    description: '번호로 입력칸 채우기'
+  },
+  nextField: { keywords: ['다음 칸', '다음 칸으로', '다음 입력칸'], description: '다음 입력칸으로 이동' },
+  emptyFields: { keywords: ['빈 칸 알려줘', '빈칸 알려줘', '빈 칸 어디야', '안 쓴 칸 알려줘'], description: '빈 칸 알려주기' },
+  formErrors: { keywords: ['뭐가 틀렸어', '뭐가 틀렸어요', '틀린 곳 알려줘', '오류 알려줘', '왜 안 돼'], description: '입력 오류 읽기' },
+  readPage: { keywords: ['이 페이지 읽어줘', '페이지 읽어줘', '본문 읽어줘', '읽어줘'], description: '페이지 본문 읽기' },
+  pauseReading: { keywords: ['잠깐', '잠깐만', '일시정지', '읽기 멈춰'], description: '읽기 잠시 멈추기' },
+  resumeReading: { keywords: ['계속 읽어줘', '계속', '이어서 읽어줘'], description: '멈춘 곳부터 이어 읽기' },
+  nextParagraph: { keywords: ['다음 문단', '다음 단락', '이 문단 건너뛰어'], description: '다음 문단으로 건너뛰기' },
+  restartReading: { keywords: ['처음부터', '처음부터 읽어줘', '다시 처음부터'], description: '처음부터 다시 읽기' },
+  summarizePage: { keywords: ['요약만', '요약만 읽어줘', '제목만 읽어줘'], description: '제목만 읽기' },
+  readTable: { keywords: ['표 읽어줘', '테이블 읽어줘', '표 읽어'], description: '표 읽기' },
+  nextRow: { keywords: ['다음 줄', '다음 줄 읽어줘', '다음 행'], description: '표의 다음 줄 읽기' },
+  previousRow: { keywords: ['이전 줄', '이전 줄 읽어줘', '이전 행'], description: '표의 이전 줄 읽기' },
+  readRow: {
+    keywords: [],
+    patterns: ['{row} 줄 읽어줘', '{row} 줄', '{row} 행 읽어줘'],
+    description: '표의 몇 번째 줄 읽기'
+  },
+  readColumn: {
+    keywords: [],
+    patterns: ['{column} 열만 읽어줘', '{column} 열 읽어줘', '{column} 칸만 읽어줘'],
+    description: '표의 한 열만 읽기'
+  },
+  repeat: { keywords: ['다시 말해줘', '다시 말해 주세요', '다시 들려줘', '한 번 더 말해줘', '뭐라고'], description: '마지막 안내 다시 듣기' },
+  stop: { keywords: ['멈춰', '그만', '중단', '조용히'], description: '음성 안내 멈추기' },
+  help: { keywords: ['도움말', '뭐 할 수 있어', '명령어 알려줘', '사용법'], description: '사용 가능한 명령 안내' }
+}
+
+const EN_COMMANDS: { [id in DefaultCommandId]: CommandText } = {
+  nextPage: { keywords: ['next page', 'next'], description: 'go to the next page' },
+  previousPage: { keywords: ['previous page', 'go back', 'previous'], description: 'go to the previous page' },
+  scrollTop: { keywords: ['scroll to top', 'go to top', 'scroll up'], description: 'scroll to the top of the page' },
+  scrollBottom: { keywords: ['scroll to bottom', 'go to bottom', 'scroll down'], description: 'scroll to the bottom of the page' },
+  nextHeading: { keywords: ['next heading'], description: 'go to the next heading' },
+  previousHeading: { keywords: ['previous heading'], description: 'go to the previous heading' },
+  goToMain: { keywords: ['go to main content', 'main content', 'skip to content'], description: 'go to the main content' },
+  goToNavigation: { keywords: ['go to navigation', 'navigation'], description: 'go to the navigation' },
+  goToFooter: { keywords: ['go to footer', 'footer'], description: 'go to the footer' },
+  focusSearch: { keywords: ['search box', 'go to search', 'open search', 'I want to search'], description: 'search this site' },
+  openMenu: { keywords: ['open menu', 'open the menu', 'show menu'], description: 'open the menu' },
+  closeDialog: { keywords: ['close this', 'close the popup', 'close dialog', 'close'], description: 'close the open dialog' },
+  showNumbers: { keywords: ['show numbers', 'number the page'], description: 'show numbers on the page' },
+  hideNumbers: { keywords: ['hide numbers', 'remove numbers'], description: 'hide the numbers' },
+  clickNumber: {
+    keywords: [],
+    patterns: ['click number {number}', 'click {number}', 'press number {number}', 'press {number}', 'select number {number}'],
+    description: 'click an element by number'
+  },
+  fillNumber: {
+    keywords: [],
+    patterns: ['type {value} in number {number}', 'type {value} in {number}', 'type in number {number}', 'type in {number}'],
+    description: 'fill a field by number'
+  },
+  nextField: { keywords: ['next field', 'go to the next field'], description: 'move to the next field' },
+  emptyFields: { keywords: ['empty fields', 'which fields are empty', 'what is left to fill'], description: 'list the empty fields' },
+  formErrors: { keywords: ["what's wrong", 'what went wrong', 'read the errors'], description: 'read the form errors' },
+  readPage: { keywords: ['read this page', 'read the page', 'read page'], description: 'read the main content' },
+  pauseReading: { keywords: ['pause', 'pause reading', 'wait'], description: 'pause reading' },
+  resumeReading: { keywords: ['continue reading', 'keep reading', 'resume'], description: 'continue from where reading stopped' },
+  nextParagraph: { keywords: ['next paragraph', 'skip paragraph'], description: 'skip to the next paragraph' },
+  restartReading: { keywords: ['start over', 'read from the beginning', 'from the beginning'], description: 'read again from the beginning' },
+  summarizePage: { keywords: ['summary only', 'just the headings', 'read the headings'], description: 'read only the headings' },
+  readTable: { keywords: ['read the table', 'read table'], description: 'read the table' },
+  nextRow: { keywords: ['next row'], description: 'read the next row' },
+  previousRow: { keywords: ['previous row'], description: 'read the previous row' },
+  readRow: {
+    keywords: [],
+    patterns: ['read row {row}', 'read the {row} row', 'row {row}'],
+    description: 'read a row by number'
+  },
+  readColumn: {
+    keywords: [],
+    patterns: ['read the {column} column', 'read {column} column', 'read column {column}'],
+    description: 'read one column'
+  },
+  repeat: { keywords: ['say that again', 'repeat that', 'what did you say'], description: 'hear the last message again' },
+  stop: { keywords: ['stop', 'be quiet', 'quiet'], description: 'stop speaking' },
+  help: { keywords: ['help', 'what can I say', 'what can you do'], description: 'list available commands' }
+}
+
+/** 언어별 자유 발화 패턴 */
+export interface UtterancePatterns {
+  /** 요소 누르기 ("로그인 눌러줘" / "click login") — 1번 그룹이 요소 이름 */
+  click: RegExp
+  /** 폼 작성의 필드·값 사이 ("이름은 홍길동" 의 은/는, "name is John" 의 is) — g 플래그 */
+  fieldSeparator: RegExp
+  /** 필드명 앞에 붙는 말 ("set my name to ..." 의 set my) */
+  fieldPrefix?: RegExp
+  /** 값 끝의 서술어 ("홍길동입니다", "홍길동이라고 입력해줘") */
+  valueSuffix: RegExp
+  cancellation: CancellationPatterns
+  spatial: SpatialPatterns
+  controls: ControlPatterns
+}
+
+/** 선택 메뉴·체크박스·라디오 조작 ("약관 동의 체크해줘" / "check accept terms") */
+export interface ControlPatterns {
+  /** 체크 끄기·켜기 — 처음 잡힌 그룹이 항목 이름 */
+  uncheck: RegExp
+  check: RegExp
+  /** 고르기 — 1번 그룹이 "<칸> <항목>" 또는 항목 */
+  choose: RegExp
+  /** 체크 여부를 값으로 말한 경우 ("약관 동의는 예") — 띄어 쓰지 않은 소문자로 견준다 */
+  yes: string[]
+  no: string[]
+  /** 칸 이름 끝의 조사 ("성별을 여자로") */
+  fieldParticle?: RegExp
+  /** 값 끝의 조사 ("여자로") */
+  valueParticle?: RegExp
+}
+
+export interface CancellationPatterns {
+  /** 취소·되돌리기 표현 */
+  keywords: RegExp
+  /** 취소 단어를 품었지만 취소가 아닌 표현 ("다시 말해줘" 는 반복 요청) */
+  exceptions: string[]
+  /** "확인, 아니 취소" — 1번 그룹 앞말, 2번 취소 단어, 3번 뒷말 */
+  compound: RegExp
+  /** 뒷말에서 찾는 되돌리기 명령 [단서, 명령] — 없으면 cancel */
+  commands: Array<[string, string]>
+  cancel: string
+  /** 취소 단어만 들은 경우의 명령 */
+  negation: string
+}
+
+export interface SpatialPatterns {
+  kinds: Array<[RegExp, ElementKind]>
+  vertical: Array<[RegExp, VerticalRegion]>
+  horizontal: Array<[RegExp, HorizontalRegion]>
+  center: RegExp
+  /** 위치 지칭에서 지우고 나면 남는 말이 없어야 한다 — 서수, 위치 단어, 종류·꾸밈말 (g 플래그) */
+  ordinalWords: RegExp
+  positionWords: RegExp
+  fillerWords: RegExp
+}
+
+const KO_PATTERNS: UtterancePatterns = {
+  click: /(.*?)\s*(?:클릭|눌러|선택|(?:으로|로)?\s*(?:가|이동해)\s*(?:줘|주세요))/,
+  fieldSeparator: /(은|는)\s+/g,
+  valueSuffix: /\s*(?:입니다|이에요|예요|(?:이)?라고\s*(?:입력|적어)(?:해)?\s*줘|(?:으로|로)?\s*(?:입력|적어)(?:해)?\s*줘)$/,
+  cancellation: {
+    keywords: /아니|취소|되돌려|되돌리기|이전으로|잘못됐어|다시|원래대로/,
+    exceptions: ['다시 말해', '다시 들려', '다시 읽어', '다시 처음부터'],
+    compound: /(.*?),?\s*(아니|취소)(.*)$/,
+    commands: [['취소', '취소'], ['되돌', '되돌리기'], ['이전', '이전으로']],
+    cancel: '취소',
+    negation: '아니'
+  },
+  spatial: {
+    kinds: [[/버튼/, 'button'], [/링크/, 'link'], [/입력\s?창|입력\s?칸|빈\s?칸|칸/, 'input']],
+    vertical: [[/위쪽|위|상단|윗/, 'top'], [/아래쪽|아래|하단|밑/, 'bottom']],
+    horizontal: [[/왼쪽|좌측|왼/, 'left'], [/오른쪽|우측|오른/, 'right']],
+    center: /가운데|중앙|중간/,
+    ordinalWords: /([가-힣]+|\d+)\s*(번째|째|번)|마지막/g,
+    positionWords: /위쪽|위|상단|윗|아래쪽|아래|하단|밑|왼쪽|좌측|왼|오른쪽|우측|오른|가운데|중앙|중간/g,
+    fillerWords: /버튼|링크|입력\s?창|입력\s?칸|빈\s?칸|칸|거|것|에\s?있는|있는|쪽|의|에|요소|항목/g
+  },
+  controls: {
+    uncheck: /^(.+?)\s*(?:을|를)?\s*(?:체크\s*(?:를\s*)?(?:해제|풀어|빼)|선택\s*해제|해제|꺼)\s*(?:해)?\s*(?:줘|주세요)?$/,
+    check: /^(.+?)\s*(?:을|를)?\s*(?:체크|켜)\s*(?:해)?\s*(?:줘|주세요)?$/,
+    choose: /^(.+?)\s*(?:으로|로)?\s*(?:선택|골라|바꿔|변경|설정|정해)\s*(?:해)?\s*(?:줘|주세요)?$/,
+    yes: ['예', '네', '응', '동의', '체크', '켜기', '켜짐', '사용'],
+    no: ['아니오', '아니요', '아니', '해제', '끄기', '꺼짐', '사용안함'],
+    fieldParticle: /(?:을|를|은|는|의|에서)$/,
+    valueParticle: /\s*(?:으로|로|에)$/
+  }
+}
+
+const EN_PATTERNS: UtterancePatterns = {
+  click: /^(?:please\s+)?(?:click|press|tap|hit|select|choose)\s+(?:on\s+)?(?:the\s+)?(.+?)(?:\s+(?:button|link))?(?:\s+please)?$/i,
+  fieldSeparator: /\s+(is|to|as)\s+/gi,
+  fieldPrefix: /^(?:please\s+)?(?:(?:set|change|fill in|fill|enter|put)\s+)?(?:(?:my|the)\s+)?/i,
+  valueSuffix: /\s*(?:,?\s*please)?[.!]?$/i,
+  cancellation: {
+    keywords: /\b(?:no|nope|cancel|undo|never mind|that'?s wrong)\b/,
+    exceptions: ['no problem'],
+    compound: /(.*?),?\s*\b(no|cancel)\b(.*)$/,
+    commands: [['cancel', 'cancel'], ['undo', 'undo']],
+    cancel: 'cancel',
+    negation: 'no'
+  },
+  spatial: {
+    kinds: [[/\bbuttons?\b/, 'button'], [/\blinks?\b/, 'link'], [/\b(?:inputs?|fields?|text ?box(?:es)?|box(?:es)?)\b/, 'input']],
+    vertical: [[/\b(?:top|upper)\b/, 'top'], [/\b(?:bottom|lower)\b/, 'bottom']],
+    horizontal: [[/\bleft\b/, 'left'], [/\bright\b/, 'right']],
+    center: /\b(?:center|centre|middle)\b/,
+    ordinalWords: /\b(?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|(?:number\s+)?\d+(?:st|nd|rd|th)?)\b/g,
+    positionWords: /\b(?:top|upper|bottom|lower|left|right|center|centre|middle)\b/g,
+    fillerWords: /\b(?:buttons?|links?|inputs?|fields?|text ?box(?:es)?|box(?:es)?|the|one|on|in|at|of|side|corner|hand)\b|-/g
+  },
+  controls: {
+    uncheck: /^(?:please\s+)?(?:(?:uncheck|untick|deselect|turn off|switch off|disable)\s+(?:the\s+)?(.+?)|turn\s+(?:the\s+)?(.+?)\s+off)(?:\s+please)?$/i,
+    check: /^(?:please\s+)?(?:(?:check|tick|turn on|switch on|enable)\s+(?:the\s+)?(.+?)|turn\s+(?:the\s+)?(.+?)\s+on)(?:\s+please)?$/i,
+    choose: /^(?:please\s+)?(?:select|choose|pick)\s+(?:the\s+)?(.+?)(?:\s+please)?$/i,
+    yes: ['yes', 'on', 'checked', 'enabled', 'agree', 'true'],
+    no: ['no', 'off', 'unchecked', 'disabled', 'disagree', 'false']
+  }
+}
+
+const CATALOGS: { [locale in Locale]: { messages: { [key in MessageKey]: string }, commands: { [id in DefaultCommandId]: CommandText }, patterns: UtterancePatterns } } = {
+  'ko-KR': { messages: KO_MESSAGES, commands: KO_COMMANDS, patterns: KO_PATTERNS },
+  'en-US': { messages: EN_MESSAGES, commands: EN_COMMANDS, patterns: EN_PATTERNS }
+}
+
+const EN_ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth']
+const EN_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const EN_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const EN_COUNTS = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten']
+
+// "을(를)" 처럼 받침 유무로 갈리는 조사 — [받침 있을 때, 없을 때]
+const PARTICLES: { [marker: string]: [string, string] } = {
+  '을(를)': ['을', '를'],
+  '이(가)': ['이', '가'],
+  '은(는)': ['은', '는'],
+  '과(와)': ['과', '와'],
+  '으로(로)': ['으로', '로']
+}
+
+// 숫자를 한국어로 읽을 때의 받침 (영·일·삼·육·칠·팔 은 받침이 있고, 일·칠·팔 은 ㄹ)
+const DIGIT_FINALS: { [digit: string]: 'none' | 'rieul' | 'other' } = {
+  '0': 'other', '1': 'rieul', '2': 'none', '3': 'other', '4': 'none',
+  '5': 'none', '6': 'other', '7': 'rieul', '8': 'rieul', '9': 'none'
+}
+
+// 단어 끝소리의 받침 — 'rieul' 은 "으로(로)" 에서 받침 없는 것처럼 "로" 를 쓴다
+function finalSound(word: string): 'none' | 'rieul' | 'other' {
+  const last = word.replace(/[^가-힣a-zA-Z0-9]+$/, '').slice(-1)
+  if (!last) return 'none'
+
+  if (/[가-힣]/.test(last)) {
+    const final = (last.charCodeAt(0) - 0xac00) % 28
+    if (final === 0) return 'none'
+    return final === 8 ? 'rieul' : 'other'
+  }
+  if (/\d/.test(last)) return DIGIT_FINALS[last]
+  // 영어는 읽었을 때 받침이 생기는 끝소리만 (file → 파일, form → 폼)
+  if (/l$/i.test(last)) return 'rieul'
+  return /[mnkpt]$/i.test(last) ? 'other' : 'none'
+}
+
+/** 단어 뒤에 받침에 맞는 조사를 붙인다 ("로그인" + "을(를)" → "로그인을") */
+export function attachParticle(word: string, marker: string): string {
+  const pair = PARTICLES[marker]
+  if (!pair) return word + marker
+
+  const sound = finalSound(word)
+  if (marker === '으로(로)') return word + (sound === 'other' ? pair[0] : pair[1])
+  return word + (sound === 'none' ? pair[1] : pair[0])
+}
+
+const PLACEHOLDER = /\{(\w+)\}(을\(를\)|이\(가\)|은\(는\)|과\(와\)|으로\(로\))?/g
+
+export class MessageCatalog {
+  readonly locale: Locale
+  private normalizer = new KoreanNormalizer()
+  private englishNormalizer = new EnglishNormalizer()
+
+  constructor(locale: Locale = 'ko-KR') {
+    this.locale = locale
+  }
+
+  // 문구를 꺼내 {name} 자리에 값을 넣는다. 값이 없는 자리는 그대로 둔다
+  t(key: MessageKey, params: MessageParams = {}): string {
+    return CATALOGS[this.locale].messages[key].replace(PLACEHOLDER, (placeholder, name: string, marker?: string) => {
+      if (!(name in params)) return placeholder
+      const value = String(params[name])
+      return marker ? attachParticle(value, marker) : value
+    })
+  }
+
+  command(id: DefaultCommandId): CommandText {
+    return CATALOGS[this.locale].commands[id]
+  }
+
+  get patterns(): UtterancePatterns {
+    return CATALOGS[this.locale].patterns
+  }
+
+  // 1 → "첫 번째" / "first"
+  formatOrdinal(ordinal: number): string {
+    if (this.locale === 'ko-KR') return this.normalizer.formatOrdinal(ordinal)
+    return EN_ORDINALS[ordinal] || `${ordinal}${this.ordinalSuffix(ordinal)}`
+  }
+
+  // 21st, 22nd, 23rd — 11·12·13 으로 끝나면 th (11th, 112th)
+  private ordinalSuffix(ordinal: number): string {
+    if ([11, 12, 13].includes(ordinal % 100)) return 'th'
+    return ['th', 'st', 'nd', 'rd'][ordinal % 10] || 'th'
+  }
+
+  // 2 → "두 개" / "two"
+  formatCount(count: number): string {
+    if (this.locale === 'ko-KR') return this.normalizer.formatCount(count)
+    return EN_COUNTS[count] || String(count)
+  }
+
+  // 날짜·시각 입력값 읽기 — "2026-10-27" → "10월 27일 화요일" / "Tuesday, October 27",
+  // "15:30" → "오후 3시 30분" / "3:30 PM", "2026-10-27T15:30" 은 둘을 잇는다
+  formatDateTime(value: string, now: Date = new Date()): string {
+    const [date, time] = value.includes('T') ? value.split('T') : value.includes(':') ? ['', value] : [value, '']
+    if (this.locale === 'ko-KR') {
+      return [
+        ...(date ? [this.normalizer.describeDate(date, now)] : []),
+        ...(time ? [this.normalizer.describeTime(time)] : [])
+      ].join(' ')
+    }
+
+    const parts: string[] = []
+    if (date) {
+      const [year, month, day] = date.split('-').map(Number)
+      const weekday = EN_WEEKDAYS[new Date(year, month - 1, day).getDay()]
+      parts.push(`${weekday}, ${EN_MONTHS[month - 1]} ${day}${year === now.getFullYear() ? '' : `, ${year}`}`)
+    }
+    if (time) {
+      const [hour, minute] = time.split(':').map(Number)
+      parts.push(`${hour % 12 === 0 ? 12 : hour % 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`)
+    }
+    return parts.join(' at ')
+  }
+
+  // 대답 속 서수 ("두 번째" / "the second one", "2", "last") — 마지막은 -1
+  parseOrdinal(text: string): number | null {
+    if (this.locale === 'ko-KR') return this.normalizer.extractOrdinal(text)
+
+    const lower = text.toLowerCase()
+    if (/\blast\b/.test(lower)) return -1
+
+    const word = EN_ORDINALS.findIndex((ordinal, index) => index > 0 && new RegExp(`\\b${ordinal}\\b`).test(lower))
+    if (word > 0) return word
+
+    const count = EN_COUNTS.findIndex((number, index) => index > 0 && new RegExp(`\\b${number}\\b`).test(lower))
+    if (count > 0) return count
+
+    const digits = lower.match(/\b(\d+)(?:st|nd|rd|th)?\b/)
+    return digits ? Number(digits[1]) : null
+  }
+
+  // 말한 날짜·시각 → 입력값 ("다음 주 화요일" / "next Tuesday" → "2026-10-27", "오후 3시" / "3 pm" → "15:00").
+  // 알아듣지 못하면 null
+  parseDate(text: string, now: Date = new Date()): string | null {
+    return this.temporal.normalizeDate(text, now)
+  }
+
+  parseTime(text: string): string | null {
+    return this.temporal.normalizeTime(text)
+  }
+
+  parseDateTime(text: string, now: Date = new Date()): string | null {
+    return this.temporal.normalizeDateTime(text, now)
+  }
+
+  private get temporal(): KoreanNormalizer | EnglishNormalizer {
+    return this.locale === 'ko-KR' ? this.normalizer : this.englishNormalizer
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * MiddlewarePipeline - processCommand 앞뒤에 끼우는 훅
+ * 로깅·권한 확인·요청 제한·도메인 용어 치환을 라우터를 고치지 않고 붙인다.
+ *
+ * 단계: beforeMatch(발화 고치기) → afterMatch(실행 전 거부) → afterExecute(결과 고치기)
+ */
+
+import type { CommandResult } from './command-router'
+import type { CommandMatch } from './command-matcher'
+
+export type MiddlewareStage = 'beforeMatch' | 'afterMatch' | 'afterExecute'
+
+export interface MiddlewareContext {
+  /** 처리할 발화 — beforeMatch 에서 바꾸면 매칭에 바뀐 발화가 쓰인다 */
+  transcript: string
+  /** 사용자가 실제로 말한 발화 */
+  readonly originalTranscript: string
+  /** afterMatch 부터: 가장 잘 맞은 명령 (없으면 null — 폼 입력·요소 클릭으로 처리된다) */
+  match?: CommandMatch | null
+  /** afterExecute 에서: 실행 결과 — 바꾸면 바뀐 결과가 반환된다 */
+  result?: CommandResult
+  /** 미들웨어끼리 값을 넘기는 공간 (예: 시작 시각) */
+  state: { [key: string]: unknown }
+}
+
+/**
+ * 훅이 돌려주는 값. 아무것도 돌려주지 않으면 다음 단계로 진행한다.
+ * - veto: 명령을 막고 이유를 말해준다
+ * - respond: 남은 처리를 건너뛰고 이 결과로 끝낸다 (취소 처리처럼 스스로 응답하는 경우)
+ */
+export type MiddlewareOutcome =
+  | { type: 'veto', reason: string }
+  | { type: 'respond', result: CommandResult }
+
+export type MiddlewareHook = (context: MiddlewareContext) =>
+  MiddlewareOutcome | void | Promise<MiddlewareOutcome | void>
+
+export interface CommandMiddleware {
+  /** 순서 지정·제거에 쓰는 이름 */
+  name: string
+  beforeMatch?: MiddlewareHook
+  afterMatch?: MiddlewareHook
+  afterExecute?: MiddlewareHook
+}
+
+export interface MiddlewarePosition {
+  /** 이 이름의 미들웨어 앞에 넣는다 */
+  before?: string
+  /** 이 이름의 미들웨어 뒤에 넣는다 */
+  after?: string
+}
+
+/** 훅이 멈춘 경우 — 어느 미들웨어가 어떻게 멈췄는지 */
+export type PipelineStop = MiddlewareOutcome & { middleware: string }
+
+export class MiddlewarePipeline {
+  private middlewares: CommandMiddleware[] = []
+  private errorReason: string
+
+  /** errorReason: 훅이 오류를 던졌을 때 말해줄 거부 이유 */
+  constructor(errorReason: string = '요청을 처리할 수 없습니다') {
+    this.errorReason = errorReason
+  }
+
+  // 같은 이름이 이미 있으면 교체한다. 위치를 주지 않으면 맨 뒤
+  use(middleware: CommandMiddleware, position: MiddlewarePosition = {}): void {
+    this.remove(middleware.name)
+
+    const anchor = position.before ?? position.after
+    const anchorIndex = anchor ? this.middlewares.findIndex(mw => mw.name === anchor) : -1
+    if (anchorIndex === -1) {
+      this.middlewares.push(middleware)
+      return
+    }
+
+    this.middlewares.splice(position.before ? anchorIndex : anchorIndex + 1, 0, middleware)
+  }
+
+  remove(name: string): boolean {
+    const before = this.middlewares.length
+    this.middlewares = this.middlewares.filter(mw => mw.name !== name)
+    return this.middlewares.length !== before
+  }
+
+  names(): string[] {
+    return this.middlewares.map(mw => mw.name)
+  }
+
+  // 등록 순서대로 훅을 부르고, 처음 멈춘 훅에서 끝낸다. 훅이 던진 오류는 거부로 본다 (권한 확인이 실패했을 때 통과시키지 않도록)
+  async run(stage: MiddlewareStage, context: MiddlewareContext): Promise<PipelineStop | null> {
+    for (const middleware of [...this.middlewares]) {
+      const hook = middleware[stage]
+      if (!hook) continue
+
+      try {
+        const outcome = await hook(context)
+        if (outcome) return { ...outcome, middleware: middleware.name }
+      } catch (error) {
+        console.error(`미들웨어 ${middleware.name} 오류:`, error)
+        return { type: 'veto', reason: this.errorReason, middleware: middleware.name }
+      }
+    }
+    return null
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * NumberOverlay - 번호 오버레이 모드
+ * "번호 보여줘" 로 화면의 모든 요소에 번호를 붙이고 "5번 눌러줘" 로 고른다.
+ * 라벨이 없거나 헷갈리는 요소도 번호로 가리킬 수 있다.
+ */
+
+import { DOMAnalyzer, InteractiveElement } from './dom-analyzer'
+import { VisualFeedbackManager } from './visual-feedback'
+import { SpatialReferenceResolver } from './spatial-resolver'
+
+export class NumberOverlay {
+  // 페이지가 바뀐 뒤 번호를 다시 매기기까지 기다리는 시간 (연속 변화는 한 번만 갱신)
+  private static readonly REFRESH_DELAY = 300
+
+  private domAnalyzer: DOMAnalyzer
+  private visualFeedback: VisualFeedbackManager
+  private readingOrder = new SpatialReferenceResolver()
+  private numbered: InteractiveElement[] = []
+  private active = false
+  private unsubscribe: (() => void) | null = null
+  private refreshTimer: ReturnType<typeof setTimeout> | null = null
+  private repositionFrame: number | null = null
+
+  constructor(domAnalyzer: DOMAnalyzer, visualFeedback: VisualFeedbackManager) {
+    this.domAnalyzer = domAnalyzer
+    this.visualFeedback = visualFeedback
+  }
+
+  // 번호를 붙이고 붙인 개수를 돌려준다. 이미 켜져 있으면 다시 매긴다
+  async show(): Promise<number> {
+    if (!this.active) {
+      this.active = true
+      this.unsubscribe = this.domAnalyzer.onInvalidate(this.scheduleRefresh)
+      window.addEventListener('scroll', this.scheduleReposition, { passive: true })
+      window.addEventListener('resize', this.scheduleReposition)
+    }
+
+    await this.refresh()
+    return this.numbered.length
+  }
+
+  hide(): void {
+    if (!this.active) return
+
+    this.active = false
+    this.unsubscribe?.()
+    this.unsubscribe = null
+    window.removeEventListener('scroll', this.scheduleReposition)
+    window.removeEventListener('resize', this.scheduleReposition)
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer)
+      this.refreshTimer = null
+    }
+    if (this.repositionFrame !== null) {
+      cancelAnimationFrame(this.repositionFrame)
+      this.repositionFrame = null
+    }
+
+    this.numbered = []
+    this.visualFeedback.clearNumberBadges()
+  }
+
+  isActive(): boolean {
+    return this.active
+  }
+
+  get count(): number {
+    return this.numbered.length
+  }
+
+  // 배지에 표시된 번호(1부터)의 요소
+  getElement(number: number): InteractiveElement | null {
+    return this.numbered[number - 1] || null
+  }
+
+  private async refresh(): Promise<void> {
+    const elements = await this.domAnalyzer.scanPage()
+    if (!this.active) return
+
+    // 폼·네비게이션은 안쪽 요소를 담는 컨테이너라, 접힌 메뉴 안 요소는 배지를 둘 자리가 없어 번호를 붙이지 않는다
+    const targets = [...elements.buttons, ...elements.links, ...elements.inputs].filter((elem, index, all) =>
+      elem.visibility !== 'collapsed' && all.findIndex(other => other.element === elem.element) === index
+    )
+
+    this.numbered = this.readingOrder.sortReadingOrder(targets)
+    this.visualFeedback.showNumberBadges(this.numbered.map(elem => elem.element))
+  }
+
+  private scheduleRefresh = (): void => {
+    if (!this.active) return
+    if (this.refreshTimer) clearTimeout(this.refreshTimer)
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null
+      void this.refresh()
+    }, NumberOverlay.REFRESH_DELAY)
+  }
+
+  private scheduleReposition = (): void => {
+    if (this.repositionFrame !== null) return
+
+    this.repositionFrame = requestAnimationFrame(() => {
+      this.repositionFrame = null
+      this.visualFeedback.repositionNumberBadges()
+    })
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * SelectorBuilder - 요소 하나만 가리키는 CSS 경로
+ * data-testid → id → name·aria-label 순으로 먼저 시도하고, 겹치면 가까운 조상의 고정 속성이나
+ * nth-of-type 경로를 붙인다. 만든 선택자는 요소가 속한 루트(문서·shadow root)에서
+ * 다시 찾아 그 요소 하나로 돌아오는지 확인한다.
+ */
+
+// 요소 자신을 가리킬 때 먼저 쓰는 속성 (다시 그려도 대개 그대로)
+const OWN_ATTRIBUTES = ['name', 'aria-label', 'aria-labelledby', 'placeholder', 'title']
+
+export class SelectorBuilder {
+  build(element: HTMLElement): string {
+    const root = this.rootOf(element)
+
+    for (const candidate of this.ownCandidates(element)) {
+      if (this.resolves(root, candidate, element)) return candidate
+    }
+    return this.path(element, root)
+  }
+
+  // 선택자가 루트에서 이 요소 하나만 가리키는지
+  resolves(root: ParentNode, selector: string, element: HTMLElement): boolean {
+    try {
+      const matches = root.querySelectorAll(selector)
+      return matches.length === 1 && matches[0] === element
+    } catch {
+      return false
+    }
+  }
+
+  private ownCandidates(element: HTMLElement): string[] {
+    const tag = element.tagName.toLowerCase()
+    const candidates = [this.anchor(element)].filter((anchor): anchor is string => !!anchor)
+
+    for (const name of OWN_ATTRIBUTES) {
+      const value = element.getAttribute(name)
+      if (value) candidates.push(`${tag}${this.attribute(name, value)}`)
+    }
+    const role = element.getAttribute('role')
+    const label = element.getAttribute('aria-label')
+    if (role && label) candidates.push(`${this.attribute('role', role)}${this.attribute('aria-label', label)}`)
+
+    return candidates
+  }
+
+  // 가장 가까운 고정 속성 조상에서 시작하는 "조상 > … > 요소" 경로.
+  // 그런 조상이 없으면 요소 하나로 좁혀지는 가장 짧은 nth-of-type 경로, 그것도 없으면 빈 문자열
+  private path(element: HTMLElement, root: ParentNode): string {
+    const segments = [this.segment(element)]
+    let shortest: string | null = null
+
+    // shadow root 바로 아래 요소는 parentElement 가 없어 거기서 멈춘다
+    for (let current = element.parentElement; current; current = current.parentElement) {
+      const selector = segments.join(' > ')
+      if (!shortest && this.resolves(root, selector, element)) shortest = selector
+
+      const anchor = this.anchor(current)
+      if (anchor && this.resolves(root, anchor, current)) {
+        const anchored = `${anchor} > ${selector}`
+        if (this.resolves(root, anchored, element)) return anchored
+      }
+      segments.unshift(this.segment(current))
+    }
+    if (shortest) return shortest
+    // 맨 위 조상에 닿아도 같은 경로가 더 깊은 곳에 또 있을 수 있다 (shadow root 바로 아래 요소)
+    const full = segments.join(' > ')
+    return this.resolves(root, full, element) ? full : ''
+  }
+
+  private anchor(element: HTMLElement): string | null {
+    const testId = element.getAttribute('data-testid')
+    if (testId) return this.attribute('data-testid', testId)
+    const id = element.getAttribute('id')
+    if (id) return /^[A-Za-z_][\w-]*$/.test(id) ? `#${id}` : this.attribute('id', id)
+    return null
+  }
+
+  // 같은 태그 형제가 있으면 nth-of-type 으로 자리를 적는다
+  private segment(element: HTMLElement): string {
+    const tag = element.tagName.toLowerCase()
+    const parent = element.parentNode as ParentNode | null
+    const siblings = parent ? Array.from(parent.children).filter(child => child.tagName === element.tagName) : []
+    return siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(element) + 1})` : tag
+  }
+
+  private attribute(name: string, value: string): string {
+    return `[${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`
+  }
+
+  private rootOf(element: HTMLElement): ParentNode {
+    const root = element.getRootNode ? element.getRootNode() : null
+    return root && 'querySelectorAll' in root ? root as ParentNode : element.ownerDocument
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * SlotTemplate - 슬롯 기반 명령 템플릿
+ * '{query} 검색해줘', '{count}개 담아줘' 같은 패턴에서 타입이 있는 값을 뽑아 action(params) 로 넘긴다
+ */
+
+import { KoreanNormalizer } from './korean-normalizer'
+
+export type SlotType = 'string' | 'number' | 'ordinal' | 'date'
+
+export type SlotValues = { [name: string]: string | number }
+
+interface CompiledTemplate {
+  regex: RegExp
+  slotNames: string[]
+  /** 슬롯을 뺀 고정 글자 수 (채점용) */
+  literalLength: number
+}
+
+const SLOT_PATTERN = /\{(\w+)\}/g
+
+export class SlotTemplateMatcher {
+  private normalizer = new KoreanNormalizer()
+  private compiled: Map<string, CompiledTemplate> = new Map()
+
+  // 패턴이 발화 전체와 맞으면 변환된 슬롯 값을, 아니면 null 을 돌려준다
+  match(pattern: string, transcript: string, slotTypes: { [name: string]: SlotType } = {}): SlotValues | null {
+    const template = this.compile(pattern)
+    const match = transcript.trim().match(template.regex)
+    if (!match) return null
+
+    const values: SlotValues = {}
+    for (let i = 0; i < template.slotNames.length; i++) {
+      const name = template.slotNames[i]
+      const converted = this.convert(match[i + 1].trim(), slotTypes[name] || 'string')
+      if (converted === null) return null
+      values[name] = converted
+    }
+
+    return values
+  }
+
+  // 발화 대비 고정 글자가 차지하는 비율 — 같은 발화에 여러 템플릿이 맞을 때 더 구체적인 쪽을 고른다
+  literalCoverage(pattern: string, transcript: string): number {
+    const length = transcript.replace(/\s+/g, '').length
+    return length > 0 ? Math.min(this.compile(pattern).literalLength / length, 1) : 0
+  }
+
+  convert(raw: string, type: SlotType): string | number | null {
+    if (!raw) return null
+
+    switch (type) {
+      case 'number':
+        return this.normalizer.parseNumber(raw)
+      case 'ordinal':
+        return this.normalizer.parseOrdinal(raw)
+      case 'date':
+        return this.normalizer.normalizeDate(raw)
+      default:
+        return raw
+    }
+  }
+
+  private compile(pattern: string): CompiledTemplate {
+    const cached = this.compiled.get(pattern)
+    if (cached) return cached
+
+    const slotNames: string[] = []
+    let source = ''
+    let literal = ''
+    let lastIndex = 0
+    let slot: RegExpExecArray | null
+
+    SLOT_PATTERN.lastIndex = 0
+    while ((slot = SLOT_PATTERN.exec(pattern)) !== null) {
+      const text = pattern.slice(lastIndex, slot.index)
+      // 슬롯 사이가 띄어쓰기뿐이면 ("{item} {count}개") 그 띄어쓰기가 유일한 경계다
+      const separator = slotNames.length > 0 && text.length > 0 && !text.trim() ? '\\s+' : this.literalToRegex(text)
+      source += separator + '(.+?)'
+      literal += text
+      slotNames.push(slot[1])
+      lastIndex = slot.index + slot[0].length
+    }
+    const tail = pattern.slice(lastIndex)
+    source += this.literalToRegex(tail)
+    literal += tail
+
+    const template: CompiledTemplate = {
+      regex: new RegExp(`^\\s*${source}\\s*$`, 'i'),
+      slotNames,
+      literalLength: literal.replace(/\s+/g, '').length
+    }
+    this.compiled.set(pattern, template)
+    return template
+  }
+
+  // 고정 글자 → 정규식. 띄어쓰기는 있어도 없어도 되고, 끝의 "줘" 는 "주세요/줘요" 도 허용한다
+  private literalToRegex(text: string): string {
+    return text
+      .split(/\s+/)
+      .filter(part => part.length > 0)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/줘$/, '\\s*(?:줘|줘요|주세요)'))
+      .join('\\s*')
+      .replace(/^(.)/, '\\s*$1')
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * SpatialReferenceResolver - 서수·위치로 요소 가리키기
+ * "세 번째 링크", "오른쪽 위 버튼", "아래쪽 두 번째 입력창" 을 화면 읽기 순서로 해석한다
+ */
+
+import { ElementMap, InteractiveElement } from './dom-analyzer'
+import { MessageCatalog } from './messages'
+import { DocumentTraverser } from './dom-traversal'
+
+export type ElementKind = 'button' | 'link' | 'input' | 'any'
+export type VerticalRegion = 'top' | 'middle' | 'bottom'
+export type HorizontalRegion = 'left' | 'center' | 'right'
+
+export interface SpatialReference {
+  /** 1부터 시작, -1 은 마지막 */
+  ordinal?: number
+  kind: ElementKind
+  vertical?: VerticalRegion
+  horizontal?: HorizontalRegion
+}
+
+export interface Viewport {
+  width: number
+  height: number
+}
+
+// 같은 줄로 볼 세로 오차 (px)
+const ROW_TOLERANCE = 10
+
+export class SpatialReferenceResolver {
+  private traverser = new DocumentTraverser()
+  private messages: MessageCatalog
+
+  // 서수·위치·종류를 가리키는 말은 언어별 카탈로그에서 받는다
+  constructor(messages: MessageCatalog = new MessageCatalog()) {
+    this.messages = messages
+  }
+
+  // 서수나 위치가 없으면 위치 지칭이 아니다 (null). "로그인 버튼" 같은 이름 지칭과 구분한다.
+  parse(spoken: string): SpatialReference | null {
+    const text = spoken.toLowerCase()
+    const words = this.messages.patterns.spatial
+    const ordinal = this.messages.parseOrdinal(text)
+    const kind = words.kinds.find(([pattern]) => pattern.test(text))?.[1] ?? 'any'
+    let vertical = words.vertical.find(([pattern]) => pattern.test(text))?.[1]
+    let horizontal = words.horizontal.find(([pattern]) => pattern.test(text))?.[1]
+
+    // "가운데" 는 다른 축이 정해졌으면 남은 축, 아니면 양쪽 모두
+    if (words.center.test(text)) {
+      if (!vertical) vertical = 'middle'
+      if (!horizontal) horizontal = 'center'
+    }
+
+    if (ordinal === null && !vertical && !horizontal) return null
+
+    // 이름 지칭을 가로채지 않도록: 위치 단어와 서수·종류 외의 말이 남으면 위치 지칭이 아니다
+    const rest = text
+      .replace(words.ordinalWords, '')
+      .replace(words.positionWords, '')
+      .replace(words.fillerWords, '')
+      .trim()
+    if (rest.length > 0) return null
+
+    return {
+      ordinal: ordinal ?? undefined,
+      kind,
+      vertical,
+      horizontal
+    }
+  }
+
+  resolve(reference: SpatialReference, elements: ElementMap, viewport: Viewport): InteractiveElement | null {
+    // 접힌 메뉴 안 요소는 자리가 없어 위치로 가리킬 수 없다
+    let candidates = this.sortReadingOrder(
+      this.candidatesOfKind(elements, reference.kind).filter(elem => elem.visibility !== 'collapsed')
+    )
+
+    // 지금 화면에 보이는 요소만 — 사용자는 보이는 것을 가리킨다
+    const onScreen = candidates.filter(elem => this.isOnScreen(this.rectOf(elem), viewport))
+    if (onScreen.length > 0) candidates = onScreen
+
+    if (reference.vertical || reference.horizontal) {
+      candidates = candidates.filter(elem => this.isInRegion(this.rectOf(elem), reference, viewport))
+    }
+    if (candidates.length === 0) return null
+
+    if (reference.ordinal !== undefined) {
+      const index = reference.ordinal === -1 ? candidates.length - 1 : reference.ordinal - 1
+      return candidates[index] || null
+    }
+
+    // 서수 없이 위치만 말하면 ("오른쪽 위 버튼") 그 구석에 가장 가까운 요소
+    return candidates.reduce((nearest, elem) =>
+      this.distanceToAnchor(this.rectOf(elem), reference, viewport) <
+        this.distanceToAnchor(this.rectOf(nearest), reference, viewport) ? elem : nearest
+    )
+  }
+
+  // 위에서 아래로, 같은 줄이면 왼쪽에서 오른쪽으로
+  sortReadingOrder(elements: InteractiveElement[]): InteractiveElement[] {
+    return [...elements].sort((a, b) => {
+      const rectA = this.rectOf(a)
+      const rectB = this.rectOf(b)
+      if (Math.abs(rectA.top - rectB.top) > ROW_TOLERANCE) return rectA.top - rectB.top
+      return rectA.left - rectB.left
+    })
+  }
+
+  private candidatesOfKind(elements: ElementMap, kind: ElementKind): InteractiveElement[] {
+    switch (kind) {
+      case 'button':
+        return elements.buttons
+      case 'link':
+        return elements.links
+      case 'input':
+        return elements.inputs
+      default:
+        return [...elements.buttons, ...elements.links, ...elements.inputs]
+    }
+  }
+
+  // 캐시된 boundingRect 는 스크롤 전 값일 수 있어 현재 위치를 다시 잰다 (iframe 안 요소는 최상위 화면 기준)
+  private rectOf(elem: InteractiveElement): DOMRect {
+    return typeof elem.element.getBoundingClientRect === 'function'
+      ? this.traverser.viewportRect(elem.element)
+      : elem.boundingRect
+  }
+
+  private isOnScreen(rect: DOMRect, viewport: Viewport): boolean {
+    return rect.bottom > 0 && rect.right > 0 && rect.top < viewport.height && rect.left < viewport.width
+  }
+
+  private isInRegion(rect: DOMRect, reference: SpatialReference, viewport: Viewport): boolean {
+    const centerX = rect.left + rect.width / 2
+    const centerY = rect.top + rect.height / 2
+
+    if (reference.vertical && this.band(centerY, viewport.height, ['top', 'middle', 'bottom']) !== reference.vertical) {
+      return false
+    }
+    if (reference.horizontal && this.band(centerX, viewport.width, ['left', 'center', 'right']) !== reference.horizontal) {
+      return false
+    }
+    return true
+  }
+
+  // 화면을 세 구역으로 나눠 어디에 속하는지
+  private band<T>(position: number, size: number, names: [T, T, T]): T {
+    if (position < size / 3) return names[0]
+    if (position > (size * 2) / 3) return names[2]
+    return names[1]
+  }
+
+  private distanceToAnchor(rect: DOMRect, reference: SpatialReference, viewport: Viewport): number {
+    const anchors = { top: 0, middle: viewport.height / 2, bottom: viewport.height, left: 0, center: viewport.width / 2, right: viewport.width }
+    const dx = reference.horizontal ? rect.left + rect.width / 2 - anchors[reference.horizontal] : 0
+    const dy = reference.vertical ? rect.top + rect.height / 2 - anchors[reference.vertical] : 0
+    return Math.hypot(dx, dy)
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * StructureNavigator - 제목·영역 단위 이동
+ * 화면 낭독기처럼 "다음 제목", "본문으로" 로 제목(h1~h6)과 ARIA 랜드마크 사이를 오간다.
+ * 이동한 곳에 포커스를 두고 화면을 스크롤한다. 안내·강조는 호출한 쪽이 한다.
+ */
+
+import { DOMAnalyzer, HeadingInfo, LandmarkInfo, LandmarkKind } from './dom-analyzer'
+import { DocumentTraverser } from './dom-traversal'
+
+// Node.compareDocumentPosition 결과 비트
+const PRECEDING = 2
+const FOLLOWING = 4
+const CONTAINS = 8
+
+export type HeadingMove =
+  | { status: 'moved', heading: HeadingInfo }
+  | { status: 'none' | 'first' | 'last' }
+
+export class StructureNavigator {
+  private domAnalyzer: DOMAnalyzer
+  private traverser = new DocumentTraverser()
+  // 마지막으로 이동한 제목·영역 — 다음 이동의 기준점
+  private cursor: HTMLElement | null = null
+
+  constructor(domAnalyzer: DOMAnalyzer) {
+    this.domAnalyzer = domAnalyzer
+  }
+
+  // 기준점 다음(이전) 제목으로. 기준점이 없으면 지금 화면 위치에서 찾는다
+  moveHeading(direction: 'next' | 'previous'): HeadingMove {
+    const { headings } = this.domAnalyzer.scanStructure()
+    if (headings.length === 0) return { status: 'none' }
+    // 화면이 바뀌어 기준점이 사라졌으면 화면 위치에서 다시 찾는다
+    if (this.cursor && !this.cursor.isConnected) this.cursor = null
+
+    const target = direction === 'next'
+      ? headings.find(heading => this.isAfterCursor(heading.element))
+      : [...headings].reverse().find(heading => this.isBeforeCursor(heading.element))
+    if (!target) return { status: direction === 'next' ? 'last' : 'first' }
+
+    this.moveTo(target.element)
+    return { status: 'moved', heading: target }
+  }
+
+  // 그 종류의 영역으로. 이미 그 종류의 영역에 있으면 같은 종류의 다음 영역으로 (메뉴가 여럿일 때)
+  moveToLandmark(kind: LandmarkKind): LandmarkInfo | null {
+    const candidates = this.domAnalyzer.scanStructure().landmarks.filter(landmark => landmark.kind === kind)
+    if (candidates.length === 0) return null
+
+    const current = candidates.findIndex(landmark => landmark.element === this.cursor)
+    const target = candidates[(current + 1) % candidates.length]
+    this.moveTo(target.element)
+    return target
+  }
+
+  reset(): void {
+    this.cursor = null
+  }
+
+  private isAfterCursor(element: HTMLElement): boolean {
+    if (!this.cursor) return this.traverser.viewportRect(element).top > 0
+    // 영역 안의 제목도 "다음" 이다 (본문으로 간 뒤 다음 제목 → 본문의 첫 제목)
+    return (this.cursor.compareDocumentPosition(element) & FOLLOWING) !== 0
+  }
+
+  private isBeforeCursor(element: HTMLElement): boolean {
+    if (!this.cursor) return this.traverser.viewportRect(element).top < 0
+    const position = this.cursor.compareDocumentPosition(element)
+    return (position & PRECEDING) !== 0 && (position & CONTAINS) === 0
+  }
+
+  // 포커스를 옮기고 그 위치가 보이게 스크롤한다. 제목·영역은 원래 포커스를 받지 않으므로 tabindex=-1 을 단다
+  private moveTo(element: HTMLElement): void {
+    this.cursor = element
+    if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1')
+    element.focus({ preventScroll: true })
+    element.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * TableParser - 표(<table>, role="grid"/"table") 를 줄·칸 모델로
+ * 칸마다 머리글을 이어 두어 "날짜: 10월 3일, 진료과: 내과" 처럼 읽을 수 있게 한다.
+ * colspan·rowspan 으로 합친 칸과 headers 속성도 따른다.
+ */
+
+import { AccessibleNameComputer } from './accessible-name'
+
+export interface TableCell {
+  /** 이 칸의 열 머리글 (없으면 빈 문자열) */
+  header: string
+  text: string
+  element: HTMLElement
+}
+
+export interface TableRow {
+  cells: TableCell[]
+  element: HTMLElement
+}
+
+export interface TableModel {
+  element: HTMLElement
+  /** caption·aria-label 등 표 이름 (없으면 빈 문자열) */
+  caption: string
+  /** 열 머리글 (열 순서) */
+  columns: string[]
+  /** 머리글 줄을 뺀 데이터 줄 */
+  rows: TableRow[]
+}
+
+export const TABLE_SELECTOR = 'table, [role="table"], [role="grid"], [role="treegrid"]'
+const ARIA_CELL_SELECTOR = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]'
+
+// 칸 배치표의 한 자리 — 합친 칸은 여러 자리를 차지한다
+interface Slot {
+  element: HTMLElement
+  /** 이 칸이 시작하는 자리인지 (합친 칸을 한 번만 읽기 위해) */
+  origin: boolean
+}
+
+export class TableParser {
+  private nameComputer = new AccessibleNameComputer()
+
+  // 배치용 표(role="presentation", 표 안의 표, 한 줄짜리)는 null
+  parse(table: HTMLElement): TableModel | null {
+    const role = table.getAttribute('role')
+    if (role === 'presentation' || role === 'none') return null
+    if (table.querySelector('table')) return null
+
+    const rowElements = this.rowsOf(table)
+    const grid = this.layout(rowElements)
+    if (grid.length < 2) return null
+
+    // 모든 칸이 머리글인 앞쪽 줄이 열 머리글 줄이다 (thead 안의 줄도)
+    let headerRows = 0
+    while (headerRows < grid.length - 1 && this.isHeaderRow(rowElements[headerRows], grid[headerRows])) {
+      headerRows++
+    }
+
+    const width = Math.max(...grid.map(row => row.length))
+    const columns = Array.from({ length: width }, (_, column) => {
+      const texts = grid.slice(0, headerRows)
+        .map(row => row[column] ? this.textOf(row[column].element) : '')
+        .filter((text, index, all) => text && all.indexOf(text) === index)
+      return texts.join(' ')
+    })
+
+    const rows = grid.slice(headerRows).map((slots, offset) => ({
+      element: rowElements[headerRows + offset],
+      cells: slots
+        .map((slot, column) => ({ slot, column }))
+        .filter(({ slot }) => slot && slot.origin)
+        .map(({ slot, column }) => ({
+          header: this.explicitHeader(slot.element) || columns[column] || '',
+          text: this.textOf(slot.element),
+          element: slot.element
+        }))
+    })).filter(row => row.cells.length > 0)
+
+    if (rows.length === 0) return null
+    return {
+      element: table,
+      caption: this.captionOf(table),
+      columns,
+      rows
+    }
+  }
+
+  private rowsOf(table: HTMLElement): HTMLElement[] {
+    if (table.tagName === 'TABLE') return Array.from((table as HTMLTableElement).rows)
+    // 안쪽 표의 줄은 빼고 이 표의 줄만
+    return Array.from(table.querySelectorAll<HTMLElement>('[role="row"]'))
+      .filter(row => row.closest(TABLE_SELECTOR) === table)
+  }
+
+  private cellsOf(row: HTMLElement): HTMLElement[] {
+    if ('cells' in row) return Array.from((row as HTMLTableRowElement).cells)
+    return Array.from(row.querySelectorAll<HTMLElement>(ARIA_CELL_SELECTOR))
+  }
+
+  // rowspan·colspan 을 펼쳐 [줄][열] 자리에 칸을 놓는다
+  private layout(rowElements: HTMLElement[]): Slot[][] {
+    const grid: Slot[][] = rowElements.map(() => [])
+
+    rowElements.forEach((row, rowIndex) => {
+      let column = 0
+      for (const cell of this.cellsOf(row)) {
+        while (grid[rowIndex][column]) column++
+
+        const colspan = Math.max(1, Number(cell.getAttribute('colspan')) || 1)
+        const rowspan = Math.max(1, Number(cell.getAttribute('rowspan')) || 1)
+        for (let r = rowIndex; r < Math.min(rowIndex + rowspan, grid.length); r++) {
+          for (let c = column; c < column + colspan; c++) {
+            grid[r][c] = { element: cell, origin: r === rowIndex && c === column }
+          }
+        }
+        column += colspan
+      }
+    })
+
+    return grid
+  }
+
+  private isHeaderRow(row: HTMLElement, slots: Slot[]): boolean {
+    if (row.parentElement?.tagName === 'THEAD') return true
+    return slots.length > 0 && slots.every(slot => slot && this.isColumnHeader(slot.element))
+  }
+
+  private isColumnHeader(cell: HTMLElement): boolean {
+    const role = cell.getAttribute('role')
+    if (role) return role === 'columnheader'
+    return cell.tagName === 'TH' && cell.getAttribute('scope') !== 'row'
+  }
+
+  // headers="id1 id2" 로 직접 지정한 머리글
+  private explicitHeader(cell: HTMLElement): string {
+    const ids = (cell.getAttribute('headers') || '').split(/\s+/).filter(id => id.length > 0)
+    const root = cell.ownerDocument
+    if (ids.length === 0 || !root) return ''
+
+    return ids
+      .map(id => root.getElementById(id))
+      .filter((header): header is HTMLElement => !!header)
+      .map(header => this.textOf(header))
+      .join(' ')
+  }
+
+  private captionOf(table: HTMLElement): string {
+    const named = this.nameComputer.compute(table).name
+    if (named) return named
+    const caption = table.tagName === 'TABLE' ? (table as HTMLTableElement).caption : null
+    return caption ? this.textOf(caption) : ''
+  }
+
+  private textOf(element: HTMLElement): string {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim()
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * TableReader - 표 읽기와 줄 단위 이동
+ * "표 읽어줘" 로 표를 소개하고 앞 몇 줄을 읽은 뒤, "다음 줄", "세 번째 줄 읽어줘",
+ * "날짜 열만 읽어줘" 로 이어 간다. 칸은 머리글과 함께 읽는다 ("날짜: 10월 3일, 진료과: 내과").
+ */
+
+import { TableModel, TableRow } from './table-parser'
+import { MessageCatalog } from './messages'
+import { DocumentTraverser } from './dom-traversal'
+
+export class TableReader {
+  // "표 읽어줘" 에서 한 번에 읽는 줄 수 — 나머지는 "다음 줄" 로
+  private static readonly READ_AT_ONCE = 3
+
+  private messages: MessageCatalog
+  private traverser = new DocumentTraverser()
+  private current: TableModel | null = null
+  private cursor = -1
+
+  constructor(messages: MessageCatalog = new MessageCatalog()) {
+    this.messages = messages
+  }
+
+  /** 읽고 있는 표 (화면에서 사라졌으면 null) */
+  get table(): TableModel | null {
+    return this.current && this.current.element.isConnected ? this.current : null
+  }
+
+  /** 마지막으로 읽은 줄 (0부터, 아직 없으면 -1) */
+  get position(): number {
+    return this.cursor
+  }
+
+  // 화면에 걸쳐 있는 첫 표, 없으면 문서의 첫 표를 연다
+  open(tables: TableModel[], viewportHeight: number): TableModel | null {
+    const visible = tables.find(table => {
+      const rect = this.traverser.viewportRect(table.element)
+      return rect.bottom > 0 && rect.top < viewportHeight
+    })
+    this.current = visible || tables[0] || null
+    this.cursor = -1
+    return this.current
+  }
+
+  // 표 이름·줄 수·열 머리글을 알리고 앞 몇 줄을 읽는 문장들
+  introduction(): string[] {
+    const table = this.table
+    if (!table) return []
+
+    const count = table.rows.length
+    const columns = table.columns.filter(column => column.length > 0)
+    const intro = [
+      // 한 줄이면 단수형 ("A table with one row")
+      table.caption
+        ? this.messages.t(count === 1 ? 'tableIntroNamedOne' : 'tableIntroNamed', { caption: table.caption, count })
+        : this.messages.t(count === 1 ? 'tableIntroOne' : 'tableIntro', { count }),
+      ...(columns.length > 0 ? [this.messages.t('tableColumns', { columns: columns.join(', ') })] : [])
+    ].join(' ')
+
+    const rows: string[] = []
+    for (let i = 0; i < Math.min(count, TableReader.READ_AT_ONCE); i++) {
+      rows.push(this.readRow(i)!)
+    }
+    const more = count > TableReader.READ_AT_ONCE ? [this.messages.t('tableMore')] : []
+    return [intro, ...rows, ...more]
+  }
+
+  // index(0부터) 줄을 머리글과 함께 읽는 문장. 범위 밖이면 null
+  readRow(index: number): string | null {
+    const row = this.table?.rows[index]
+    if (!row) return null
+
+    this.cursor = index
+    const cells = row.cells
+      .map(cell => {
+        const text = cell.text || this.messages.t('tableEmptyCell')
+        return cell.header ? this.messages.t('tableCell', { header: cell.header, text }) : text
+      })
+      .join(', ')
+    return this.messages.t('tableRow', { ordinal: this.messages.formatOrdinal(index + 1), number: index + 1, cells })
+  }
+
+  currentRow(): TableRow | null {
+    return this.table?.rows[this.cursor] || null
+  }
+
+  // 머리글 이름으로 열을 찾아 그 열의 값만 읽는 문장. 없는 열이면 null
+  readColumn(name: string): string | null {
+    const table = this.table
+    const header = table ? this.findColumn(table.columns, name) : null
+    if (!table || !header) return null
+
+    const values = table.rows
+      .map(row => row.cells.find(cell => cell.header === header))
+      .map(cell => cell?.text || this.messages.t('tableEmptyCell'))
+    return this.messages.t('tableColumn', { column: header, values: values.join(', ') })
+  }
+
+  // 띄어쓰기·대소문자를 무시하고 같은 머리글, 없으면 서로 포함하는 머리글 ("진료 과" → "진료과")
+  private findColumn(columns: string[], name: string): string | null {
+    const compact = (text: string) => text.replace(/\s+/g, '').toLowerCase()
+    const wanted = compact(name)
+    const headers = columns.filter(column => column.length > 0)
+
+    return headers.find(column => compact(column) === wanted) ||
+      headers.find(column => compact(column).includes(wanted) || wanted.includes(compact(column))) ||
+      null
+  }
+}
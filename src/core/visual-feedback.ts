@@ -3,6 +3,9 @@
  * 음성 명령 인식 즉시 시각적 반응 제공
  */
 
+import { ASSISTANT_UI_CLASS } from './dom-analyzer'
+import { DocumentTraverser } from './dom-traversal'
+
 export interface FeedbackOptions {
   duration?: number
   position?: 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left'
@@ -12,6 +15,9 @@ export interface FeedbackOptions {
 export class VisualFeedbackManager {
   private activeIndicators: HTMLElement[] = []
   private pulseAnimations: Map<HTMLElement, number> = new Map()
+  private numberBadges: Array<{ badge: HTMLElement, element: HTMLElement }> = []
+  private badgedOutlines: Map<HTMLElement, string> = new Map()
+  private traverser = new DocumentTraverser()
 
   // 즉시 피드백 표시 (0ms 지연)
   showInstantFeedback(message: string, options: FeedbackOptions = {}): void {
@@ -50,6 +56,58 @@ export class VisualFeedbackManager {
     }, duration)
   }
 
+  // 후보 요소마다 번호 배지 표시 ("첫 번째, 상단 메뉴의 로그인…" 안내와 함께)
+  showNumberBadges(elements: HTMLElement[]): void {
+    this.clearNumberBadges()
+
+    elements.forEach((element, index) => {
+      const badge = this.createNumberBadge(index + 1)
+      this.placeBadge(badge, element)
+      document.body.appendChild(badge)
+      this.numberBadges.push({ badge, element })
+
+      this.badgedOutlines.set(element, element.style.outline)
+      element.style.outline = '3px solid #FF5722'
+    })
+  }
+
+  // 레이아웃이 바뀐 뒤(창 크기 변경, 고정 위치 요소의 스크롤) 배지를 요소 옆으로 다시 옮긴다
+  repositionNumberBadges(): void {
+    this.numberBadges.forEach(({ badge, element }) => this.placeBadge(badge, element))
+  }
+
+  clearNumberBadges(): void {
+    this.numberBadges.forEach(({ badge }) => badge.remove())
+    this.numberBadges = []
+    this.badgedOutlines.forEach((outline, element) => {
+      element.style.outline = outline
+    })
+    this.badgedOutlines.clear()
+  }
+
+  private placeBadge(badge: HTMLElement, element: HTMLElement): void {
+    // 배지는 최상위 문서에 붙으므로 iframe 안 요소도 최상위 화면 기준 위치로
+    const rect = this.traverser.viewportRect(element)
+    // 문서 좌표로 배치해 스크롤해도 요소와 함께 움직이게 한다
+    badge.style.top = `${rect.top + window.scrollY - 12}px`
+    badge.style.left = `${rect.left + window.scrollX - 12}px`
+  }
+
+  createNumberBadge(number: number): HTMLElement {
+    const badge = document.createElement('div')
+    badge.className = `ai-assistant-number-badge ${ASSISTANT_UI_CLASS}`
+    badge.style.cssText = `
+      position: absolute; z-index: 10002;
+      min-width: 28px; height: 28px; padding: 0 6px;
+      background: #FF5722; color: white; border: 2px solid white;
+      border-radius: 14px; box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+      font-size: 16px; font-weight: bold; line-height: 24px; text-align: center;
+      pointer-events: none;
+    `
+    badge.textContent = String(number)
+    return badge
+  }
+
   // 로딩 상태 표시
   showProcessingState(message: string = '처리 중...'): HTMLElement {
     const loader = this.createLoadingIndicator(message)
@@ -62,6 +120,7 @@ export class VisualFeedbackManager {
     this.removeIndicator(loader)
   }  private createIndicator(message: string, options: FeedbackOptions): HTMLElement {
     const div = document.createElement('div')
+    div.className = ASSISTANT_UI_CLASS
     const position = this.getPositionStyles(options.position || 'top-right')
     const typeStyles = this.getTypeStyles(options.type || 'processing')
     
@@ -88,6 +147,7 @@ export class VisualFeedbackManager {
 
   private createLoadingIndicator(message: string): HTMLElement {
     const div = document.createElement('div')
+    div.className = ASSISTANT_UI_CLASS
     div.style.cssText = `
       position: fixed; top: 50%; left: 50%; z-index: 10001;
       transform: translate(-50%, -50%);
@@ -192,6 +252,7 @@ export class VisualFeedbackManager {
 
   // 모든 피드백 정리
   clearAllFeedback(): void {
+    this.clearNumberBadges()
     this.activeIndicators.forEach(indicator => this.removeIndicator(indicator))
     this.pulseAnimations.forEach(animation => (animation as any).cancel())
     this.pulseAnimations.clear()
@@ -0,0 +1,59 @@
+/**
+ * VoiceAnnotationReader - 마크업으로 음성 동작 조정 (data-ai / data-voice-*)
+ * 스크립트를 고칠 수 없는 사이트 운영자도 HTML 속성만으로 음성 동작을 바꿀 수 있다.
+ *
+ * <div data-ai="clickable" data-voice="로그인, 접속">…</div>  누를 수 있는 요소로, "접속" 으로도 부른다
+ * <button data-voice-label="장바구니">🛒</button>              부르고 안내할 이름
+ * <aside data-voice-ignore>…</aside>                           안의 요소까지 음성 대상에서 뺀다
+ * <button data-voice-confirm="정말 삭제할까요?">삭제</button>   누르기 전에 묻는다 (값이 없으면 기본 질문)
+ * <button data-voice-command="장바구니 담기, 카트에 담기">…</button>  이 말을 하면 누르는 명령으로 등록
+ */
+
+/** 요소 분석에서 읽는 속성 — 바뀌면 다시 분석한다 */
+export const ANNOTATION_ATTRIBUTES = [
+  'data-ai', 'data-voice', 'data-voice-label', 'data-voice-ignore', 'data-voice-confirm', 'data-voice-command'
+]
+
+/** data-ai 로 누를 수 있다고 표시했거나 명령을 단 요소 (원래 누를 수 없는 div·span 도 버튼으로 색인한다) */
+export const ANNOTATED_CLICKABLE_SELECTOR = '[data-ai="clickable"], [data-voice-command]:not(a[href], button, input, select, textarea)'
+
+export interface VoiceAnnotations {
+  /** data-voice-label — 접근 가능한 이름 대신 쓸 이름 */
+  label?: string
+  /** data-voice — 이 이름으로도 부를 수 있다 */
+  aliases: string[]
+  /** data-voice-confirm */
+  confirmRequired: boolean
+  confirmPrompt?: string
+  /** data-voice-command — 말하면 이 요소를 누르는 명령 키워드 */
+  commands: string[]
+}
+
+export class VoiceAnnotationReader {
+  read(element: HTMLElement): VoiceAnnotations {
+    const confirm = element.getAttribute('data-voice-confirm')
+    return {
+      label: element.getAttribute('data-voice-label')?.trim() || undefined,
+      aliases: this.list(element.getAttribute('data-voice')),
+      confirmRequired: confirm !== null && confirm !== 'false',
+      confirmPrompt: confirm && confirm !== 'true' && confirm !== 'false' ? confirm.trim() : undefined,
+      commands: this.list(element.getAttribute('data-voice-command'))
+    }
+  }
+
+  // 요소를 부르고 안내할 이름 — data-voice-label, 접근 가능한 이름, 첫 data-voice 별칭 순. 모두 없으면 빈 문자열
+  nameOf(annotations: VoiceAnnotations, accessibleName: string): string {
+    return annotations.label || accessibleName || annotations.aliases[0] || ''
+  }
+
+  // 자신이나 조상에 data-voice-ignore 가 있으면 음성 대상에서 뺀다 (data-voice-ignore="false" 는 제외하지 않음)
+  isIgnored(element: HTMLElement): boolean {
+    const marked = element.closest('[data-voice-ignore]')
+    return !!marked && marked.getAttribute('data-voice-ignore') !== 'false'
+  }
+
+  // 쉼표로 나눈 목록 ("로그인, 접속")
+  private list(value: string | null): string[] {
+    return (value || '').split(',').map(item => item.trim()).filter(item => item.length > 0)
+  }
+}
@@ -14,6 +14,8 @@ export interface VoiceEngineConfig {
   apiEndpoint?: string
   defaultVoice?: string
   fallbackEnabled?: boolean
+  /** 인식·합성 언어 */
+  language?: 'ko-KR' | 'en-US'
 }
 
 export class VoiceEngine {
@@ -23,13 +25,21 @@ export class VoiceEngine {
   private isSpeaking = false
   private isGeneratingTTS = false
   private config: VoiceEngineConfig
+  private currentAudio: HTMLAudioElement | null = null
+  private ttsAbortController: AbortController | null = null
+  private speechEndWaiters: Array<() => void> = []
+  // stopSpeaking 때마다 증가 — 진행 중인 연속 읽기(speakSequence)를 끊는 데 쓴다
+  private speechGeneration = 0
+  private lastSpoken: string[] = []
 
   constructor(config: VoiceEngineConfig = {}) {
     this.config = {
       apiEndpoint: '/api/tts',
       defaultVoice: 'nova',
       fallbackEnabled: true,
-      ...config
+      ...config,
+      // AIAssistant 는 설정에 없으면 undefined 를 넘긴다
+      language: config.language || 'ko-KR'
     }
     this.initializeSpeechRecognition()
   }
@@ -42,7 +52,11 @@ export class VoiceEngine {
       if (this.recognitionRef) {
         this.recognitionRef.continuous = false
         this.recognitionRef.interimResults = false
-        this.recognitionRef.lang = "ko-KR"
+        this.recognitionRef.lang = this.config.language
+        // continuous=false 라 한 번 인식하면 스스로 끝난다 — 확인 질문 뒤 다시 들을 수 있도록 상태 복구
+        this.recognitionRef.onend = () => {
+          this.isListening = false
+        }
       }
     }
   }  async speak(text: string, options: TTSOptions = {}): Promise<void> {
@@ -54,17 +68,23 @@ export class VoiceEngine {
       return
     }
 
+    this.lastSpoken = [text]
     this.isGeneratingTTS = true
+    // "멈춰" 가 TTS 생성 중에 와도 요청을 끊을 수 있도록
+    const abortController = new AbortController()
+    this.ttsAbortController = abortController
 
     try {
       const response = await fetch(this.config.apiEndpoint!, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          text: this.enhanceTextForSeniors(text),
+          text: this.config.language === 'ko-KR' ? this.enhanceTextForSeniors(text) : text,
+          language: options.language || this.config.language,
           voice: options.voice || this.config.defaultVoice,
           speed: options.speed || 1.0,
         }),
+        signal: abortController.signal
       })
 
       if (response.ok) {
@@ -72,8 +92,11 @@ export class VoiceEngine {
         this.isSpeaking = true
         
         const audioBlob = await response.blob()
+        if (abortController.signal.aborted) return
+
         const audioUrl = URL.createObjectURL(audioBlob)
         const audio = new Audio(audioUrl)
+        this.currentAudio = audio
         
         audio.volume = options.volume || 0.9
         audio.onended = () => this.handleAudioEnd(audioUrl)
@@ -84,15 +107,61 @@ export class VoiceEngine {
         this.isGeneratingTTS = false
         if (this.config.fallbackEnabled) {
           this.fallbackToSpeechSynthesis(text, options)
+        } else {
+          this.notifySpeechEnd()
         }
       }
     } catch (error) {
       this.isGeneratingTTS = false
-      if (this.config.fallbackEnabled) {
+      // 사용자가 멈춘 경우엔 대체 음성으로 다시 말하지 않는다
+      if (this.config.fallbackEnabled && !abortController.signal.aborted) {
         this.fallbackToSpeechSynthesis(text, options)
+      } else {
+        this.notifySpeechEnd()
+      }
+    } finally {
+      if (this.ttsAbortController === abortController) {
+        this.ttsAbortController = null
       }
     }
-  }  private enhanceTextForSeniors(text: string): string {
+  }
+
+  // 여러 문장을 차례로 읽는다. 중간에 stopSpeaking() 되면 멈추고 false 를 돌려준다.
+  async speakSequence(texts: string[], options: TTSOptions = {}): Promise<boolean> {
+    const generation = this.speechGeneration
+
+    for (const text of texts) {
+      await this.waitForSpeechEnd()
+      if (generation !== this.speechGeneration) return false
+
+      await this.speak(text, options)
+      // "다시 말해줘" 가 한 조각이 아니라 전체를 다시 읽도록
+      this.lastSpoken = [...texts]
+      await this.waitForSpeechEnd()
+      if (generation !== this.speechGeneration) return false
+    }
+
+    return true
+  }
+
+  // 지금 재생(또는 TTS 생성) 중인 음성이 끝날 때까지 기다린다
+  waitForSpeechEnd(): Promise<void> {
+    if (!this.isSpeaking && !this.isGeneratingTTS) return Promise.resolve()
+    return new Promise(resolve => this.speechEndWaiters.push(resolve))
+  }
+
+  /** 마지막으로 말한 내용 ("다시 말해줘" 용). 연속 읽기였다면 전체 조각 */
+  get lastSpokenTexts(): string[] {
+    return [...this.lastSpoken]
+  }
+
+  private notifySpeechEnd(): void {
+    const waiters = this.speechEndWaiters
+    this.speechEndWaiters = []
+    waiters.forEach(resolve => resolve())
+  }
+
+  private enhanceTextForSeniors(text: string): string {
     let enhancedText = text
     
     // 시니어 친화적 존댓말 변환
@@ -108,7 +177,7 @@ export class VoiceEngine {
     const utterance = new SpeechSynthesisUtterance(text)
     this.currentUtterance = utterance
     
-    utterance.lang = options.language || "ko-KR"
+    utterance.lang = options.language || this.config.language!
     utterance.rate = options.speed || 0.9
     utterance.pitch = 1.0
     utterance.volume = options.volume || 0.8
@@ -121,20 +190,26 @@ export class VoiceEngine {
 
   private handleAudioEnd(audioUrl: string): void {
     this.isSpeaking = false
+    this.currentAudio = null
     URL.revokeObjectURL(audioUrl)
+    this.notifySpeechEnd()
   }
 
   private handleAudioError(audioUrl: string, text: string): void {
     this.isSpeaking = false
+    this.currentAudio = null
     URL.revokeObjectURL(audioUrl)
     if (this.config.fallbackEnabled) {
       this.fallbackToSpeechSynthesis(text)
+    } else {
+      this.notifySpeechEnd()
     }
   }
 
   private handleSpeechEnd(): void {
     this.isSpeaking = false
     this.currentUtterance = null
+    this.notifySpeechEnd()
   }
 
   async startListening(): Promise<void> {
@@ -152,6 +227,17 @@ export class VoiceEngine {
   }
 
   stopSpeaking(): void {
+    this.speechGeneration++
+
+    // TTS 생성 중이면 요청 자체를 끊는다
+    if (this.ttsAbortController) {
+      this.ttsAbortController.abort()
+      this.ttsAbortController = null
+    }
+    if (this.currentAudio) {
+      this.currentAudio.pause()
+      this.currentAudio = null
+    }
     if ("speechSynthesis" in window) {
       speechSynthesis.cancel()
     }
@@ -159,6 +245,8 @@ export class VoiceEngine {
       this.currentUtterance = null
     }
     this.isSpeaking = false
+    this.isGeneratingTTS = false
+    this.notifySpeechEnd()
   }
 
   onTranscriptReceived(callback: (transcript: string) => void): void {
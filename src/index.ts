@@ -3,8 +3,12 @@
  */
 
 import { VoiceEngine, TTSOptions } from './core/voice-engine'
-import { DOMAnalyzer, ElementMap, InteractiveElement } from './core/dom-analyzer'
-import { CommandRouter, VoiceCommand, CommandResult } from './core/command-router'
+import { DOMAnalyzer, ElementMap, InteractiveElement, ElementVisibility, ScanStats, ScanTiming } from './core/dom-analyzer'
+import { ElementPurpose } from './core/element-purpose'
+import { ControlKind } from './core/control-input'
+import { CommandRouter, VoiceCommand, CommandResult, CommandScope, AvailableCommandsFilter } from './core/command-router'
+import { DialogAnswerHandler, AskOptions, DialogOutcome } from './core/dialog-manager'
+import { CommandMiddleware, MiddlewareContext, MiddlewareOutcome, MiddlewarePosition } from './core/middleware'
 
 export interface AssistantConfig {
   apiKey: string
@@ -53,6 +57,8 @@ export class AIAssistant {
   private commandRouter: CommandRouter
   private config: AssistantConfig
   private isInitialized = false
+  // 마크업 명령(data-voice-command) 따라가기를 멈추는 함수
+  private stopWatchingAnnotations: (() => void) | null = null
   // 이벤트 이름 → 리스너 집합. 공개 표면은 타입 안전(on/off/emit)하고,
   // 내부 저장은 Set<Function> 으로 단순화한다. Set 은 중복 등록을 자동 병합한다.
   private eventListeners: Map<AssistantEventName, Set<(payload: any) => void>> = new Map()
@@ -61,10 +67,11 @@ export class AIAssistant {
     this.config = config
     this.voiceEngine = new VoiceEngine({
       apiEndpoint: config.apiEndpoint,
-      defaultVoice: config.voiceModel
+      defaultVoice: config.voiceModel,
+      language: config.language
     })
-    this.domAnalyzer = new DOMAnalyzer()
-    this.commandRouter = new CommandRouter(this.domAnalyzer, this.voiceEngine)
+    this.domAnalyzer = new DOMAnalyzer(config.language)
+    this.commandRouter = new CommandRouter(this.domAnalyzer, this.voiceEngine, config.language)
   }
 
   async initialize(): Promise<void> {
@@ -86,6 +93,7 @@ export class AIAssistant {
 
     // 초기 페이지 스캔
     await this.domAnalyzer.scanPage()
+    this.stopWatchingAnnotations = this.commandRouter.watchAnnotatedCommands()
 
     this.isInitialized = true
     this.log('AI Assistant 초기화 완료')
@@ -113,6 +121,11 @@ export class AIAssistant {
     return await this.domAnalyzer.scanPage()
   }
 
+  /** 최근 DOM 스캔 소요 시간 (목표 500ms) */
+  getScanStats(): ScanStats {
+    return this.domAnalyzer.getScanStats()
+  }
+
   findElement(description: string): HTMLElement | null {
     this.ensureInitialized()
     return this.domAnalyzer.findElementByDescription(description)
@@ -126,8 +139,52 @@ export class AIAssistant {
     this.commandRouter.removeCommand(keywords)
   }
 
+  /** 등록된 명령 목록. `{ activeOnly: true }` 면 현재 페이지에서 쓸 수 있는 명령만 */
+  getAvailableCommands(filter?: AvailableCommandsFilter): VoiceCommand[] {
+    return this.commandRouter.getAvailableCommands(filter)
+  }
+
+  /**
+   * 명령 처리 앞뒤에 미들웨어를 끼운다. 기본으로 'cancellation', 'visual-feedback' 이
+   * 들어 있으며 `position` 으로 그 앞뒤에 넣거나 `removeMiddleware` 로 뺄 수 있다.
+   *
+   * @example
+   * assistant.use({
+   *   name: 'auth',
+   *   afterMatch: (ctx) => {
+   *     if (ctx.match?.command.category === 'form' && !isLoggedIn()) {
+   *       return { type: 'veto', reason: '로그인 후 이용해 주세요' }
+   *     }
+   *   }
+   * })
+   */
+  use(middleware: CommandMiddleware, position?: MiddlewarePosition): void {
+    this.commandRouter.use(middleware, position)
+  }
+
+  removeMiddleware(name: string): boolean {
+    return this.commandRouter.removeMiddleware(name)
+  }
+
   getVoiceState() {
-    return this.voiceEngine.state
+    const dialog = this.commandRouter.getDialogState()
+    return {
+      ...this.voiceEngine.state,
+      awaitingAnswer: dialog.awaitingAnswer,
+      pendingQuestion: dialog.question
+    }
+  }
+
+  /**
+   * 질문하고 사용자의 다음 발화를 답으로 받는다. 답이 없으면 한 번 다시 묻고,
+   * 그래도 없으면 대화를 끝낸다. 대기 중에는 `getVoiceState().awaitingAnswer` 가 true.
+   *
+   * @example
+   * assistant.ask('무엇을 찾으시나요?', async (answer) => search(answer))
+   */
+  ask(question: string, handler: DialogAnswerHandler, options?: AskOptions): Promise<DialogOutcome> {
+    this.ensureInitialized()
+    return this.commandRouter.ask(question, handler, options)
   }
 
   /**
@@ -204,7 +261,10 @@ export class AIAssistant {
   }
 
   destroy(): void {
+    this.commandRouter.cancelDialog()
     this.domAnalyzer.stopObserving()
+    this.stopWatchingAnnotations?.()
+    this.stopWatchingAnnotations = null
     this.voiceEngine.stopListening()
     this.voiceEngine.stopSpeaking()
     this.eventListeners.clear()
@@ -224,4 +284,4 @@ if (typeof window !== 'undefined') {
   window.AIAssistant = AIAssistant
 }
 
-export { VoiceCommand, CommandResult, ElementMap, InteractiveElement, TTSOptions }
\ No newline at end of file
+export { VoiceCommand, CommandResult, CommandScope, AvailableCommandsFilter, ElementMap, InteractiveElement, ElementVisibility, ElementPurpose, ControlKind, ScanStats, ScanTiming, TTSOptions, AskOptions, DialogOutcome, DialogAnswerHandler, CommandMiddleware, MiddlewareContext, MiddlewareOutcome, MiddlewarePosition }
\ No newline at end of file